@@ -0,0 +1,116 @@
+/**
+ * Tests for the backup and restore panel
+ * @jest-environment jsdom
+ */
+const BackupRestorePanel = require('../src/components/BackupRestorePanel');
+
+describe('BackupRestorePanel', () => {
+  let flashcards;
+  let notificationSystem;
+  let onRestored;
+  let panel;
+
+  const backups = [
+    {
+      fileName: 'flashcards-20240310T080000000Z-import.db',
+      createdAt: '2024-03-10T08:00:00.000Z',
+      reason: 'import',
+      size: 2 * 1024 * 1024,
+      cardCount: 12
+    },
+    {
+      fileName: 'flashcards-20240309T080000000Z-daily.db',
+      createdAt: '2024-03-09T08:00:00.000Z',
+      reason: 'daily',
+      size: 20480,
+      cardCount: 1
+    }
+  ];
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="backup-panel">
+        <div id="backup-list"></div>
+        <button id="create-backup-btn"></button>
+      </div>
+    `;
+
+    flashcards = {
+      listBackups: jest.fn().mockResolvedValue(backups),
+      createBackup: jest.fn().mockResolvedValue({ success: true }),
+      restoreBackup: jest.fn().mockResolvedValue({
+        success: true,
+        restored: backups[1].fileName,
+        safetyBackup: 'flashcards-20240311T080000000Z-before-restore.db',
+        stats: { flashcardsCount: 1 }
+      })
+    };
+    notificationSystem = {
+      success: jest.fn(),
+      warning: jest.fn(),
+      error: jest.fn()
+    };
+    onRestored = jest.fn();
+    window.confirm = jest.fn().mockReturnValue(true);
+
+    panel = new BackupRestorePanel(document.getElementById('backup-panel'), { flashcards, notificationSystem, onRestored });
+  });
+
+  const rows = () => Array.from(document.querySelectorAll('.backup-row'));
+
+  it('lists the backups with their date and card count', async () => {
+    await panel.load();
+
+    expect(rows()).toHaveLength(2);
+    expect(rows()[0].querySelector('.backup-date').textContent)
+      .toBe(new Date('2024-03-10T08:00:00.000Z').toLocaleString());
+    expect(rows()[0].querySelector('.backup-summary').textContent).toBe('Before import · 12 cards · 2.0 MB');
+    expect(rows()[1].querySelector('.backup-summary').textContent).toBe('Daily · 1 card · 20 KB');
+  });
+
+  it('says when there are no backups', async () => {
+    flashcards.listBackups.mockResolvedValue([]);
+
+    await panel.load();
+
+    expect(document.getElementById('backup-list').textContent).toBe('No backups yet');
+  });
+
+  it('backs up on request and reloads the list', async () => {
+    document.getElementById('create-backup-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(flashcards.createBackup).toHaveBeenCalled();
+    expect(notificationSystem.success).toHaveBeenCalledWith('Backup Created', 'The database has been backed up');
+    expect(flashcards.listBackups).toHaveBeenCalled();
+  });
+
+  it('restores a backup once confirmed', async () => {
+    await panel.load();
+
+    await panel.restoreBackup(backups[1]);
+
+    expect(window.confirm).toHaveBeenCalled();
+    expect(flashcards.restoreBackup).toHaveBeenCalledWith(backups[1].fileName);
+    expect(onRestored).toHaveBeenCalledWith(expect.objectContaining({ restored: backups[1].fileName }));
+  });
+
+  it('does not restore without confirmation', async () => {
+    window.confirm.mockReturnValue(false);
+
+    await panel.restoreBackup(backups[0]);
+
+    expect(flashcards.restoreBackup).not.toHaveBeenCalled();
+    expect(onRestored).not.toHaveBeenCalled();
+  });
+
+  it('reports a failed restore', async () => {
+    flashcards.restoreBackup.mockRejectedValue(new Error('Backup not found'));
+    console.error = jest.fn();
+
+    await panel.restoreBackup(backups[0]);
+
+    expect(onRestored).not.toHaveBeenCalled();
+    expect(notificationSystem.error).toHaveBeenCalledWith('Restore Failed', 'Could not restore the backup', 'Backup not found');
+  });
+});
\ No newline at end of file
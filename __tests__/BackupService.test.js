@@ -0,0 +1,176 @@
+/**
+ * Tests for the rolling database backups and restoring them
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BackupService = require('../src/services/BackupService');
+const DatabaseService = require('../src/services/DatabaseService');
+const FlashCard = require('../src/models/FlashCard');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/path')
+  }
+}));
+
+describe('BackupService', () => {
+  let tmpDir;
+  let db;
+  let backupService;
+
+  const addCard = (content) => db.saveFlashCard(new FlashCard({
+    content,
+    sourceLanguage: 'en',
+    userTranslation: content
+  }));
+
+  beforeEach(async () => {
+    console.log = jest.fn();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+
+    db = new DatabaseService({ dbPath: path.join(tmpDir, 'flashcards.db'), backupCount: 3 });
+    await db.initialize();
+    backupService = db.backupService;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('requires a connection and a directory', () => {
+    expect(() => new BackupService({ backupDir: tmpDir })).toThrow('A database connection is required');
+    expect(() => new BackupService({ getConnection: () => null })).toThrow('A backup directory is required');
+  });
+
+  it('writes a snapshot next to the database and lists it with its card count', async () => {
+    await addCard('house');
+    await addCard('tree');
+
+    const backup = await db.createBackup('manual');
+
+    expect(backup.path).toBe(path.join(tmpDir, 'backups', backup.fileName));
+    expect(backup.fileName).toMatch(/^flashcards-\d{8}T\d{9}Z-manual\.db$/);
+    expect(await db.listBackups()).toEqual([{
+      fileName: backup.fileName,
+      createdAt: backup.createdAt,
+      reason: 'manual',
+      size: fs.statSync(backup.path).size,
+      cardCount: 2
+    }]);
+  });
+
+  it('keeps only the newest snapshots', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+    for (let day = 1; day <= 5; day++) {
+      jest.setSystemTime(new Date(`2024-03-0${day}T10:00:00.000Z`));
+      await backupService.createBackup('daily');
+    }
+
+    const backups = await backupService.listBackups();
+    expect(backups.map(backup => backup.createdAt)).toEqual([
+      '2024-03-05T10:00:00.000Z',
+      '2024-03-04T10:00:00.000Z',
+      '2024-03-03T10:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the daily snapshots apart from the others', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+    for (let day = 1; day <= 4; day++) {
+      jest.setSystemTime(new Date(`2024-03-0${day}T10:00:00.000Z`));
+      await backupService.createBackup('daily');
+    }
+    for (let hour = 11; hour <= 14; hour++) {
+      jest.setSystemTime(new Date(`2024-03-04T${hour}:00:00.000Z`));
+      await backupService.createBackup(hour % 2 ? 'import' : 'before-restore');
+    }
+
+    const backups = await backupService.listBackups();
+    expect(backups.filter(backup => backup.reason === 'daily').map(backup => backup.createdAt)).toEqual([
+      '2024-03-04T10:00:00.000Z',
+      '2024-03-03T10:00:00.000Z',
+      '2024-03-02T10:00:00.000Z'
+    ]);
+    expect(backups.filter(backup => backup.reason !== 'daily').map(backup => backup.createdAt)).toEqual([
+      '2024-03-04T14:00:00.000Z',
+      '2024-03-04T13:00:00.000Z',
+      '2024-03-04T12:00:00.000Z'
+    ]);
+  });
+
+  it('backs up before importing', async () => {
+    await addCard('house');
+
+    await db.importData({ flashcards: [{ content: 'tree', sourceLanguage: 'en' }] });
+
+    const backups = await db.listBackups();
+    expect(backups).toHaveLength(1);
+    expect(backups[0]).toMatchObject({ reason: 'import', cardCount: 1 });
+  });
+
+  it('makes a daily backup only when the newest one is a day old', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2024-03-10T08:00:00.000Z'));
+
+    expect(await backupService.start()).toMatchObject({ reason: 'daily' });
+
+    jest.setSystemTime(new Date('2024-03-11T07:00:00.000Z'));
+    expect(await backupService._backUpIfDue()).toBeNull();
+
+    jest.setSystemTime(new Date('2024-03-11T08:00:00.000Z'));
+    expect(await backupService._backUpIfDue()).toMatchObject({ reason: 'daily' });
+
+    backupService.stop();
+    expect(backupService.timer).toBeNull();
+  });
+
+  it('restores a snapshot after backing up the current data', async () => {
+    await addCard('house');
+    const backup = await db.createBackup('manual');
+    await addCard('tree');
+
+    const result = await db.restoreBackup(backup.fileName);
+
+    expect(result.restored).toBe(backup.fileName);
+    expect(result.safetyBackup).toMatch(/-before-restore\.db$/);
+    expect(db.initialized).toBe(true);
+    expect((await db.getAllFlashCards()).map(card => card.content)).toEqual(['house']);
+
+    const safety = (await db.listBackups()).find(entry => entry.fileName === result.safetyBackup);
+    expect(safety.cardCount).toBe(2);
+  });
+
+  it('refuses to restore a file that is not a listed backup', async () => {
+    await expect(db.restoreBackup('../flashcards.db')).rejects.toThrow('Backup not found: ../flashcards.db');
+    expect(db.initialized).toBe(true);
+  });
+
+  it('has no backups for in-memory databases', async () => {
+    const memoryDb = new DatabaseService({ inMemory: true });
+    await memoryDb.initialize();
+
+    try {
+      expect(await memoryDb.createBackup()).toBeNull();
+      expect(await memoryDb.listBackups()).toEqual([]);
+      await expect(memoryDb.restoreBackup('flashcards.db')).rejects.toThrow('In-memory databases have no backups');
+    } finally {
+      memoryDb.close();
+    }
+  });
+
+  it('reads the time and reason from file names', () => {
+    const fileName = BackupService.fileNameFor(new Date('2024-03-10T08:05:09.042Z'), 'before-restore');
+
+    expect(fileName).toBe('flashcards-20240310T080509042Z-before-restore.db');
+    expect(BackupService.parseFileName(fileName)).toEqual({
+      createdAt: '2024-03-10T08:05:09.042Z',
+      reason: 'before-restore'
+    });
+    expect(BackupService.parseFileName('flashcards.db')).toBeNull();
+  });
+});
\ No newline at end of file
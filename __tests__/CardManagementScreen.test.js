@@ -0,0 +1,203 @@
+/**
+ * Tests for the card management screen
+ * @jest-environment jsdom
+ */
+const CardManagementScreen = require('../src/components/screens/CardManagementScreen');
+
+function makeCard(id, overrides = {}) {
+  return {
+    id,
+    content: `Card ${id}`,
+    sourceLanguage: 'en',
+    comment: '',
+    userTranslation: '',
+    tags: [],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('CardManagementScreen', () => {
+  let flashcards;
+  let notificationSystem;
+  let screen;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="cards-screen" class="screen">
+        <select id="cards-language-filter">
+          <option value="">All languages</option>
+          <option value="en">English</option>
+          <option value="de">German</option>
+        </select>
+        <select id="cards-tag-filter"><option value="">All tags</option></select>
+        <input id="cards-search" type="search">
+        <div id="cards-list"></div>
+        <button id="cards-prev-page-btn"></button>
+        <span id="cards-page-label"></span>
+        <button id="cards-next-page-btn"></button>
+        <button id="back-from-cards-btn"></button>
+      </div>
+    `;
+
+    flashcards = {
+      getAllFlashCards: jest.fn().mockResolvedValue([]),
+      getAvailableTags: jest.fn().mockResolvedValue({ tags: [], untaggedCount: 0 }),
+      saveFlashCard: jest.fn(card => Promise.resolve(card)),
+      deleteFlashCard: jest.fn().mockResolvedValue(true)
+    };
+    notificationSystem = {
+      success: jest.fn(),
+      warning: jest.fn(),
+      error: jest.fn()
+    };
+    console.error = jest.fn();
+
+    screen = new CardManagementScreen(document.body, {
+      flashcards,
+      notificationSystem,
+      pageSize: 2
+    });
+  });
+
+  describe('loadCards', () => {
+    it('requests one card more than the page size to detect a next page', async () => {
+      flashcards.getAllFlashCards.mockResolvedValue([makeCard('1'), makeCard('2'), makeCard('3')]);
+
+      await screen.show();
+
+      expect(flashcards.getAllFlashCards).toHaveBeenCalledWith({ limit: 3, offset: 0 });
+      expect(document.querySelectorAll('.card-row').length).toBe(2);
+      expect(document.getElementById('cards-next-page-btn').disabled).toBe(false);
+      expect(document.getElementById('cards-prev-page-btn').disabled).toBe(true);
+    });
+
+    it('passes language, tag and search filters to the query', async () => {
+      flashcards.getAvailableTags.mockResolvedValue({ tags: [{ tag: 'food', count: 3 }], untaggedCount: 0 });
+      document.getElementById('cards-language-filter').value = 'en';
+      await screen.show();
+
+      document.getElementById('cards-tag-filter').value = 'food';
+      document.getElementById('cards-search').value = ' apple ';
+      await screen.goToPage(0);
+
+      expect(flashcards.getAllFlashCards).toHaveBeenLastCalledWith({
+        limit: 3,
+        offset: 0,
+        sourceLanguage: 'en',
+        tags: ['food'],
+        searchTerm: 'apple'
+      });
+    });
+
+    it('pages through results using the offset', async () => {
+      flashcards.getAllFlashCards.mockResolvedValue([makeCard('1'), makeCard('2'), makeCard('3')]);
+      await screen.show();
+
+      await screen.goToPage(1);
+
+      expect(flashcards.getAllFlashCards).toHaveBeenLastCalledWith({ limit: 3, offset: 2 });
+      expect(document.getElementById('cards-page-label').textContent).toBe('Page 2');
+    });
+
+    it('steps back a page when the current page comes back empty', async () => {
+      flashcards.getAllFlashCards
+        .mockResolvedValueOnce([makeCard('1'), makeCard('2'), makeCard('3')])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([makeCard('1'), makeCard('2')]);
+      await screen.show();
+
+      await screen.goToPage(1);
+
+      expect(screen.state.page).toBe(0);
+      expect(document.querySelectorAll('.card-row').length).toBe(2);
+    });
+
+    it('merges tags of all languages when no language is selected', async () => {
+      flashcards.getAvailableTags.mockImplementation(language => Promise.resolve({
+        tags: language === 'en' ? [{ tag: 'food', count: 2 }] : [{ tag: 'food', count: 1 }, { tag: 'verbs', count: 4 }],
+        untaggedCount: 0
+      }));
+
+      await screen.show();
+
+      const options = Array.from(document.getElementById('cards-tag-filter').options).map(option => option.textContent);
+      expect(options).toEqual(['All tags', 'food (3)', 'verbs (4)']);
+    });
+  });
+
+  describe('saveCard', () => {
+    it('saves the edited fields with a fresh update timestamp', async () => {
+      const card = makeCard('1', { tags: ['old'] });
+
+      const saved = await screen.saveCard(card, { content: 'Apple', comment: 'fruit', userTranslation: 'Apfel', tags: ['food'] });
+
+      expect(saved).toBe(true);
+      const payload = flashcards.saveFlashCard.mock.calls[0][0];
+      expect(payload).toMatchObject({ id: '1', content: 'Apple', comment: 'fruit', userTranslation: 'Apfel', tags: ['food'] });
+      expect(payload.createdAt).toBe(card.createdAt);
+      expect(payload.updatedAt).not.toBe(card.updatedAt);
+    });
+
+    it('rejects empty content', async () => {
+      const saved = await screen.saveCard(makeCard('1'), { content: '', tags: [] });
+
+      expect(saved).toBe(false);
+      expect(flashcards.saveFlashCard).not.toHaveBeenCalled();
+      expect(notificationSystem.warning).toHaveBeenCalled();
+    });
+
+    it('submits the inline edit form', async () => {
+      flashcards.getAllFlashCards.mockResolvedValue([makeCard('1')]);
+      await screen.show();
+
+      document.querySelector('.card-row button').click();
+      const form = document.querySelector('form.card-row');
+      form.elements.content.value = 'Edited';
+      form.elements.tags.value = 'a, b, a,';
+      form.dispatchEvent(new Event('submit'));
+
+      expect(flashcards.saveFlashCard).toHaveBeenCalledWith(expect.objectContaining({ content: 'Edited', tags: ['a', 'b'] }));
+    });
+  });
+
+  describe('deleteCard', () => {
+    it('deletes the card after confirmation', async () => {
+      window.confirm = jest.fn(() => true);
+
+      const deleted = await screen.deleteCard(makeCard('1'));
+
+      expect(deleted).toBe(true);
+      expect(flashcards.deleteFlashCard).toHaveBeenCalledWith('1');
+    });
+
+    it('does nothing when the user cancels', async () => {
+      window.confirm = jest.fn(() => false);
+
+      const deleted = await screen.deleteCard(makeCard('1'));
+
+      expect(deleted).toBe(false);
+      expect(flashcards.deleteFlashCard).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseTags', () => {
+    it('trims, drops empty entries and removes duplicates', () => {
+      expect(CardManagementScreen.parseTags(' food, verbs ,,food ')).toEqual(['food', 'verbs']);
+      expect(CardManagementScreen.parseTags('')).toEqual([]);
+    });
+  });
+
+  describe('parseAcceptedTranslations', () => {
+    it('reads notes in parentheses and round-trips through formatAcceptedTranslations', () => {
+      const translations = CardManagementScreen.parseAcceptedTranslations(' Wagen ; Karre (colloquial);; ');
+      expect(translations).toEqual([
+        { text: 'Wagen', note: '' },
+        { text: 'Karre', note: 'colloquial' }
+      ]);
+      expect(CardManagementScreen.formatAcceptedTranslations(translations)).toBe('Wagen; Karre (colloquial)');
+      expect(CardManagementScreen.parseAcceptedTranslations('')).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+const CardReview = require('../src/models/CardReview');
+
+describe('CardReview Model', () => {
+  describe('constructor', () => {
+    it('creates a CardReview with default values', () => {
+      const review = new CardReview({ cardId: 'card1' });
+
+      expect(review.cardId).toBe('card1');
+      expect(review.easeFactor).toBe(CardReview.DEFAULT_EASE_FACTOR);
+      expect(review.interval).toBe(0);
+      expect(review.repetitions).toBe(0);
+      expect(review.lapses).toBe(0);
+      expect(review.dueDate).toBeNull();
+      expect(review.lastReviewedAt).toBeNull();
+    });
+
+    it('parses date strings', () => {
+      const review = new CardReview({
+        cardId: 'card1',
+        dueDate: '2024-01-02T00:00:00.000Z',
+        lastReviewedAt: '2024-01-01T00:00:00.000Z'
+      });
+
+      expect(review.dueDate).toBeInstanceOf(Date);
+      expect(review.lastReviewedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('isDue', () => {
+    it('treats unscheduled cards as due', () => {
+      expect(new CardReview({ cardId: 'card1' }).isDue()).toBe(true);
+    });
+
+    it('compares the due date with the reference time', () => {
+      const review = new CardReview({ cardId: 'card1', dueDate: '2024-01-02T00:00:00.000Z' });
+
+      expect(review.isDue(new Date('2024-01-01T00:00:00.000Z'))).toBe(false);
+      expect(review.isDue(new Date('2024-01-02T00:00:00.000Z'))).toBe(true);
+    });
+  });
+
+  describe('toJSON/fromJSON', () => {
+    it('round-trips through a plain object', () => {
+      const review = new CardReview({
+        cardId: 'card1',
+        easeFactor: 2.36,
+        interval: 6,
+        repetitions: 2,
+        lapses: 1,
+        dueDate: new Date('2024-01-08T00:00:00.000Z'),
+        lastReviewedAt: new Date('2024-01-02T00:00:00.000Z')
+      });
+
+      const json = review.toJSON();
+      expect(json.dueDate).toBe('2024-01-08T00:00:00.000Z');
+
+      const restored = CardReview.fromJSON(json);
+      expect(restored).toEqual(review);
+    });
+  });
+});
\ No newline at end of file
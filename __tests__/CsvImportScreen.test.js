@@ -0,0 +1,183 @@
+/**
+ * Tests for the CSV/TSV import screen
+ * @jest-environment jsdom
+ */
+const CsvImportScreen = require('../src/components/screens/CsvImportScreen');
+
+function makePreview(overrides = {}) {
+  return {
+    success: true,
+    fileName: 'words.csv',
+    encoding: 'utf-8',
+    delimiter: ';',
+    hasHeader: true,
+    columns: ['word', 'translation'],
+    mapping: { content: 0, sourceLanguage: null, userTranslation: 1, comment: null, tags: null },
+    rows: [
+      { rowNumber: 2, card: { content: 'Haus', sourceLanguage: 'en', userTranslation: 'house', comment: '', tags: [] }, errors: [] },
+      { rowNumber: 3, card: { content: '', sourceLanguage: 'en', userTranslation: 'tree', comment: '', tags: [] }, errors: ['Content is empty'] }
+    ],
+    invalidRows: [
+      { rowNumber: 3, errors: ['Content is empty'] },
+      { rowNumber: 40, errors: ['Duplicate of row 2'] }
+    ],
+    totalRows: 39,
+    validCount: 37,
+    invalidCount: 2,
+    ...overrides
+  };
+}
+
+describe('CsvImportScreen', () => {
+  let flashcards;
+  let notificationSystem;
+  let onImported;
+  let screen;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="csv-import-screen" class="screen">
+        <button id="csv-choose-file-btn"></button>
+        <p id="csv-file-name"></p>
+        <div id="csv-options" style="display: none;">
+          <select id="csv-delimiter">
+            <option value="">Detect automatically</option>
+            <option value=";">Semicolon</option>
+          </select>
+          <select id="csv-encoding"><option value="auto">Detect automatically</option></select>
+          <select id="csv-default-language"><option value="en">English</option><option value="de">German</option></select>
+          <input id="csv-tag-delimiter" value=",">
+          <input type="checkbox" id="csv-has-header">
+          <div id="csv-mapping"></div>
+          <p id="csv-summary"></p>
+          <table id="csv-preview"></table>
+        </div>
+        <button id="back-from-csv-import-btn"></button>
+        <button id="csv-import-btn" disabled></button>
+      </div>
+    `;
+
+    flashcards = {
+      openCsvImport: jest.fn().mockResolvedValue(makePreview()),
+      previewCsvImport: jest.fn().mockResolvedValue(makePreview()),
+      importCsv: jest.fn().mockResolvedValue({ success: true, stats: { flashcardsImported: 37, rowsSkipped: 2 } })
+    };
+    notificationSystem = {
+      warning: jest.fn(),
+      error: jest.fn()
+    };
+    onImported = jest.fn();
+    console.error = jest.fn();
+
+    screen = new CsvImportScreen(document.body, { flashcards, notificationSystem, onImported });
+  });
+
+  describe('chooseFile', () => {
+    it('lets the main process detect the settings of a new file', async () => {
+      await screen.chooseFile();
+
+      expect(flashcards.openCsvImport).toHaveBeenCalledWith({
+        encoding: 'auto',
+        defaultSourceLanguage: 'en',
+        tagDelimiter: ','
+      });
+    });
+
+    it('shows the mapping, the preview and a summary', async () => {
+      await screen.chooseFile();
+
+      expect(document.getElementById('csv-options').style.display).toBe('block');
+      expect(document.getElementById('csv-has-header').checked).toBe(true);
+      expect(document.querySelector('#csv-mapping select[name="content"]').value).toBe('0');
+      expect(document.querySelector('#csv-mapping select[name="tags"]').value).toBe('');
+      expect(document.getElementById('csv-summary').textContent)
+        .toBe('39 rows (utf-8, semicolon-separated): 37 ready to import, 2 with problems will be skipped.');
+
+      const importBtn = document.getElementById('csv-import-btn');
+      expect(importBtn.disabled).toBe(false);
+      expect(importBtn.textContent).toBe('Import 37 Cards');
+    });
+
+    it('marks invalid rows and lists later problems', async () => {
+      await screen.chooseFile();
+
+      const rows = Array.from(document.querySelectorAll('#csv-preview tr')).slice(1);
+      expect(rows).toHaveLength(3);
+      expect(rows[1].className).toBe('invalid');
+      expect(rows[1].lastElementChild.textContent).toBe('Content is empty');
+      expect(rows[2].textContent).toBe('40Duplicate of row 2');
+    });
+
+    it('does nothing when the dialog is canceled', async () => {
+      flashcards.openCsvImport.mockResolvedValue({ success: false, reason: 'canceled' });
+
+      await screen.chooseFile();
+
+      expect(screen.state.preview).toBeNull();
+      expect(document.getElementById('csv-options').style.display).toBe('none');
+    });
+  });
+
+  describe('refreshPreview', () => {
+    it('sends the chosen mapping and header setting', async () => {
+      await screen.chooseFile();
+
+      const select = document.querySelector('#csv-mapping select[name="comment"]');
+      select.value = '1';
+      select.dispatchEvent(new Event('change'));
+
+      expect(flashcards.previewCsvImport).toHaveBeenCalledWith(expect.objectContaining({
+        hasHeader: true,
+        mapping: { content: 0, sourceLanguage: null, userTranslation: 1, comment: 1, tags: null }
+      }));
+    });
+
+    it('detects the columns again when the delimiter changes', async () => {
+      await screen.chooseFile();
+
+      const delimiter = document.getElementById('csv-delimiter');
+      delimiter.value = ';';
+      delimiter.dispatchEvent(new Event('change'));
+
+      const options = flashcards.previewCsvImport.mock.calls[0][0];
+      expect(options.delimiter).toBe(';');
+      expect(options).not.toHaveProperty('mapping');
+      expect(options).not.toHaveProperty('hasHeader');
+    });
+  });
+
+  describe('importCards', () => {
+    it('imports with the current options and reports the result', async () => {
+      await screen.chooseFile();
+
+      const imported = await screen.importCards();
+
+      expect(imported).toBe(true);
+      expect(flashcards.importCsv).toHaveBeenCalledWith(expect.objectContaining({
+        mapping: makePreview().mapping
+      }));
+      expect(onImported).toHaveBeenCalledWith({ success: true, stats: { flashcardsImported: 37, rowsSkipped: 2 } });
+      expect(screen.state.preview).toBeNull();
+    });
+
+    it('warns when no row can be imported', async () => {
+      flashcards.importCsv.mockResolvedValue({ success: false, reason: 'no_valid_rows' });
+      await screen.chooseFile();
+
+      const imported = await screen.importCards();
+
+      expect(imported).toBe(false);
+      expect(notificationSystem.warning).toHaveBeenCalled();
+      expect(onImported).not.toHaveBeenCalled();
+    });
+
+    it('reports errors from the main process', async () => {
+      flashcards.importCsv.mockRejectedValue(new Error('disk full'));
+      await screen.chooseFile();
+
+      await screen.importCards();
+
+      expect(notificationSystem.error).toHaveBeenCalledWith('CSV Import Failed', 'The cards could not be imported', 'disk full');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Tests for the daily goal panel
+ * @jest-environment jsdom
+ */
+const DailyGoalPanel = require('../src/components/DailyGoalPanel');
+
+describe('DailyGoalPanel', () => {
+  let flashcards;
+  let notificationSystem;
+  let panel;
+
+  const settings = {
+    darkMode: true,
+    dailyGoalUnit: 'cards',
+    dailyGoal: 20,
+    reminderEnabled: false,
+    reminderTime: '19:00'
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="daily-goal-panel">
+        <div id="daily-goal-progress"></div>
+        <div id="daily-goal-summary"></div>
+        <div id="daily-goal-streak"></div>
+        <input type="number" id="daily-goal-amount">
+        <select id="daily-goal-unit">
+          <option value="cards">cards</option>
+          <option value="minutes">minutes</option>
+        </select>
+        <input type="checkbox" id="reminder-enabled">
+        <input type="time" id="reminder-time">
+        <button id="save-daily-goal-btn"></button>
+      </div>
+    `;
+
+    flashcards = {
+      getDailyProgress: jest.fn().mockResolvedValue({
+        goal: { unit: 'cards', amount: 20 },
+        today: { date: '2024-03-10', cards: 5, minutes: 3.5 },
+        progress: 5,
+        percent: 25,
+        met: false,
+        streak: { current: 3, longest: 7, practicedToday: true }
+      }),
+      getSettings: jest.fn().mockResolvedValue(settings),
+      saveSettings: jest.fn().mockResolvedValue(settings)
+    };
+    notificationSystem = {
+      success: jest.fn(),
+      warning: jest.fn(),
+      error: jest.fn()
+    };
+
+    panel = new DailyGoalPanel(document.getElementById('daily-goal-panel'), { flashcards, notificationSystem });
+  });
+
+  it('shows progress toward the goal and the streak', async () => {
+    await panel.load();
+
+    expect(document.getElementById('daily-goal-progress').style.width).toBe('25%');
+    expect(document.getElementById('daily-goal-summary').textContent).toBe('5 of 20 cards today');
+    expect(document.getElementById('daily-goal-streak').textContent).toBe('3-day streak · longest 7 days');
+    expect(document.getElementById('daily-goal-amount').value).toBe('20');
+  });
+
+  it('describes streaks', () => {
+    expect(DailyGoalPanel.describeStreak({ current: 0, longest: 0, practicedToday: false }))
+      .toBe('Practice today to start a streak');
+    expect(DailyGoalPanel.describeStreak({ current: 2, longest: 2, practicedToday: false }))
+      .toBe('2-day streak · practice today to keep it');
+    expect(DailyGoalPanel.describeStreak({ current: 0, longest: 1, practicedToday: false }))
+      .toBe('No current streak · longest 1 day');
+  });
+
+  it('saves the goal and the reminder on top of the stored settings', async () => {
+    await panel.load();
+    document.getElementById('daily-goal-amount').value = '15';
+    document.getElementById('daily-goal-unit').value = 'minutes';
+    document.getElementById('reminder-enabled').checked = true;
+    document.getElementById('reminder-time').value = '08:30';
+
+    await panel.saveGoal();
+
+    expect(flashcards.saveSettings).toHaveBeenCalledWith({
+      ...settings,
+      dailyGoal: 15,
+      dailyGoalUnit: 'minutes',
+      reminderEnabled: true,
+      reminderTime: '08:30'
+    });
+    expect(flashcards.getDailyProgress).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a goal below one', async () => {
+    document.getElementById('daily-goal-amount').value = '0';
+
+    await panel.saveGoal();
+
+    expect(flashcards.saveSettings).not.toHaveBeenCalled();
+    expect(notificationSystem.warning).toHaveBeenCalledWith('Invalid Goal', 'The daily goal must be at least 1');
+  });
+});
\ No newline at end of file
@@ -8,6 +8,7 @@ const DatabaseService = require('../src/services/DatabaseService');
 const FlashCard = require('../src/models/FlashCard');
 const Session = require('../src/models/Session');
 const Settings = require('../src/models/Settings');
+const CardReview = require('../src/models/CardReview');
 
 // No need to mock sqlite3 for these tests - we'll use a real in-memory database
 // Mock electron app
@@ -120,6 +121,20 @@ describe('Database Import/Export', () => {
     });
   });
 
+  describe('clearAll', () => {
+    it('removes all cards, sessions, review state and settings', async () => {
+      await db.saveCardReview(new CardReview({ cardId: testCard.id }));
+
+      const result = await db.clearAll();
+
+      expect(result).toBe(true);
+      expect(await db.getAllFlashCards()).toEqual([]);
+      expect(await db.getAllSessions()).toEqual([]);
+      expect(await db.getCardReview(testCard.id)).toBeNull();
+      expect((await db.getSettings()).toJSON()).toEqual(Settings.getDefaults().toJSON());
+    });
+  });
+
   describe('Import functionality', () => {
     it('imports data correctly', (done) => {
       // Create import data with additional card
@@ -252,6 +267,86 @@ describe('Database Import/Export', () => {
       }).catch(err => done(err));
     });
     
+    it('imports sessions from first-release exports', async () => {
+      const createdAt = '2023-05-01T10:00:00.000Z';
+
+      await db.importData({
+        flashcards: [],
+        sessions: [{
+          id: 'legacy-session',
+          sourceLanguage: 'en',
+          targetLanguage: 'fr',
+          cardIds: [testCard.id],
+          currentCardIndex: 1,
+          responses: [{ cardId: testCard.id, userTranslation: 'Bonjour', correct: true }],
+          createdAt,
+          completedAt: createdAt
+        }]
+      });
+
+      const session = await db.getSession('legacy-session');
+      expect(session.responses).toHaveLength(1);
+      expect(session.responses[0]).toMatchObject({ cardId: testCard.id, userResponse: 'Bonjour', correct: true });
+      expect(session.responses[0].userTranslation).toBeUndefined();
+      expect(new Date(session.responses[0].timestamp).toISOString()).toBe(createdAt);
+    });
+
+    it('keeps the review state through an export and a replace import', async () => {
+      const review = new CardReview({
+        cardId: testCard.id,
+        easeFactor: 2.36,
+        interval: 6,
+        repetitions: 2,
+        lapses: 1,
+        dueDate: '2024-03-16T08:00:00.000Z',
+        lastReviewedAt: '2024-03-10T08:00:00.000Z'
+      });
+      await db.saveCardReview(review);
+
+      const exported = await db.exportData();
+      const result = await db.importData(exported, { replace: true });
+
+      expect(exported.cardReviews).toEqual([review.toJSON()]);
+      expect(result.cardReviewsImported).toBe(1);
+      expect((await db.getCardReview(testCard.id)).toJSON()).toEqual(review.toJSON());
+    });
+
+    it('replaces existing data in replace mode', async () => {
+      const importCard = new FlashCard({ content: 'Goodbye', sourceLanguage: 'en' });
+
+      const result = await db.importData({
+        flashcards: [importCard.toJSON()],
+        sessions: []
+      }, { replace: true });
+
+      expect(result.replaced).toBe(true);
+      expect(result.flashcardsImported).toBe(1);
+
+      const cards = await db.getAllFlashCards();
+      expect(cards.map(card => card.id)).toEqual([importCard.id]);
+      expect(await db.getAllSessions()).toEqual([]);
+
+      // Settings were not part of the snapshot, so they fall back to defaults
+      const settings = await db.getSettings();
+      expect(settings.toJSON()).toEqual(Settings.getDefaults().toJSON());
+    });
+
+    it('keeps the existing data when a replace import fails', async () => {
+      const importData = {
+        flashcards: [new FlashCard({ content: 'New card', sourceLanguage: 'en' }).toJSON()],
+        sessions: [new Session({ sourceLanguage: 'en', targetLanguage: 'de' }).toJSON()]
+      };
+      jest.spyOn(db, 'saveSession').mockRejectedValueOnce(new Error('Session write failed'));
+
+      await expect(db.importData(importData, { replace: true })).rejects.toThrow('Session write failed');
+
+      const cards = await db.getAllFlashCards();
+      expect(cards.map(card => card.id)).toEqual([testCard.id]);
+      const sessions = await db.getAllSessions();
+      expect(sessions.map(session => session.id)).toEqual([testSession.id]);
+      expect((await db.getSettings()).toJSON()).toEqual(testSettings.toJSON());
+    });
+
     it('handles transaction errors properly', (done) => {
       // Create import data
       const importData = {
@@ -2,6 +2,9 @@
  * Simple test for database initialization
  */
 
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
 const DatabaseService = require('../src/services/DatabaseService');
 
 // Mock electron app
@@ -36,4 +39,45 @@ describe('Database Initialization Test', () => {
       }
     });
   }, 10000); // Increase timeout to 10 seconds
+
+  it('adds the abandonedAt column to sessions tables created by older versions', async () => {
+    const dbPath = path.join(os.tmpdir(), `flashcards-upgrade-${Date.now()}.db`);
+    const fs = jest.requireActual('fs');
+
+    // Create a sessions table the way older versions did
+    await new Promise((resolve, reject) => {
+      const legacy = new sqlite3.Database(dbPath, (err) => {
+        if (err) return reject(err);
+        legacy.run(`
+          CREATE TABLE sessions (
+            id TEXT PRIMARY KEY,
+            sourceLanguage TEXT NOT NULL,
+            targetLanguage TEXT NOT NULL,
+            cardIds TEXT NOT NULL,
+            currentCardIndex INTEGER NOT NULL,
+            responses TEXT,
+            createdAt TEXT NOT NULL,
+            completedAt TEXT
+          )
+        `, (err) => legacy.close(() => (err ? reject(err) : resolve())));
+      });
+    });
+
+    const db = new DatabaseService({ dbPath });
+    try {
+      await db.initialize();
+
+      const columns = await new Promise((resolve, reject) => {
+        db.db.all('PRAGMA table_info(sessions)', [], (err, rows) => (err ? reject(err) : resolve(rows)));
+      });
+      expect(columns.map(column => column.name)).toContain('abandonedAt');
+    } finally {
+      db.close();
+      fs.unlinkSync(dbPath);
+      // Remove the backup taken before migrating
+      fs.readdirSync(os.tmpdir())
+        .filter(name => name.startsWith(`${path.basename(dbPath)}.v`))
+        .forEach(name => fs.unlinkSync(path.join(os.tmpdir(), name)));
+    }
+  });
 });
\ No newline at end of file
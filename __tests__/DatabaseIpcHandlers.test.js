@@ -172,12 +172,16 @@ describe('Database IPC Handlers', () => {
           return { success: false, reason: 'invalid_format' };
         }
         
+        // Merge or replace option (merge is default)
+        const shouldReplace = options.mode === 'replace';
+        
         // Import the data
-        const result = dbServiceMock.importData(importData.data);
+        const result = dbServiceMock.importData(importData.data, { replace: shouldReplace });
         
         return {
           success: true,
           path: filePaths[0],
+          mode: shouldReplace ? 'replace' : 'merge',
           stats: {
             flashcardsImported: result.flashcardsImported,
             sessionsImported: result.sessionsImported,
@@ -298,7 +302,7 @@ describe('Database IPC Handlers', () => {
       );
       
       // Verify data was imported
-      expect(importDataMock).toHaveBeenCalledWith(mockImportData.data);
+      expect(importDataMock).toHaveBeenCalledWith(mockImportData.data, { replace: false });
       
       // Verify the result
       expect(result.success).toBe(true);
@@ -309,6 +313,27 @@ describe('Database IPC Handlers', () => {
       expect(result.importInfo.version).toBe('1.0');
     });
     
+    it('passes replace mode to the database service', async () => {
+      dialog.showOpenDialog.mockResolvedValue({
+        canceled: false,
+        filePaths: ['/mock/import.json']
+      });
+      
+      const mockImportData = {
+        data: {
+          flashcards: [{ id: 'card1' }],
+          sessions: []
+        }
+      };
+      
+      fs.promises.readFile.mockResolvedValue(JSON.stringify(mockImportData));
+      
+      const result = await ipcHandlers['database:import']({}, { mode: 'replace' });
+      
+      expect(importDataMock).toHaveBeenCalledWith(mockImportData.data, { replace: true });
+      expect(result.mode).toBe('replace');
+    });
+    
     it('handles canceled import', async () => {
       // Mock dialog to simulate user cancellation
       dialog.showOpenDialog.mockResolvedValue({
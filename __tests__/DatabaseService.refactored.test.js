@@ -43,7 +43,7 @@ describe('DatabaseService', () => {
     });
 
     it('initializes only once', async () => {
-      const initSpy = jest.spyOn(db, '_createTables');
+      const initSpy = jest.spyOn(db, '_migrateSchema');
       await db.initialize();
       expect(initSpy).not.toHaveBeenCalled();
     });
@@ -239,8 +239,8 @@ describe('DatabaseService', () => {
       // Record a response
       session.recordResponse('card1', 'bonjour', true);
 
-      // Save the updated session
-      await db.saveSession(session);
+      // Save the updated session with its responses
+      await db.saveSession(session, { withResponses: true });
 
       // Retrieve the session
       const retrieved = await db.getSession(session.id);
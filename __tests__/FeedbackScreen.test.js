@@ -0,0 +1,131 @@
+/**
+ * Tests for the feedback screen
+ * @jest-environment jsdom
+ */
+const FeedbackScreen = require('../src/components/screens/FeedbackScreen');
+
+describe('FeedbackScreen', () => {
+  let flashcards;
+  let notificationSystem;
+  let screen;
+  let card;
+
+  function feedback(overrides = {}) {
+    return {
+      card,
+      evaluation: { correct: false, feedback: 'Try again.', suggestedTranslation: 'Auto' },
+      userAnswer: 'Karre',
+      direction: 'forward',
+      responseIndex: 0,
+      sessionProgress: { current: 1, total: 2 },
+      sessionId: 'session-1',
+      ...overrides
+    };
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="feedback-screen" class="screen">
+        <div id="feedback-progress"></div>
+        <div id="feedback-original"></div>
+        <div id="feedback-result"></div>
+        <span id="feedback-user-answer"></span>
+        <span id="feedback-suggested"></span>
+        <button id="override-right-btn" style="display: none;"></button>
+        <button id="override-wrong-btn" style="display: none;"></button>
+        <button id="accept-answer-btn" style="display: none;"></button>
+        <button id="next-card-btn"></button>
+      </div>
+    `;
+
+    card = {
+      id: 'card-1',
+      content: 'car',
+      userTranslation: 'Auto',
+      alternativeTranslations: [{ text: 'Wagen', note: '' }]
+    };
+    flashcards = {
+      acceptTranslation: jest.fn((id, text) => Promise.resolve({
+        added: true,
+        card: { ...card, alternativeTranslations: [...card.alternativeTranslations, { text, note: '' }] }
+      })),
+      overrideResponse: jest.fn((sessionId, responseIndex, correct) => Promise.resolve({
+        sessionId,
+        response: { cardId: 'card-1', correct, overridden: true, evaluatedCorrect: !correct },
+        stats: { correctCards: correct ? 1 : 0 }
+      }))
+    };
+    notificationSystem = {
+      success: jest.fn(),
+      error: jest.fn()
+    };
+
+    screen = new FeedbackScreen(document.body, { flashcards, notificationSystem });
+  });
+
+  describe('canAcceptAnswer', () => {
+    it('offers typed answers that the card does not accept yet', () => {
+      expect(screen.canAcceptAnswer(feedback())).toBe(true);
+      expect(screen.canAcceptAnswer(feedback({ userAnswer: 'auto' }))).toBe(false);
+      expect(screen.canAcceptAnswer(feedback({ userAnswer: 'Wagen ' }))).toBe(false);
+    });
+
+    it('does not offer reverse or multiple-choice answers', () => {
+      expect(screen.canAcceptAnswer(feedback({ direction: 'reverse' }))).toBe(false);
+      expect(screen.canAcceptAnswer(feedback({ choices: ['Auto', 'Karre'] }))).toBe(false);
+    });
+  });
+
+  describe('accepting an answer', () => {
+    it('adds the answer to the card and hides the button', async () => {
+      screen.showFeedback(feedback());
+      const button = document.getElementById('accept-answer-btn');
+      expect(button.style.display).toBe('');
+
+      await screen._acceptAnswer();
+
+      expect(flashcards.acceptTranslation).toHaveBeenCalledWith('card-1', 'Karre');
+      expect(screen.currentCard.alternativeTranslations).toHaveLength(2);
+      expect(button.style.display).toBe('none');
+      expect(notificationSystem.success).toHaveBeenCalled();
+    });
+
+    it('reports failures', async () => {
+      flashcards.acceptTranslation.mockRejectedValue(new Error('Flashcard not found: card-1'));
+      console.error = jest.fn();
+      screen.showFeedback(feedback());
+
+      await screen._acceptAnswer();
+
+      expect(notificationSystem.error).toHaveBeenCalledWith(
+        'Accepting Answer Failed',
+        'Could not add your answer to the card',
+        'Flashcard not found: card-1'
+      );
+    });
+  });
+
+  describe('overriding the verdict', () => {
+    it('offers the opposite of the evaluated verdict', () => {
+      screen.showFeedback(feedback());
+      expect(document.getElementById('override-right-btn').style.display).toBe('');
+      expect(document.getElementById('override-wrong-btn').style.display).toBe('none');
+      
+      screen.showFeedback(feedback({ choices: ['Auto', 'Karre'] }));
+      expect(document.getElementById('override-right-btn').style.display).toBe('none');
+    });
+
+    it('shows the verdict the user gave', async () => {
+      screen.showFeedback(feedback());
+
+      await screen._overrideVerdict(true);
+
+      expect(flashcards.overrideResponse).toHaveBeenCalledWith('session-1', 0, true);
+      const result = document.getElementById('feedback-result');
+      expect(result.classList.contains('correct')).toBe(true);
+      expect(result.textContent).toBe('Try again. You marked this answer as correct.');
+      expect(document.getElementById('override-right-btn').style.display).toBe('none');
+      expect(document.getElementById('override-wrong-btn').style.display).toBe('');
+    });
+  });
+});
\ No newline at end of file
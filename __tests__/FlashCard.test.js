@@ -98,6 +98,44 @@ describe('FlashCard Model', () => {
     });
   });
 
+  describe('alternative translations', () => {
+    it('normalizes alternative translations and drops blank and repeated ones', () => {
+      const card = new FlashCard({
+        content: 'car',
+        userTranslation: 'Auto',
+        alternativeTranslations: [' Wagen ', { text: 'Karre', note: ' colloquial ' }, 'wagen', { text: '' }]
+      });
+
+      expect(card.alternativeTranslations).toEqual([
+        { text: 'Wagen', note: '' },
+        { text: 'Karre', note: 'colloquial' }
+      ]);
+      expect(card.getAcceptedTranslations()).toEqual(['Auto', 'Wagen', 'Karre']);
+    });
+
+    it('accepts a new translation only once', () => {
+      const card = new FlashCard({ content: 'car', userTranslation: 'Auto' });
+
+      expect(card.addAcceptedTranslation('Wagen', 'formal')).toBe(true);
+      expect(card.addAcceptedTranslation(' wagen ')).toBe(false);
+      expect(card.addAcceptedTranslation('auto')).toBe(false);
+      expect(card.alternativeTranslations).toEqual([{ text: 'Wagen', note: 'formal' }]);
+    });
+
+    it('makes the first accepted translation of a card its main translation', () => {
+      const card = new FlashCard({ content: 'car' });
+
+      expect(card.addAcceptedTranslation('Auto')).toBe(true);
+      expect(card.userTranslation).toBe('Auto');
+      expect(card.alternativeTranslations).toEqual([]);
+    });
+
+    it('formats alternative translations for a prompt', () => {
+      expect(FlashCard.formatAlternativeTranslations(['Wagen', { text: 'Karre', note: 'colloquial' }]))
+        .toBe('"Wagen", "Karre" (colloquial)');
+    });
+  });
+
   describe('toJSON method', () => {
     it('converts a FlashCard to a plain object with ISO dates', () => {
       const createdAt = new Date('2023-01-01T12:00:00Z');
@@ -122,6 +160,7 @@ describe('FlashCard Model', () => {
         sourceLanguage: 'en',
         comment: 'A greeting',
         userTranslation: 'Bonjour',
+        alternativeTranslations: [],
         tags: ['greeting'],
         createdAt: createdAt.toISOString(),
         updatedAt: updatedAt.toISOString()
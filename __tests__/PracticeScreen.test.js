@@ -0,0 +1,86 @@
+/**
+ * Tests for the practice screen
+ * @jest-environment jsdom
+ */
+const PracticeScreen = require('../src/components/screens/PracticeScreen');
+
+describe('PracticeScreen', () => {
+  let flashcards;
+  let onSubmitAnswer;
+  let screen;
+
+  const cardData = (extra = {}) => ({
+    sessionId: 'session-1',
+    sessionProgress: { current: 1, total: 4 },
+    prompt: { text: 'Hello', language: 'en', answerLanguage: 'de', direction: 'forward', generated: false },
+    card: { id: 'card-1', content: 'Hello' },
+    ...extra
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="practice-screen">
+        <div id="session-progress"></div>
+        <div id="card-direction"></div>
+        <div id="card-content"></div>
+        <div id="choice-list" style="display: none;"></div>
+        <div id="translation-group">
+          <textarea id="translation-input"></textarea>
+        </div>
+        <button id="submit-answer-btn">Submit Answer</button>
+      </div>
+    `;
+
+    flashcards = { getCurrentCard: jest.fn() };
+    onSubmitAnswer = jest.fn().mockResolvedValue();
+    screen = new PracticeScreen(document.getElementById('practice-screen'), { flashcards, onSubmitAnswer });
+  });
+
+  it('shows the prompt and the translation input for typed answers', async () => {
+    flashcards.getCurrentCard.mockResolvedValue(cardData({ mode: 'translate', choices: null }));
+
+    await screen.loadCurrentCard('session-1');
+
+    expect(document.getElementById('card-content').textContent).toBe('Hello');
+    expect(document.getElementById('card-direction').textContent).toBe('EN → DE');
+    expect(document.getElementById('choice-list').style.display).toBe('none');
+    expect(document.getElementById('translation-group').style.display).toBe('');
+  });
+
+  it('shows a button for each answer choice instead of the input', async () => {
+    flashcards.getCurrentCard.mockResolvedValue(cardData({
+      mode: 'multipleChoice',
+      choices: ['Haus', 'Hallo', 'Hund', 'Baum']
+    }));
+
+    await screen.loadCurrentCard('session-1');
+
+    const buttons = Array.from(document.querySelectorAll('#choice-list .choice-button'));
+    expect(buttons.map(button => button.textContent)).toEqual(['Haus', 'Hallo', 'Hund', 'Baum']);
+    expect(document.getElementById('translation-group').style.display).toBe('none');
+    expect(document.getElementById('submit-answer-btn').style.display).toBe('none');
+  });
+
+  it('submits the clicked choice', async () => {
+    flashcards.getCurrentCard.mockResolvedValue(cardData({ mode: 'multipleChoice', choices: ['Haus', 'Hallo'] }));
+    await screen.loadCurrentCard('session-1');
+
+    document.querySelectorAll('#choice-list .choice-button')[1].click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(onSubmitAnswer).toHaveBeenCalledWith('session-1', 'Hallo');
+    document.querySelectorAll('#choice-list .choice-button').forEach(button => {
+      expect(button.disabled).toBe(false);
+    });
+  });
+
+  it('clears the choices when reset', async () => {
+    flashcards.getCurrentCard.mockResolvedValue(cardData({ mode: 'multipleChoice', choices: ['Haus', 'Hallo'] }));
+    await screen.loadCurrentCard('session-1');
+
+    screen.reset();
+
+    expect(document.querySelectorAll('#choice-list .choice-button')).toHaveLength(0);
+    expect(document.getElementById('translation-group').style.display).toBe('');
+  });
+});
\ No newline at end of file
@@ -63,6 +63,86 @@ describe('Session Model', () => {
     });
   });
 
+  describe('overrideResponse method', () => {
+    it('replaces the verdict and keeps the evaluated one', () => {
+      const session = new Session({ cardIds: ['card1', 'card2'] });
+      session.recordResponse('card1', 'Karre', false);
+      
+      expect(session.overrideResponse(0, true)).toBe(true);
+      expect(session.responses[0]).toMatchObject({ correct: true, overridden: true, evaluatedCorrect: false });
+      expect(session.getStats()).toMatchObject({ correctCards: 1, overriddenCards: 1, accuracy: 100 });
+      
+      expect(session.overrideResponse(0, true)).toBe(false);
+    });
+    
+    it('drops the flag when the verdict is set back to the evaluated one', () => {
+      const session = new Session({ cardIds: ['card1'] });
+      session.recordResponse('card1', 'Auto', true);
+      session.overrideResponse(0, false);
+      session.overrideResponse(0, true);
+      
+      expect(session.responses[0].correct).toBe(true);
+      expect(session.responses[0].overridden).toBeUndefined();
+      expect(session.responses[0].evaluatedCorrect).toBeUndefined();
+    });
+    
+    it('throws for a missing response', () => {
+      const session = new Session({ cardIds: ['card1'] });
+      expect(() => session.overrideResponse(0, true)).toThrow('Response not found: 0');
+    });
+  });
+
+  describe('retry rounds', () => {
+    function answerAll(session, verdicts) {
+      verdicts.forEach(correct => {
+        session.recordResponse(session.getCurrentCardId(), 'answer', correct);
+        session.nextCard();
+      });
+    }
+    
+    it('queues the cards answered incorrectly until each is right once', () => {
+      const session = new Session({
+        cardIds: ['card1', 'card2', 'card3'],
+        cardDirections: ['forward', 'reverse', 'forward'],
+        retryMistakes: true
+      });
+      
+      answerAll(session, [true, false, false]);
+      expect(session.cardIds).toEqual(['card1', 'card2', 'card3', 'card2', 'card3']);
+      expect(session.getCardDirection(3)).toBe('reverse');
+      expect(session.isRetry()).toBe(true);
+      expect(session.retryRounds).toBe(1);
+      
+      answerAll(session, [true, false]);
+      expect(session.getCurrentCardId()).toBe('card3');
+      expect(session.retryRounds).toBe(2);
+      
+      answerAll(session, [true]);
+      expect(session.completedAt).toBeInstanceOf(Date);
+      expect(session.cardIds).toHaveLength(6);
+    });
+    
+    it('keeps the choices of multiple-choice cards', () => {
+      const session = new Session({
+        cardIds: ['card1'],
+        mode: 'multipleChoice',
+        cardChoices: [['Haus', 'Hund', 'Hallo', 'Baum']],
+        retryMistakes: true
+      });
+      
+      answerAll(session, [false]);
+      expect(session.getCardChoices()).toEqual(['Haus', 'Hund', 'Hallo', 'Baum']);
+    });
+    
+    it('completes without retries unless asked for', () => {
+      const session = new Session({ cardIds: ['card1'] });
+      
+      answerAll(session, [false]);
+      expect(session.completedAt).toBeInstanceOf(Date);
+      expect(session.cardIds).toEqual(['card1']);
+    });
+  });
+
   describe('nextCard method', () => {
     it('moves to the next card if available', () => {
       const session = new Session({
@@ -152,6 +232,31 @@ describe('Session Model', () => {
       expect(stats.isComplete).toBe(false);
     });
     
+    it('reports first-try accuracy apart from the final accuracy', () => {
+      const session = new Session({
+        cardIds: ['card1', 'card2', 'card3', 'card2'],
+        firstRoundSize: 3,
+        retryRounds: 1,
+        responses: [
+          { cardId: 'card1', userResponse: 'one', correct: true },
+          { cardId: 'card2', userResponse: 'too', correct: false },
+          { cardId: 'card3', userResponse: 'tree', correct: false },
+          { cardId: 'card2', userResponse: 'two', correct: true }
+        ]
+      });
+      
+      const stats = session.getStats();
+      
+      expect(stats.totalCards).toBe(3);
+      expect(stats.answeredCards).toBe(3);
+      expect(stats.correctCards).toBe(2);
+      expect(stats.accuracy).toBe((2/3) * 100);
+      expect(stats.firstTryCorrectCards).toBe(1);
+      expect(stats.firstTryAccuracy).toBe((1/3) * 100);
+      expect(stats.attempts).toBe(4);
+      expect(stats.retryRounds).toBe(1);
+    });
+    
     it('recognizes completed sessions', () => {
       const session = new Session({
         completedAt: new Date()
@@ -163,6 +268,85 @@ describe('Session Model', () => {
     });
   });
 
+  describe('abandon method', () => {
+    it('marks the session as abandoned and no longer active', () => {
+      const session = new Session({ cardIds: ['card1', 'card2'] });
+      
+      expect(session.isActive()).toBe(true);
+      
+      session.abandon();
+      
+      expect(session.abandonedAt).toBeInstanceOf(Date);
+      expect(session.isActive()).toBe(false);
+      expect(session.getStats().isAbandoned).toBe(true);
+      expect(session.getStats().isComplete).toBe(false);
+    });
+    
+    it('keeps the original abandon time when called twice', () => {
+      const abandonedAt = new Date('2023-01-15T12:00:00Z');
+      const session = new Session({ abandonedAt });
+      
+      session.abandon();
+      
+      expect(session.abandonedAt).toEqual(abandonedAt);
+    });
+    
+    it('survives a round trip through toJSON and fromJSON', () => {
+      const session = new Session();
+      session.abandon();
+      
+      const restored = Session.fromJSON(session.toJSON());
+      
+      expect(restored.abandonedAt).toEqual(session.abandonedAt);
+    });
+  });
+
+  describe('practice direction', () => {
+    it('practices every card forward by default', () => {
+      const session = new Session({ cardIds: ['card1', 'card2'] });
+
+      expect(session.direction).toBe('forward');
+      expect(session.getCardDirection()).toBe('forward');
+
+      session.recordResponse('card1', 'hello', true);
+      expect(session.responses[0].direction).toBe('forward');
+    });
+
+    it('uses the direction of each card', () => {
+      const session = new Session({
+        cardIds: ['card1', 'card2'],
+        direction: 'mixed',
+        cardDirections: ['reverse', 'forward']
+      });
+
+      expect(session.getCardDirection()).toBe('reverse');
+      expect(session.getCardDirection(1)).toBe('forward');
+    });
+
+    it('assigns a direction to each card', () => {
+      expect(Session.assignCardDirections(2, 'reverse')).toEqual(['reverse', 'reverse']);
+
+      const random = jest.fn()
+        .mockReturnValueOnce(0.2)
+        .mockReturnValueOnce(0.7)
+        .mockReturnValueOnce(0.4);
+      expect(Session.assignCardDirections(3, 'mixed', random)).toEqual(['forward', 'reverse', 'forward']);
+    });
+
+    it('has answer choices only in multiple-choice mode', () => {
+      const session = new Session({ cardIds: ['card1'], cardChoices: [['Hallo', 'Haus']] });
+      expect(session.getCardChoices()).toBeNull();
+
+      session.mode = 'multipleChoice';
+      expect(session.getCardChoices()).toEqual(['Hallo', 'Haus']);
+      expect(session.getCardChoices(1)).toEqual([]);
+    });
+
+    it('rejects unknown directions', () => {
+      expect(() => Session.assignCardDirections(1, 'sideways')).toThrow('Unknown practice direction: sideways');
+    });
+  });
+
   describe('toJSON method', () => {
     it('converts a Session to a plain object with ISO dates', () => {
       const now = new Date('2023-01-15T12:00:00Z');
@@ -189,12 +373,20 @@ describe('Session Model', () => {
         sourceLanguage: 'en',
         targetLanguage: 'fr',
         cardIds: ['card1', 'card2'],
+        direction: 'forward',
+        cardDirections: [],
+        mode: 'translate',
+        cardChoices: [],
+        retryMistakes: false,
+        firstRoundSize: 2,
+        retryRounds: 0,
         currentCardIndex: 1,
         responses: [
           { cardId: 'card1', userResponse: 'bonjour', correct: true, timestamp: responseTime.toISOString() }
         ],
         createdAt: now.toISOString(),
-        completedAt: completedAt.toISOString()
+        completedAt: completedAt.toISOString(),
+        abandonedAt: null
       });
     });
   });
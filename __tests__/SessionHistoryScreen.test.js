@@ -0,0 +1,223 @@
+/**
+ * Tests for the session history screen
+ * @jest-environment jsdom
+ */
+const SessionHistoryScreen = require('../src/components/screens/SessionHistoryScreen');
+
+describe('SessionHistoryScreen', () => {
+  let flashcards;
+  let notificationSystem;
+  let onPracticeCards;
+  let screen;
+  let session;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="history-screen" class="screen">
+        <input type="date" id="history-from">
+        <input type="date" id="history-to">
+        <select id="history-source-language">
+          <option value="">Any</option>
+          <option value="en">English</option>
+        </select>
+        <select id="history-target-language">
+          <option value="">Any</option>
+          <option value="de">German</option>
+        </select>
+        <select id="history-status">
+          <option value="">All sessions</option>
+          <option value="completed">Completed</option>
+          <option value="active">Active</option>
+          <option value="abandoned">Abandoned</option>
+        </select>
+        <div id="history-list"></div>
+        <div id="history-pagination">
+          <button id="history-prev-page-btn"></button>
+          <span id="history-page-label"></span>
+          <button id="history-next-page-btn"></button>
+        </div>
+        <div id="history-detail" style="display: none;"></div>
+        <button id="back-from-history-btn"></button>
+      </div>
+    `;
+
+    session = {
+      id: 'session-1',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      direction: 'forward',
+      mode: 'translate',
+      cardIds: ['card-1', 'card-2', 'card-3', 'card-2'],
+      firstRoundSize: 3,
+      responses: [
+        { cardId: 'card-1', userResponse: 'Haus', correct: true, timestamp: '2024-03-10T12:00:00.000Z' },
+        { cardId: 'card-2', userResponse: 'Kats', correct: false, timestamp: '2024-03-10T12:01:00.000Z' },
+        { cardId: 'card-3', userResponse: 'Hund', correct: false, timestamp: '2024-03-10T12:02:00.000Z' },
+        { cardId: 'card-2', userResponse: 'Katze', correct: true, timestamp: '2024-03-10T12:03:00.000Z' }
+      ],
+      createdAt: '2024-03-10T11:59:00.000Z',
+      completedAt: '2024-03-10T12:03:00.000Z',
+      abandonedAt: null
+    };
+    flashcards = {
+      getAllSessions: jest.fn().mockResolvedValue([session]),
+      // card-3 has been deleted since the session
+      getFlashCard: jest.fn(id => Promise.resolve({
+        'card-1': { id: 'card-1', content: 'house' },
+        'card-2': { id: 'card-2', content: 'cat' }
+      }[id] || null))
+    };
+    notificationSystem = {
+      error: jest.fn()
+    };
+    onPracticeCards = jest.fn();
+
+    screen = new SessionHistoryScreen(document.body, { flashcards, notificationSystem, onPracticeCards, pageSize: 2 });
+  });
+
+  describe('buildDateRange', () => {
+    it('includes the whole last day', () => {
+      const range = SessionHistoryScreen.buildDateRange('2024-03-10', '2024-03-10');
+
+      expect(new Date(range.createdBefore) - new Date(range.createdAfter)).toBe(24 * 60 * 60 * 1000);
+      expect(new Date(range.createdAfter).getDate()).toBe(10);
+    });
+
+    it('leaves out missing bounds', () => {
+      expect(SessionHistoryScreen.buildDateRange('', '')).toEqual({});
+      expect(Object.keys(SessionHistoryScreen.buildDateRange('2024-03-10'))).toEqual(['createdAfter']);
+    });
+  });
+
+  describe('summarize', () => {
+    it('counts the final verdict of each card', () => {
+      expect(SessionHistoryScreen.summarize(session)).toEqual({
+        status: 'Completed',
+        answered: 3,
+        correct: 2,
+        missed: 2
+      });
+    });
+  });
+
+  describe('loading sessions', () => {
+    it('queries sessions with the selected filters', async () => {
+      document.getElementById('history-source-language').value = 'en';
+      document.getElementById('history-target-language').value = 'de';
+      document.getElementById('history-status').value = 'completed';
+
+      await screen.loadSessions();
+
+      expect(flashcards.getAllSessions).toHaveBeenCalledWith({
+        limit: 3,
+        offset: 0,
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        completedOnly: true
+      });
+      const rows = document.querySelectorAll('#history-list .card-row');
+      expect(rows).toHaveLength(1);
+      expect(rows[0].querySelector('.card-row-meta').textContent).toBe('Completed · 2 of 3 correct · 2 missed');
+    });
+
+    it('enables the next page when more sessions exist', async () => {
+      flashcards.getAllSessions.mockResolvedValue([session, { ...session, id: 'session-2' }, { ...session, id: 'session-3' }]);
+
+      await screen.loadSessions();
+
+      expect(document.querySelectorAll('#history-list .card-row')).toHaveLength(2);
+      expect(document.getElementById('history-next-page-btn').disabled).toBe(false);
+
+      await screen.goToPage(1);
+
+      expect(flashcards.getAllSessions).toHaveBeenLastCalledWith(expect.objectContaining({ offset: 2 }));
+    });
+
+    it('reports failures', async () => {
+      flashcards.getAllSessions.mockRejectedValue(new Error('Database not initialized'));
+      console.error = jest.fn();
+
+      await screen.loadSessions();
+
+      expect(notificationSystem.error).toHaveBeenCalledWith(
+        'Loading History Failed',
+        'Could not load practice sessions',
+        'Database not initialized'
+      );
+    });
+  });
+
+  describe('session details', () => {
+    it('lists each answer with its verdict', async () => {
+      await screen.openSession(session);
+
+      const rows = document.querySelectorAll('#history-detail .history-response');
+      expect(rows).toHaveLength(4);
+      expect(rows[1].classList.contains('incorrect')).toBe(true);
+      expect(rows[1].querySelector('.card-row-content').textContent).toBe('cat');
+      expect(rows[1].querySelector('.history-answer').textContent).toBe('Your answer: Kats');
+      expect(rows[2].querySelector('.card-row-content').textContent).toBe('Card no longer available');
+      expect(rows[3].querySelector('.card-row-meta').textContent).toContain('retry');
+      expect(document.getElementById('history-list').style.display).toBe('none');
+    });
+
+    it('shows the feedback each answer was given', async () => {
+      Object.assign(session.responses[1], {
+        feedback: 'Almost: check the spelling.',
+        suggestedTranslation: 'Katze',
+        details: { grammar: 'Fine', vocabulary: '', accuracy: 'One letter off' },
+        provider: 'gemini'
+      });
+      Object.assign(session.responses[2], { feedback: 'Accepted without feedback.', provider: 'baseline', fallback: true });
+
+      await screen.openSession(session);
+
+      const rows = document.querySelectorAll('#history-detail .history-response');
+      expect(rows[0].querySelector('.history-evaluation')).toBeNull();
+      expect(rows[1].querySelector('.history-feedback').textContent).toBe('Almost: check the spelling.');
+      expect(rows[1].querySelector('.history-suggested').textContent).toBe('Suggested: Katze');
+      expect([...rows[1].querySelectorAll('dt')].map(term => term.textContent)).toEqual(['Grammar', 'Accuracy']);
+      expect(rows[1].querySelector('.card-row-meta').textContent).toContain('graded by gemini');
+      expect(rows[2].querySelector('.card-row-meta').textContent).toContain('not graded');
+      expect(rows[2].querySelector('.card-row-meta').textContent).not.toContain('graded by');
+    });
+
+    it('lists the answers of a session in another container', async () => {
+      document.body.insertAdjacentHTML('beforeend', '<div id="results-responses"><p>old</p></div>');
+      const container = document.getElementById('results-responses');
+
+      await screen.renderResponses(container, session);
+
+      expect(container.querySelectorAll('.history-response')).toHaveLength(4);
+      expect(container.querySelector('p')).toBeNull();
+    });
+
+    it('practices the missed cards that still exist', async () => {
+      await screen.openSession(session);
+
+      const practiceBtn = document.querySelector('#history-detail .primary-button');
+      expect(practiceBtn.textContent).toBe('Practice 1 Missed Card Again');
+      practiceBtn.click();
+
+      expect(onPracticeCards).toHaveBeenCalledWith({
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['card-2'],
+        maxCards: 1,
+        useSampleCards: false,
+        direction: 'forward',
+        mode: 'translate'
+      });
+    });
+
+    it('returns to the list on back', async () => {
+      await screen.openSession(session);
+
+      document.getElementById('back-from-history-btn').click();
+
+      expect(screen.state.selectedSession).toBeNull();
+      expect(document.getElementById('history-detail').style.display).toBe('none');
+      expect(document.getElementById('history-list').style.display).toBe('');
+    });
+  });
+});
\ No newline at end of file
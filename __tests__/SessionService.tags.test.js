@@ -13,7 +13,7 @@ jest.mock('../src/services/TranslationService', () => {
         suggestedTranslation: 'Test suggestion',
         details: {}
       }),
-      generateTranslation: jest.fn().mockResolvedValue('Test translation')
+      generateTranslation: jest.fn().mockResolvedValue({ translation: 'Test translation', provider: 'gemini' })
     };
   });
 });
@@ -9,13 +9,14 @@ const mockDb = {
   getFlashCard: jest.fn(),
   getAllFlashCards: jest.fn(() => []),
   saveSession: jest.fn(session => session),
+  saveSessionResponse: jest.fn((sessionId, position, response) => response),
   getSession: jest.fn()
 };
 
 // Mock the translation service
 jest.mock('../src/services/TranslationService', () => {
   return jest.fn().mockImplementation(() => ({
-    generateTranslation: jest.fn().mockResolvedValue('Mocked Translation'),
+    generateTranslation: jest.fn().mockResolvedValue({ translation: 'Mocked Translation', provider: 'gemini' }),
     evaluateTranslation: jest.fn().mockResolvedValue({
       correct: true,
       score: 0.9,
@@ -160,7 +161,7 @@ describe('SessionService', () => {
       expect(result.evaluation).toBeDefined();
       expect(mockDb.getSession).toHaveBeenCalledWith('test-session-id');
       expect(mockDb.getFlashCard).toHaveBeenCalledWith('card1');
-      expect(mockDb.saveSession).toHaveBeenCalled();
+      expect(mockDb.saveSessionResponse).toHaveBeenCalledWith('test-session-id', 0, expect.objectContaining({ cardId: 'card1' }));
       expect(sessionService.translationService.evaluateTranslation).toHaveBeenCalled();
     });
     
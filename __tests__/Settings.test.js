@@ -11,6 +11,12 @@ describe('Settings Model', () => {
       expect(settings.maxCardsPerSession).toBe(20);
       expect(settings.defaultSourceLanguage).toBe('en');
       expect(settings.defaultTargetLanguage).toBe('es');
+      expect(settings.saveGeneratedTranslations).toBe(false);
+      expect(settings.ignoreDiacritics).toBe(false);
+      expect(settings.dailyGoalUnit).toBe('cards');
+      expect(settings.dailyGoal).toBe(20);
+      expect(settings.reminderEnabled).toBe(false);
+      expect(settings.reminderTime).toBe('19:00');
     });
 
     it('creates a Settings with provided values', () => {
@@ -70,6 +76,33 @@ describe('Settings Model', () => {
       
       settings.update({ darkMode: true });
       expect(settings.darkMode).toBe(true);
+      
+      settings.update({ saveGeneratedTranslations: true });
+      expect(settings.saveGeneratedTranslations).toBe(true);
+    });
+    
+    it('keeps a valid daily goal', () => {
+      const settings = new Settings({ dailyGoalUnit: 'hours', dailyGoal: 0 });
+      expect(settings.dailyGoalUnit).toBe('cards');
+      expect(settings.dailyGoal).toBe(20);
+      
+      settings.update({ dailyGoalUnit: 'minutes', dailyGoal: 15, reminderEnabled: true, reminderTime: '08:30' });
+      settings.update({ dailyGoalUnit: 'hours', dailyGoal: -5 });
+      expect(settings.toJSON()).toMatchObject({
+        dailyGoalUnit: 'minutes',
+        dailyGoal: 15,
+        reminderEnabled: true,
+        reminderTime: '08:30'
+      });
+    });
+    
+    it('keeps the provider list in fallback order', () => {
+      const settings = new Settings();
+      expect(settings.translationProviders).toEqual([]);
+      
+      const providers = [{ name: 'local', baseUrl: 'http://localhost:8080' }, { name: 'openai', apiKey: 'key' }];
+      settings.update({ translationProviders: providers });
+      expect(settings.toJSON().translationProviders).toEqual(providers);
     });
   });
 
@@ -83,6 +116,15 @@ describe('Settings Model', () => {
       expect(settings.hasTranslationApiConfiguration()).toBe(true);
     });
     
+    it('needs a server URL instead of an API key for the local provider', () => {
+      const settings = new Settings({ translationApiProvider: 'local' });
+      expect(settings.hasTranslationApiConfiguration()).toBe(false);
+      
+      settings.update({ localLlmBaseUrl: 'http://localhost:11434/v1', localLlmModel: 'llama3' });
+      expect(settings.hasTranslationApiConfiguration()).toBe(true);
+      expect(settings.toJSON().localLlmModel).toBe('llama3');
+    });
+    
     it('returns false when translation API key is missing', () => {
       const settings = new Settings({
         translationApiKey: '',
@@ -110,7 +152,8 @@ describe('Settings Model', () => {
         translationApiProvider: 'openai',
         maxCardsPerSession: 15,
         defaultSourceLanguage: 'es',
-        defaultTargetLanguage: 'fr'
+        defaultTargetLanguage: 'fr',
+        saveGeneratedTranslations: true
       });
       
       const json = settings.toJSON();
@@ -119,9 +162,18 @@ describe('Settings Model', () => {
         darkMode: false,
         translationApiKey: 'test-key',
         translationApiProvider: 'openai',
+        localLlmBaseUrl: '',
+        localLlmModel: '',
+        translationProviders: [],
         maxCardsPerSession: 15,
         defaultSourceLanguage: 'es',
-        defaultTargetLanguage: 'fr'
+        defaultTargetLanguage: 'fr',
+        saveGeneratedTranslations: true,
+        ignoreDiacritics: false,
+        dailyGoalUnit: 'cards',
+        dailyGoal: 20,
+        reminderEnabled: false,
+        reminderTime: '19:00'
       });
     });
   });
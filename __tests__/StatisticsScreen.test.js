@@ -0,0 +1,150 @@
+/**
+ * Tests for the statistics screen and its charts
+ * @jest-environment jsdom
+ */
+const ChartComponent = require('../src/components/ChartComponent');
+
+// The screen is loaded after the chart component in the renderer
+global.ChartComponent = ChartComponent;
+const StatisticsScreen = require('../src/components/screens/StatisticsScreen');
+
+describe('ChartComponent', () => {
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="chart"></div>';
+    container = document.getElementById('chart');
+  });
+
+  it('breaks the line where a value is missing', () => {
+    new ChartComponent(container, { maxValue: 100 }).render([
+      { label: '03-08', value: 50 },
+      { label: '03-09', value: null },
+      { label: '03-10', value: 100 }
+    ]);
+
+    const path = container.querySelector('.chart-line').getAttribute('d');
+    expect(path.match(/M/g)).toHaveLength(2);
+    expect(path).not.toContain('L');
+    expect(container.querySelectorAll('.chart-point')).toHaveLength(2);
+    expect(container.querySelector('.chart-point title').textContent).toBe('03-08: 50');
+  });
+
+  it('draws a bar per value', () => {
+    new ChartComponent(container, { type: 'bar' }).render([
+      { label: 'nouns', value: 4 },
+      { label: 'verbs', value: 2 }
+    ]);
+
+    const bars = container.querySelectorAll('.chart-bar');
+    expect(bars).toHaveLength(2);
+    expect(Number(bars[0].getAttribute('height'))).toBe(Number(bars[1].getAttribute('height')) * 2);
+  });
+
+  it('shows a message without values', () => {
+    new ChartComponent(container, { emptyText: 'Nothing yet' }).render([{ label: '03-10', value: null }]);
+
+    expect(container.querySelector('svg')).toBeNull();
+    expect(container.textContent).toBe('Nothing yet');
+  });
+});
+
+describe('StatisticsScreen', () => {
+  let flashcards;
+  let notificationSystem;
+  let screen;
+
+  const stats = {
+    totals: { sessions: 2, responses: 6, correct: 4, accuracy: 66.666, averageScore: 0.755, cardsPracticed: 3 },
+    daily: [
+      { date: '2024-03-09', responses: 0, correct: 0, accuracy: null, averageScore: null, cardsPracticed: 0 },
+      { date: '2024-03-10', responses: 6, correct: 4, accuracy: 66.666, averageScore: 0.755, cardsPracticed: 3 }
+    ],
+    byTag: [
+      { tag: 'nouns', responses: 5, correct: 3, accuracy: 60, previousAccuracy: 25, recentAccuracy: 80 }
+    ],
+    byLanguagePair: [
+      { sourceLanguage: 'en', targetLanguage: 'de', responses: 6, correct: 4, accuracy: 66.666, previousAccuracy: null, recentAccuracy: 66.666 }
+    ],
+    mostMissed: [
+      { cardId: 'cat', content: 'cat', translation: 'Katze', misses: 2, responses: 3, accuracy: 33.3, lastMissedAt: '2024-03-10T09:00:00.000Z' }
+    ],
+    tags: ['animals', 'nouns']
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="statistics-screen" class="screen">
+        <select id="statistics-days">
+          <option value="7">Last 7 days</option>
+          <option value="30" selected>Last 30 days</option>
+        </select>
+        <select id="statistics-tag"><option value="">All tags</option></select>
+        <div id="statistics-responses"></div>
+        <div id="statistics-accuracy"></div>
+        <div id="statistics-average-score"></div>
+        <div id="statistics-cards-practiced"></div>
+        <div id="statistics-accuracy-chart"></div>
+        <div id="statistics-cards-chart"></div>
+        <div id="statistics-tags-chart"></div>
+        <div id="statistics-tags-table"></div>
+        <div id="statistics-pairs-chart"></div>
+        <div id="statistics-pairs-table"></div>
+        <div id="statistics-missed"></div>
+        <button id="back-from-statistics-btn"></button>
+      </div>
+    `;
+
+    flashcards = {
+      getLearningStats: jest.fn().mockResolvedValue(stats)
+    };
+    notificationSystem = {
+      error: jest.fn()
+    };
+
+    screen = new StatisticsScreen(document.body, { flashcards, notificationSystem });
+  });
+
+  it('renders totals, charts and tables', async () => {
+    await screen.loadStatistics();
+
+    expect(flashcards.getLearningStats).toHaveBeenCalledWith({ days: 30, tag: '' });
+    expect(document.getElementById('statistics-accuracy').textContent).toBe('67%');
+    expect(document.getElementById('statistics-average-score').textContent).toBe('0.76');
+    expect(document.querySelectorAll('#statistics-accuracy-chart .chart-point')).toHaveLength(1);
+    expect(document.querySelectorAll('#statistics-cards-chart .chart-bar')).toHaveLength(2);
+
+    const tagCells = [...document.querySelectorAll('#statistics-tags-table td')].map(cell => cell.textContent);
+    expect(tagCells).toEqual(['nouns', '5', '60%', '25%', '80%', '+55 pts']);
+    const pairCells = [...document.querySelectorAll('#statistics-pairs-table td')].map(cell => cell.textContent);
+    expect(pairCells[0]).toBe('EN → DE');
+    expect(pairCells[5]).toBe('–');
+
+    expect(document.querySelector('#statistics-missed .card-row-content').textContent).toBe('cat → Katze');
+  });
+
+  it('reloads for the selected tag and keeps it selected', async () => {
+    await screen.loadStatistics();
+    const tagFilter = document.getElementById('statistics-tag');
+    expect([...tagFilter.options].map(option => option.value)).toEqual(['', 'animals', 'nouns']);
+
+    tagFilter.value = 'animals';
+    await screen.loadStatistics();
+
+    expect(flashcards.getLearningStats).toHaveBeenLastCalledWith({ days: 30, tag: 'animals' });
+    expect(tagFilter.value).toBe('animals');
+  });
+
+  it('reports failures', async () => {
+    flashcards.getLearningStats.mockRejectedValue(new Error('Database not initialized'));
+    console.error = jest.fn();
+
+    await screen.loadStatistics();
+
+    expect(notificationSystem.error).toHaveBeenCalledWith(
+      'Loading Statistics Failed',
+      'Could not load learning statistics',
+      'Database not initialized'
+    );
+  });
+});
\ No newline at end of file
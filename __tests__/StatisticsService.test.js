@@ -0,0 +1,189 @@
+/**
+ * Tests for the learning statistics service
+ */
+const StatisticsService = require('../src/services/StatisticsService');
+const Session = require('../src/models/Session');
+const FlashCard = require('../src/models/FlashCard');
+
+describe('StatisticsService', () => {
+  // Local times, so days match the user's calendar whatever the time zone
+  const now = new Date(2024, 2, 10, 18, 0);
+  const at = (day, hour) => new Date(2024, 2, day, hour, 0).toISOString();
+
+  let db;
+  let service;
+
+  beforeEach(() => {
+    const cards = [
+      new FlashCard({ id: 'house', content: 'house', userTranslation: 'Haus', tags: ['nouns'] }),
+      new FlashCard({ id: 'run', content: 'run', userTranslation: 'laufen', tags: ['verbs'] }),
+      new FlashCard({ id: 'cat', content: 'cat', userTranslation: 'Katze', tags: ['nouns', 'animals'] })
+    ];
+    const sessions = [
+      new Session({
+        id: 'old',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['house', 'cat'],
+        responses: [
+          { cardId: 'house', userResponse: 'Hous', correct: false, score: 0.6, timestamp: at(1, 9) },
+          { cardId: 'cat', userResponse: 'Kater', correct: false, score: 0.4, timestamp: at(1, 9) }
+        ]
+      }),
+      new Session({
+        id: 'recent',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['house', 'run', 'cat', 'cat'],
+        responses: [
+          { cardId: 'house', userResponse: 'Haus', correct: true, score: 1, timestamp: at(9, 9) },
+          { cardId: 'run', userResponse: 'laufen', correct: true, timestamp: at(9, 9) },
+          { cardId: 'cat', userResponse: 'Kater', correct: false, score: 0.4, timestamp: at(10, 9) },
+          { cardId: 'cat', userResponse: 'Katze', correct: true, score: 1, timestamp: at(10, 9) }
+        ]
+      }),
+      new Session({
+        id: 'french',
+        sourceLanguage: 'en',
+        targetLanguage: 'fr',
+        cardIds: ['deleted'],
+        responses: [
+          { cardId: 'deleted', userResponse: 'chien', correct: false, timestamp: at(10, 10) }
+        ]
+      })
+    ];
+
+    db = {
+      getAllSessions: jest.fn().mockResolvedValue(sessions),
+      getAllFlashCards: jest.fn().mockResolvedValue(cards)
+    };
+    service = new StatisticsService({ db });
+  });
+
+  it('requires a database', () => {
+    expect(() => new StatisticsService()).toThrow('DatabaseService is required');
+  });
+
+  it('summarizes every response', async () => {
+    const stats = await service.getLearningStats({ now, days: 3 });
+
+    expect(stats.totals).toEqual({
+      sessions: 3,
+      responses: 7,
+      correct: 3,
+      accuracy: (3 / 7) * 100,
+      averageScore: (0.6 + 0.4 + 1 + 0.4 + 1) / 5,
+      cardsPracticed: 4
+    });
+    expect(stats.tags).toEqual(['animals', 'nouns', 'verbs']);
+  });
+
+  it('reports each day of the period, including days without practice', async () => {
+    const stats = await service.getLearningStats({ now, days: 3 });
+
+    expect(stats.daily.map(day => day.date)).toEqual(['2024-03-08', '2024-03-09', '2024-03-10']);
+    expect(stats.daily[0]).toMatchObject({ responses: 0, accuracy: null, cardsPracticed: 0 });
+    expect(stats.daily[1]).toMatchObject({ responses: 2, accuracy: 100, cardsPracticed: 2 });
+    expect(stats.daily[2]).toMatchObject({ responses: 3, correct: 1, cardsPracticed: 2 });
+  });
+
+  it('compares accuracy per tag before and within the period', async () => {
+    const stats = await service.getLearningStats({ now, days: 3 });
+
+    const nouns = stats.byTag.find(group => group.tag === 'nouns');
+    expect(stats.byTag[0].tag).toBe('nouns');
+    expect(nouns).toMatchObject({ responses: 5, correct: 2, previousAccuracy: 0, recentAccuracy: (2 / 3) * 100 });
+    expect(stats.byTag.find(group => group.tag === 'verbs')).toMatchObject({ previousAccuracy: null, recentAccuracy: 100 });
+  });
+
+  it('groups responses by language pair', async () => {
+    const stats = await service.getLearningStats({ now, days: 3 });
+
+    expect(stats.byLanguagePair.map(group => [group.sourceLanguage, group.targetLanguage, group.responses]))
+      .toEqual([['en', 'de', 6], ['en', 'fr', 1]]);
+  });
+
+  it('lists the most-missed cards that still exist', async () => {
+    const stats = await service.getLearningStats({ now, missedLimit: 1 });
+
+    expect(stats.mostMissed).toEqual([{
+      cardId: 'cat',
+      content: 'cat',
+      translation: 'Katze',
+      misses: 2,
+      responses: 3,
+      accuracy: (1 / 3) * 100,
+      lastMissedAt: at(10, 9)
+    }]);
+  });
+
+  it('only counts cards with the selected tag', async () => {
+    const stats = await service.getLearningStats({ now, tag: 'animals', sourceLanguage: 'en' });
+
+    expect(db.getAllSessions).toHaveBeenCalledWith({ sourceLanguage: 'en', targetLanguage: undefined });
+    expect(stats.totals).toMatchObject({ sessions: 2, responses: 3, correct: 1 });
+    // The filter still offers every tag
+    expect(stats.tags).toEqual(['animals', 'nouns', 'verbs']);
+  });
+
+  describe('daily progress', () => {
+    const session = (id, createdAt, timestamps) => new Session({
+      id,
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      cardIds: timestamps.map((timestamp, index) => `card-${index}`),
+      responses: timestamps.map((timestamp, index) => ({ cardId: `card-${index}`, userResponse: 'x', correct: true, timestamp })),
+      createdAt
+    });
+    const minute = (day, hour, minutes) => new Date(2024, 2, day, hour, minutes).toISOString();
+
+    beforeEach(() => {
+      db.getSettings = jest.fn().mockResolvedValue({ dailyGoalUnit: 'cards', dailyGoal: 4 });
+      db.getAllSessions.mockResolvedValue([
+        session('a', minute(5, 9, 0), [minute(5, 9, 1)]),
+        session('b', minute(6, 9, 0), [minute(6, 9, 1)]),
+        session('c', minute(8, 9, 0), [minute(8, 9, 1)]),
+        session('d', minute(9, 9, 0), [minute(9, 9, 1)]),
+        // A 30-minute break counts as two minutes
+        session('e', minute(10, 9, 0), [minute(10, 9, 1), minute(10, 9, 2), minute(10, 9, 32)])
+      ]);
+    });
+
+    it('counts the cards answered today toward the goal', async () => {
+      const progress = await service.getDailyProgress({ now });
+
+      expect(progress.goal).toEqual({ unit: 'cards', amount: 4 });
+      expect(progress.today).toEqual({ date: '2024-03-10', cards: 3, minutes: 4 });
+      expect(progress).toMatchObject({ progress: 3, percent: 75, met: false });
+    });
+
+    it('counts minutes practiced when the goal is in minutes', async () => {
+      db.getSettings.mockResolvedValue({ dailyGoalUnit: 'minutes', dailyGoal: 4 });
+
+      const progress = await service.getDailyProgress({ now });
+
+      expect(progress).toMatchObject({ progress: 4, percent: 100, met: true });
+    });
+
+    it('counts the current and longest streaks', async () => {
+      const progress = await service.getDailyProgress({ now });
+
+      expect(progress.streak).toEqual({ current: 3, longest: 3, practicedToday: true });
+    });
+
+    it('keeps the streak until the day is over', async () => {
+      const tomorrow = new Date(2024, 2, 11, 8, 0);
+      const dayAfter = new Date(2024, 2, 12, 8, 0);
+
+      expect((await service.getDailyProgress({ now: tomorrow })).streak).toEqual({ current: 3, longest: 3, practicedToday: false });
+      expect((await service.getDailyProgress({ now: dayAfter })).streak).toEqual({ current: 0, longest: 3, practicedToday: false });
+    });
+  });
+
+  it('counts streaks across months', () => {
+    expect(StatisticsService.countStreaks(['2024-02-28', '2024-02-29', '2024-03-01'], new Date(2024, 2, 1, 12)))
+      .toEqual({ current: 3, longest: 3, practicedToday: true });
+    expect(StatisticsService.countStreaks([], new Date(2024, 2, 1, 12)))
+      .toEqual({ current: 0, longest: 0, practicedToday: false });
+  });
+});
\ No newline at end of file
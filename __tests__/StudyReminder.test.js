@@ -0,0 +1,107 @@
+/**
+ * Tests for the daily study reminder
+ */
+const StudyReminder = require('../src/services/StudyReminder');
+
+describe('StudyReminder', () => {
+  let db;
+  let statisticsService;
+  let notify;
+  let reminder;
+  let settings;
+
+  const progress = (overrides = {}) => ({
+    goal: { unit: 'cards', amount: 20 },
+    progress: 5,
+    met: false,
+    streak: { current: 3, longest: 3, practicedToday: false },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2024, 2, 10, 18, 0));
+
+    settings = { reminderEnabled: true, reminderTime: '19:00' };
+    db = {
+      getSettings: jest.fn().mockImplementation(() => Promise.resolve(settings))
+    };
+    statisticsService = {
+      getDailyProgress: jest.fn().mockResolvedValue(progress())
+    };
+    notify = jest.fn();
+
+    reminder = new StudyReminder({ db, statisticsService, notify });
+  });
+
+  afterEach(() => {
+    reminder.stop();
+    jest.useRealTimers();
+  });
+
+  it('requires its services', () => {
+    expect(() => new StudyReminder({ statisticsService })).toThrow('DatabaseService is required');
+    expect(() => new StudyReminder({ db })).toThrow('StatisticsService is required');
+  });
+
+  it('reminds at the chosen time when the goal is not met', async () => {
+    const next = await reminder.start();
+    expect(next).toEqual(new Date(2024, 2, 10, 19, 0));
+
+    await jest.advanceTimersByTimeAsync(59 * 60 * 1000);
+    expect(notify).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(notify).toHaveBeenCalledWith(
+      "Today's goal is not met yet",
+      'You have practiced 5 of 20 cards today. Practice today to keep your 3-day streak.'
+    );
+  });
+
+  it('stays quiet once the goal is met, and checks again the next day', async () => {
+    statisticsService.getDailyProgress.mockResolvedValue(progress({ progress: 20, met: true }));
+    await reminder.start();
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(statisticsService.getDailyProgress).toHaveBeenCalledTimes(1);
+    expect(notify).not.toHaveBeenCalled();
+
+    statisticsService.getDailyProgress.mockResolvedValue(progress({ progress: 0 }));
+    await jest.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+    expect(notify).toHaveBeenCalledWith(
+      "Today's goal is not met yet",
+      'Your goal is 20 cards a day. Practice today to keep your 3-day streak.'
+    );
+  });
+
+  it('schedules tomorrow when the time has passed today', () => {
+    expect(reminder.schedule({ reminderEnabled: true, reminderTime: '08:30' })).toEqual(new Date(2024, 2, 11, 8, 30));
+  });
+
+  it('replaces the reminder when the settings change', async () => {
+    await reminder.start();
+
+    reminder.schedule({ reminderEnabled: false, reminderTime: '19:00' });
+    await jest.advanceTimersByTimeAsync(2 * 24 * 60 * 60 * 1000);
+
+    expect(statisticsService.getDailyProgress).not.toHaveBeenCalled();
+  });
+
+  it('ignores an invalid time', () => {
+    console.warn = jest.fn();
+
+    expect(reminder.schedule({ reminderEnabled: true, reminderTime: '25:00' })).toBeNull();
+    expect(StudyReminder.nextOccurrence('7pm', new Date())).toBeNull();
+  });
+
+  it('keeps reminding after a failed check', async () => {
+    console.error = jest.fn();
+    statisticsService.getDailyProgress.mockRejectedValueOnce(new Error('Database not initialized'));
+    await reminder.start();
+
+    await jest.advanceTimersByTimeAsync(25 * 60 * 60 * 1000);
+
+    expect(statisticsService.getDailyProgress).toHaveBeenCalledTimes(2);
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Tests for the tag management panel
+ * @jest-environment jsdom
+ */
+const TagManagementPanel = require('../src/components/TagManagementPanel');
+
+describe('TagManagementPanel', () => {
+  let flashcards;
+  let notificationSystem;
+  let getCardFilter;
+  let onTagsChanged;
+  let panel;
+
+  const tick = (...names) => {
+    names.forEach(name => {
+      document.querySelector(`#tag-management-list input[value="${name}"]`).checked = true;
+    });
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <details id="tag-management-panel" style="display: none;">
+        <div id="tag-management-list"></div>
+        <input type="text" id="tag-management-name">
+        <button id="rename-tag-btn"></button>
+        <button id="merge-tags-btn"></button>
+        <button id="untag-cards-btn"></button>
+        <button id="delete-tagged-cards-btn"></button>
+        <input type="text" id="bulk-tag-name">
+        <button id="bulk-add-tag-btn"></button>
+        <button id="bulk-remove-tag-btn"></button>
+      </details>
+    `;
+
+    flashcards = {
+      renameTag: jest.fn().mockResolvedValue({ cardsUpdated: 3 }),
+      mergeTags: jest.fn().mockResolvedValue({ cardsUpdated: 5 }),
+      deleteTag: jest.fn().mockResolvedValue({ cardsUntagged: 2, cardsDeleted: 0 }),
+      addTagToCards: jest.fn().mockResolvedValue({ cardsUpdated: 4 }),
+      removeTagFromCards: jest.fn().mockResolvedValue({ cardsUpdated: 1 })
+    };
+    notificationSystem = {
+      success: jest.fn(),
+      warning: jest.fn(),
+      error: jest.fn()
+    };
+    getCardFilter = jest.fn().mockReturnValue({ sourceLanguage: 'en', tags: ['food'], includeUntagged: false });
+    onTagsChanged = jest.fn();
+    console.error = jest.fn();
+
+    panel = new TagManagementPanel(document.getElementById('tag-management-panel'), {
+      flashcards,
+      notificationSystem,
+      getCardFilter,
+      onTagsChanged
+    });
+    panel.setTags([{ tag: 'animal', count: 2 }, { tag: 'food', count: 3 }, { tag: 'fruit', count: 2 }]);
+  });
+
+  describe('setTags', () => {
+    it('lists the tags with their card counts', () => {
+      const items = Array.from(document.querySelectorAll('.tag-management-item'));
+
+      expect(items.map(item => item.textContent.trim())).toEqual(['animal (2)', 'food (3)', 'fruit (2)']);
+      expect(document.getElementById('tag-management-panel').style.display).toBe('block');
+    });
+
+    it('hides the panel when there are no tags', () => {
+      panel.setTags([]);
+
+      expect(document.getElementById('tag-management-panel').style.display).toBe('none');
+      expect(panel.getCheckedTags()).toEqual([]);
+    });
+  });
+
+  describe('renameTag', () => {
+    it('renames the ticked tag and refreshes the tags', async () => {
+      tick('food');
+      document.getElementById('tag-management-name').value = ' groceries ';
+
+      await panel.renameTag();
+
+      expect(flashcards.renameTag).toHaveBeenCalledWith('food', 'groceries');
+      expect(notificationSystem.success).toHaveBeenCalledWith('Rename Tag', 'Renamed "food" to "groceries" on 3 cards.');
+      expect(onTagsChanged).toHaveBeenCalled();
+      expect(document.getElementById('tag-management-name').value).toBe('');
+    });
+
+    it('needs exactly one ticked tag and a new name', async () => {
+      tick('food', 'fruit');
+      document.getElementById('tag-management-name').value = 'groceries';
+      await panel.renameTag();
+
+      document.querySelector('#tag-management-list input[value="fruit"]').checked = false;
+      document.getElementById('tag-management-name').value = '';
+      await panel.renameTag();
+
+      expect(flashcards.renameTag).not.toHaveBeenCalled();
+      expect(notificationSystem.warning).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('mergeTags', () => {
+    it('merges into the first ticked tag when no name is entered', async () => {
+      tick('food', 'fruit');
+
+      await panel.mergeTags();
+
+      expect(flashcards.mergeTags).toHaveBeenCalledWith(['food', 'fruit'], 'food');
+    });
+
+    it('merges into the entered name', async () => {
+      tick('food', 'fruit');
+      document.getElementById('tag-management-name').value = 'produce';
+
+      await panel.mergeTags();
+
+      expect(flashcards.mergeTags).toHaveBeenCalledWith(['food', 'fruit'], 'produce');
+      expect(notificationSystem.success).toHaveBeenCalledWith('Merge Tags', 'Merged 2 tags into "produce" (5 cards).');
+    });
+  });
+
+  describe('deleteTags', () => {
+    beforeEach(() => {
+      window.confirm = jest.fn().mockReturnValue(true);
+    });
+
+    it('removes each ticked tag from the cards after confirmation', async () => {
+      tick('animal', 'fruit');
+
+      await panel.deleteTags();
+
+      expect(window.confirm).toHaveBeenCalledWith('Remove "animal", "fruit" from all cards? The cards are kept.');
+      expect(flashcards.deleteTag).toHaveBeenCalledWith('animal', { deleteCards: false });
+      expect(flashcards.deleteTag).toHaveBeenCalledWith('fruit', { deleteCards: false });
+      expect(notificationSystem.success).toHaveBeenCalledWith('Delete Tags', 'Removed 2 tag(s) from 4 cards.');
+    });
+
+    it('deletes the cards too when asked', async () => {
+      flashcards.deleteTag.mockResolvedValue({ cardsUntagged: 0, cardsDeleted: 1 });
+      tick('animal');
+
+      await panel.deleteTags({ deleteCards: true });
+
+      expect(flashcards.deleteTag).toHaveBeenCalledWith('animal', { deleteCards: true });
+      expect(notificationSystem.success).toHaveBeenCalledWith('Delete Tags', 'Deleted 1 tag(s) and 1 card.');
+    });
+
+    it('does nothing when the confirmation is declined', async () => {
+      window.confirm.mockReturnValue(false);
+      tick('animal');
+
+      await panel.deleteTags({ deleteCards: true });
+
+      expect(flashcards.deleteTag).not.toHaveBeenCalled();
+      expect(onTagsChanged).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulk changes', () => {
+    it('adds the tag to the cards matching the tag selection', async () => {
+      document.getElementById('bulk-tag-name').value = 'basics';
+
+      await panel.addTagToCards();
+
+      expect(flashcards.addTagToCards).toHaveBeenCalledWith('basics', { sourceLanguage: 'en', tags: ['food'], includeUntagged: false });
+      expect(notificationSystem.success).toHaveBeenCalledWith('Add Tag', 'Added "basics" to 4 cards.');
+    });
+
+    it('removes the tag from the cards matching the tag selection', async () => {
+      document.getElementById('bulk-tag-name').value = 'food';
+
+      await panel.removeTagFromCards();
+
+      expect(flashcards.removeTagFromCards).toHaveBeenCalledWith('food', expect.any(Object));
+      expect(notificationSystem.success).toHaveBeenCalledWith('Remove Tag', 'Removed "food" from 1 card.');
+    });
+
+    it('warns when no cards are selected', async () => {
+      getCardFilter.mockReturnValue(null);
+      document.getElementById('bulk-tag-name').value = 'basics';
+
+      await panel.addTagToCards();
+
+      expect(flashcards.addTagToCards).not.toHaveBeenCalled();
+      expect(notificationSystem.warning).toHaveBeenCalled();
+    });
+  });
+
+  it('reports failures without refreshing the tags', async () => {
+    flashcards.renameTag.mockRejectedValue(new Error('Tag "food" does not exist'));
+    tick('food');
+    document.getElementById('tag-management-name').value = 'groceries';
+
+    await panel.renameTag();
+
+    expect(notificationSystem.error).toHaveBeenCalledWith('Rename Tag', 'The tags could not be changed', 'Tag "food" does not exist');
+    expect(onTagsChanged).not.toHaveBeenCalled();
+    expect(document.getElementById('rename-tag-btn').disabled).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Tests for the tag selection component
+ * @jest-environment jsdom
+ */
+const TagSelectionComponent = require('../src/components/TagSelectionComponent');
+
+describe('TagSelectionComponent', () => {
+  let flashcards;
+  let onChange;
+  let component;
+
+  const chip = tag => document.querySelector(`.tag-cloud .tag-toggle[data-tag="${tag}"]`);
+  const click = (tag, times = 1) => {
+    for (let i = 0; i < times; i++) {
+      chip(tag).click();
+    }
+  };
+
+  beforeEach(async () => {
+    document.body.innerHTML = '<div id="tags"></div>';
+
+    flashcards = {
+      getAvailableTags: jest.fn().mockResolvedValue({
+        tags: [{ tag: 'b1', count: 2 }, { tag: 'irregular', count: 2 }, { tag: 'verbs', count: 3 }],
+        untaggedCount: 1
+      }),
+      countFlashCards: jest.fn().mockResolvedValue(4)
+    };
+    onChange = jest.fn();
+    console.error = jest.fn();
+
+    component = new TagSelectionComponent(document.getElementById('tags'), { flashcards, onChange });
+    await component.loadTags('de');
+  });
+
+  describe('static helpers', () => {
+    it('cycles through include, require, exclude and off', () => {
+      expect(TagSelectionComponent.nextState('include')).toBe('require');
+      expect(TagSelectionComponent.nextState('require')).toBe('exclude');
+      expect(TagSelectionComponent.nextState('exclude')).toBe('off');
+      expect(TagSelectionComponent.nextState('off')).toBe('include');
+    });
+
+    it('builds the any-of set from included tags when some tags are off', () => {
+      const filter = TagSelectionComponent.buildFilter([
+        { tag: 'verbs', state: 'require' },
+        { tag: 'a1', state: 'include' },
+        { tag: 'b1', state: 'include' },
+        { tag: 'nouns', state: 'off' }
+      ], false);
+
+      expect(filter).toEqual({
+        tags: { anyOf: ['a1', 'b1'], allOf: ['verbs'], noneOf: [] },
+        includeUntagged: false
+      });
+    });
+
+    it('counts required tags as included when no tag is off', () => {
+      const filter = TagSelectionComponent.buildFilter([
+        { tag: 'b1', state: 'require' },
+        { tag: 'irregular', state: 'exclude' },
+        { tag: 'nouns', state: 'include' },
+        { tag: 'verbs', state: 'require' }
+      ], true);
+
+      expect(filter).toEqual({
+        tags: { anyOf: ['nouns', 'b1', 'verbs'], allOf: ['b1', 'verbs'], noneOf: ['irregular'] },
+        includeUntagged: false
+      });
+    });
+  });
+
+  describe('tag chips', () => {
+    it('start included and show the matching card count', () => {
+      expect(chip('verbs').dataset.state).toBe('include');
+      expect(chip('verbs').classList.contains('selected')).toBe(true);
+      expect(flashcards.countFlashCards).toHaveBeenCalledWith({
+        sourceLanguage: 'de',
+        tags: { anyOf: ['b1', 'irregular', 'verbs'], allOf: [], noneOf: [] },
+        includeUntagged: true
+      });
+      expect(document.querySelector('.tag-selection-count').textContent).toBe('4 cards');
+    });
+
+    it('move to the next state on each click', () => {
+      click('verbs');
+      expect(chip('verbs').classList.contains('required')).toBe(true);
+      expect(chip('verbs').querySelector('.tag-state-label').textContent).toBe('required');
+
+      click('verbs');
+      expect(chip('verbs').classList.contains('excluded')).toBe(true);
+
+      click('verbs');
+      expect(chip('verbs').dataset.state).toBe('off');
+      expect(chip('verbs').getAttribute('aria-pressed')).toBe('false');
+    });
+
+    it('report the selection as a filter expression', () => {
+      click('verbs');
+      click('b1');
+      click('irregular', 2);
+
+      expect(component.getSelection()).toEqual({
+        selectedTags: [],
+        requiredTags: ['b1', 'verbs'],
+        excludedTags: ['irregular'],
+        includeUntagged: true
+      });
+      expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({
+        filter: {
+          tags: { anyOf: ['b1', 'verbs'], allOf: ['b1', 'verbs'], noneOf: ['irregular'] },
+          includeUntagged: false
+        }
+      }));
+      expect(document.querySelector('.tag-selection-summary').textContent).toBe('1 included, 2 required, 1 excluded');
+    });
+
+    it('are all switched back on by Select All', () => {
+      click('verbs');
+      document.getElementById('select-all-tags').click();
+
+      expect(component.getSelection().selectedTags).toEqual(['b1', 'irregular', 'verbs']);
+      expect(chip('verbs').classList.contains('required')).toBe(false);
+    });
+  });
+
+  describe('setSelection', () => {
+    it('sets included, required and excluded tags and switches the rest off', () => {
+      component.setSelection(['b1'], false, { excluded: ['irregular'] });
+
+      expect(chip('b1').dataset.state).toBe('include');
+      expect(chip('irregular').dataset.state).toBe('exclude');
+      expect(chip('verbs').dataset.state).toBe('off');
+      expect(component.getFilter()).toEqual({
+        tags: { anyOf: ['b1'], allOf: [], noneOf: ['irregular'] },
+        includeUntagged: false
+      });
+    });
+  });
+
+  describe('updateMatchingCount', () => {
+    it('ignores answers to earlier requests', async () => {
+      let answerFirst;
+      flashcards.countFlashCards
+        .mockReturnValueOnce(new Promise(resolve => { answerFirst = resolve; }))
+        .mockResolvedValueOnce(2);
+
+      const first = component.updateMatchingCount();
+      await component.updateMatchingCount();
+      answerFirst(9);
+      await first;
+
+      expect(document.querySelector('.tag-selection-count').textContent).toBe('2 cards');
+    });
+
+    it('clears the count when it cannot be loaded', async () => {
+      flashcards.countFlashCards.mockRejectedValue(new Error('Database not initialized'));
+
+      await expect(component.updateMatchingCount()).resolves.toBeNull();
+      expect(document.querySelector('.tag-selection-count').textContent).toBe('');
+    });
+  });
+});
\ No newline at end of file
@@ -283,21 +283,4 @@ describe('TranslationService', () => {
       expect(result).toBe('Hallo');
     });
   });
-
-  describe('_isCloseMatch', () => {
-    it('identifies contained strings as close matches', () => {
-      expect(translationService._isCloseMatch('Hello there', 'Hello')).toBe(true);
-      expect(translationService._isCloseMatch('Hello', 'Hello there')).toBe(true);
-    });
-
-    it('identifies strings with shared words as close matches', () => {
-      expect(translationService._isCloseMatch('Hello my friend', 'Hello my dear friend')).toBe(true);
-      expect(translationService._isCloseMatch('I am going home', 'I am going to school')).toBe(true);
-    });
-
-    it('identifies different strings as not close matches', () => {
-      expect(translationService._isCloseMatch('Hello', 'Goodbye')).toBe(false);
-      expect(translationService._isCloseMatch('I like apples', 'She likes oranges')).toBe(false);
-    });
-  });
 });
\ No newline at end of file
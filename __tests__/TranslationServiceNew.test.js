@@ -43,6 +43,7 @@ describe('TranslationService', () => {
     // Setup mock implementations for the evaluator and generator
     const TranslationEvaluator = require('../src/services/translation/TranslationEvaluator');
     TranslationEvaluator.mockImplementation(() => ({
+      setBaselineOptions: jest.fn(),
       evaluateTranslation: jest.fn().mockResolvedValue({
         correct: true,
         score: 0.9,
@@ -130,6 +131,20 @@ describe('TranslationService', () => {
     });
   });
   
+  describe('updateSettings', () => {
+    it('should apply the grading options without rebuilding the providers', () => {
+      const TranslationProviderFactory = require('../src/services/translation/TranslationProviderFactory');
+      const service = new TranslationService();
+
+      service.updateSettings(new Settings({ ignoreDiacritics: true, translationApiProvider: 'openai' }));
+
+      expect(service.settings.ignoreDiacritics).toBe(true);
+      expect(service.settings.translationApiProvider).toBe('gemini');
+      expect(service.evaluator.setBaselineOptions).toHaveBeenCalledWith({ ignoreDiacritics: true });
+      expect(TranslationProviderFactory.createProviders).toHaveBeenCalledTimes(1);
+    });
+  });
+  
   describe('generateTranslation', () => {
     it('should delegate to the generator', async () => {
       const service = new TranslationService({
@@ -169,13 +184,4 @@ describe('TranslationService', () => {
       await expect(service.generateTranslation(data)).rejects.toThrow('API error');
     });
   });
-  
-  describe('_isCloseMatch', () => {
-    it('should use BaselineTranslator for string comparison', () => {
-      const service = new TranslationService();
-
-      expect(service._isCloseMatch('Hello there', 'Hello')).toBe(true);
-      expect(service._isCloseMatch('Hello', 'Goodbye')).toBe(false);
-    });
-  });
 });
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Tests for the Anki exporter
+ */
+const AnkiExporter = require('../../src/services/anki/AnkiExporter');
+const AnkiImporter = require('../../src/services/anki/AnkiImporter');
+
+describe('AnkiExporter', () => {
+  const data = {
+    flashcards: [
+      { content: 'Haus', userTranslation: 'house', tags: ['nouns', 'at home'] },
+      { content: 'Er sagte "Hallo"', userTranslation: '', tags: [] },
+      { content: 'zwei\nZeilen', userTranslation: 'two\tcolumns', tags: [] }
+    ]
+  };
+
+  it('writes the plain text format with headers', () => {
+    const lines = new AnkiExporter().toText(data).split('\n');
+
+    expect(lines.slice(0, 4)).toEqual([
+      '#separator:tab',
+      '#html:false',
+      '#tags column:3',
+      'Haus\thouse\tnouns at_home'
+    ]);
+    expect(lines[4]).toBe('"Er sagte ""Hallo"""\t\t');
+  });
+
+  it('can be read back by the importer', () => {
+    const { cards } = new AnkiImporter({ defaultSourceLanguage: 'de' }).parseText(new AnkiExporter().toText(data));
+
+    expect(cards.map(card => [card.content, card.userTranslation, card.tags])).toEqual([
+      ['Haus', 'house', ['nouns', 'at_home']],
+      ['Er sagte "Hallo"', '', []],
+      ['zwei\nZeilen', 'two\tcolumns', []]
+    ]);
+  });
+
+  it('writes only the headers when there are no cards', () => {
+    expect(new AnkiExporter().toText({ flashcards: [] })).toBe('#separator:tab\n#html:false\n#tags column:3\n');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Tests for the Anki importer
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sqlite3 = require('sqlite3');
+const AnkiImporter = require('../../src/services/anki/AnkiImporter');
+
+/**
+ * Build a minimal zip archive of deflated files
+ */
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * Create an Anki collection with the tables the importer reads
+ */
+function createCollection(filePath, notes) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filePath);
+    const decks = { 1: { name: 'Default' }, 2: { name: 'Spanish::Verbs' } };
+
+    db.serialize(() => {
+      db.run('CREATE TABLE col (decks TEXT)');
+      db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, mod INTEGER, flds TEXT, tags TEXT)');
+      db.run('CREATE TABLE cards (id INTEGER PRIMARY KEY, nid INTEGER, did INTEGER, ord INTEGER)');
+      db.run('INSERT INTO col (decks) VALUES (?)', [JSON.stringify(decks)]);
+      notes.forEach((note, index) => {
+        db.run('INSERT INTO notes VALUES (?, ?, ?, ?)', [note.id, note.mod, note.fields.join('\u001f'), note.tags]);
+        db.run('INSERT INTO cards VALUES (?, ?, ?, 0)', [index + 1, note.id, note.deckId]);
+      });
+    });
+
+    db.close(err => (err ? reject(err) : resolve()));
+  });
+}
+
+describe('AnkiImporter', () => {
+  let importer;
+
+  beforeEach(() => {
+    importer = new AnkiImporter({ defaultSourceLanguage: 'es' });
+  });
+
+  describe('parseText', () => {
+    it('reads notes, tags and decks using the header lines', () => {
+      const text = [
+        '#separator:tab',
+        '#html:false',
+        '#deck column:1',
+        '#tags column:4',
+        'Spanish::Verbs\tcomer\tto eat\tverbs food',
+        'Default\t"hablar\tmucho"\tto talk a lot\t'
+      ].join('\n');
+
+      const { cards, skipped } = importer.parseText(text);
+
+      expect(skipped).toBe(0);
+      expect(cards).toHaveLength(2);
+      expect(cards[0]).toMatchObject({
+        content: 'comer',
+        userTranslation: 'to eat',
+        sourceLanguage: 'es',
+        tags: ['verbs', 'food', 'Spanish::Verbs']
+      });
+      expect(cards[1]).toMatchObject({ content: 'hablar\tmucho', tags: [] });
+    });
+
+    it('treats exports without headers as tab-separated HTML', () => {
+      const { cards } = importer.parseText('<b>la casa</b>\tthe house<br>the home&nbsp;&amp; more\n');
+
+      expect(cards[0]).toMatchObject({ content: 'la casa', userTranslation: 'the house\nthe home & more' });
+    });
+
+    it('supports named separators and tags for the whole file', () => {
+      const { cards } = importer.parseText('#separator:semicolon\n#html:false\n#tags:imported\nperro;dog\n');
+
+      expect(cards[0]).toMatchObject({ content: 'perro', userTranslation: 'dog', tags: ['imported'] });
+    });
+
+    it('skips notes without content', () => {
+      const { cards, skipped } = importer.parseText('#html:true\n<img src="a.png">\tpicture\ngato\tcat\n');
+
+      expect(cards.map(card => card.content)).toEqual(['gato']);
+      expect(skipped).toBe(1);
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('removes markup, media and cloze markers', () => {
+      expect(AnkiImporter.htmlToText('<div>{{c1::Madrid::city}} is big</div>[sound:m.mp3]&#233;&#x41;'))
+        .toBe('Madrid is big\néA');
+    });
+
+    it('keeps numeric entities that are no character', () => {
+      expect(AnkiImporter.htmlToText('a &#99999999; b &#xD800; c &#x1F600;')).toBe('a &#99999999; b &#xD800; c \u{1F600}');
+    });
+  });
+
+  describe('readFile', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anki-test-'));
+      importer = new AnkiImporter({ defaultSourceLanguage: 'es', tmpDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('reads notes from an .apkg package and removes the temporary collection', async () => {
+      const collectionPath = path.join(tmpDir, 'source.anki2');
+      await createCollection(collectionPath, [
+        { id: 1600000000000, mod: 1600000100, fields: ['comer', 'to <i>eat</i>'], tags: ' verbs ', deckId: 2 },
+        { id: 1600000000001, mod: 1600000100, fields: ['agua', 'water'], tags: '', deckId: 1 },
+        { id: 1600000000002, mod: 1600000100, fields: ['', 'nothing'], tags: '', deckId: 1 }
+      ]);
+      const apkg = createZip({
+        'collection.anki2': fs.readFileSync(collectionPath),
+        media: Buffer.from('{}')
+      });
+      fs.unlinkSync(collectionPath);
+
+      const { cards, skipped } = await importer.readFile(apkg, 'deck.apkg');
+
+      expect(skipped).toBe(1);
+      expect(cards).toHaveLength(2);
+      expect(cards[0]).toMatchObject({
+        content: 'comer',
+        userTranslation: 'to eat',
+        sourceLanguage: 'es',
+        tags: ['verbs', 'Spanish::Verbs'],
+        createdAt: new Date(1600000000000).toISOString(),
+        updatedAt: new Date(1600000100000).toISOString()
+      });
+      expect(cards[1].tags).toEqual([]);
+      expect(fs.readdirSync(tmpDir)).toEqual([]);
+    });
+
+    it('explains how to export packages in the newer format', async () => {
+      const apkg = createZip({
+        'collection.anki2': Buffer.from('placeholder'),
+        'collection.anki21b': Buffer.from('zstd')
+      });
+
+      await expect(importer.readFile(apkg, 'deck.apkg')).rejects.toThrow('Support older Anki versions');
+    });
+
+    it('rejects zip files without a collection', async () => {
+      await expect(importer.readFile(createZip({ 'other.txt': Buffer.from('x') }), 'deck.apkg'))
+        .rejects.toThrow('The file is not an Anki package');
+    });
+
+    it('reads text exports', async () => {
+      const { cards } = await importer.readFile(Buffer.from('#html:false\nsol\tsun\n'), 'deck.txt');
+
+      expect(cards[0]).toMatchObject({ content: 'sol', userTranslation: 'sun' });
+    });
+  });
+});
\ No newline at end of file
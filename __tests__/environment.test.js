@@ -160,6 +160,19 @@ describe('Environment Utilities', () => {
       });
     });
 
+    it('detects when a local LLM server is configured', () => {
+      withEnv({
+        GEMINI_API_KEY: null,
+        OPENAI_API_KEY: null,
+        LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1'
+      }, () => {
+        const availability = checkApiKeysAvailability();
+
+        expect(availability.local).toBe(true);
+        expect(availability.hasAnyTranslationApi).toBe(true);
+      });
+    });
+
     it('detects when no API keys are available', () => {
       withEnv({
         GEMINI_API_KEY: null,
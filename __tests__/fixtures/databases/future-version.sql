@@ -0,0 +1,14 @@
+-- A database written by a newer version of the app than the one under test
+PRAGMA user_version = 999;
+
+CREATE TABLE flashcards (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  sourceLanguage TEXT NOT NULL,
+  comment TEXT,
+  userTranslation TEXT,
+  tags TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL,
+  difficulty INTEGER
+);
\ No newline at end of file
@@ -0,0 +1,45 @@
+-- A database written just before schema versioning was introduced: every table
+-- and column exists, but user_version was never set
+CREATE TABLE flashcards (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  sourceLanguage TEXT NOT NULL,
+  comment TEXT,
+  userTranslation TEXT,
+  tags TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  sourceLanguage TEXT NOT NULL,
+  targetLanguage TEXT NOT NULL,
+  cardIds TEXT NOT NULL,
+  currentCardIndex INTEGER NOT NULL,
+  responses TEXT,
+  createdAt TEXT NOT NULL,
+  completedAt TEXT,
+  abandonedAt TEXT
+);
+
+CREATE TABLE settings (
+  id TEXT PRIMARY KEY,
+  settings TEXT NOT NULL
+);
+
+CREATE TABLE card_reviews (
+  cardId TEXT PRIMARY KEY,
+  easeFactor REAL NOT NULL,
+  interval INTEGER NOT NULL,
+  repetitions INTEGER NOT NULL,
+  lapses INTEGER NOT NULL,
+  dueDate TEXT,
+  lastReviewedAt TEXT
+);
+
+CREATE INDEX idx_card_reviews_dueDate ON card_reviews (dueDate);
+
+INSERT INTO flashcards VALUES ('card-1', 'der Hund', 'de', NULL, 'the dog', '[]', '2025-06-01T10:00:00.000Z', '2025-06-01T10:00:00.000Z');
+INSERT INTO sessions VALUES ('session-1', 'de', 'en', '["card-1"]', 0, '[]', '2025-06-02T09:00:00.000Z', NULL, '2025-06-02T09:10:00.000Z');
+INSERT INTO card_reviews VALUES ('card-1', 2.6, 6, 2, 0, '2025-06-08T09:00:00.000Z', '2025-06-02T09:00:00.000Z');
\ No newline at end of file
@@ -0,0 +1,36 @@
+-- A database written by the first release: no schema version, no card_reviews
+-- table and no sessions.abandonedAt column
+CREATE TABLE flashcards (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  sourceLanguage TEXT NOT NULL,
+  comment TEXT,
+  userTranslation TEXT,
+  tags TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  sourceLanguage TEXT NOT NULL,
+  targetLanguage TEXT NOT NULL,
+  cardIds TEXT NOT NULL,
+  currentCardIndex INTEGER NOT NULL,
+  responses TEXT,
+  createdAt TEXT NOT NULL,
+  completedAt TEXT
+);
+
+CREATE TABLE settings (
+  id TEXT PRIMARY KEY,
+  settings TEXT NOT NULL
+);
+
+INSERT INTO flashcards VALUES ('card-1', 'la casa', 'es', 'Feminine', 'the house', '["nouns"]', '2025-05-01T10:00:00.000Z', '2025-05-01T10:00:00.000Z');
+INSERT INTO flashcards VALUES ('card-2', 'el perro', 'es', NULL, NULL, '[]', '2025-05-01T10:05:00.000Z', '2025-05-01T10:05:00.000Z');
+INSERT INTO flashcards VALUES ('card-3', 'de nada', 'es', NULL, 'you''re welcome', '["phrases","50% polite","say \"thanks\"","phrases"," "]', '2025-05-01T10:10:00.000Z', '2025-05-01T10:10:00.000Z');
+INSERT INTO flashcards VALUES ('card-4', 'gracias', 'es', NULL, 'thanks', 'not json', '2025-05-01T10:15:00.000Z', '2025-05-01T10:15:00.000Z');
+INSERT INTO sessions VALUES ('session-1', 'es', 'en', '["card-1","card-2"]', 1, '[{"cardId":"card-1","userTranslation":"the house","correct":true}]', '2025-05-02T09:00:00.000Z', NULL);
+INSERT INTO sessions VALUES ('session-2', 'es', 'en', '["card-3"]', 0, 'not json', '2025-05-03T09:00:00.000Z', NULL);
+INSERT INTO settings VALUES ('app_settings', '{"darkMode":true,"defaultSourceLanguage":"es","defaultTargetLanguage":"en"}');
\ No newline at end of file
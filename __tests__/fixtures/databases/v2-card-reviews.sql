@@ -0,0 +1,43 @@
+-- A database at schema version 2: card_reviews exists, sessions.abandonedAt does not
+PRAGMA user_version = 2;
+
+CREATE TABLE flashcards (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  sourceLanguage TEXT NOT NULL,
+  comment TEXT,
+  userTranslation TEXT,
+  tags TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  sourceLanguage TEXT NOT NULL,
+  targetLanguage TEXT NOT NULL,
+  cardIds TEXT NOT NULL,
+  currentCardIndex INTEGER NOT NULL,
+  responses TEXT,
+  createdAt TEXT NOT NULL,
+  completedAt TEXT
+);
+
+CREATE TABLE settings (
+  id TEXT PRIMARY KEY,
+  settings TEXT NOT NULL
+);
+
+CREATE TABLE card_reviews (
+  cardId TEXT PRIMARY KEY,
+  easeFactor REAL NOT NULL,
+  interval INTEGER NOT NULL,
+  repetitions INTEGER NOT NULL,
+  lapses INTEGER NOT NULL,
+  dueDate TEXT,
+  lastReviewedAt TEXT
+);
+
+CREATE INDEX idx_card_reviews_dueDate ON card_reviews (dueDate);
+
+INSERT INTO sessions VALUES ('session-1', 'fr', 'en', '[]', 0, '[]', '2025-07-01T09:00:00.000Z', '2025-07-01T09:05:00.000Z');
\ No newline at end of file
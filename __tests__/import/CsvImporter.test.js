@@ -0,0 +1,201 @@
+/**
+ * Tests for the CSV/TSV importer
+ */
+const CsvImporter = require('../../src/services/import/CsvImporter');
+
+describe('CsvImporter', () => {
+  let importer;
+
+  beforeEach(() => {
+    importer = new CsvImporter();
+  });
+
+  describe('parse', () => {
+    it('splits rows and fields', () => {
+      expect(importer.parse('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('handles quoted fields with delimiters, quotes and line breaks', () => {
+      const text = 'content,comment\r\n"Hello, world","He said ""hi""\nthen left"\r\n';
+
+      expect(importer.parse(text)).toEqual([
+        ['content', 'comment'],
+        ['Hello, world', 'He said "hi"\nthen left']
+      ]);
+    });
+
+    it('keeps empty fields and skips blank lines', () => {
+      expect(importer.parse('a,,c\n\n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+    });
+
+    it('uses the given delimiter', () => {
+      expect(importer.parse('a\tb,c\n', '\t')).toEqual([['a', 'b,c']]);
+    });
+
+    it('rejects unterminated quoted fields', () => {
+      expect(() => importer.parse('a,b\n"open,c\n')).toThrow('Unterminated quoted field starting on line 2');
+      expect(() => importer.parse('a,b\n\n"two\nlines",c\n"open,c\n')).toThrow('Unterminated quoted field starting on line 5');
+    });
+  });
+
+  describe('decode', () => {
+    it('decodes UTF-8 and strips the byte order mark', () => {
+      const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('Äpfel', 'utf-8')]);
+
+      expect(importer.decode(buffer)).toEqual({ text: 'Äpfel', encoding: 'utf-8' });
+    });
+
+    it('falls back to Windows-1252 for invalid UTF-8', () => {
+      const buffer = Buffer.from([0xC4, 0x70, 0x66, 0x65, 0x6C]);
+
+      expect(importer.decode(buffer)).toEqual({ text: 'Äpfel', encoding: 'windows-1252' });
+    });
+
+    it('detects UTF-16 by its byte order mark', () => {
+      const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Haus', 'utf16le')]);
+
+      expect(importer.decode(buffer)).toEqual({ text: 'Haus', encoding: 'utf-16le' });
+    });
+
+    it('uses an explicitly chosen encoding', () => {
+      expect(importer.decode(Buffer.from([0xE9]), 'windows-1252').text).toBe('é');
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('picks the most frequent delimiter of the first line', () => {
+      expect(importer.detectDelimiter('a;b;c\n1,2;3')).toBe(';');
+      expect(importer.detectDelimiter('a\tb\n')).toBe('\t');
+      expect(importer.detectDelimiter('single column')).toBe(',');
+    });
+
+    it('treats .tsv files as tab-separated', () => {
+      expect(importer.detectDelimiter('a,b', 'words.tsv')).toBe('\t');
+    });
+  });
+
+  describe('suggestMapping', () => {
+    it('maps known header names to fields', () => {
+      expect(importer.suggestMapping(['Word', 'Translation', 'Language', 'Notes', 'Tags'])).toEqual({
+        content: 0,
+        sourceLanguage: 2,
+        userTranslation: 1,
+        comment: 3,
+        tags: 4
+      });
+    });
+
+    it('leaves unknown columns unmapped', () => {
+      expect(importer.suggestMapping(['foo', 'bar']).content).toBeNull();
+    });
+  });
+
+  describe('mapRows', () => {
+    const mapping = { content: 0, sourceLanguage: 1, userTranslation: 2, comment: null, tags: 3 };
+
+    it('builds flashcards from the mapped columns', () => {
+      const [row] = importer.mapRows([[' Haus ', 'DE', 'house', 'home, nouns,home']], mapping, [2]);
+
+      expect(row.rowNumber).toBe(2);
+      expect(row.errors).toEqual([]);
+      expect(row.card).toMatchObject({
+        content: 'Haus',
+        sourceLanguage: 'de',
+        userTranslation: 'house',
+        comment: '',
+        tags: ['home', 'nouns']
+      });
+    });
+
+    it('uses the default language for rows without one', () => {
+      importer = new CsvImporter({ defaultSourceLanguage: 'fr' });
+
+      const [row] = importer.mapRows([['maison', '', 'house', '']], mapping);
+
+      expect(row.card.sourceLanguage).toBe('fr');
+    });
+
+    it('splits tags with the configured delimiter', () => {
+      importer = new CsvImporter({ tagDelimiter: '|' });
+
+      const [row] = importer.mapRows([['Haus', 'de', '', 'a|b, c']], mapping);
+
+      expect(row.card.tags).toEqual(['a', 'b, c']);
+    });
+
+    it('reports empty content, invalid languages and duplicates per row', () => {
+      const rows = importer.mapRows([
+        ['', 'de', '', ''],
+        ['Haus', 'German', '', ''],
+        ['Baum', 'de', '', ''],
+        ['baum', 'de', '', '']
+      ], mapping, [2, 3, 4, 5]);
+
+      expect(rows.map(row => row.errors)).toEqual([
+        ['Content is empty'],
+        ['"german" is not a language code'],
+        [],
+        ['Duplicate of row 4']
+      ]);
+    });
+  });
+
+  describe('analyze', () => {
+    it('detects the header row and returns only valid cards', () => {
+      const buffer = Buffer.from('content;translation;tags\nHaus;house;nouns\n;empty;\n');
+
+      const analysis = importer.analyze(buffer, { fileName: 'words.csv' });
+
+      expect(analysis.delimiter).toBe(';');
+      expect(analysis.hasHeader).toBe(true);
+      expect(analysis.columns).toEqual(['content', 'translation', 'tags']);
+      expect(analysis.totalRows).toBe(2);
+      expect(analysis.validCount).toBe(1);
+      expect(analysis.invalidCount).toBe(1);
+      expect(analysis.rows[1]).toMatchObject({ rowNumber: 3, errors: ['Content is empty'] });
+      expect(analysis.cards).toHaveLength(1);
+      expect(analysis.cards[0]).toMatchObject({ content: 'Haus', userTranslation: 'house', tags: ['nouns'] });
+    });
+
+    it('numbers rows by the line they start on', () => {
+      const duplicates = importer.analyze(Buffer.from('content,translation\n\nHund,dog\n\nHund,dog\n'));
+
+      expect(duplicates.rows.map(row => row.rowNumber)).toEqual([3, 5]);
+      expect(duplicates.rows[1].errors).toEqual(['Duplicate of row 3']);
+
+      const multiLine = importer.analyze(Buffer.from('content,comment\r\nHaus,"two\r\nlines"\r\n,empty\r\n'));
+
+      expect(multiLine.rows.map(row => row.rowNumber)).toEqual([2, 4]);
+    });
+
+    it('handles word lists with hundreds of thousands of rows', () => {
+      const words = Array.from({ length: 200000 }, (_, index) => `word${index}`);
+
+      const analysis = importer.analyze(Buffer.from(`content\n${words.join('\n')}\n`));
+
+      expect(analysis.columns).toEqual(['content']);
+      expect(analysis.validCount).toBe(200000);
+    });
+
+    it('treats the first row as data when it is not a recognizable header', () => {
+      const analysis = importer.analyze(Buffer.from('Haus\thouse\nBaum\ttree\n'), { fileName: 'words.tsv' });
+
+      expect(analysis.hasHeader).toBe(false);
+      expect(analysis.columns).toEqual(['Column 1', 'Column 2']);
+      expect(analysis.cards.map(card => card.userTranslation)).toEqual(['house', 'tree']);
+    });
+
+    it('applies an explicit mapping and header setting', () => {
+      const analysis = importer.analyze(Buffer.from('a,b\nHaus,house\n'), {
+        hasHeader: true,
+        mapping: { content: 1, sourceLanguage: null, userTranslation: 0, comment: null, tags: null }
+      });
+
+      expect(analysis.cards[0]).toMatchObject({ content: 'house', userTranslation: 'Haus' });
+    });
+
+    it('rejects empty files', () => {
+      expect(() => importer.analyze(Buffer.from('\n\n'))).toThrow('The file does not contain any rows');
+    });
+  });
+});
\ No newline at end of file
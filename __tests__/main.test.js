@@ -27,6 +27,7 @@ jest.mock('electron', () => ({
 jest.mock('../src/services/DatabaseService', () => {
   return jest.fn().mockImplementation(() => ({
     initialize: jest.fn().mockResolvedValue(true),
+    getSettings: jest.fn().mockResolvedValue({ translationProviders: [] }),
     close: jest.fn()
   }));
 });
@@ -114,6 +115,12 @@ describe('Main process', () => {
     // Verify database was initialized
     const dbInstance = DatabaseService.mock.results[0].value;
     expect(dbInstance.initialize).toHaveBeenCalled();
+
+    // Verify sessions share the translation service and its cache
+    expect(SessionService).toHaveBeenCalledWith({
+      db: dbInstance,
+      translationService: TranslationService.mock.results[0].value
+    });
   });
 
   describe('Translation provider selection', () => {
@@ -203,6 +210,55 @@ describe('Main process', () => {
       }));
     });
 
+    it('initializes with a local LLM server when one is configured', async () => {
+      // Mock environment utility to return a local server next to a cloud key
+      const environment = require('../src/utils/environment');
+      environment.getEnvironmentConfig.mockReturnValue({
+        GEMINI_API_KEY: 'mock-gemini-key',
+        OPENAI_API_KEY: '',
+        LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1',
+        NODE_ENV: 'test'
+      });
+
+      environment.checkApiKeysAvailability.mockReturnValue({
+        gemini: true,
+        openai: false,
+        local: true,
+        hasAnyTranslationApi: true
+      });
+
+      // Initialize services
+      const main = require('../main.js');
+      await main.initializeServices();
+
+      // Verify TranslationService was initialized with the local server
+      const TranslationService = require('../src/services/TranslationService');
+      expect(TranslationService).toHaveBeenCalledWith(expect.objectContaining({
+        apiProvider: 'local'
+      }));
+    });
+
+    it('initializes with the stored provider list when there is one', async () => {
+      const Settings = require('../src/models/Settings');
+      const settings = new Settings({
+        translationProviders: [{ name: 'openai', apiKey: 'settings-openai-key' }, { name: 'gemini' }]
+      });
+      const DatabaseService = require('../src/services/DatabaseService');
+      DatabaseService.mockImplementationOnce(() => ({
+        initialize: jest.fn().mockResolvedValue(true),
+        getSettings: jest.fn().mockResolvedValue(settings),
+        close: jest.fn()
+      }));
+
+      // Initialize services
+      const main = require('../main.js');
+      await main.initializeServices();
+
+      // Verify TranslationService was initialized with the stored settings
+      const TranslationService = require('../src/services/TranslationService');
+      expect(TranslationService).toHaveBeenCalledWith({ settings, db: expect.anything() });
+    });
+
     it('initializes with default implementation when no API keys are available', async () => {
       // Mock environment utility to return no API keys
       const environment = require('../src/utils/environment');
@@ -224,7 +280,7 @@ describe('Main process', () => {
 
       // Verify TranslationService was initialized with default options
       const TranslationService = require('../src/services/TranslationService');
-      expect(TranslationService).toHaveBeenCalledWith();
+      expect(TranslationService).toHaveBeenCalledWith({ settings: expect.anything(), db: expect.anything() });
     });
 
     it('prefers Gemini when both APIs are available', async () => {
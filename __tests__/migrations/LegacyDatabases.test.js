@@ -0,0 +1,206 @@
+/**
+ * Tests for opening databases written by earlier (and later) versions of the app
+ * The fixtures in __tests__/fixtures/databases are SQL scripts that recreate
+ * those databases in a temporary directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DatabaseService = require('../../src/services/DatabaseService');
+const migrations = require('../../src/services/migrations');
+
+// Mock electron app
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/path')
+  }
+}));
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'databases');
+const LATEST_VERSION = migrations.length;
+
+/**
+ * Create a database file from a fixture script
+ */
+function createFromFixture(dbPath, fixture) {
+  const sql = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) return reject(err);
+      db.exec(sql, (err) => db.close(() => (err ? reject(err) : resolve())));
+    });
+  });
+}
+
+/**
+ * Run a query on a sqlite3 connection
+ */
+function query(connection, sql) {
+  return new Promise((resolve, reject) => {
+    connection.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Column names of a table
+ */
+async function columnsOf(connection, table) {
+  return (await query(connection, `PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+describe('Opening legacy databases', () => {
+  let tmpDir;
+  let dbPath;
+  let db;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-db-test-'));
+    dbPath = path.join(tmpDir, 'flashcards.db');
+  });
+
+  afterEach(() => {
+    if (db) {
+      db.close();
+      db = null;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const backupDir = () => path.join(tmpDir, 'backups');
+  const backups = () => (fs.existsSync(backupDir()) ? fs.readdirSync(backupDir()) : []);
+
+  it('upgrades a first-release database and keeps its data', async () => {
+    await createFromFixture(dbPath, 'v0-first-release.sql');
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(await query(db.db, 'PRAGMA user_version')).toEqual([{ user_version: LATEST_VERSION }]);
+    expect(await columnsOf(db.db, 'sessions')).toContain('abandonedAt');
+    expect(await columnsOf(db.db, 'card_reviews')).toContain('dueDate');
+
+    const cards = await db.getAllFlashCards();
+    expect(cards.map(card => card.content).sort()).toEqual(['de nada', 'el perro', 'gracias', 'la casa']);
+    expect((await db.getFlashCard('card-1')).tags).toEqual(['nouns']);
+
+    const session = await db.getSession('session-1');
+    expect(session.currentCardIndex).toBe(1);
+    expect(session.abandonedAt).toBeNull();
+
+    expect((await db.getSettings()).defaultSourceLanguage).toBe('es');
+  });
+
+  it('moves JSON tags into the tags tables', async () => {
+    await createFromFixture(dbPath, 'v0-first-release.sql');
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(await columnsOf(db.db, 'flashcards')).not.toContain('tags');
+    expect((await db.getFlashCard('card-3')).tags).toEqual(['phrases', '50% polite', 'say "thanks"']);
+    expect((await db.getFlashCard('card-4')).tags).toEqual([]);
+    expect((await db.getAllFlashCards({ tags: ['say "thanks"'] })).map(card => card.id)).toEqual(['card-3']);
+    expect(await query(db.db, 'SELECT name FROM tags ORDER BY name')).toEqual([
+      { name: '50% polite' }, { name: 'nouns' }, { name: 'phrases' }, { name: 'say "thanks"' }
+    ]);
+  });
+
+  it('moves JSON responses into the session_responses table', async () => {
+    await createFromFixture(dbPath, 'v0-first-release.sql');
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(await columnsOf(db.db, 'sessions')).not.toContain('responses');
+    expect(await query(db.db, 'SELECT sessionId, position, cardId, answer, correct, direction, timestamp FROM session_responses')).toEqual([{
+      sessionId: 'session-1',
+      position: 0,
+      cardId: 'card-1',
+      answer: 'the house',
+      correct: 1,
+      direction: 'forward',
+      // The first release kept no timestamps, so the session's creation time stands in
+      timestamp: '2025-05-02T09:00:00.000Z'
+    }]);
+
+    const session = await db.getSession('session-1');
+    expect(session.responses).toEqual([{
+      cardId: 'card-1',
+      userResponse: 'the house',
+      correct: true,
+      direction: 'forward',
+      timestamp: new Date('2025-05-02T09:00:00.000Z')
+    }]);
+    expect((await db.getSession('session-2')).responses).toEqual([]);
+  });
+
+  it('backs up the database file before upgrading it', async () => {
+    await createFromFixture(dbPath, 'v0-first-release.sql');
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(backups()).toHaveLength(1);
+    expect(backups()[0]).toMatch(/^flashcards-\d{8}T\d{9}Z-migration\.db$/);
+
+    const backup = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(path.join(backupDir(), backups()[0]), sqlite3.OPEN_READONLY,
+        (err) => (err ? reject(err) : resolve(connection)));
+    });
+    try {
+      expect(await columnsOf(backup, 'sessions')).not.toContain('abandonedAt');
+      expect(await query(backup, 'SELECT COUNT(*) AS count FROM flashcards')).toEqual([{ count: 4 }]);
+    } finally {
+      backup.close();
+    }
+  });
+
+  it('accepts unversioned databases that already have every table', async () => {
+    await createFromFixture(dbPath, 'v0-before-versioning.sql');
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(await query(db.db, 'PRAGMA user_version')).toEqual([{ user_version: LATEST_VERSION }]);
+    expect((await db.getSession('session-1')).abandonedAt).toEqual(new Date('2025-06-02T09:10:00.000Z'));
+    expect(await query(db.db, 'SELECT cardId, interval FROM card_reviews')).toEqual([{ cardId: 'card-1', interval: 6 }]);
+  });
+
+  it('applies only the migrations a versioned database is missing', async () => {
+    await createFromFixture(dbPath, 'v2-card-reviews.sql');
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(await columnsOf(db.db, 'sessions')).toContain('abandonedAt');
+    expect(backups()).toEqual([expect.stringMatching(/-migration\.db$/)]);
+    expect((await db.getSession('session-1')).completedAt).toEqual(new Date('2025-07-01T09:05:00.000Z'));
+  });
+
+  it('does not back up or migrate a database that is already current', async () => {
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+    db.close();
+
+    db = new DatabaseService({ dbPath });
+    await db.initialize();
+
+    expect(backups()).toEqual([]);
+    expect(await query(db.db, 'PRAGMA user_version')).toEqual([{ user_version: LATEST_VERSION }]);
+  });
+
+  it('refuses to open a database written by a newer version of the app', async () => {
+    await createFromFixture(dbPath, 'future-version.sql');
+    const before = fs.readFileSync(dbPath);
+
+    db = new DatabaseService({ dbPath });
+    await expect(db.initialize()).rejects.toThrow('created by a newer version of FlashCards (schema version 999');
+
+    expect(db.initialized).toBe(false);
+    expect(db.db).toBeNull();
+    expect(backups()).toEqual([]);
+    expect(fs.readFileSync(dbPath).equals(before)).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Tests for the schema migration runner
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationRunner = require('../../src/services/migrations/MigrationRunner');
+const migrations = require('../../src/services/migrations');
+const { run, all } = require('../../src/services/migrations/helpers');
+
+/**
+ * Open a database connection
+ */
+function open(filePath = ':memory:') {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filePath, (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+/**
+ * Close a database connection
+ */
+function close(db) {
+  return new Promise(resolve => db.close(() => resolve()));
+}
+
+/**
+ * Build a migration that creates a table named after its version
+ */
+function createTableMigration(version) {
+  return {
+    version,
+    description: `Create table t${version}`,
+    up: jest.fn(db => run(db, `CREATE TABLE t${version} (id INTEGER)`))
+  };
+}
+
+/**
+ * List the tables of a database
+ */
+async function tableNames(db) {
+  const rows = await all(db, 'SELECT name FROM sqlite_master WHERE type = \'table\' ORDER BY name');
+  return rows.map(row => row.name);
+}
+
+describe('MigrationRunner', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await open();
+  });
+
+  afterEach(async () => {
+    await close(db);
+  });
+
+  it('applies pending migrations in order and records the version', async () => {
+    const runner = new MigrationRunner(db, {
+      migrations: [createTableMigration(2), createTableMigration(1)]
+    });
+
+    const result = await runner.migrate();
+
+    expect(result).toEqual({ from: 0, to: 2, applied: [1, 2], backupPath: null });
+    expect(await runner.getVersion()).toBe(2);
+    expect(await tableNames(db)).toEqual(['t1', 't2']);
+  });
+
+  it('only applies migrations newer than the database', async () => {
+    const first = createTableMigration(1);
+    await new MigrationRunner(db, { migrations: [first] }).migrate();
+
+    const second = createTableMigration(2);
+    const result = await new MigrationRunner(db, { migrations: [first, second] }).migrate();
+
+    expect(result.applied).toEqual([2]);
+    expect(first.up).toHaveBeenCalledTimes(1);
+    expect(second.up).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing when the database is up to date', async () => {
+    const migration = createTableMigration(1);
+    await new MigrationRunner(db, { migrations: [migration] }).migrate();
+
+    const result = await new MigrationRunner(db, { migrations: [migration] }).migrate();
+
+    expect(result).toEqual({ from: 1, to: 1, applied: [], backupPath: null });
+  });
+
+  it('rolls back a failed migration and keeps the earlier ones', async () => {
+    const failing = {
+      version: 2,
+      description: 'Broken step',
+      up: async (db) => {
+        await run(db, 'CREATE TABLE half_done (id INTEGER)');
+        await run(db, 'INSERT INTO missing_table VALUES (1)');
+      }
+    };
+    const runner = new MigrationRunner(db, { migrations: [createTableMigration(1), failing] });
+
+    await expect(runner.migrate()).rejects.toThrow('Schema migration 2 (Broken step) failed: SQLITE_ERROR');
+
+    expect(await runner.getVersion()).toBe(1);
+    expect(await tableNames(db)).toEqual(['t1']);
+  });
+
+  it('refuses databases created by a newer version of the app', async () => {
+    await run(db, 'PRAGMA user_version = 5');
+    const migration = createTableMigration(1);
+
+    await expect(new MigrationRunner(db, { migrations: [migration] }).migrate())
+      .rejects.toThrow('schema version 5, this version supports up to 1');
+    expect(migration.up).not.toHaveBeenCalled();
+  });
+
+  it('requires migrations to be numbered without gaps', () => {
+    expect(() => new MigrationRunner(db, { migrations: [createTableMigration(1), createTableMigration(3)] }))
+      .toThrow('numbered 1 to 2 without gaps');
+  });
+
+  it('uses the app migrations by default', () => {
+    expect(new MigrationRunner(db).latestVersion).toBe(migrations.length);
+  });
+
+  describe('backups', () => {
+    let tmpDir;
+    let fileDb;
+    let dbPath;
+
+    beforeEach(async () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-test-'));
+      dbPath = path.join(tmpDir, 'flashcards.db');
+      fileDb = await open(dbPath);
+    });
+
+    afterEach(async () => {
+      await close(fileDb);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('copies an existing database file before migrating it', async () => {
+      await run(fileDb, 'CREATE TABLE legacy (id INTEGER)');
+      await run(fileDb, 'INSERT INTO legacy VALUES (42)');
+
+      const result = await new MigrationRunner(fileDb, {
+        dbPath,
+        migrations: [createTableMigration(1), createTableMigration(2)]
+      }).migrate();
+
+      expect(path.basename(result.backupPath)).toMatch(/^flashcards\.db\.v0-\d{8}T\d{6}Z\.bak$/);
+
+      const backup = await open(result.backupPath);
+      try {
+        expect(await all(backup, 'SELECT id FROM legacy')).toEqual([{ id: 42 }]);
+        expect(await tableNames(backup)).toEqual(['legacy']);
+        expect(await all(backup, 'PRAGMA user_version')).toEqual([{ user_version: 0 }]);
+      } finally {
+        await close(backup);
+      }
+    });
+
+    it('does not back up a new, empty database', async () => {
+      const result = await new MigrationRunner(fileDb, { dbPath, migrations: [createTableMigration(1)] }).migrate();
+
+      expect(result.backupPath).toBeNull();
+      expect(fs.readdirSync(tmpDir)).toEqual(['flashcards.db']);
+    });
+
+    it('lets a backup option make the backup instead of copying the file', async () => {
+      await run(fileDb, 'CREATE TABLE legacy (id INTEGER)');
+      const backup = jest.fn().mockResolvedValue('/backups/flashcards-migration.db');
+
+      const result = await new MigrationRunner(fileDb, { backup, migrations: [createTableMigration(1)] }).migrate();
+
+      expect(backup).toHaveBeenCalledWith(0);
+      expect(result.backupPath).toBe('/backups/flashcards-migration.db');
+      expect(fs.readdirSync(tmpDir)).toEqual(['flashcards.db']);
+    });
+  });
+});
\ No newline at end of file
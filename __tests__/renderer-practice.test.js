@@ -138,13 +138,13 @@ describe('Renderer - Practice Screen', () => {
         if (!this.state.sessionId) {
           this.notificationSystem.warning(
             'No Active Session',
-            'There is no active session to cancel.'
+            'There is no active session to pause.'
           );
           return;
         }
 
         // Show confirmation dialog
-        if (confirm('Are you sure you want to cancel this practice session? Your progress will not be saved.')) {
+        if (confirm('Pause this practice session? You can continue it later from the home screen.')) {
           // Reset session state
           this.state.sessionId = null;
           this.state.currentCard = null;
@@ -153,8 +153,8 @@ describe('Renderer - Practice Screen', () => {
           this.showScreen('home');
 
           this.notificationSystem.info(
-            'Session Cancelled',
-            'Practice session has been cancelled.'
+            'Session Paused',
+            'Your progress is saved. Continue the session from the home screen.'
           );
         }
       }
@@ -165,14 +165,14 @@ describe('Renderer - Practice Screen', () => {
 
     // Assertions
     expect(global.confirm).toHaveBeenCalledWith(
-      'Are you sure you want to cancel this practice session? Your progress will not be saved.'
+      'Pause this practice session? You can continue it later from the home screen.'
     );
     expect(app.state.sessionId).toBeNull();
     expect(app.state.currentCard).toBeNull();
     expect(app.showScreen).toHaveBeenCalledWith('home');
     expect(app.notificationSystem.info).toHaveBeenCalledWith(
-      'Session Cancelled',
-      'Practice session has been cancelled.'
+      'Session Paused',
+      'Your progress is saved. Continue the session from the home screen.'
     );
   });
 
@@ -195,13 +195,13 @@ describe('Renderer - Practice Screen', () => {
         if (!this.state.sessionId) {
           this.notificationSystem.warning(
             'No Active Session',
-            'There is no active session to cancel.'
+            'There is no active session to pause.'
           );
           return;
         }
 
         // Show confirmation dialog
-        if (confirm('Are you sure you want to cancel this practice session? Your progress will not be saved.')) {
+        if (confirm('Pause this practice session? You can continue it later from the home screen.')) {
           // Reset session state
           this.state.sessionId = null;
           this.state.currentCard = null;
@@ -210,8 +210,8 @@ describe('Renderer - Practice Screen', () => {
           this.showScreen('home');
 
           this.notificationSystem.info(
-            'Session Cancelled',
-            'Practice session has been cancelled.'
+            'Session Paused',
+            'Your progress is saved. Continue the session from the home screen.'
           );
         }
       }
@@ -222,7 +222,7 @@ describe('Renderer - Practice Screen', () => {
 
     // Assertions
     expect(global.confirm).toHaveBeenCalledWith(
-      'Are you sure you want to cancel this practice session? Your progress will not be saved.'
+      'Pause this practice session? You can continue it later from the home screen.'
     );
     expect(app.state.sessionId).toBe('test-session');
     expect(app.state.currentCard).toEqual({ id: 'card-1' });
@@ -0,0 +1,132 @@
+/**
+ * Tests for CardReviewRepository using real in-memory SQLite
+ */
+const sqlite3 = require('sqlite3').verbose();
+const CardReviewRepository = require('../../src/repositories/CardReviewRepository');
+const CardReview = require('../../src/models/CardReview');
+
+// Helper function to setup an in-memory database
+function setupDatabase() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(':memory:', (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      
+      db.run(`
+        CREATE TABLE IF NOT EXISTS card_reviews (
+          cardId TEXT PRIMARY KEY,
+          easeFactor REAL NOT NULL,
+          interval INTEGER NOT NULL,
+          repetitions INTEGER NOT NULL,
+          lapses INTEGER NOT NULL,
+          dueDate TEXT,
+          lastReviewedAt TEXT
+        )
+      `, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(db);
+      });
+    });
+  });
+}
+
+describe('CardReviewRepository with in-memory SQLite', () => {
+  let db;
+  let repository;
+  
+  beforeAll(async () => {
+    db = await setupDatabase();
+    repository = new CardReviewRepository(db, true);
+  });
+  
+  afterAll((done) => {
+    if (db) {
+      db.close(() => {
+        done();
+      });
+    } else {
+      done();
+    }
+  });
+  
+  beforeEach((done) => {
+    db.run('DELETE FROM card_reviews', done);
+  });
+  
+  it('saves and retrieves a review state', async () => {
+    const review = new CardReview({
+      cardId: 'card1',
+      easeFactor: 2.6,
+      interval: 6,
+      repetitions: 2,
+      dueDate: new Date('2024-01-08T00:00:00.000Z'),
+      lastReviewedAt: new Date('2024-01-02T00:00:00.000Z')
+    });
+    
+    await repository.saveCardReview(review);
+    const retrieved = await repository.getCardReview('card1');
+    
+    expect(retrieved).toBeInstanceOf(CardReview);
+    expect(retrieved).toEqual(review);
+  });
+  
+  it('replaces the review state on save', async () => {
+    await repository.saveCardReview(new CardReview({ cardId: 'card1', interval: 1, repetitions: 1 }));
+    await repository.saveCardReview(new CardReview({ cardId: 'card1', interval: 6, repetitions: 2 }));
+    
+    const retrieved = await repository.getCardReview('card1');
+    
+    expect(retrieved.interval).toBe(6);
+    expect(retrieved.repetitions).toBe(2);
+  });
+  
+  it('returns null for a card that was never reviewed', async () => {
+    expect(await repository.getCardReview('unknown')).toBeNull();
+  });
+  
+  it('returns review states of several cards as a map', async () => {
+    await repository.saveCardReview(new CardReview({ cardId: 'card1', interval: 1 }));
+    await repository.saveCardReview(new CardReview({ cardId: 'card2', interval: 6 }));
+    
+    const reviews = await repository.getCardReviews(['card1', 'card2', 'card3']);
+    
+    expect(reviews).toBeInstanceOf(Map);
+    expect(reviews.size).toBe(2);
+    expect(reviews.get('card2').interval).toBe(6);
+    expect(reviews.has('card3')).toBe(false);
+  });
+  
+  it('returns an empty map for no card IDs', async () => {
+    const reviews = await repository.getCardReviews([]);
+    
+    expect(reviews.size).toBe(0);
+  });
+  
+  it('returns the review states of all cards', async () => {
+    await repository.saveCardReview(new CardReview({ cardId: 'card2', interval: 6 }));
+    await repository.saveCardReview(new CardReview({ cardId: 'card1', interval: 1 }));
+    
+    const reviews = await repository.getAllCardReviews();
+    
+    expect(reviews.map(review => [review.cardId, review.interval])).toEqual([['card1', 1], ['card2', 6]]);
+  });
+  
+  it('deletes a review state', async () => {
+    await repository.saveCardReview(new CardReview({ cardId: 'card1' }));
+    
+    expect(await repository.deleteCardReview('card1')).toBe(true);
+    expect(await repository.getCardReview('card1')).toBeNull();
+    expect(await repository.deleteCardReview('card1')).toBe(false);
+  });
+  
+  it('rejects when the database is not initialized', async () => {
+    const uninitialized = new CardReviewRepository(db, false);
+    
+    await expect(uninitialized.getCardReview('card1')).rejects.toThrow('Database not initialized');
+  });
+});
\ No newline at end of file
@@ -4,8 +4,9 @@
 const sqlite3 = require('sqlite3').verbose();
 const FlashCardRepository = require('../../src/repositories/FlashCardRepository');
 const FlashCard = require('../../src/models/FlashCard');
+const MigrationRunner = require('../../src/services/migrations/MigrationRunner');
 
-// Helper function to setup an in-memory database
+// Helper function to setup an in-memory database with the app's schema
 function setupDatabase() {
   return new Promise((resolve, reject) => {
     const db = new sqlite3.Database(':memory:', (err) => {
@@ -13,25 +14,14 @@ function setupDatabase() {
         reject(err);
         return;
       }
-      
-      // Create the flashcards table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS flashcards (
-          id TEXT PRIMARY KEY,
-          content TEXT NOT NULL,
-          sourceLanguage TEXT NOT NULL,
-          comment TEXT,
-          userTranslation TEXT,
-          tags TEXT,
-          createdAt TEXT NOT NULL,
-          updatedAt TEXT NOT NULL
-        )
-      `, (err) => {
+
+      db.run('PRAGMA foreign_keys = ON', (err) => {
         if (err) {
           reject(err);
           return;
         }
-        resolve(db);
+
+        new MigrationRunner(db).migrate().then(() => resolve(db), reject);
       });
     });
   });
@@ -211,6 +201,69 @@ describe('FlashCardRepository with in-memory SQLite', () => {
       expect(untaggedCards.length).toBe(1);
     });
   });
+
+  describe('tag filter expressions', () => {
+    const contents = cards => cards.map(card => card.content).sort();
+
+    beforeEach(async () => {
+      const cards = [
+        { content: 'gehen', tags: ['verbs', 'b1', 'irregular'] },
+        { content: 'machen', tags: ['verbs', 'b1'] },
+        { content: 'laufen', tags: ['verbs', 'a1', 'irregular'] },
+        { content: 'Haus', tags: ['nouns', 'a1'] },
+        { content: 'und', tags: [] }
+      ];
+
+      for (const card of cards) {
+        await repository.saveFlashCard(new FlashCard({ ...card, sourceLanguage: 'de' }));
+      }
+    });
+
+    it('requires all of the all-of tags and none of the none-of tags', async () => {
+      const result = await repository.getAllFlashCards({
+        tags: { allOf: ['verbs', 'b1'], noneOf: ['irregular'] }
+      });
+
+      expect(contents(result)).toEqual(['machen']);
+    });
+
+    it('combines any-of tags with the other sets', async () => {
+      const result = await repository.getAllFlashCards({
+        tags: { anyOf: ['a1', 'b1'], allOf: ['verbs'] }
+      });
+
+      expect(contents(result)).toEqual(['gehen', 'laufen', 'machen']);
+    });
+
+    it('lets untagged cards satisfy the any-of set', async () => {
+      const result = await repository.getAllFlashCards({
+        tags: { anyOf: ['nouns'], noneOf: ['irregular'] },
+        includeUntagged: true
+      });
+
+      expect(contents(result)).toEqual(['Haus', 'und']);
+    });
+
+    it('only excludes when the other sets are empty', async () => {
+      const result = await repository.getAllFlashCards({ tags: { anyOf: [], noneOf: ['verbs'] } });
+
+      expect(contents(result)).toEqual(['Haus', 'und']);
+    });
+
+    it('trims and deduplicates tag names and ignores empty sets', async () => {
+      const result = await repository.getAllFlashCards({ tags: { allOf: [' verbs ', 'verbs', ''] } });
+      const everything = await repository.getAllFlashCards({ tags: {} });
+
+      expect(contents(result)).toEqual(['gehen', 'laufen', 'machen']);
+      expect(everything).toHaveLength(5);
+    });
+
+    it('counts the cards matching a filter', async () => {
+      expect(await repository.countFlashCards({ sourceLanguage: 'de', tags: { allOf: ['verbs'], noneOf: ['a1'] } })).toBe(2);
+      expect(await repository.countFlashCards({ tags: ['nouns'], includeUntagged: true })).toBe(2);
+      expect(await repository.countFlashCards({ sourceLanguage: 'fr' })).toBe(0);
+    });
+  });
   
   describe('deleteFlashCard', () => {
     it('should delete a flashcard from the database', async () => {
@@ -242,4 +295,86 @@ describe('FlashCardRepository with in-memory SQLite', () => {
       expect(result).toBe(false);
     });
   });
+  describe('tags', () => {
+    /**
+     * Count rows of a table
+     */
+    const count = (table) => new Promise((resolve, reject) => {
+      db.get(`SELECT COUNT(*) AS count FROM ${table}`, (err, row) => (err ? reject(err) : resolve(row.count)));
+    });
+
+    it('keeps the order of tags and drops blank and repeated ones', async () => {
+      const card = new FlashCard({ id: 'tag-order', content: 'x', sourceLanguage: 'en', tags: ['b', ' a ', 'b', ''] });
+      await repository.saveFlashCard(card);
+
+      expect((await repository.getFlashCard('tag-order')).tags).toEqual(['b', 'a']);
+    });
+
+    it('matches tags containing quotes and wildcard characters exactly', async () => {
+      await repository.saveFlashCard(new FlashCard({ id: 'quoted', content: 'x', sourceLanguage: 'en', tags: ['say "hi"'] }));
+      await repository.saveFlashCard(new FlashCard({ id: 'percent', content: 'y', sourceLanguage: 'en', tags: ['100%'] }));
+      await repository.saveFlashCard(new FlashCard({ id: 'plain', content: 'z', sourceLanguage: 'en', tags: ['1000'] }));
+
+      expect((await repository.getAllFlashCards({ tags: ['say "hi"'] })).map(card => card.id)).toEqual(['quoted']);
+      expect((await repository.getAllFlashCards({ tags: ['100%'] })).map(card => card.id)).toEqual(['percent']);
+      expect((await repository.getAllFlashCards({ tag: '%' })).map(card => card.id)).toEqual([]);
+    });
+
+    it('replaces the tags of an updated card and shares tag rows between cards', async () => {
+      await repository.saveFlashCard(new FlashCard({ id: 'first', content: 'x', sourceLanguage: 'en', tags: ['shared', 'old'] }));
+      await repository.saveFlashCard(new FlashCard({ id: 'second', content: 'y', sourceLanguage: 'en', tags: ['shared'] }));
+      await repository.saveFlashCard(new FlashCard({ id: 'first', content: 'x', sourceLanguage: 'en', tags: ['new'] }));
+
+      expect((await repository.getFlashCard('first')).tags).toEqual(['new']);
+      expect((await repository.getFlashCard('second')).tags).toEqual(['shared']);
+      expect(await count('card_tags')).toBe(2);
+    });
+
+    it('removes the tag assignments of a deleted card', async () => {
+      await repository.saveFlashCard(new FlashCard({ id: 'doomed', content: 'x', sourceLanguage: 'en', tags: ['a', 'b'] }));
+
+      await repository.deleteFlashCard('doomed');
+
+      expect(await count('card_tags')).toBe(0);
+    });
+
+    it('keeps the alternative translations of a card in order and replaces them on update', async () => {
+      const card = new FlashCard({
+        id: 'car',
+        content: 'car',
+        sourceLanguage: 'en',
+        userTranslation: 'Auto',
+        alternativeTranslations: ['Wagen', { text: 'Karre', note: 'colloquial' }]
+      });
+      await repository.saveFlashCard(card);
+
+      const retrieved = await repository.getFlashCard('car');
+      expect(retrieved.alternativeTranslations).toEqual([
+        { text: 'Wagen', note: '' },
+        { text: 'Karre', note: 'colloquial' }
+      ]);
+      expect((await repository.getAllFlashCards())[0].getAcceptedTranslations()).toEqual(['Auto', 'Wagen', 'Karre']);
+
+      card.update({ alternativeTranslations: ['Kraftwagen'] });
+      await repository.saveFlashCard(card);
+      expect((await repository.getFlashCard('car')).alternativeTranslations).toEqual([{ text: 'Kraftwagen', note: '' }]);
+
+      await repository.deleteFlashCard('car');
+      expect(await count('card_translations')).toBe(0);
+    });
+
+    it('does not save a card whose tags cannot be written', async () => {
+      const failing = new FlashCardRepository(db, true);
+      const originalSaveTags = failing._saveTags.bind(failing);
+      failing._saveTags = (cardId, tags) => originalSaveTags(cardId, tags).then(() => {
+        throw new Error('disk full');
+      });
+
+      await expect(failing.saveFlashCard(new FlashCard({ id: 'half', content: 'x', sourceLanguage: 'en', tags: ['a'] })))
+        .rejects.toThrow('disk full');
+
+      expect(await repository.getFlashCard('half')).toBeNull();
+      expect(await count('card_tags')).toBe(0);
+    });
+  });
 });
\ No newline at end of file
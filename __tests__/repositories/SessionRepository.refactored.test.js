@@ -4,32 +4,20 @@
 const sqlite3 = require('sqlite3').verbose();
 const SessionRepository = require('../../src/repositories/SessionRepository');
 const Session = require('../../src/models/Session');
+const MigrationRunner = require('../../src/services/migrations/MigrationRunner');
 const { promisify } = require('util');
 
 describe('SessionRepository', () => {
   let db;
   let repository;
+  let all;
 
   beforeEach(async () => {
-    // Create a new in-memory database for each test
+    // Create a new in-memory database with the app's schema for each test
     db = new sqlite3.Database(':memory:');
-    
-    // Create promisified version of run for setup
-    const run = promisify(db.run.bind(db));
-    
-    // Create sessions table
-    await run(`
-      CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY,
-        sourceLanguage TEXT NOT NULL,
-        targetLanguage TEXT NOT NULL,
-        cardIds TEXT NOT NULL,
-        currentCardIndex INTEGER NOT NULL,
-        responses TEXT,
-        createdAt TEXT NOT NULL,
-        completedAt TEXT
-      )
-    `);
+    await promisify(db.run.bind(db))('PRAGMA foreign_keys = ON');
+    await new MigrationRunner(db).migrate();
+    all = promisify(db.all.bind(db));
     
     // Initialize repository with database connection
     repository = new SessionRepository(db, true);
@@ -101,7 +89,7 @@ describe('SessionRepository', () => {
       // Add a response (this will add timestamp properly)
       session.recordResponse('card1', 'test', true);
       
-      await repository.saveSession(session);
+      await repository.saveSession(session, { withResponses: true });
       
       // Retrieve the session
       const retrievedSession = await repository.getSession(session.id);
@@ -116,6 +104,63 @@ describe('SessionRepository', () => {
       expect(retrievedSession.responses[0].cardId).toBe('card1');
     });
 
+    test('should retrieve the practice direction of the session and its responses', async () => {
+      const session = new Session({
+        id: 'mixed-session-id',
+        sourceLanguage: 'en',
+        targetLanguage: 'fr',
+        cardIds: ['card1', 'card2'],
+        direction: 'mixed',
+        cardDirections: ['reverse', 'forward']
+      });
+      session.recordResponse('card1', 'dog', true);
+
+      await repository.saveSession(session, { withResponses: true });
+      const retrievedSession = await repository.getSession(session.id);
+
+      expect(retrievedSession.direction).toBe('mixed');
+      expect(retrievedSession.cardDirections).toEqual(['reverse', 'forward']);
+      expect(retrievedSession.responses[0].direction).toBe('reverse');
+      expect(retrievedSession.getCardDirection(1)).toBe('forward');
+    });
+
+    test('should retrieve the mode and answer choices of the session', async () => {
+      const session = new Session({
+        id: 'choice-session-id',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['card1'],
+        mode: 'multipleChoice',
+        cardChoices: [['Haus', 'Hund', 'Hallo', 'Baum']]
+      });
+
+      await repository.saveSession(session);
+      const retrievedSession = await repository.getSession(session.id);
+
+      expect(retrievedSession.mode).toBe('multipleChoice');
+      expect(retrievedSession.getCardChoices()).toEqual(['Haus', 'Hund', 'Hallo', 'Baum']);
+    });
+
+    test('should retrieve the retry rounds of the session', async () => {
+      const session = new Session({
+        id: 'retry-session-id',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['card1', 'card2', 'card1'],
+        retryMistakes: true,
+        firstRoundSize: 2,
+        retryRounds: 1
+      });
+
+      await repository.saveSession(session);
+      const retrievedSession = await repository.getSession(session.id);
+
+      expect(retrievedSession.retryMistakes).toBe(true);
+      expect(retrievedSession.firstRoundSize).toBe(2);
+      expect(retrievedSession.retryRounds).toBe(1);
+      expect(retrievedSession.isRetry(2)).toBe(true);
+    });
+
     test('should return null for empty ID', async () => {
       const result = await repository.getSession('');
       expect(result).toBeNull();
@@ -127,6 +172,135 @@ describe('SessionRepository', () => {
     });
   });
 
+  describe('responses', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = new Session({
+        id: 'response-session',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['card1', 'card2']
+      });
+      await repository.saveSession(session);
+    });
+
+    test('should store each response as a row', async () => {
+      const response = session.recordResponse('card1', 'Hund', false);
+      Object.assign(response, {
+        score: 0.4,
+        feedback: 'Close.',
+        suggestedTranslation: 'Hund',
+        details: { grammar: 'Fine', vocabulary: 'Fine', accuracy: 'Close' },
+        provider: 'gemini',
+        latencyMs: 350,
+        previousReview: null
+      });
+      session.overrideResponse(0, true);
+      await repository.saveSession(session, { withResponses: true });
+
+      const rows = await all('SELECT * FROM session_responses');
+      expect(rows).toEqual([expect.objectContaining({
+        sessionId: 'response-session',
+        position: 0,
+        cardId: 'card1',
+        answer: 'Hund',
+        correct: 1,
+        score: 0.4,
+        feedback: 'Close.',
+        suggestedTranslation: 'Hund',
+        details: '{"grammar":"Fine","vocabulary":"Fine","accuracy":"Close"}',
+        fallback: 0,
+        provider: 'gemini',
+        latencyMs: 350,
+        overridden: 1,
+        evaluatedCorrect: 0,
+        previousReview: 'null'
+      })]);
+
+      const retrieved = await repository.getSession(session.id);
+      expect(retrieved.toJSON().responses).toEqual(session.toJSON().responses);
+    });
+
+    test('should keep the fallback flag', async () => {
+      const response = session.recordResponse('card1', 'Hund', true);
+      Object.assign(response, { score: 0.5, provider: 'baseline', fallback: true });
+      await repository.saveSession(session, { withResponses: true });
+
+      const retrieved = await repository.getSession(session.id);
+      expect(retrieved.responses[0]).toMatchObject({ provider: 'baseline', fallback: true });
+    });
+
+    test('should leave out response fields that were never set', async () => {
+      session.recordResponse('card1', 'Hund', true);
+      await repository.saveSession(session, { withResponses: true });
+
+      const retrieved = await repository.getSession(session.id);
+      expect(Object.keys(retrieved.responses[0]).sort()).toEqual(['cardId', 'correct', 'direction', 'timestamp', 'userResponse']);
+    });
+
+    test('should write only the session row unless asked for the responses', async () => {
+      const response = session.recordResponse('card1', 'Hund', true);
+      await repository.saveResponse(session.id, 0, response);
+      const before = await all('SELECT * FROM session_responses');
+
+      response.userResponse = 'changed';
+      session.nextCard();
+      await repository.saveSession(session);
+
+      expect(await all('SELECT * FROM session_responses')).toEqual(before);
+      expect((await repository.getSession(session.id)).currentCardIndex).toBe(1);
+    });
+
+    test('should save a single response without the session row', async () => {
+      const response = session.recordResponse('card1', 'Hund', true);
+      await repository.saveResponse(session.id, 0, response);
+
+      const retrieved = await repository.getSession(session.id);
+      expect(retrieved.responses).toHaveLength(1);
+      expect(retrieved.responses[0].timestamp).toEqual(response.timestamp);
+    });
+
+    test('should drop responses the session no longer has', async () => {
+      session.recordResponse('card1', 'Hund', true);
+      session.recordResponse('card2', 'Katze', true);
+      await repository.saveSession(session, { withResponses: true });
+
+      session.responses.pop();
+      await repository.saveSession(session, { withResponses: true });
+
+      expect((await repository.getSession(session.id)).responses.map(r => r.cardId)).toEqual(['card1']);
+    });
+
+    test('should tell whether a card was reviewed by a later response', async () => {
+      const first = session.recordResponse('card1', 'Hund', false);
+      first.timestamp = new Date('2024-03-01T10:00:00.000Z');
+      first.previousReview = null;
+      const second = session.recordResponse('card1', 'Katze', true);
+      second.timestamp = new Date('2024-03-02T10:00:00.000Z');
+      await repository.saveSession(session, { withResponses: true });
+
+      // Only responses that moved the schedule count
+      expect(await repository.hasLaterReview('card1', first.timestamp)).toBe(false);
+
+      second.previousReview = { cardId: 'card1', repetitions: 0 };
+      await repository.saveResponse(session.id, 1, second);
+
+      expect(await repository.hasLaterReview('card1', first.timestamp)).toBe(true);
+      expect(await repository.hasLaterReview('card1', second.timestamp)).toBe(false);
+      expect(await repository.hasLaterReview('card2', first.timestamp)).toBe(false);
+    });
+
+    test('should delete the responses with their session', async () => {
+      session.recordResponse('card1', 'Hund', true);
+      await repository.saveSession(session, { withResponses: true });
+
+      await repository.deleteSession(session.id);
+
+      expect(await all('SELECT * FROM session_responses')).toEqual([]);
+    });
+  });
+
   describe('getAllSessions', () => {
     beforeEach(async () => {
       // Create and save test sessions
@@ -175,6 +349,49 @@ describe('SessionRepository', () => {
       expect(sessions[0].id).toBe('completed-session');
       expect(sessions[0].completedAt).not.toBeNull();
     });
+
+    test('should exclude abandoned sessions from active sessions', async () => {
+      const abandonedSession = new Session({
+        id: 'abandoned-session',
+        cardIds: ['card5'],
+        abandonedAt: new Date().toISOString()
+      });
+      await repository.saveSession(abandonedSession);
+
+      const active = await repository.getAllSessions({ activeOnly: true });
+      const abandoned = await repository.getAllSessions({ abandonedOnly: true });
+
+      expect(active.map(s => s.id)).toEqual(['active-session']);
+      expect(abandoned.length).toBe(1);
+      expect(abandoned[0].id).toBe('abandoned-session');
+      expect(abandoned[0].abandonedAt).toBeInstanceOf(Date);
+    });
+    
+    test('should filter by language pair', async () => {
+      const sessions = await repository.getAllSessions({ sourceLanguage: 'en', targetLanguage: 'es' });
+      
+      expect(sessions.map(s => s.id)).toEqual(['completed-session']);
+      expect(await repository.getAllSessions({ targetLanguage: 'de' })).toEqual([]);
+    });
+    
+    test('should filter by creation date range', async () => {
+      const oldSession = new Session({
+        id: 'old-session',
+        sourceLanguage: 'en',
+        targetLanguage: 'fr',
+        createdAt: '2024-03-10T12:00:00.000Z'
+      });
+      await repository.saveSession(oldSession);
+      
+      const inRange = await repository.getAllSessions({
+        createdAfter: '2024-03-10T00:00:00.000Z',
+        createdBefore: '2024-03-11T00:00:00.000Z'
+      });
+      const recent = await repository.getAllSessions({ createdAfter: '2024-03-11T00:00:00.000Z' });
+      
+      expect(inRange.map(s => s.id)).toEqual(['old-session']);
+      expect(recent.map(s => s.id).sort()).toEqual(['active-session', 'completed-session']);
+    });
     
     test('should apply limit and offset options', async () => {
       // Add another session to test pagination
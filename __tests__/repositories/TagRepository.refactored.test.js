@@ -5,6 +5,7 @@ const sqlite3 = require('sqlite3').verbose();
 const TagRepository = require('../../src/repositories/TagRepository');
 const FlashCardRepository = require('../../src/repositories/FlashCardRepository');
 const FlashCard = require('../../src/models/FlashCard');
+const MigrationRunner = require('../../src/services/migrations/MigrationRunner');
 const { promisify } = require('util');
 
 describe('TagRepository', () => {
@@ -19,19 +20,9 @@ describe('TagRepository', () => {
     // Create promisified version of run for setup
     const run = promisify(db.run.bind(db));
     
-    // Create flashcards table
-    await run(`
-      CREATE TABLE IF NOT EXISTS flashcards (
-        id TEXT PRIMARY KEY,
-        content TEXT NOT NULL,
-        sourceLanguage TEXT NOT NULL,
-        comment TEXT,
-        userTranslation TEXT,
-        tags TEXT,
-        createdAt TEXT NOT NULL,
-        updatedAt TEXT NOT NULL
-      )
-    `);
+    // Create the app's tables
+    await run('PRAGMA foreign_keys = ON');
+    await new MigrationRunner(db).migrate();
     
     // Initialize repositories
     flashCardRepository = new FlashCardRepository(db, true);
@@ -149,4 +140,114 @@ describe('TagRepository', () => {
         .rejects.toThrow('Database not initialized');
     });
   });
+
+  describe('tag management', () => {
+    // Tags of a card by content, in card order
+    const tagsOf = async (content) => {
+      const cards = await flashCardRepository.getAllFlashCards();
+      return cards.find(card => card.content === content).tags;
+    };
+
+    const tagNames = async (sourceLanguage) => {
+      const result = await repository.getAvailableTags(sourceLanguage);
+      return result.tags.map(t => t.tag);
+    };
+
+    test('renames a tag on all cards and keeps its position', async () => {
+      const result = await repository.renameTag('food', 'groceries');
+
+      expect(result.cardsUpdated).toBe(3);
+      expect(await tagsOf('apple')).toEqual(['groceries', 'fruit']);
+      expect(await tagsOf('Apfel')).toEqual(['groceries', 'fruit']);
+      expect(await tagNames('en')).not.toContain('food');
+    });
+
+    test('renaming to an existing tag merges the two', async () => {
+      await flashCardRepository.saveFlashCard(new FlashCard({ content: 'cow', sourceLanguage: 'en', tags: ['farm'] }));
+
+      const result = await repository.renameTag('farm', ' animal ');
+
+      expect(result.cardsUpdated).toBe(4);
+      expect(await tagsOf('cow')).toEqual(['animal']);
+      expect(await tagNames('en')).not.toContain('farm');
+    });
+
+    test('merges several tags into a new tag without duplicating it on a card', async () => {
+      const result = await repository.mergeTags(['food', 'fruit'], 'produce');
+
+      expect(result.cardsUpdated).toBe(3);
+      expect(await tagsOf('banana')).toEqual(['produce']);
+      expect(await tagNames('en')).toEqual(['animal', 'building', 'produce']);
+    });
+
+    test('merges into one of the merged tags', async () => {
+      const result = await repository.mergeTags(['animal', 'building'], 'animal');
+
+      expect(result.cardsUpdated).toBe(4);
+      expect(await tagsOf('house')).toEqual(['animal']);
+      expect(await tagNames('de')).toEqual(['animal', 'food', 'fruit']);
+    });
+
+    test('deleting a tag untags its cards', async () => {
+      const result = await repository.deleteTag('animal');
+
+      expect(result).toEqual({ cardsUntagged: 3, deletedCardIds: [] });
+      expect(await tagsOf('dog')).toEqual([]);
+      expect((await repository.getAvailableTags('en')).untaggedCount).toBe(4);
+    });
+
+    test('deleting a tag with its cards removes the cards', async () => {
+      const result = await repository.deleteTag('animal', { deleteCards: true });
+
+      expect(result.cardsUntagged).toBe(0);
+      expect(result.deletedCardIds).toHaveLength(3);
+
+      const contents = (await flashCardRepository.getAllFlashCards()).map(card => card.content);
+      expect(contents).not.toContain('dog');
+      expect(contents).not.toContain('Hund');
+      expect(contents).toHaveLength(6);
+    });
+
+    test('adds a tag to the cards matching a filter after their tags', async () => {
+      const result = await repository.addTagToCards('basics', { sourceLanguage: 'en', tags: ['fruit'], includeUntagged: true });
+
+      expect(result.cardsUpdated).toBe(4);
+      expect(await tagsOf('apple')).toEqual(['food', 'fruit', 'basics']);
+      expect(await tagsOf('car')).toEqual(['basics']);
+      expect(await tagsOf('Apfel')).toEqual(['food', 'fruit']);
+
+      // Cards that already have the tag are not counted again
+      const again = await repository.addTagToCards('basics', { sourceLanguage: 'en' });
+      expect(again.cardsUpdated).toBe(3);
+    });
+
+    test('removes a tag from the cards matching a filter only', async () => {
+      const result = await repository.removeTagFromCards('fruit', { sourceLanguage: 'en' });
+
+      expect(result.cardsUpdated).toBe(2);
+      expect(await tagsOf('apple')).toEqual(['food']);
+      expect(await tagsOf('Apfel')).toEqual(['food', 'fruit']);
+    });
+
+    test('rejects unknown tags and empty names', async () => {
+      await expect(repository.renameTag('missing', 'other')).rejects.toThrow('Tag "missing" does not exist');
+      await expect(repository.renameTag('food', '  ')).rejects.toThrow('Tag name cannot be empty');
+      await expect(repository.mergeTags([], 'food')).rejects.toThrow('No tags to merge');
+      await expect(repository.addTagToCards('', {})).rejects.toThrow('Tag name cannot be empty');
+    });
+
+    test('rolls back a merge that fails part way', async () => {
+      await expect(repository.mergeTags(['food', 'missing'], 'produce')).rejects.toThrow('Tag "missing" does not exist');
+
+      expect(await tagNames('en')).toEqual(['animal', 'building', 'food', 'fruit']);
+      expect(await tagsOf('apple')).toEqual(['food', 'fruit']);
+    });
+
+    test('should throw an error if database is not initialized', async () => {
+      const uninitializedRepo = new TagRepository(db, flashCardRepository, false);
+
+      await expect(uninitializedRepo.renameTag('food', 'groceries')).rejects.toThrow('Database not initialized');
+      await expect(uninitializedRepo.deleteTag('food')).rejects.toThrow('Database not initialized');
+    });
+  });
 });
\ No newline at end of file
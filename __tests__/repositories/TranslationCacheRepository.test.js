@@ -0,0 +1,82 @@
+/**
+ * Tests for TranslationCacheRepository using real in-memory SQLite
+ */
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+const TranslationCacheRepository = require('../../src/repositories/TranslationCacheRepository');
+const translationCacheMigration = require('../../src/services/migrations/007-translation-cache');
+
+describe('TranslationCacheRepository', () => {
+  let db;
+  let repository;
+
+  const translationKey = {
+    kind: 'translation',
+    provider: 'openai/gpt-3.5-turbo',
+    sourceLanguage: 'en',
+    targetLanguage: 'de',
+    sourceText: 'Good morning'
+  };
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await translationCacheMigration.up(db);
+    repository = new TranslationCacheRepository(db, true);
+  });
+
+  afterEach((done) => {
+    if (db) {
+      db.close(done);
+    } else {
+      done();
+    }
+  });
+
+  test('should return null on a miss', async () => {
+    expect(await repository.getEntry(translationKey)).toBeNull();
+  });
+
+  test('should return a saved result and count the hit', async () => {
+    await repository.saveEntry(translationKey, 'Guten Morgen');
+
+    expect(await repository.getEntry(translationKey)).toBe('Guten Morgen');
+    expect(await repository.getEntry(translationKey)).toBe('Guten Morgen');
+
+    const get = promisify(db.get.bind(db));
+    const row = await get('SELECT hits FROM translation_cache');
+    expect(row.hits).toBe(2);
+  });
+
+  test('should keep results of other providers, languages and answers apart', async () => {
+    const evaluationKey = {
+      kind: 'evaluation',
+      provider: 'openai/gpt-3.5-turbo',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      sourceText: 'Good morning',
+      answer: 'Guten Morgen',
+      reference: 'Guten Morgen'
+    };
+    await repository.saveEntry(evaluationKey, { correct: true, score: 1 });
+
+    expect(await repository.getEntry(evaluationKey)).toEqual({ correct: true, score: 1 });
+    expect(await repository.getEntry({ ...evaluationKey, answer: 'Gute Nacht' })).toBeNull();
+    expect(await repository.getEntry({ ...evaluationKey, provider: 'gemini/gemini-1.5-pro' })).toBeNull();
+    expect(await repository.getEntry({ ...evaluationKey, targetLanguage: 'fr' })).toBeNull();
+    expect(await repository.getEntry(translationKey)).toBeNull();
+  });
+
+  test('should replace an earlier result for the same key', async () => {
+    await repository.saveEntry(translationKey, 'Morgen');
+    await repository.saveEntry(translationKey, 'Guten Morgen');
+
+    expect(await repository.getEntry(translationKey)).toBe('Guten Morgen');
+  });
+
+  test('should reject when the database is not initialized', async () => {
+    const uninitializedRepo = new TranslationCacheRepository(db, false);
+
+    await expect(uninitializedRepo.getEntry(translationKey)).rejects.toThrow('Database not initialized');
+    await expect(uninitializedRepo.saveEntry(translationKey, 'Guten Morgen')).rejects.toThrow('Database not initialized');
+  });
+});
\ No newline at end of file
@@ -1,11 +1,13 @@
 const SessionCardSelector = require('../../src/services/session/SessionCardSelector');
 const FlashCard = require('../../src/models/FlashCard');
+const CardReview = require('../../src/models/CardReview');
 
 // Mock the database service
 const mockDb = {
   saveFlashCard: jest.fn(card => card),
   getFlashCard: jest.fn(),
-  getAllFlashCards: jest.fn(() => [])
+  getAllFlashCards: jest.fn(() => []),
+  getCardReviews: jest.fn(() => new Map())
 };
 
 describe('SessionCardSelector', () => {
@@ -94,6 +96,114 @@ describe('SessionCardSelector', () => {
         includeUntagged: true
       });
     });
+    
+    it('passes tag filter expressions through', async () => {
+      const tags = { anyOf: [], allOf: ['verbs', 'b1'], noneOf: ['irregular'] };
+      
+      await cardSelector.selectCards({
+        sourceLanguage: 'de',
+        maxCards: 5,
+        useSampleCards: false,
+        tags,
+        includeUntagged: false
+      });
+      
+      expect(mockDb.getAllFlashCards).toHaveBeenCalledWith({ sourceLanguage: 'de', tags });
+    });
+    
+    it('leaves out empty tag filter expressions', async () => {
+      await cardSelector.selectCards({
+        sourceLanguage: 'de',
+        maxCards: 5,
+        useSampleCards: false,
+        tags: { anyOf: [], allOf: [], noneOf: [] },
+        includeUntagged: false
+      });
+      
+      expect(mockDb.getAllFlashCards).toHaveBeenCalledWith({ sourceLanguage: 'de' });
+    });
+    
+    it('puts due cards first in due selection mode', async () => {
+      const dbCards = [
+        new FlashCard({ id: 'upcoming', content: 'Later', sourceLanguage: 'en' }),
+        new FlashCard({ id: 'fresh', content: 'New', sourceLanguage: 'en' }),
+        new FlashCard({ id: 'overdue', content: 'Old', sourceLanguage: 'en' })
+      ];
+      mockDb.getAllFlashCards.mockResolvedValue(dbCards);
+      mockDb.getCardReviews.mockResolvedValue(new Map([
+        ['upcoming', new CardReview({ cardId: 'upcoming', dueDate: new Date(Date.now() + 86400000) })],
+        ['overdue', new CardReview({ cardId: 'overdue', dueDate: new Date(Date.now() - 86400000) })]
+      ]));
+      
+      const cardIds = await cardSelector.selectCards({
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        maxCards: 2,
+        useSampleCards: false,
+        tags: [],
+        includeUntagged: false,
+        selectionMode: 'due'
+      });
+      
+      expect(mockDb.getCardReviews).toHaveBeenCalledWith(['upcoming', 'fresh', 'overdue']);
+      expect(cardIds).toEqual(['overdue', 'fresh']);
+    });
+    
+    it('does not look up review state in random selection mode', async () => {
+      mockDb.getAllFlashCards.mockResolvedValue([
+        new FlashCard({ id: 'db-card-1', content: 'Test', sourceLanguage: 'en' })
+      ]);
+      
+      await cardSelector.selectCards({
+        sourceLanguage: 'en',
+        maxCards: 5,
+        useSampleCards: false,
+        tags: [],
+        includeUntagged: false
+      });
+      
+      expect(mockDb.getCardReviews).not.toHaveBeenCalled();
+    });
+    
+    it('leaves out cards without a translation when one is required', async () => {
+      mockDb.getAllFlashCards.mockResolvedValue([
+        new FlashCard({ id: 'dog', content: 'dog', sourceLanguage: 'en', userTranslation: 'Hund' }),
+        new FlashCard({ id: 'cat', content: 'cat', sourceLanguage: 'en' })
+      ]);
+      
+      const cardIds = await cardSelector.selectCards({
+        sourceLanguage: 'en',
+        maxCards: 5,
+        useSampleCards: false,
+        requireTranslation: true
+      });
+      
+      expect(cardIds).toEqual(['dog']);
+    });
+  });
+
+  describe('getCandidateCards', () => {
+    it('returns the sample cards of the language', async () => {
+      const cards = await cardSelector.getCandidateCards({ sourceLanguage: 'en', useSampleCards: true });
+      
+      expect(cards).toEqual(cardSelector.sampleCards);
+      expect(mockDb.getAllFlashCards).not.toHaveBeenCalled();
+    });
+    
+    it('returns every database card matching the tag selection', async () => {
+      const dbCards = [new FlashCard({ id: 'dog', content: 'dog', sourceLanguage: 'en' })];
+      mockDb.getAllFlashCards.mockResolvedValue(dbCards);
+      
+      const cards = await cardSelector.getCandidateCards({
+        sourceLanguage: 'en',
+        useSampleCards: false,
+        tags: ['animals'],
+        includeUntagged: false
+      });
+      
+      expect(cards).toBe(dbCards);
+      expect(mockDb.getAllFlashCards).toHaveBeenCalledWith({ sourceLanguage: 'en', tags: ['animals'] });
+    });
   });
 
   describe('getRandomSample', () => {
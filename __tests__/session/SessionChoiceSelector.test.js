@@ -0,0 +1,100 @@
+const SessionChoiceSelector = require('../../src/services/session/SessionChoiceSelector');
+const FlashCard = require('../../src/models/FlashCard');
+
+describe('SessionChoiceSelector', () => {
+  let cards;
+  let mockCardSelector;
+  let choiceSelector;
+
+  const card = (id, content, userTranslation) => new FlashCard({ id, content, sourceLanguage: 'en', userTranslation });
+
+  beforeEach(() => {
+    cards = [
+      card('dog', 'dog', 'Hund'),
+      card('cat', 'cat', 'Katze'),
+      card('house', 'house', 'Haus'),
+      card('hello', 'good morning', 'Guten Morgen'),
+      card('bye', 'goodbye', 'Auf Wiedersehen'),
+      card('tree', 'tree', 'Baum')
+    ];
+    mockCardSelector = {
+      getCandidateCards: jest.fn().mockResolvedValue(cards)
+    };
+    choiceSelector = new SessionChoiceSelector({ cardSelector: mockCardSelector });
+  });
+
+  describe('constructor', () => {
+    it('throws an error if the card selector is not provided', () => {
+      expect(() => new SessionChoiceSelector()).toThrow('SessionCardSelector is required');
+    });
+  });
+
+  describe('getAnswer and isCorrect', () => {
+    it('use the translation for forward cards and the content for reverse cards', () => {
+      expect(SessionChoiceSelector.getAnswer(cards[0], 'forward')).toBe('Hund');
+      expect(SessionChoiceSelector.getAnswer(cards[0], 'reverse')).toBe('dog');
+    });
+
+    it('ignore case and surrounding spaces', () => {
+      expect(SessionChoiceSelector.isCorrect(cards[0], 'forward', ' hund ')).toBe(true);
+      expect(SessionChoiceSelector.isCorrect(cards[0], 'forward', 'Katze')).toBe(false);
+    });
+  });
+
+  describe('pickDistractors', () => {
+    it('prefers answers of similar length', () => {
+      const distractors = choiceSelector.pickDistractors('Hund', ['Auf Wiedersehen', 'Haus', 'Guten Morgen', 'Baum', 'Katze']);
+
+      expect(distractors).toHaveLength(3);
+      expect(distractors.sort()).toEqual(['Baum', 'Haus', 'Katze']);
+    });
+
+    it('skips empty answers and duplicates', () => {
+      const distractors = choiceSelector.pickDistractors('Hund', ['hund', '', 'Haus', 'haus ', 'Baum']);
+
+      // Which spelling of a duplicate is kept depends on the shuffle
+      expect(distractors.map(distractor => distractor.toLowerCase()).sort()).toEqual(['baum', 'haus']);
+    });
+  });
+
+  describe('selectChoices', () => {
+    it('offers the answer and three distractors for each card', async () => {
+      const choices = await choiceSelector.selectChoices({
+        cardIds: ['dog', 'bye'],
+        cardDirections: ['forward', 'forward'],
+        sourceLanguage: 'en',
+        useSampleCards: false,
+        tags: ['basics'],
+        includeUntagged: false
+      });
+
+      expect(mockCardSelector.getCandidateCards).toHaveBeenCalledWith(expect.objectContaining({
+        sourceLanguage: 'en',
+        tags: ['basics']
+      }));
+      expect(choices).toHaveLength(2);
+      expect(choices[0]).toHaveLength(4);
+      expect(choices[0]).toContain('Hund');
+      expect(choices[1]).toContain('Auf Wiedersehen');
+    });
+
+    it('draws reverse choices from the content of the cards', async () => {
+      const choices = await choiceSelector.selectChoices({
+        cardIds: ['dog'],
+        cardDirections: ['reverse']
+      });
+
+      expect(choices[0]).toContain('dog');
+      expect(choices[0]).not.toContain('Hund');
+      expect(choices[0].sort()).toEqual(['cat', 'dog', 'house', 'tree']);
+    });
+
+    it('offers fewer choices when the deck is small', async () => {
+      mockCardSelector.getCandidateCards.mockResolvedValue(cards.slice(0, 2));
+
+      const choices = await choiceSelector.selectChoices({ cardIds: ['dog'], cardDirections: ['forward'] });
+
+      expect(choices[0].sort()).toEqual(['Hund', 'Katze']);
+    });
+  });
+});
\ No newline at end of file
@@ -39,7 +39,7 @@ describe('SessionEvaluator', () => {
     });
     
     // Setup default mock responses
-    mockTranslationService.generateTranslation.mockResolvedValue('Hallo');
+    mockTranslationService.generateTranslation.mockResolvedValue({ translation: 'Hallo', provider: 'gemini' });
     mockTranslationService.evaluateTranslation.mockResolvedValue({
       correct: true,
       score: 0.9,
@@ -71,10 +71,55 @@ describe('SessionEvaluator', () => {
       expect(result.evaluation).toBeDefined();
       expect(result.evaluation.correct).toBe(true);
       expect(result.referenceTranslation).toBe('Hallo');
+      expect(result.generatedTranslation).toBe('Hallo');
+      expect(result.generatedBy).toBe('gemini');
       expect(mockTranslationService.generateTranslation).toHaveBeenCalled();
       expect(mockTranslationService.evaluateTranslation).toHaveBeenCalled();
     });
     
+    it('flags a reference generated by the baseline because every provider failed', async () => {
+      mockTranslationService.generateTranslation.mockResolvedValue({
+        translation: 'Hallo',
+        provider: 'baseline',
+        _fallback: true
+      });
+      
+      const result = await evaluator.evaluateAnswer({
+        session: mockSession,
+        card: mockCard,
+        answer: 'Hallo'
+      });
+      
+      expect(result.referenceTranslation).toBe('Hallo');
+      expect(result.generatedBy).toBe('baseline');
+      expect(result._hadTranslationError).toBe(true);
+    });
+    
+    it('passes the other accepted translations of the card along with its translation', async () => {
+      mockCard.userTranslation = 'Auto';
+      mockCard.alternativeTranslations = [{ text: 'Wagen', note: '' }];
+
+      await evaluator.evaluateAnswer({ session: mockSession, card: mockCard, answer: 'Wagen' });
+
+      expect(mockTranslationService.evaluateTranslation).toHaveBeenCalledWith(expect.objectContaining({
+        referenceTranslation: 'Auto',
+        alternativeTranslations: [{ text: 'Wagen', note: '' }]
+      }));
+    });
+    
+    it('checks a card without a main translation against its accepted translations', async () => {
+      mockCard.alternativeTranslations = [{ text: 'Wagen', note: '' }, { text: 'Karre', note: 'colloquial' }];
+
+      const result = await evaluator.evaluateAnswer({ session: mockSession, card: mockCard, answer: 'Karre' });
+
+      expect(mockTranslationService.generateTranslation).not.toHaveBeenCalled();
+      expect(mockTranslationService.evaluateTranslation).toHaveBeenCalledWith(expect.objectContaining({
+        referenceTranslation: 'Wagen',
+        alternativeTranslations: mockCard.alternativeTranslations
+      }));
+      expect(result.generatedTranslation).toBeNull();
+    });
+    
     it('uses card.userTranslation as reference if available', async () => {
       mockCard.userTranslation = 'Hallo';
       
@@ -127,4 +172,150 @@ describe('SessionEvaluator', () => {
       expect(result.evaluation.feedback).toContain('API error');
     });
   });
+  
+  describe('reverse direction', () => {
+    beforeEach(() => {
+      mockSession.direction = 'reverse';
+      mockSession.cardDirections = ['reverse', 'reverse', 'reverse'];
+    });
+    
+    it('prompts with the user translation', async () => {
+      mockCard.userTranslation = 'Hallo';
+      
+      const prompt = await evaluator.getPrompt({ session: mockSession, card: mockCard, direction: 'reverse' });
+      
+      expect(prompt).toEqual({
+        text: 'Hallo',
+        language: 'de',
+        answerLanguage: 'en',
+        direction: 'reverse',
+        generated: false,
+        generatedBy: null
+      });
+      expect(mockTranslationService.generateTranslation).not.toHaveBeenCalled();
+    });
+    
+    it('generates a prompt once per card', async () => {
+      await evaluator.getPrompt({ session: mockSession, card: mockCard, direction: 'reverse' });
+      const prompt = await evaluator.getPrompt({ session: mockSession, card: mockCard, direction: 'reverse' });
+      
+      expect(prompt.text).toBe('Hallo');
+      expect(prompt.generated).toBe(true);
+      expect(prompt.generatedBy).toBe('gemini');
+      expect(mockTranslationService.generateTranslation).toHaveBeenCalledTimes(1);
+    });
+    
+    it('does not prompt with the baseline stand-in for failed providers', async () => {
+      mockTranslationService.generateTranslation.mockResolvedValue({
+        translation: '[Hello]',
+        provider: 'baseline',
+        _fallback: true
+      });
+      
+      const prompt = await evaluator.getPrompt({ session: mockSession, card: mockCard, direction: 'reverse' });
+      
+      expect(prompt.direction).toBe('forward');
+      expect(prompt.text).toBe('Hello');
+    });
+    
+    it('falls back to a forward prompt when no translation can be generated', async () => {
+      mockTranslationService.generateTranslation.mockRejectedValue(new Error('API error'));
+      
+      const prompt = await evaluator.getPrompt({ session: mockSession, card: mockCard, direction: 'reverse' });
+      
+      expect(prompt.direction).toBe('forward');
+      expect(prompt.text).toBe('Hello');
+    });
+    
+    it('evaluates the answer against the card content', async () => {
+      mockCard.userTranslation = 'Hallo';
+      
+      const result = await evaluator.evaluateAnswer({
+        session: mockSession,
+        card: mockCard,
+        answer: 'Hello'
+      });
+      
+      expect(mockTranslationService.evaluateTranslation).toHaveBeenCalledWith({
+        sourceContent: 'Hallo',
+        sourceLanguage: 'de',
+        targetLanguage: 'en',
+        userTranslation: 'Hello',
+        referenceTranslation: 'Hello'
+      });
+      expect(result.direction).toBe('reverse');
+      expect(result.prompt).toBe('Hallo');
+      expect(result.referenceTranslation).toBe('Hello');
+    });
+    
+    it('evaluates forward cards of a mixed session forward', async () => {
+      mockSession.direction = 'mixed';
+      mockSession.cardDirections = ['forward', 'reverse', 'reverse'];
+      
+      const result = await evaluator.evaluateAnswer({
+        session: mockSession,
+        card: mockCard,
+        answer: 'Hallo'
+      });
+      
+      expect(result.direction).toBe('forward');
+      expect(mockTranslationService.evaluateTranslation).toHaveBeenCalledWith(expect.objectContaining({
+        sourceContent: 'Hello',
+        sourceLanguage: 'en',
+        targetLanguage: 'de'
+      }));
+    });
+  });
+  
+  describe('multiple choice', () => {
+    beforeEach(() => {
+      mockSession.mode = 'multipleChoice';
+      mockSession.cardChoices = [['Hallo', 'Haus', 'Hund', 'Baum']];
+      mockCard.userTranslation = 'Hallo';
+    });
+    
+    it('scores a right choice without the translation service', async () => {
+      const result = await evaluator.evaluateAnswer({
+        session: mockSession,
+        card: mockCard,
+        answer: 'Hallo'
+      });
+      
+      expect(result.evaluation).toEqual({
+        correct: true,
+        score: 1,
+        feedback: 'Correct!',
+        suggestedTranslation: 'Hallo'
+      });
+      expect(mockTranslationService.evaluateTranslation).not.toHaveBeenCalled();
+      expect(mockTranslationService.generateTranslation).not.toHaveBeenCalled();
+    });
+    
+    it('names the right answer after a wrong choice', async () => {
+      const result = await evaluator.evaluateAnswer({
+        session: mockSession,
+        card: mockCard,
+        answer: 'Haus'
+      });
+      
+      expect(result.evaluation.correct).toBe(false);
+      expect(result.evaluation.score).toBe(0);
+      expect(result.evaluation.feedback).toBe('Not quite. The right answer is "Hallo".');
+      expect(result.referenceTranslation).toBe('Hallo');
+    });
+    
+    it('expects the content for reverse cards', async () => {
+      mockSession.cardDirections = ['reverse'];
+      
+      const result = await evaluator.evaluateAnswer({
+        session: mockSession,
+        card: mockCard,
+        answer: 'Hello'
+      });
+      
+      expect(result.evaluation.correct).toBe(true);
+      expect(result.prompt).toBe('Hallo');
+      expect(result.direction).toBe('reverse');
+    });
+  });
 });
\ No newline at end of file
@@ -6,7 +6,9 @@ const FlashCard = require('../../src/models/FlashCard');
 const mockDb = {
   saveSession: jest.fn(),
   getSession: jest.fn(),
-  getFlashCard: jest.fn()
+  getFlashCard: jest.fn(),
+  saveFlashCard: jest.fn(),
+  getSettings: jest.fn()
 };
 
 const mockCardSelector = {
@@ -117,10 +119,77 @@ describe('SessionManager', () => {
         maxCards: 5,
         useSampleCards: true,
         tags: ['grammar'],
-        includeUntagged: true
+        includeUntagged: true,
+        selectionMode: 'random',
+        requireTranslation: false
       });
       expect(mockDb.saveSession).toHaveBeenCalled();
     });
+    
+    it('practices every card forward by default', async () => {
+      await sessionManager.createSession({ sourceLanguage: 'en', targetLanguage: 'de' });
+      
+      const saved = mockDb.saveSession.mock.calls[0][0];
+      expect(saved.direction).toBe('forward');
+      expect(saved.cardDirections).toEqual(['forward', 'forward', 'forward']);
+    });
+    
+    it('assigns a direction to each card of a mixed session', async () => {
+      await sessionManager.createSession({ sourceLanguage: 'en', targetLanguage: 'de', direction: 'mixed' });
+      
+      const saved = mockDb.saveSession.mock.calls[0][0];
+      expect(saved.direction).toBe('mixed');
+      expect(saved.cardDirections).toHaveLength(3);
+      saved.cardDirections.forEach(direction => expect(['forward', 'reverse']).toContain(direction));
+    });
+    
+    it('picks answer choices for a multiple-choice session', async () => {
+      const choiceSelector = { selectChoices: jest.fn().mockResolvedValue([['Hallo', 'Haus'], ['Ja', 'Nein'], []]) };
+      sessionManager = new SessionManager({
+        db: mockDb,
+        cardSelector: mockCardSelector,
+        progressTracker: mockProgressTracker,
+        evaluator: mockEvaluator,
+        choiceSelector
+      });
+      
+      await sessionManager.createSession({ sourceLanguage: 'en', targetLanguage: 'de', mode: 'multipleChoice', useSampleCards: false });
+      
+      expect(mockCardSelector.selectCards).toHaveBeenCalledWith(expect.objectContaining({ requireTranslation: true }));
+      expect(choiceSelector.selectChoices).toHaveBeenCalledWith(expect.objectContaining({
+        cardIds: ['card1', 'card2', 'card3'],
+        cardDirections: ['forward', 'forward', 'forward'],
+        sourceLanguage: 'en',
+        useSampleCards: false
+      }));
+      const saved = mockDb.saveSession.mock.calls[0][0];
+      expect(saved.mode).toBe('multipleChoice');
+      expect(saved.cardChoices[0]).toEqual(['Hallo', 'Haus']);
+    });
+    
+    it('practices the cards given by the caller without selecting any', async () => {
+      await sessionManager.createSession({
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        cardIds: ['card7', 'card9', 'card7']
+      });
+      
+      expect(mockCardSelector.selectCards).not.toHaveBeenCalled();
+      const saved = mockDb.saveSession.mock.calls[0][0];
+      expect(saved.cardIds).toEqual(['card7', 'card9']);
+      expect(saved.cardDirections).toEqual(['forward', 'forward']);
+    });
+    
+    it('rejects unknown modes', async () => {
+      await expect(sessionManager.createSession({ mode: 'guess' }))
+        .rejects.toThrow('Unknown practice mode: guess');
+    });
+    
+    it('rejects unknown directions before selecting cards', async () => {
+      await expect(sessionManager.createSession({ direction: 'sideways' }))
+        .rejects.toThrow('Unknown practice direction: sideways');
+      expect(mockCardSelector.selectCards).not.toHaveBeenCalled();
+    });
   });
 
   describe('getCurrentCard', () => {
@@ -143,6 +212,48 @@ describe('SessionManager', () => {
       expect(mockProgressTracker.recordResponse).toHaveBeenCalled();
     });
     
+    it('saves a generated translation to the card when the settings ask for it', async () => {
+      mockEvaluator.evaluateAnswer.mockResolvedValue({
+        evaluation: { correct: true },
+        generatedTranslation: 'Hallo',
+        generatedBy: 'gemini'
+      });
+      mockDb.getSettings.mockResolvedValue({ saveGeneratedTranslations: true });
+      
+      await sessionManager.submitAnswer('test-session-id', 'Hallo');
+      
+      expect(mockDb.saveFlashCard).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'card1',
+        userTranslation: 'Hallo'
+      }));
+    });
+    
+    it('leaves the card alone when generated translations are not saved', async () => {
+      mockEvaluator.evaluateAnswer.mockResolvedValue({
+        evaluation: { correct: true },
+        generatedTranslation: 'Hallo'
+      });
+      mockDb.getSettings.mockResolvedValue({ saveGeneratedTranslations: false });
+      
+      await sessionManager.submitAnswer('test-session-id', 'Hallo');
+      
+      expect(mockDb.saveFlashCard).not.toHaveBeenCalled();
+      expect(mockCard.userTranslation).toBeFalsy();
+    });
+    
+    it('does not save the baseline stand-in to the card', async () => {
+      mockEvaluator.evaluateAnswer.mockResolvedValue({
+        evaluation: { correct: true },
+        generatedTranslation: '[Hello]',
+        generatedBy: 'baseline'
+      });
+      mockDb.getSettings.mockResolvedValue({ saveGeneratedTranslations: true });
+      
+      await sessionManager.submitAnswer('test-session-id', 'Hallo');
+      
+      expect(mockDb.saveFlashCard).not.toHaveBeenCalled();
+    });
+    
     it('throws an enhanced error if session is not found', async () => {
       mockDb.getSession.mockResolvedValue(null);
       
@@ -161,6 +272,28 @@ describe('SessionManager', () => {
       
       await expect(sessionManager.submitAnswer('test-session-id', 'Hallo')).rejects.toThrow('Session is already complete');
     });
+    
+    it('rejects a second answer for the same card', async () => {
+      mockSession.recordResponse('card1', 'Hallo', true);
+      
+      await expect(sessionManager.submitAnswer('test-session-id', 'Hallo')).rejects.toThrow('Card already answered');
+      expect(mockEvaluator.evaluateAnswer).not.toHaveBeenCalled();
+      expect(mockProgressTracker.recordResponse).not.toHaveBeenCalled();
+    });
+    
+    it('rejects an answer while the previous one is evaluated', async () => {
+      let finishEvaluation;
+      mockEvaluator.evaluateAnswer.mockReturnValueOnce(new Promise(resolve => {
+        finishEvaluation = () => resolve({ evaluation: { correct: true } });
+      }));
+      
+      const first = sessionManager.submitAnswer('test-session-id', 'Hallo');
+      await expect(sessionManager.submitAnswer('test-session-id', 'Hallo')).rejects.toThrow('Card already answered');
+      
+      finishEvaluation();
+      await first;
+      expect(mockProgressTracker.recordResponse).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('advanceSession', () => {
@@ -1,12 +1,23 @@
 const SessionProgressTracker = require('../../src/services/session/SessionProgressTracker');
 const Session = require('../../src/models/Session');
 const FlashCard = require('../../src/models/FlashCard');
+const DatabaseService = require('../../src/services/DatabaseService');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/mock/path')
+  }
+}));
 
 // Mock the database service
 const mockDb = {
   getSession: jest.fn(),
   getFlashCard: jest.fn(),
-  saveSession: jest.fn()
+  saveSession: jest.fn(),
+  saveSessionResponse: jest.fn(),
+  getCardReview: jest.fn(),
+  saveCardReview: jest.fn(),
+  hasLaterReview: jest.fn().mockResolvedValue(false)
 };
 
 describe('SessionProgressTracker', () => {
@@ -78,6 +89,61 @@ describe('SessionProgressTracker', () => {
       
       await expect(progressTracker.getCurrentCard('test-session-id')).rejects.toThrow('Card not found');
     });
+    
+    it('shows the card forward without an evaluator', async () => {
+      const result = await progressTracker.getCurrentCard('test-session-id');
+      
+      expect(result.direction).toBe('forward');
+      expect(result.prompt).toEqual({
+        text: 'Hello',
+        language: 'en',
+        answerLanguage: 'de',
+        direction: 'forward',
+        generated: false
+      });
+    });
+    
+    it('includes the answer choices of a multiple-choice card', async () => {
+      mockSession.mode = 'multipleChoice';
+      mockSession.cardChoices = [['Hallo', 'Haus', 'Hund', 'Baum']];
+      
+      const result = await progressTracker.getCurrentCard('test-session-id');
+      
+      expect(result.mode).toBe('multipleChoice');
+      expect(result.choices).toEqual(['Hallo', 'Haus', 'Hund', 'Baum']);
+    });
+    
+    it('asks the evaluator for the prompt of a reverse card', async () => {
+      const evaluator = { getPrompt: jest.fn().mockResolvedValue({ text: 'Hallo', direction: 'reverse' }) };
+      progressTracker = new SessionProgressTracker({ db: mockDb, evaluator });
+      mockSession.direction = 'reverse';
+      mockSession.cardDirections = ['reverse', 'reverse', 'reverse'];
+      
+      const result = await progressTracker.getCurrentCard('test-session-id');
+      
+      expect(evaluator.getPrompt).toHaveBeenCalledWith({ session: mockSession, card: mockCard, direction: 'reverse' });
+      expect(result.direction).toBe('reverse');
+      expect(result.prompt.text).toBe('Hallo');
+      expect(mockDb.saveSession).not.toHaveBeenCalled();
+    });
+    
+    it('saves a reverse card that falls back to forward', async () => {
+      const evaluator = { getPrompt: jest.fn().mockResolvedValue({ text: 'Hello', direction: 'forward' }) };
+      progressTracker = new SessionProgressTracker({ db: mockDb, evaluator });
+      mockSession.cardDirections = ['reverse', 'reverse', 'reverse'];
+      
+      const result = await progressTracker.getCurrentCard('test-session-id');
+      
+      expect(result.direction).toBe('forward');
+      expect(mockSession.cardDirections).toEqual(['forward', 'reverse', 'reverse']);
+      expect(mockDb.saveSession).toHaveBeenCalledWith(mockSession);
+    });
+    
+    it('throws an error if the session was abandoned', async () => {
+      mockSession.abandonedAt = new Date();
+      
+      await expect(progressTracker.getCurrentCard('test-session-id')).rejects.toThrow('Session has been abandoned');
+    });
   });
 
   describe('advanceSession', () => {
@@ -142,6 +208,62 @@ describe('SessionProgressTracker', () => {
     });
   });
 
+  describe('resumeSession', () => {
+    it('returns the current card of an unanswered position', async () => {
+      const result = await progressTracker.resumeSession('test-session-id');
+      
+      expect(result.card.id).toBe('card1');
+      expect(mockDb.saveSession).not.toHaveBeenCalled();
+    });
+    
+    it('moves past a card that was answered before the session was left', async () => {
+      mockSession.responses = [{ cardId: 'card1', userResponse: 'Hallo', correct: true, timestamp: new Date() }];
+      
+      await progressTracker.resumeSession('test-session-id');
+      
+      expect(mockSession.currentCardIndex).toBe(1);
+      expect(mockDb.saveSession).toHaveBeenCalledWith(mockSession);
+      expect(mockDb.getFlashCard).toHaveBeenCalledWith('card2');
+    });
+    
+    it('returns null for a completed session', async () => {
+      mockSession.completedAt = new Date();
+      
+      const result = await progressTracker.resumeSession('test-session-id');
+      
+      expect(result).toBeNull();
+    });
+    
+    it('refuses to resume an abandoned session', async () => {
+      mockSession.abandonedAt = new Date();
+      
+      await expect(progressTracker.resumeSession('test-session-id')).rejects.toThrow('Session has been abandoned');
+    });
+  });
+
+  describe('abandonSession', () => {
+    it('marks the session as abandoned', async () => {
+      const result = await progressTracker.abandonSession('test-session-id');
+      
+      expect(result.isAbandoned).toBe(true);
+      expect(mockSession.abandonedAt).toBeInstanceOf(Date);
+      expect(mockDb.saveSession).toHaveBeenCalledWith(mockSession);
+    });
+    
+    it('refuses to abandon a completed session', async () => {
+      mockSession.completedAt = new Date();
+      
+      await expect(progressTracker.abandonSession('test-session-id')).rejects.toThrow('Session is already complete');
+      expect(mockDb.saveSession).not.toHaveBeenCalled();
+    });
+    
+    it('throws an error if session is not found', async () => {
+      mockDb.getSession.mockResolvedValue(null);
+      
+      await expect(progressTracker.abandonSession('nonexistent')).rejects.toThrow('Session not found');
+    });
+  });
+
   describe('getSessionStats', () => {
     it('returns session statistics', async () => {
       mockSession.getStats = jest.fn().mockReturnValue({ totalCards: 3, answeredCards: 1 });
@@ -162,14 +284,221 @@ describe('SessionProgressTracker', () => {
     });
   });
 
+  describe('advanceSession', () => {
+    it('starts a retry round with the cards answered incorrectly', async () => {
+      mockSession.retryMistakes = true;
+      mockSession.recordResponse('card1', 'Hallo', true);
+      mockSession.recordResponse('card2', 'Hund', false);
+      mockSession.recordResponse('card3', 'Baum', true);
+      mockSession.currentCardIndex = 2;
+      
+      const result = await progressTracker.advanceSession('test-session-id');
+      
+      expect(result.isComplete).toBe(false);
+      expect(result.retryRound).toEqual({ round: 1, cards: 1 });
+      expect(result.nextCard.retry).toBe(true);
+      expect(mockSession.getCurrentCardId()).toBe('card2');
+    });
+  });
+
   describe('recordResponse', () => {
     it('records a response in the session', async () => {
-      mockSession.recordResponse = jest.fn();
+      jest.spyOn(mockSession, 'recordResponse');
       
       await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', true);
       
-      expect(mockSession.recordResponse).toHaveBeenCalledWith('card1', 'Hallo', true);
-      expect(mockDb.saveSession).toHaveBeenCalledWith(mockSession);
+      expect(mockSession.recordResponse).toHaveBeenCalledWith('card1', 'Hallo', true, 'forward');
+      expect(mockDb.saveSessionResponse).toHaveBeenCalledWith('test-session-id', 0, mockSession.responses[0]);
+      expect(mockDb.saveSession).not.toHaveBeenCalled();
+    });
+    
+    it('keeps the score, feedback, grader and latency of the evaluation', async () => {
+      mockDb.getCardReview.mockResolvedValue(null);
+      
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', true, {
+        correct: true,
+        score: 0.9,
+        feedback: 'Good job!',
+        provider: 'gemini',
+        latencyMs: 420
+      });
+      
+      expect(mockSession.responses[0]).toMatchObject({ score: 0.9, feedback: 'Good job!', provider: 'gemini', latencyMs: 420 });
+    });
+    
+    it('keeps the suggested translation and detailed notes of the evaluation', async () => {
+      mockDb.getCardReview.mockResolvedValue(null);
+      const details = { grammar: 'Fine', vocabulary: 'Use "Hallo"', accuracy: 'Close' };
+      
+      await progressTracker.recordResponse(mockSession, 'card1', 'Halo', false, {
+        correct: false,
+        score: 0.6,
+        suggestedTranslation: 'Hallo',
+        details
+      });
+      
+      expect(mockSession.responses[0]).toMatchObject({ suggestedTranslation: 'Hallo', details });
+      expect(mockSession.responses[0].fallback).toBeUndefined();
+    });
+    
+    it('flags responses accepted from a fallback evaluation', async () => {
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', true, {
+        correct: true,
+        score: 0.5,
+        provider: 'baseline',
+        _fallback: true
+      });
+      
+      expect(mockSession.responses[0]).toMatchObject({ fallback: true, provider: 'baseline' });
+      expect(mockSession.responses[0]._fallback).toBeUndefined();
+    });
+    
+    it('records the direction the card was practiced in', async () => {
+      mockSession.cardDirections = ['reverse', 'forward', 'forward'];
+      
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hello', true);
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hello', true, null, 'forward');
+      
+      expect(mockSession.responses.map(response => response.direction)).toEqual(['reverse', 'forward']);
+    });
+    
+    it('schedules the next review of the card from the evaluation', async () => {
+      mockSession.recordResponse = jest.fn();
+      mockDb.getCardReview.mockResolvedValue(null);
+      
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', true, { correct: true, score: 1.0 });
+      
+      expect(mockDb.getCardReview).toHaveBeenCalledWith('card1');
+      const saved = mockDb.saveCardReview.mock.calls[0][0];
+      expect(saved.cardId).toBe('card1');
+      expect(saved.repetitions).toBe(1);
+      expect(saved.interval).toBe(1);
+    });
+    
+    it('does not schedule reviews from fallback evaluations', async () => {
+      mockSession.recordResponse = jest.fn();
+      
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', false, { correct: false, _fallback: true });
+      
+      expect(mockDb.getCardReview).not.toHaveBeenCalled();
+      expect(mockDb.saveCardReview).not.toHaveBeenCalled();
+    });
+    
+    it('still records the response when scheduling fails', async () => {
+      mockDb.getCardReview.mockRejectedValue(new Error('Database error'));
+      console.error = jest.fn();
+      
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', true, { correct: true, score: 0.9 });
+      
+      expect(mockDb.saveSessionResponse).toHaveBeenCalledWith('test-session-id', 0, mockSession.responses[0]);
+      expect(console.error).toHaveBeenCalledWith('Error updating review schedule:', expect.any(Error));
+    });
+  });
+
+  describe('overrideResponse', () => {
+    it('grades the card again from its state before the response', async () => {
+      const CardReview = require('../../src/models/CardReview');
+      const before = new CardReview({ cardId: 'card1', repetitions: 2, interval: 6, dueDate: '2024-01-01T00:00:00.000Z' });
+      mockDb.getCardReview.mockResolvedValue(before);
+      await progressTracker.recordResponse(mockSession, 'card1', 'Karre', false, { correct: false, score: 0.6 });
+      
+      // The wrong verdict reset the card
+      expect(mockDb.saveCardReview.mock.calls[0][0].repetitions).toBe(0);
+      
+      const result = await progressTracker.overrideResponse('test-session-id', 0, true);
+      
+      const regraded = mockDb.saveCardReview.mock.calls[1][0];
+      expect(regraded.repetitions).toBe(3);
+      expect(regraded.lapses).toBe(0);
+      expect(result.response).toMatchObject({ correct: true, overridden: true, evaluatedCorrect: false });
+      expect(result.stats.correctCards).toBe(1);
+      expect(mockDb.saveSession).toHaveBeenLastCalledWith(mockSession, { withResponses: true });
+    });
+    
+    it('grades fallback responses on top of the current state', async () => {
+      mockDb.getCardReview.mockResolvedValue(null);
+      await progressTracker.recordResponse(mockSession, 'card1', 'Hallo', false, { correct: false, _fallback: true });
+      expect(mockDb.saveCardReview).not.toHaveBeenCalled();
+      
+      await progressTracker.overrideResponse('test-session-id', 0, true);
+      
+      expect(mockDb.getCardReview).toHaveBeenCalledWith('card1');
+      expect(mockDb.saveCardReview.mock.calls[0][0].repetitions).toBe(1);
+      expect(mockSession.responses[0].previousReview).toBeNull();
+    });
+    
+    it('does not touch the schedule when the verdict does not change', async () => {
+      mockSession.recordResponse('card1', 'Hallo', true);
+      
+      const result = await progressTracker.overrideResponse('test-session-id', 0, true);
+      
+      expect(result.response.overridden).toBeUndefined();
+      expect(mockDb.saveCardReview).not.toHaveBeenCalled();
+      expect(mockDb.saveSession).not.toHaveBeenCalled();
+    });
+    
+    it('rejects verdicts that are not booleans', async () => {
+      await expect(progressTracker.overrideResponse('test-session-id', 0, 'yes')).rejects.toThrow('Verdict must be true or false');
+    });
+  });
+  
+  describe('with a database', () => {
+    let db;
+    
+    beforeEach(async () => {
+      console.log = jest.fn();
+      db = new DatabaseService({ inMemory: true });
+      await db.initialize();
+      progressTracker = new SessionProgressTracker({ db });
+      
+      for (const id of ['card1', 'card2']) {
+        await db.saveFlashCard(new FlashCard({ id, content: id, sourceLanguage: 'en' }));
+      }
+      await db.saveSession(new Session({ id: 'db-session', sourceLanguage: 'en', targetLanguage: 'de', cardIds: ['card1', 'card2'] }));
+    });
+    
+    afterEach(() => {
+      db.close();
+    });
+    
+    it('writes only the new response when answering and none when advancing', async () => {
+      const statements = [];
+      const run = db.db.run.bind(db.db);
+      db.db.run = (sql, ...args) => {
+        statements.push(sql);
+        return run(sql, ...args);
+      };
+      
+      const session = await db.getSession('db-session');
+      await progressTracker.recordResponse(session, 'card1', 'Hallo', true);
+      const answered = statements.splice(0);
+      
+      await progressTracker.advanceSession('db-session');
+      
+      expect(answered.filter(sql => sql.includes('session_responses'))).toHaveLength(1);
+      expect(statements.filter(sql => sql.includes('session_responses'))).toEqual([]);
+      expect((await db.getSession('db-session')).responses).toHaveLength(1);
+    });
+    
+    it('keeps later reviews of the card when overriding an earlier response', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        jest.setSystemTime(new Date('2024-03-01T10:00:00.000Z'));
+        await progressTracker.recordResponse(await db.getSession('db-session'), 'card1', 'Hund', false, { correct: false, score: 0.2 });
+        
+        jest.setSystemTime(new Date('2024-03-02T10:00:00.000Z'));
+        await db.saveSession(new Session({ id: 'later-session', sourceLanguage: 'en', targetLanguage: 'de', cardIds: ['card1'] }));
+        await progressTracker.recordResponse(await db.getSession('later-session'), 'card1', 'Hallo', true, { correct: true, score: 1 });
+        expect(await db.getCardReview('card1')).toMatchObject({ repetitions: 1, lapses: 1 });
+        
+        jest.setSystemTime(new Date('2024-03-03T10:00:00.000Z'));
+        await progressTracker.overrideResponse('db-session', 0, true);
+        
+        // Graded on top of the later review instead of going back to before the first answer
+        expect(await db.getCardReview('card1')).toMatchObject({ repetitions: 2, lapses: 1 });
+      } finally {
+        jest.useRealTimers();
+      }
     });
   });
 });
\ No newline at end of file
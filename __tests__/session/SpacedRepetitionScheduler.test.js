@@ -0,0 +1,109 @@
+const SpacedRepetitionScheduler = require('../../src/services/session/SpacedRepetitionScheduler');
+const CardReview = require('../../src/models/CardReview');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SpacedRepetitionScheduler', () => {
+  const now = new Date('2024-01-10T12:00:00.000Z');
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new SpacedRepetitionScheduler({ now: () => now });
+  });
+
+  describe('gradeFromEvaluation', () => {
+    it('maps correct answers to passing grades by score', () => {
+      expect(scheduler.gradeFromEvaluation({ correct: true, score: 1.0 })).toBe(5);
+      expect(scheduler.gradeFromEvaluation({ correct: true, score: 0.85 })).toBe(4);
+      expect(scheduler.gradeFromEvaluation({ correct: true, score: 0.6 })).toBe(3);
+    });
+
+    it('maps incorrect answers to failing grades by score', () => {
+      expect(scheduler.gradeFromEvaluation({ correct: false, score: 0.7 })).toBe(2);
+      expect(scheduler.gradeFromEvaluation({ correct: false, score: 0.3 })).toBe(1);
+      expect(scheduler.gradeFromEvaluation({ correct: false, score: 0 })).toBe(0);
+    });
+
+    it('falls back to the verdict when there is no score', () => {
+      expect(scheduler.gradeFromEvaluation({ correct: true })).toBe(5);
+      expect(scheduler.gradeFromEvaluation({ correct: false })).toBe(0);
+    });
+  });
+
+  describe('schedule', () => {
+    it('schedules a new card for the next day after a successful review', () => {
+      const review = scheduler.schedule(null, 'card1', 4);
+
+      expect(review).toBeInstanceOf(CardReview);
+      expect(review.cardId).toBe('card1');
+      expect(review.repetitions).toBe(1);
+      expect(review.interval).toBe(1);
+      expect(review.easeFactor).toBeCloseTo(2.5);
+      expect(review.lastReviewedAt).toEqual(now);
+      expect(review.dueDate).toEqual(new Date(now.getTime() + DAY));
+    });
+
+    it('grows the interval with consecutive successful reviews', () => {
+      const first = scheduler.schedule(null, 'card1', 5);
+      const second = scheduler.schedule(first, 'card1', 5);
+      const third = scheduler.schedule(second, 'card1', 5);
+
+      expect(second.interval).toBe(6);
+      expect(third.repetitions).toBe(3);
+      expect(third.interval).toBe(Math.round(6 * second.easeFactor));
+      expect(third.easeFactor).toBeCloseTo(2.8);
+    });
+
+    it('resets the card after a failed review', () => {
+      const learned = new CardReview({ cardId: 'card1', repetitions: 4, interval: 30, easeFactor: 2.5 });
+
+      const review = scheduler.schedule(learned, 'card1', 1);
+
+      expect(review.repetitions).toBe(0);
+      expect(review.interval).toBe(1);
+      expect(review.lapses).toBe(1);
+      expect(review.easeFactor).toBeCloseTo(1.96);
+    });
+
+    it('never lets the ease factor drop below the minimum', () => {
+      let review = null;
+      for (let i = 0; i < 10; i++) {
+        review = scheduler.schedule(review, 'card1', 0);
+      }
+
+      expect(review.easeFactor).toBe(CardReview.MIN_EASE_FACTOR);
+    });
+
+    it('does not mutate the previous review state', () => {
+      const previous = new CardReview({ cardId: 'card1', repetitions: 1, interval: 1 });
+
+      scheduler.schedule(previous, 'card1', 5);
+
+      expect(previous.repetitions).toBe(1);
+      expect(previous.interval).toBe(1);
+    });
+  });
+
+  describe('orderByDueDate', () => {
+    it('orders overdue cards first, then new cards, then upcoming cards', () => {
+      const cards = [
+        { id: 'later' },
+        { id: 'new' },
+        { id: 'overdue' },
+        { id: 'very-overdue' },
+        { id: 'soon' }
+      ];
+      const reviews = new Map([
+        ['later', new CardReview({ cardId: 'later', dueDate: new Date(now.getTime() + 5 * DAY) })],
+        ['overdue', new CardReview({ cardId: 'overdue', dueDate: new Date(now.getTime() - DAY) })],
+        ['very-overdue', new CardReview({ cardId: 'very-overdue', dueDate: new Date(now.getTime() - 3 * DAY) })],
+        ['soon', new CardReview({ cardId: 'soon', dueDate: new Date(now.getTime() + DAY) })]
+      ]);
+
+      const ordered = scheduler.orderByDueDate(cards, reviews);
+
+      expect(ordered.map(card => card.id)).toEqual(['very-overdue', 'overdue', 'new', 'soon', 'later']);
+      expect(cards[0].id).toBe('later');
+    });
+  });
+});
\ No newline at end of file
@@ -30,15 +30,29 @@ describe('BaselineTranslator', () => {
         sourceContent: 'How are you doing today',
         sourceLanguage: 'en',
         targetLanguage: 'de',
-        userTranslation: 'Wie geht es dir',
+        userTranslation: 'Wie gehts es dir heute',
         referenceTranslation: 'Wie geht es dir heute'
       });
 
       expect(result.correct).toBe(true);
-      expect(result.score).toBe(0.8);
+      expect(result.score).toBeLessThan(1.0);
       expect(result.feedback).toContain('close');
     });
 
+    it('should evaluate a translation with a missing word as incorrect', () => {
+      const result = translator.evaluateTranslation({
+        sourceContent: 'How are you doing today',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        userTranslation: 'Wie geht es dir',
+        referenceTranslation: 'Wie geht es dir heute'
+      });
+
+      expect(result.correct).toBe(false);
+      expect(result.score).toBe(0.8);
+      expect(result.feedback).toContain('"heute" is missing');
+    });
+
     it('should evaluate an incorrect translation with reference', () => {
       const result = translator.evaluateTranslation({
         sourceContent: 'Hello',
@@ -49,7 +63,7 @@ describe('BaselineTranslator', () => {
       });
 
       expect(result.correct).toBe(false);
-      expect(result.score).toBe(0.2);
+      expect(result.score).toBeLessThan(0.5);
       expect(result.feedback).toContain('Try again');
     });
 
@@ -108,21 +122,4 @@ describe('BaselineTranslator', () => {
       expect(result).toBe('Hallo');
     });
   });
-
-  describe('_isCloseMatch', () => {
-    it('should identify contained strings as close matches', () => {
-      expect(translator._isCloseMatch('Hello there', 'Hello')).toBe(true);
-      expect(translator._isCloseMatch('Hello', 'Hello there')).toBe(true);
-    });
-
-    it('should identify strings with shared words as close matches', () => {
-      expect(translator._isCloseMatch('Hello my friend', 'Hello my dear friend')).toBe(true);
-      expect(translator._isCloseMatch('I am going home', 'I am going to school')).toBe(true);
-    });
-
-    it('should identify different strings as not close matches', () => {
-      expect(translator._isCloseMatch('Hello', 'Goodbye')).toBe(false);
-      expect(translator._isCloseMatch('I like apples', 'She likes oranges')).toBe(false);
-    });
-  });
 });
\ No newline at end of file
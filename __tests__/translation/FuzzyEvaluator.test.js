@@ -0,0 +1,141 @@
+/**
+ * Tests for FuzzyEvaluator
+ */
+const FuzzyEvaluator = require('../../src/services/translation/FuzzyEvaluator');
+
+describe('FuzzyEvaluator', () => {
+  let evaluator;
+
+  const evaluate = (userTranslation, referenceTranslation, extra = {}) => evaluator.evaluate({
+    sourceContent: 'Hello',
+    sourceLanguage: 'en',
+    targetLanguage: 'de',
+    userTranslation,
+    referenceTranslation,
+    ...extra
+  });
+
+  beforeEach(() => {
+    evaluator = new FuzzyEvaluator();
+  });
+
+  it('should accept exact matches regardless of case, spacing and punctuation', () => {
+    const result = evaluate('  guten   morgen ', 'Guten Morgen!');
+
+    expect(result.correct).toBe(true);
+    expect(result.score).toBe(1.0);
+    expect(result.feedback).toContain('Perfect');
+    expect(result.suggestedTranslation).toBe('Guten Morgen!');
+  });
+
+  it('should treat ß and ss as the same spelling', () => {
+    expect(evaluate('Strasse', 'Straße').score).toBe(1.0);
+  });
+
+  it('should accept a misspelled word and name it', () => {
+    const result = evaluate('Halo', 'Hallo');
+
+    expect(result.correct).toBe(true);
+    expect(result.score).toBe(0.8);
+    expect(result.feedback).toContain('"halo" is misspelled: it should be "hallo"');
+    expect(result.details.vocabulary).toBe('Check your spelling');
+  });
+
+  it('should accept swapped letters as a single typo', () => {
+    const result = evaluate('Morgne', 'Morgen');
+
+    expect(result.correct).toBe(true);
+    expect(result.feedback).toContain('misspelled');
+  });
+
+  it('should not allow typos in short words', () => {
+    expect(evaluate('ihn', 'ihm').correct).toBe(false);
+  });
+
+  it('should reject answers with a missing word', () => {
+    const result = evaluate('Hallo', 'Hallo Welt');
+
+    expect(result.correct).toBe(false);
+    expect(result.score).toBe(0.5);
+    expect(result.feedback).toContain('"welt" is missing');
+  });
+
+  it('should reject answers with an extra word', () => {
+    const result = evaluate('Hallo schöne Welt', 'Hallo Welt');
+
+    expect(result.correct).toBe(false);
+    expect(result.feedback).toContain('"schöne" is not in the expected answer');
+  });
+
+  it('should reject unrelated answers with a low score', () => {
+    const result = evaluate('Tschüss', 'Hallo');
+
+    expect(result.correct).toBe(false);
+    expect(result.score).toBe(0);
+    expect(result.feedback).toContain('Try again');
+  });
+
+  it('should point out missing accents unless diacritics are ignored', () => {
+    const strict = evaluator.evaluate({ userTranslation: 'cafe', referenceTranslation: 'café', targetLanguage: 'fr' });
+    expect(strict.correct).toBe(true);
+    expect(strict.score).toBe(0.9);
+    expect(strict.feedback).toContain('Check the accents in "cafe"');
+
+    const lenient = new FuzzyEvaluator({ ignoreDiacritics: true })
+      .evaluate({ userTranslation: 'cafe', referenceTranslation: 'café', targetLanguage: 'fr' });
+    expect(lenient.score).toBe(1.0);
+  });
+
+  it('should tolerate a missing article of the answer language', () => {
+    const result = evaluate('Hund', 'der Hund');
+
+    expect(result.correct).toBe(true);
+    expect(result.score).toBe(0.88);
+    expect(result.feedback).toContain('The article "der" is missing');
+    expect(result.details.grammar).toBe('Check your articles');
+  });
+
+  it('should reject the wrong article', () => {
+    const result = evaluate('die Hund', 'der Hund');
+
+    expect(result.correct).toBe(false);
+    expect(result.feedback).toContain('Check the article: "die" should be "der"');
+  });
+
+  it('should only tolerate articles of the answer language', () => {
+    expect(evaluate('dog', 'the dog', { targetLanguage: 'en' }).correct).toBe(true);
+    expect(evaluate('dog', 'the dog', { targetLanguage: 'de' }).correct).toBe(false);
+    expect(new FuzzyEvaluator({ ignoreArticles: false }).evaluate({
+      userTranslation: 'dog',
+      referenceTranslation: 'the dog',
+      targetLanguage: 'en'
+    }).correct).toBe(false);
+  });
+
+  it('should recognize answers with the right words in the wrong order', () => {
+    const result = evaluate('heute ich gehe', 'ich gehe heute');
+
+    expect(result.correct).toBe(false);
+    expect(result.score).toBeLessThanOrEqual(0.5);
+    expect(result.details.grammar).toBe('Check your word order');
+  });
+
+  it('should grade against the closest alternative translation', () => {
+    const result = evaluate('Guten Tag', 'Hallo', { alternativeTranslations: ['Servus', 'Guten Tag'] });
+
+    expect(result.correct).toBe(true);
+    expect(result.score).toBe(1.0);
+    expect(result.suggestedTranslation).toBe('Guten Tag');
+  });
+
+  it('should accept alternative translations with notes', () => {
+    const result = evaluate('Karre', 'Auto', { alternativeTranslations: [{ text: 'Karre', note: 'colloquial' }] });
+
+    expect(result.correct).toBe(true);
+    expect(result.suggestedTranslation).toBe('Karre');
+  });
+
+  it('should require a reference translation', () => {
+    expect(() => evaluate('Hallo', '')).toThrow('A reference translation is required');
+  });
+});
\ No newline at end of file
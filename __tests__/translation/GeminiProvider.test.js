@@ -74,6 +74,22 @@ describe('GeminiProvider', () => {
       expect(result.details.accuracy).toBe('Accurate');
     });
     
+    it('should list the other accepted translations in the prompt', () => {
+      const data = {
+        sourceContent: 'car',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        userTranslation: 'Wagen',
+        referenceTranslation: 'Auto',
+        alternativeTranslations: [{ text: 'Wagen', note: '' }, { text: 'Karre', note: 'colloquial' }]
+      };
+
+      const prompt = provider._buildEvaluationPrompt(data);
+
+      expect(prompt).toContain('Reference translation: "Auto"');
+      expect(prompt).toContain('Also accepted: "Wagen", "Karre" (colloquial)');
+    });
+    
     it('should handle API errors gracefully', async () => {
       // Replace the existing mock with a rejected promise
       jest.clearAllMocks();
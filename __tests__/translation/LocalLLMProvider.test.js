@@ -0,0 +1,132 @@
+/**
+ * Tests for LocalLLMProvider against a stub OpenAI-compatible HTTP server
+ */
+const http = require('http');
+const LocalLLMProvider = require('../../src/services/translation/providers/LocalLLMProvider');
+
+describe('LocalLLMProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let reply;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+
+        const { status, content } = reply;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(status === 200
+          ? { choices: [{ message: { role: 'assistant', content } }] }
+          : { error: { message: content } }));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    reply = { status: 200, content: 'Hallo' };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('constructor', () => {
+    it('should require a server URL but no API key', () => {
+      expect(() => new LocalLLMProvider()).toThrow('Local LLM server URL is required');
+      expect(new LocalLLMProvider({ baseUrl }).apiKey).toBe('');
+    });
+
+    it('should reject invalid server URLs', () => {
+      expect(() => new LocalLLMProvider({ baseUrl: 'localhost' })).toThrow('Invalid local LLM server URL: localhost');
+    });
+  });
+
+  describe('getChatCompletionsUrl', () => {
+    it('should add the chat-completions path to the server URL', () => {
+      expect(LocalLLMProvider.getChatCompletionsUrl('http://localhost:11434/v1'))
+        .toBe('http://localhost:11434/v1/chat/completions');
+      expect(LocalLLMProvider.getChatCompletionsUrl('http://localhost:1234/v1/'))
+        .toBe('http://localhost:1234/v1/chat/completions');
+      expect(LocalLLMProvider.getChatCompletionsUrl('http://localhost:8080'))
+        .toBe('http://localhost:8080/v1/chat/completions');
+      expect(LocalLLMProvider.getChatCompletionsUrl('http://gpu-box:8080/v1/chat/completions'))
+        .toBe('http://gpu-box:8080/v1/chat/completions');
+    });
+  });
+
+  describe('generateTranslation', () => {
+    it('should send a chat-completions request with the configured model', async () => {
+      const provider = new LocalLLMProvider({ baseUrl, modelName: 'qwen2.5:7b' });
+
+      const result = await provider.generateTranslation({
+        content: 'Hello',
+        sourceLanguage: 'en',
+        targetLanguage: 'de'
+      });
+
+      expect(result).toBe('Hallo');
+      expect(requests).toHaveLength(1);
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].headers.authorization).toBeUndefined();
+      expect(requests[0].body.model).toBe('qwen2.5:7b');
+      expect(requests[0].body.messages[1]).toEqual({ role: 'user', content: 'Hello' });
+    });
+
+    it('should send the API key when one is configured', async () => {
+      const provider = new LocalLLMProvider({ baseUrl, apiKey: 'lm-studio' });
+
+      await provider.generateTranslation({ content: 'Hello', sourceLanguage: 'en', targetLanguage: 'de' });
+
+      expect(requests[0].headers.authorization).toBe('Bearer lm-studio');
+    });
+
+    it('should report server errors as local LLM errors', async () => {
+      reply = { status: 404, content: 'model "llama3" not found' };
+      const provider = new LocalLLMProvider({ baseUrl, maxRetries: 0 });
+
+      await expect(provider.generateTranslation({ content: 'Hello', sourceLanguage: 'en', targetLanguage: 'de' }))
+        .rejects.toThrow(/^Local LLM API translation failed: .*model \\"llama3\\" not found/);
+    });
+  });
+
+  describe('evaluateTranslation', () => {
+    it('should parse the evaluation JSON of the reply', async () => {
+      reply = {
+        status: 200,
+        content: 'Sure! {"correct": true, "score": 0.9, "feedback": "Well done.", ' +
+          '"suggestedTranslation": "Hallo", "details": {"grammar": "Good", "vocabulary": "Good", "accuracy": "Good"}}'
+      };
+      const provider = new LocalLLMProvider({ baseUrl });
+
+      const result = await provider.evaluateTranslation({
+        sourceContent: 'Hello',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        userTranslation: 'Hallo'
+      });
+
+      expect(result.correct).toBe(true);
+      expect(result.score).toBe(0.9);
+      expect(result.feedback).toBe('Well done.');
+      expect(requests[0].body.messages[0].role).toBe('system');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * Tests for ProviderCircuitBreaker
+ */
+const ProviderCircuitBreaker = require('../../src/services/translation/ProviderCircuitBreaker');
+
+describe('ProviderCircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    breaker = new ProviderCircuitBreaker({ failureThreshold: 2, cooldownMs: 60000, now: () => now });
+  });
+
+  it('should keep a provider available until it reaches the failure threshold', () => {
+    expect(breaker.isAvailable('gemini')).toBe(true);
+
+    breaker.recordFailure('gemini');
+    expect(breaker.isAvailable('gemini')).toBe(true);
+
+    breaker.recordFailure('gemini');
+    expect(breaker.isAvailable('gemini')).toBe(false);
+    expect(breaker.isAvailable('openai')).toBe(true);
+  });
+
+  it('should reset the failure count on success', () => {
+    breaker.recordFailure('gemini');
+    breaker.recordSuccess('gemini');
+    breaker.recordFailure('gemini');
+
+    expect(breaker.isAvailable('gemini')).toBe(true);
+  });
+
+  it('should give the provider another try after the cool-down', () => {
+    breaker.recordFailure('gemini');
+    breaker.recordFailure('gemini');
+
+    now += 60000;
+    expect(breaker.isAvailable('gemini')).toBe(true);
+
+    // A failed trial skips the provider for another cool-down
+    breaker.recordFailure('gemini');
+    expect(breaker.isAvailable('gemini')).toBe(false);
+
+    now += 60000;
+    breaker.recordSuccess('gemini');
+    expect(breaker.isAvailable('gemini')).toBe(true);
+    expect(breaker.getStatus()).toEqual({});
+  });
+
+  it('should report failing providers', () => {
+    breaker.recordFailure('openai');
+    breaker.recordFailure('gemini');
+    breaker.recordFailure('gemini');
+
+    expect(breaker.getStatus()).toEqual({
+      openai: { failures: 1, openUntil: null },
+      gemini: { failures: 2, openUntil: new Date(now + 60000).toISOString() }
+    });
+  });
+});
\ No newline at end of file
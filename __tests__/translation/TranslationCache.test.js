@@ -0,0 +1,96 @@
+/**
+ * Tests for TranslationCache
+ */
+const TranslationCache = require('../../src/services/translation/TranslationCache');
+
+describe('TranslationCache', () => {
+  let db;
+  let cache;
+
+  beforeEach(() => {
+    db = {
+      getTranslationCacheEntry: jest.fn().mockResolvedValue(null),
+      saveTranslationCacheEntry: jest.fn().mockResolvedValue()
+    };
+    cache = new TranslationCache({ db });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('requires a database service', () => {
+    expect(() => new TranslationCache()).toThrow('DatabaseService is required');
+  });
+
+  it('names providers by name and model', () => {
+    expect(TranslationCache.providerKey('openai', { modelName: 'gpt-4o' })).toBe('openai/gpt-4o');
+    expect(TranslationCache.providerKey('gemini', {})).toBe('gemini/default');
+  });
+
+  it('keys translations by normalized source text and language pair', async () => {
+    await cache.saveTranslation('openai/gpt-4o', {
+      content: '  Good   morning ',
+      sourceLanguage: 'en',
+      targetLanguage: 'de'
+    }, 'Guten Morgen');
+
+    expect(db.saveTranslationCacheEntry).toHaveBeenCalledWith({
+      kind: 'translation',
+      provider: 'openai/gpt-4o',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      sourceText: 'Good morning'
+    }, 'Guten Morgen');
+  });
+
+  it('keys evaluations by normalized answer and reference, keeping case', async () => {
+    db.getTranslationCacheEntry.mockResolvedValue({ correct: true });
+
+    const evaluation = await cache.getEvaluation('openai/gpt-4o', {
+      sourceContent: 'the dog',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      userTranslation: 'der  Hund\n',
+      referenceTranslation: 'der Hund'
+    });
+
+    expect(evaluation).toEqual({ correct: true });
+    expect(db.getTranslationCacheEntry).toHaveBeenCalledWith({
+      kind: 'evaluation',
+      provider: 'openai/gpt-4o',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      sourceText: 'the dog',
+      answer: 'der Hund',
+      reference: 'der Hund'
+    });
+  });
+
+  it('keys evaluations by the alternative translations as well', async () => {
+    db.getTranslationCacheEntry.mockResolvedValue(null);
+
+    await cache.getEvaluation('openai/gpt-4o', {
+      sourceContent: 'car',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      userTranslation: 'Wagen',
+      referenceTranslation: 'Auto',
+      alternativeTranslations: [{ text: 'Wagen ', note: '' }, { text: 'Karre', note: 'colloquial' }]
+    });
+
+    expect(db.getTranslationCacheEntry).toHaveBeenCalledWith(expect.objectContaining({
+      reference: 'Auto | Wagen | Karre'
+    }));
+  });
+
+  it('treats storage errors as a miss', async () => {
+    db.getTranslationCacheEntry.mockRejectedValue(new Error('Database not initialized'));
+    db.saveTranslationCacheEntry.mockRejectedValue(new Error('Database not initialized'));
+    const data = { content: 'Hello', sourceLanguage: 'en', targetLanguage: 'de' };
+
+    await expect(cache.getTranslation('openai/gpt-4o', data)).resolves.toBeNull();
+    await expect(cache.saveTranslation('openai/gpt-4o', data, 'Hallo')).resolves.toBeUndefined();
+  });
+});
\ No newline at end of file
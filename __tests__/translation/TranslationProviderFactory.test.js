@@ -3,6 +3,9 @@
  */
 const TranslationProviderFactory = require('../../src/services/translation/TranslationProviderFactory');
 const Settings = require('../../src/models/Settings');
+const GeminiProvider = require('../../src/services/translation/providers/GeminiProvider');
+const OpenAIProvider = require('../../src/services/translation/providers/OpenAIProvider');
+const LocalLLMProvider = require('../../src/services/translation/providers/LocalLLMProvider');
 
 // Mock the provider classes
 jest.mock('../../src/services/translation/providers/GeminiProvider');
@@ -69,6 +72,86 @@ describe('TranslationProviderFactory', () => {
 
       expect(Object.keys(providerSetup.providers).length).toBe(0);
     });
+
+    it('should create a local provider without an API key', () => {
+      const settings = new Settings({
+        translationApiProvider: 'local',
+        localLlmBaseUrl: 'http://localhost:11434/v1',
+        localLlmModel: 'llama3'
+      });
+
+      const providerSetup = TranslationProviderFactory.createProviders(settings);
+
+      expect(providerSetup.primaryProvider).toBe('local');
+      expect(providerSetup.translationApiKey).toBe('');
+      expect(providerSetup.providerOrder).toEqual(['local', 'gemini', 'openai']);
+      expect(providerSetup.providers.local).toBeInstanceOf(LocalLLMProvider);
+      expect(OpenAIProvider).toHaveBeenCalledWith('', expect.objectContaining({
+        apiEndpoint: 'http://localhost:11434/v1/chat/completions',
+        modelName: 'llama3'
+      }));
+    });
+
+    it('should create every provider with credentials, primary first', () => {
+      const settings = new Settings({ translationApiProvider: 'openai', translationApiKey: 'test-key' });
+
+      const providerSetup = TranslationProviderFactory.createProviders(settings);
+
+      expect(providerSetup.providerOrder).toEqual(['openai', 'gemini']);
+      expect(OpenAIProvider).toHaveBeenCalledWith('test-key', expect.anything());
+      expect(GeminiProvider).toHaveBeenCalledWith('mock-gemini-key', expect.anything());
+    });
+
+    it('should take fallback keys from the environment only', () => {
+      const environmentModule = require('../../src/utils/environment');
+      environmentModule.checkApiKeysAvailability.mockReturnValueOnce({
+        gemini: false,
+        openai: false,
+        hasAnyTranslationApi: false
+      });
+
+      const settings = new Settings({ translationApiProvider: 'openai', translationApiKey: 'test-key' });
+
+      const providerSetup = TranslationProviderFactory.createProviders(settings);
+
+      expect(providerSetup.providerOrder).toEqual(['openai']);
+      expect(GeminiProvider).not.toHaveBeenCalled();
+    });
+
+    it('should follow an explicit provider list with a key per provider', () => {
+      const settings = new Settings({
+        translationProviders: [
+          { name: 'openai', apiKey: 'openai-settings-key', modelName: 'gpt-4o-mini' },
+          { name: 'local', baseUrl: 'http://localhost:8080' },
+          { name: 'gemini', apiKey: 'gemini-settings-key' }
+        ]
+      });
+
+      const providerSetup = TranslationProviderFactory.createProviders(settings);
+
+      expect(providerSetup.providerOrder).toEqual(['openai', 'local', 'gemini']);
+      expect(providerSetup.primaryProvider).toBe('openai');
+      expect(providerSetup.translationApiKey).toBe('openai-settings-key');
+      expect(OpenAIProvider).toHaveBeenCalledWith('openai-settings-key', { modelName: 'gpt-4o-mini' });
+      expect(GeminiProvider).toHaveBeenCalledWith('gemini-settings-key', expect.anything());
+    });
+
+    it('should skip listed providers without credentials', () => {
+      const environmentModule = require('../../src/utils/environment');
+      environmentModule.checkApiKeysAvailability.mockReturnValueOnce({
+        gemini: false,
+        openai: false,
+        hasAnyTranslationApi: false
+      });
+
+      const settings = new Settings({
+        translationProviders: [{ name: 'gemini' }, { name: 'openai', apiKey: 'openai-settings-key' }]
+      });
+
+      const providerSetup = TranslationProviderFactory.createProviders(settings);
+
+      expect(providerSetup.providerOrder).toEqual(['openai']);
+    });
   });
 
   describe('getFallbackProvider', () => {
@@ -0,0 +1,75 @@
+/**
+ * Tests for the zip reading utilities
+ */
+const zlib = require('zlib');
+const { listZipEntries, readZipEntry } = require('../src/utils/zip');
+
+/**
+ * Build a minimal zip archive (CRCs are left empty; the reader does not check them)
+ */
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content, deflate }) => {
+    const nameBuffer = Buffer.from(name);
+    const data = deflate ? zlib.deflateRawSync(content) : content;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+describe('zip utilities', () => {
+  const archive = createZip([
+    { name: 'stored.txt', content: Buffer.from('plain') },
+    { name: 'media', content: Buffer.from('{}'.repeat(100)), deflate: true }
+  ]);
+
+  it('lists the entries of an archive', () => {
+    expect(listZipEntries(archive).map(entry => ({ name: entry.name, method: entry.method }))).toEqual([
+      { name: 'stored.txt', method: 0 },
+      { name: 'media', method: 8 }
+    ]);
+  });
+
+  it('reads stored and deflated entries', () => {
+    expect(readZipEntry(archive, 'stored.txt').toString()).toBe('plain');
+    expect(readZipEntry(archive, 'media').toString()).toBe('{}'.repeat(100));
+  });
+
+  it('returns null for missing entries', () => {
+    expect(readZipEntry(archive, 'missing')).toBeNull();
+  });
+
+  it('rejects buffers that are not zip archives', () => {
+    expect(() => listZipEntries(Buffer.from('front\tback\n'))).toThrow('Not a zip archive');
+  });
+});
\ No newline at end of file
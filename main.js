@@ -1,9 +1,11 @@
 // Basic Electron main process file
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, Notification } = require('electron');
 const path = require('path');
 const DatabaseService = require('./src/services/DatabaseService');
 const TranslationService = require('./src/services/TranslationService');
 const SessionService = require('./src/services/SessionService');
+const StatisticsService = require('./src/services/StatisticsService');
+const StudyReminder = require('./src/services/StudyReminder');
 const errorHandler = require('./src/utils/errorHandler');
 
 // Import IPC handlers
@@ -11,6 +13,7 @@ const { registerDatabaseHandlers } = require('./src/ipc/database-handlers');
 const { registerSessionHandlers } = require('./src/ipc/session-handlers');
 const { registerTranslationHandlers } = require('./src/ipc/translation-handlers');
 const { registerSettingsHandlers } = require('./src/ipc/settings-handlers');
+const { registerStatisticsHandlers } = require('./src/ipc/statistics-handlers');
 
 // Keep a reference to the main window to prevent it from being garbage collected
 let mainWindow;
@@ -19,6 +22,8 @@ let mainWindow;
 let db;
 let translationService;
 let sessionService;
+let statisticsService;
+let studyReminder;
 
 /**
  * Initialize the services
@@ -38,44 +43,82 @@ async function initializeServices() {
 
     console.log('API keys availability:', {
       gemini: apiAvailability.gemini ? 'Available' : 'Not available',
-      openai: apiAvailability.openai ? 'Available' : 'Not available'
+      openai: apiAvailability.openai ? 'Available' : 'Not available',
+      local: apiAvailability.local ? apiKeys.LOCAL_LLM_BASE_URL : 'Not configured'
     });
 
-    if (apiAvailability.gemini) {
+    // Stored settings are the base; a provider list in them sets the fallback order,
+    // otherwise the environment picks the primary provider
+    const settings = await db.getSettings();
+    if (settings.translationProviders.length > 0) {
+      translationService = new TranslationService({ settings, db });
+      console.log('Translation service initialized with providers:', translationService.providerOrder);
+    } else if (apiAvailability.local) {
+      // A configured local server is an explicit choice, so it wins over cloud keys
       translationService = new TranslationService({
+        settings,
+        apiProvider: 'local',
+        db
+      });
+      console.log('Translation service initialized with local LLM server');
+    } else if (apiAvailability.gemini) {
+      translationService = new TranslationService({
+        settings,
         apiProvider: 'gemini',
-        apiKey: apiKeys.GEMINI_API_KEY
+        apiKey: apiKeys.GEMINI_API_KEY,
+        db
       });
       console.log('Translation service initialized with Gemini API');
     } else if (apiAvailability.openai) {
       translationService = new TranslationService({
+        settings,
         apiProvider: 'openai',
-        apiKey: apiKeys.OPENAI_API_KEY
+        apiKey: apiKeys.OPENAI_API_KEY,
+        db
       });
       console.log('Translation service initialized with OpenAI API');
     } else {
-      translationService = new TranslationService();
+      translationService = new TranslationService({ settings, db });
       console.log('Translation service initialized with STUB implementation (no API keys available)');
     }
 
-    // Initialize session service
-    sessionService = new SessionService({ db });
+    // Initialize session service; it shares the translation service and its cache
+    sessionService = new SessionService({ db, translationService });
     console.log('Session service initialized');
 
-    return { db, translationService, sessionService };
+    // Initialize statistics service, which reads the sessions saved in the database
+    statisticsService = new StatisticsService({ db });
+
+    // Initialize the daily reminder; it is scheduled once the window exists. Reopening
+    // the window on macOS initializes again, so an earlier reminder is cancelled first.
+    if (studyReminder) {
+      studyReminder.stop();
+    }
+    studyReminder = new StudyReminder({ db, statisticsService, notify: showNotification });
+
+    return { db, translationService, sessionService, statisticsService, studyReminder };
   } catch (error) {
     console.error('Failed to initialize services:', error);
     throw error; // Re-throw to allow handling in the caller
   }
 }
 
+/**
+ * Apply saved or restored settings to the running services
+ * @param {Settings} settings - The settings now in the database
+ */
+function applySettings(settings) {
+  studyReminder.schedule(settings);
+  translationService.updateSettings(settings);
+}
+
 /**
  * Register all IPC handlers
  */
 function registerIpcHandlers() {
   try {
-    // Register database handlers
-    registerDatabaseHandlers(db, errorHandler, mainWindow, app);
+    // Register database handlers; a restored backup brings its own settings
+    registerDatabaseHandlers(db, errorHandler, mainWindow, app, applySettings);
     console.log('Database IPC handlers registered');
 
     // Register session handlers
@@ -86,15 +129,39 @@ function registerIpcHandlers() {
     registerTranslationHandlers(translationService, errorHandler, mainWindow);
     console.log('Translation IPC handlers registered');
 
-    // Register settings handlers
-    registerSettingsHandlers(db, errorHandler, mainWindow);
+    // Register settings handlers; saved settings may change the reminder and how answers are graded
+    registerSettingsHandlers(db, errorHandler, mainWindow, applySettings);
     console.log('Settings IPC handlers registered');
+
+    // Register statistics handlers
+    registerStatisticsHandlers(statisticsService, errorHandler, mainWindow);
+    console.log('Statistics IPC handlers registered');
   } catch (error) {
     console.error('Failed to register IPC handlers:', error);
     throw error;
   }
 }
 
+/**
+ * Show a system notification that brings the app to the front when clicked
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ */
+function showNotification(title, body) {
+  if (!Notification.isSupported()) {
+    return;
+  }
+
+  const notification = new Notification({ title, body });
+  notification.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+  notification.show();
+}
+
 /**
  * Create the application window
  */
@@ -142,6 +209,12 @@ async function initialize() {
     // Register IPC handlers after window creation
     registerIpcHandlers();
     
+    // Schedule the daily reminder
+    await studyReminder.start();
+    
+    // Back up the database daily; a backup is made now if the last one is a day old
+    await db.startDailyBackups();
+    
     console.log('Application initialized successfully');
   } catch (error) {
     console.error('Application initialization error:', error);
@@ -197,6 +270,9 @@ if (!process.env.JEST_WORKER_ID) {
 
   // Close database connection when app is quitting
   app.on('quit', () => {
+    if (studyReminder) {
+      studyReminder.stop();
+    }
     if (db) {
       db.close();
     }
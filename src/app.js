@@ -5,6 +5,8 @@
 
 // Import screen components
 const SetupScreen = require('./components/screens/SetupScreen');
+const CardManagementScreen = require('./components/screens/CardManagementScreen');
+const CsvImportScreen = require('./components/screens/CsvImportScreen');
 const NotificationComponent = require('./components/NotificationComponent');
 
 // Main app class
@@ -41,7 +43,9 @@ class FlashCardsApp {
       practice: document.getElementById('practice-screen'),
       feedback: document.getElementById('feedback-screen'),
       results: document.getElementById('results-screen'),
+      cards: document.getElementById('cards-screen'),
       import: document.getElementById('import-screen'),
+      csvImport: document.getElementById('csv-import-screen'),
       operationResult: document.getElementById('operation-result-screen')
     };
     
@@ -65,6 +69,22 @@ class FlashCardsApp {
       notificationSystem: this.notificationSystem,
       flashcards: window.flashcards
     });
+    
+    // Initialize card management screen
+    this.cardManagementScreen = new CardManagementScreen(document.body, {
+      onBack: () => this.showScreen('home'),
+      onCardsChanged: () => this.loadDatabaseStats(),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
+    
+    // Initialize CSV/TSV import screen
+    this.csvImportScreen = new CsvImportScreen(document.body, {
+      onBack: () => this.showScreen('import'),
+      onImported: (result) => this.showCsvImportResult(result),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
   }
   
   /**
@@ -75,7 +95,9 @@ class FlashCardsApp {
     document.getElementById('refresh-stats').addEventListener('click', () => this.loadDatabaseStats());
     document.getElementById('create-sample-card').addEventListener('click', () => this.createSampleCard());
     document.getElementById('start-practice-btn').addEventListener('click', () => this.showScreen('setup'));
+    document.getElementById('manage-cards-btn').addEventListener('click', () => this.showScreen('cards'));
     document.getElementById('export-data-btn').addEventListener('click', () => this.exportData());
+    document.getElementById('export-anki-btn').addEventListener('click', () => this.exportAnki());
     document.getElementById('import-data-btn').addEventListener('click', () => this.showScreen('import'));
     
     // Practice screen
@@ -91,6 +113,8 @@ class FlashCardsApp {
     // Import screen
     document.getElementById('back-from-import-btn').addEventListener('click', () => this.showScreen('home'));
     document.getElementById('proceed-import-btn').addEventListener('click', () => this.proceedWithImport());
+    document.getElementById('open-csv-import-btn').addEventListener('click', () => this.showScreen('csvImport'));
+    document.getElementById('import-anki-btn').addEventListener('click', () => this.importAnki());
     document.getElementById('back-to-home-from-result-btn').addEventListener('click', () => this.showScreen('home'));
     
     // Listen for error events from the backend
@@ -124,6 +148,21 @@ class FlashCardsApp {
       } else if (this.setupScreen && this.screens.setup) {
         this.setupScreen.hide();
       }
+      
+      // If showing card management screen, load the cards
+      if (screenName === 'cards') {
+        this.cardManagementScreen.show();
+      } else if (this.cardManagementScreen && this.screens.cards) {
+        this.cardManagementScreen.hide();
+      }
+      
+      // Leaving the CSV import screen forgets the chosen file
+      if (screenName === 'csvImport') {
+        this.csvImportScreen.show();
+      } else if (this.csvImportScreen && this.screens.csvImport) {
+        this.csvImportScreen.hide();
+        this.csvImportScreen.reset();
+      }
     } else {
       console.error(`Screen "${screenName}" not found`);
     }
@@ -228,13 +267,19 @@ class FlashCardsApp {
       
       this.state.currentCard = cardData;
       
-      // Update UI
-      document.getElementById('card-content').textContent = cardData.card.content;
+      // Update UI: reverse cards are shown in the target language
+      const prompt = cardData.prompt || { text: cardData.card.content };
+      document.getElementById('card-content').textContent = prompt.text;
+      document.getElementById('card-direction').textContent = prompt.language ?
+        `${prompt.language.toUpperCase()} → ${prompt.answerLanguage.toUpperCase()}` : '';
       
       // Update progress
       const progressPercent = (cardData.sessionProgress.current / cardData.sessionProgress.total) * 100;
       document.getElementById('session-progress').style.width = `${progressPercent}%`;
       
+      // Multiple-choice cards are answered by clicking a choice instead of typing
+      this.showChoices(cardData.choices);
+      
       // Clear the input
       document.getElementById('translation-input').value = '';
     } catch (error) {
@@ -247,12 +292,36 @@ class FlashCardsApp {
     }
   }
   
+  /**
+   * Show the answer choices of a multiple-choice card, or the translation input
+   * @param {string[]|null} choices - Answer choices, or null for a typed answer
+   */
+  showChoices(choices) {
+    const choiceList = document.getElementById('choice-list');
+    choiceList.innerHTML = '';
+    choiceList.style.display = choices ? 'grid' : 'none';
+    document.getElementById('translation-group').style.display = choices ? 'none' : '';
+    document.getElementById('submit-answer-btn').style.display = choices ? 'none' : '';
+    
+    (choices || []).forEach(choice => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'choice-button';
+      button.textContent = choice;
+      button.addEventListener('click', () => this.submitAnswer(choice));
+      choiceList.appendChild(button);
+    });
+  }
+  
   /**
    * Submit an answer for evaluation
+   * @param {string} [choice] - The chosen answer of a multiple-choice card; typed answers are read from the input
    */
-  async submitAnswer() {
+  async submitAnswer(choice) {
+    const choiceButtons = document.querySelectorAll('#choice-list .choice-button');
+    
     try {
-      const answer = document.getElementById('translation-input').value.trim();
+      const answer = typeof choice === 'string' ? choice : document.getElementById('translation-input').value.trim();
       
       if (!answer) {
         this.notificationSystem.warning(
@@ -267,12 +336,14 @@ class FlashCardsApp {
       const originalText = submitBtn.textContent;
       submitBtn.disabled = true;
       submitBtn.textContent = 'Evaluating...';
+      choiceButtons.forEach(button => { button.disabled = true; });
       
       const result = await window.flashcards.submitAnswer(this.state.sessionId, answer);
       
       // Re-enable submit button
       submitBtn.disabled = false;
       submitBtn.textContent = originalText;
+      choiceButtons.forEach(button => { button.disabled = false; });
       
       this.state.lastAnswer = answer;
       this.state.lastEvaluation = result;
@@ -285,6 +356,7 @@ class FlashCardsApp {
       const submitBtn = document.getElementById('submit-answer-btn');
       submitBtn.disabled = false;
       submitBtn.textContent = 'Submit Answer';
+      choiceButtons.forEach(button => { button.disabled = false; });
       
       this.notificationSystem.error(
         'Answer Submission Failed',
@@ -304,7 +376,7 @@ class FlashCardsApp {
     document.getElementById('feedback-progress').style.width = `${progressPercent}%`;
     
     // Show the original text
-    document.getElementById('feedback-original').textContent = this.state.currentCard.card.content;
+    document.getElementById('feedback-original').textContent = result.prompt || this.state.currentCard.card.content;
     
     // Show the user's answer
     document.getElementById('feedback-user-answer').textContent = this.state.lastAnswer;
@@ -440,6 +512,11 @@ class FlashCardsApp {
     try {
       const importMode = document.getElementById('import-mode').value;
       
+      if (importMode === 'replace' &&
+          !confirm('Replace mode deletes all existing flashcards, sessions and settings before importing. Continue?')) {
+        return;
+      }
+      
       const result = await window.flashcards.importDatabase({ mode: importMode });
       
       if (!result.success) {
@@ -460,6 +537,7 @@ class FlashCardsApp {
       
       // Show success screen
       const stats = [
+        { label: 'Import Mode', value: result.mode === 'replace' ? 'Replace' : 'Merge' },
         { label: 'Flashcards Imported', value: result.stats.flashcardsImported },
         { label: 'Sessions Imported', value: result.stats.sessionsImported },
         { label: 'Settings Imported', value: result.stats.settingsImported ? 'Yes' : 'No' }
@@ -490,6 +568,107 @@ class FlashCardsApp {
     }
   }
   
+  /**
+   * Export all flashcards in Anki's plain text format
+   */
+  async exportAnki() {
+    try {
+      const result = await window.flashcards.exportAnki();
+      
+      if (!result.success) {
+        if (result.reason !== 'canceled') {
+          this.showOperationResult(
+            'Export Failed',
+            'Failed to export cards for Anki: ' + (result.reason || 'Unknown error'),
+            [],
+            'incorrect'
+          );
+        }
+        return;
+      }
+      
+      this.showOperationResult(
+        'Export Successful',
+        'Your cards have been exported. Import the file in Anki with the "Basic" note type.',
+        [{ label: 'Flashcards', value: result.stats.flashcardsCount }],
+        'correct'
+      );
+      
+      document.getElementById('operation-result-path').textContent = result.path;
+      document.getElementById('operation-result-path-container').style.display = 'block';
+    } catch (error) {
+      console.error('Error exporting cards for Anki:', error);
+      this.showOperationResult(
+        'Export Error',
+        'An error occurred: ' + error.message,
+        [],
+        'incorrect'
+      );
+    }
+  }
+  
+  /**
+   * Import an Anki package or text export
+   */
+  async importAnki() {
+    try {
+      const sourceLanguage = document.getElementById('anki-source-language').value;
+      const result = await window.flashcards.importAnki({ sourceLanguage });
+      
+      if (!result.success) {
+        if (result.reason === 'no_notes') {
+          this.showOperationResult(
+            'Import Failed',
+            'The Anki file does not contain any notes that can be imported.',
+            [],
+            'incorrect'
+          );
+        }
+        return;
+      }
+      
+      this.showOperationResult(
+        'Import Successful',
+        'Your Anki deck has been imported!',
+        [
+          { label: 'Flashcards Imported', value: result.stats.flashcardsImported },
+          { label: 'Empty Notes Skipped', value: result.stats.notesSkipped }
+        ],
+        'correct'
+      );
+      
+      await this.loadDatabaseStats();
+    } catch (error) {
+      console.error('Error importing Anki deck:', error);
+      this.showOperationResult(
+        'Import Error',
+        'An error occurred: ' + error.message,
+        [],
+        'incorrect'
+      );
+    }
+  }
+  
+  /**
+   * Show the result of a CSV/TSV import
+   * @param {Object} result - Result of the database:importCsv handler
+   */
+  showCsvImportResult(result) {
+    const stats = [
+      { label: 'Flashcards Imported', value: result.stats.flashcardsImported },
+      { label: 'Rows Skipped', value: result.stats.rowsSkipped }
+    ];
+    
+    this.showOperationResult(
+      'Import Successful',
+      'Your vocabulary list has been imported!',
+      stats,
+      'correct'
+    );
+    
+    this.loadDatabaseStats();
+  }
+  
   /**
    * Display operation result screen
    * @param {string} title - The operation title
@@ -0,0 +1,229 @@
+/**
+ * Backup and restore panel
+ * Lists the database backups on the import screen, makes a backup on request and
+ * restores a chosen one
+ */
+class BackupRestorePanel {
+  /**
+   * Creates a new BackupRestorePanel component
+   * @param {HTMLElement} container - The panel element
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onRestored] - Called with the result after a backup is restored
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+    this.onRestored = options.onRestored || (() => {});
+
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM
+   * @private
+   */
+  _findElements() {
+    if (!this.container) {
+      console.error('Backup panel element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      list: this.container.querySelector('#backup-list'),
+      createBtn: this.container.querySelector('#create-backup-btn')
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const { createBtn } = this.elements;
+
+    if (createBtn && !createBtn._hasBackupListener) {
+      createBtn.addEventListener('click', () => this.createBackup());
+      createBtn._hasBackupListener = true;
+    }
+  }
+
+  /**
+   * Load and show the backups
+   * @returns {Promise<void>} - Promise resolving once the list is updated
+   */
+  async load() {
+    const { list } = this.elements;
+    if (!list) return;
+
+    try {
+      this.render(await this.flashcards.listBackups());
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      list.innerHTML = '';
+      list.appendChild(this._createMessage('Could not load the backups'));
+    }
+  }
+
+  /**
+   * Show the backups, newest first
+   * @param {Object[]} backups - Result of listBackups
+   */
+  render(backups) {
+    const { list } = this.elements;
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (backups.length === 0) {
+      list.appendChild(this._createMessage('No backups yet'));
+      return;
+    }
+
+    backups.forEach(backup => list.appendChild(this._createRow(backup)));
+  }
+
+  /**
+   * Back up the database now
+   * @returns {Promise<void>} - Promise resolving once the backup is made and the list reloaded
+   */
+  async createBackup() {
+    try {
+      const result = await this.flashcards.createBackup();
+
+      if (!result.success) {
+        if (this.notificationSystem) {
+          this.notificationSystem.warning('No Backup', 'This database cannot be backed up');
+        }
+        return;
+      }
+
+      if (this.notificationSystem) {
+        this.notificationSystem.success('Backup Created', 'The database has been backed up');
+      }
+      await this.load();
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      if (this.notificationSystem) {
+        this.notificationSystem.error('Backup Failed', 'Could not back up the database', error.message);
+      }
+    }
+  }
+
+  /**
+   * Restore a backup after the user confirms
+   * The current database is backed up first, so the restore shows up in the list too.
+   * @param {Object} backup - Backup from the list
+   * @returns {Promise<void>} - Promise resolving once the backup is restored
+   */
+  async restoreBackup(backup) {
+    const message = `Replace all cards, sessions and settings with the backup from ${BackupRestorePanel.formatDate(backup.createdAt)}? ` +
+      'The current data is backed up first.';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      const result = await this.flashcards.restoreBackup(backup.fileName);
+      await this.load();
+      this.onRestored(result);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      if (this.notificationSystem) {
+        this.notificationSystem.error('Restore Failed', 'Could not restore the backup', error.message);
+      }
+    }
+  }
+
+  /**
+   * Create the row of a backup
+   * @param {Object} backup - Backup from the list
+   * @returns {HTMLElement} - Row element
+   * @private
+   */
+  _createRow(backup) {
+    const row = document.createElement('div');
+    row.className = 'backup-row';
+
+    const details = document.createElement('div');
+
+    const title = document.createElement('div');
+    title.className = 'backup-date';
+    title.textContent = BackupRestorePanel.formatDate(backup.createdAt);
+    details.appendChild(title);
+
+    const summary = document.createElement('div');
+    summary.className = 'backup-summary';
+    summary.textContent = [
+      BackupRestorePanel.REASON_LABELS[backup.reason] || backup.reason,
+      backup.cardCount === null ? 'cards unknown' : `${backup.cardCount} card${backup.cardCount === 1 ? '' : 's'}`,
+      BackupRestorePanel.formatSize(backup.size)
+    ].join(' · ');
+    details.appendChild(summary);
+
+    row.appendChild(details);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'secondary-button';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => this.restoreBackup(backup));
+    row.appendChild(restoreBtn);
+
+    return row;
+  }
+
+  /**
+   * Create a message in place of the list
+   * @param {string} text - Message text
+   * @returns {HTMLElement} - Message element
+   * @private
+   */
+  _createMessage(text) {
+    const message = document.createElement('p');
+    message.className = 'backup-summary';
+    message.textContent = text;
+    return message;
+  }
+
+  /**
+   * Format the time of a backup
+   * @param {string} createdAt - ISO time
+   * @returns {string} - Local date and time
+   */
+  static formatDate(createdAt) {
+    return new Date(createdAt).toLocaleString();
+  }
+
+  /**
+   * Format a file size
+   * @param {number} size - Size in bytes
+   * @returns {string} - Size in KB or MB
+   */
+  static formatSize(size) {
+    if (size >= 1024 * 1024) {
+      return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(size / 1024))} KB`;
+  }
+}
+
+/**
+ * Labels of the reasons a backup was made
+ * @type {Object<string, string>}
+ */
+BackupRestorePanel.REASON_LABELS = {
+  daily: 'Daily',
+  import: 'Before import',
+  migration: 'Before upgrade',
+  manual: 'Manual',
+  'before-restore': 'Before restore'
+};
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackupRestorePanel;
+}
\ No newline at end of file
@@ -0,0 +1,222 @@
+// Namespace of the chart elements
+const CHART_SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Space around the plot for the value and label axes
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 40 };
+
+// Most labels shown under the plot before some are skipped
+const CHART_MAX_LABELS = 6;
+
+/**
+ * Chart component that draws line and bar charts as inline SVG
+ * Charts are drawn locally, so the dashboard works offline and loads nothing from a CDN.
+ */
+class ChartComponent {
+  /**
+   * Creates a new ChartComponent
+   * @param {HTMLElement} container - The container element for the chart
+   * @param {Object} options - Configuration options
+   * @param {'line'|'bar'} [options.type='line'] - Connected points, or one bar per point
+   * @param {number} [options.width=600] - Width of the drawing, which scales to the container
+   * @param {number} [options.height=200] - Height of the drawing
+   * @param {number} [options.maxValue] - Top of the value axis, defaults to the largest value
+   * @param {Function} [options.formatValue] - Formats values for the axis and tooltips
+   * @param {string} [options.emptyText] - Shown instead of a chart without values
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      type: 'line',
+      width: 600,
+      height: 200,
+      maxValue: null,
+      formatValue: value => String(Math.round(value)),
+      emptyText: 'No data yet',
+      ...options
+    };
+  }
+
+  /**
+   * Draw the chart, replacing the previous one
+   * A point without a value leaves a gap in a line and no bar.
+   * @param {Array<{label: string, value: ?number}>} points - Points in axis order
+   */
+  render(points) {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+
+    const values = points.map(point => point.value).filter(value => typeof value === 'number');
+    if (values.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'chart-empty';
+      empty.textContent = this.options.emptyText;
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const { width, height, type } = this.options;
+    const maxValue = this.options.maxValue || Math.max(...values) || 1;
+    const plot = {
+      left: CHART_PADDING.left,
+      top: CHART_PADDING.top,
+      width: width - CHART_PADDING.left - CHART_PADDING.right,
+      height: height - CHART_PADDING.top - CHART_PADDING.bottom
+    };
+    const scaleY = value => plot.top + plot.height - (Math.min(value, maxValue) / maxValue) * plot.height;
+
+    const svg = this._createElement('svg', {
+      class: 'chart',
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'img'
+    });
+
+    this._drawValueAxis(svg, plot, maxValue, scaleY);
+
+    const centers = type === 'bar' ?
+      this._drawBars(svg, points, plot, scaleY) :
+      this._drawLine(svg, points, plot, scaleY);
+
+    this._drawLabels(svg, points, centers, plot);
+
+    this.container.appendChild(svg);
+  }
+
+  /**
+   * Draw grid lines with values at the bottom, middle and top of the plot
+   * @private
+   */
+  _drawValueAxis(svg, plot, maxValue, scaleY) {
+    [0, maxValue / 2, maxValue].forEach(value => {
+      const y = scaleY(value);
+      svg.appendChild(this._createElement('line', {
+        class: 'chart-grid',
+        x1: plot.left,
+        x2: plot.left + plot.width,
+        y1: y,
+        y2: y
+      }));
+
+      const label = this._createElement('text', {
+        class: 'chart-axis-label',
+        x: plot.left - 6,
+        y: y + 4,
+        'text-anchor': 'end'
+      });
+      label.textContent = this.options.formatValue(value);
+      svg.appendChild(label);
+    });
+  }
+
+  /**
+   * Draw connected points, breaking the line where a value is missing
+   * @returns {number[]} - Horizontal center of each point
+   * @private
+   */
+  _drawLine(svg, points, plot, scaleY) {
+    const step = points.length > 1 ? plot.width / (points.length - 1) : 0;
+    const centers = points.map((point, index) => (points.length > 1 ? plot.left + index * step : plot.left + plot.width / 2));
+
+    let path = '';
+    let drawing = false;
+    points.forEach((point, index) => {
+      if (typeof point.value !== 'number') {
+        drawing = false;
+        return;
+      }
+
+      path += `${drawing ? 'L' : 'M'}${centers[index]},${scaleY(point.value)} `;
+      drawing = true;
+    });
+
+    svg.appendChild(this._createElement('path', { class: 'chart-line', d: path.trim() }));
+
+    points.forEach((point, index) => {
+      if (typeof point.value !== 'number') return;
+
+      const dot = this._createElement('circle', {
+        class: 'chart-point',
+        cx: centers[index],
+        cy: scaleY(point.value),
+        r: 3
+      });
+      dot.appendChild(this._createTitle(point));
+      svg.appendChild(dot);
+    });
+
+    return centers;
+  }
+
+  /**
+   * Draw one bar per point
+   * @returns {number[]} - Horizontal center of each bar
+   * @private
+   */
+  _drawBars(svg, points, plot, scaleY) {
+    const slot = plot.width / points.length;
+    const centers = points.map((point, index) => plot.left + (index + 0.5) * slot);
+
+    points.forEach((point, index) => {
+      if (typeof point.value !== 'number') return;
+
+      const y = scaleY(point.value);
+      const bar = this._createElement('rect', {
+        class: 'chart-bar',
+        x: centers[index] - slot * 0.35,
+        y,
+        width: slot * 0.7,
+        height: plot.top + plot.height - y
+      });
+      bar.appendChild(this._createTitle(point));
+      svg.appendChild(bar);
+    });
+
+    return centers;
+  }
+
+  /**
+   * Label the points under the plot, skipping some when there are many
+   * @private
+   */
+  _drawLabels(svg, points, centers, plot) {
+    const every = Math.ceil(points.length / CHART_MAX_LABELS);
+
+    points.forEach((point, index) => {
+      if (index % every !== 0) return;
+
+      const label = this._createElement('text', {
+        class: 'chart-axis-label',
+        x: centers[index],
+        y: plot.top + plot.height + 16,
+        'text-anchor': 'middle'
+      });
+      label.textContent = point.label.length > 12 ? `${point.label.slice(0, 11)}…` : point.label;
+      svg.appendChild(label);
+    });
+  }
+
+  /**
+   * Create a tooltip with the point's label and value
+   * @private
+   */
+  _createTitle(point) {
+    const title = this._createElement('title');
+    title.textContent = `${point.label}: ${this.options.formatValue(point.value)}`;
+    return title;
+  }
+
+  /**
+   * Create an SVG element with attributes
+   * @private
+   */
+  _createElement(name, attributes = {}) {
+    const element = document.createElementNS(CHART_SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+  }
+}
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChartComponent;
+}
\ No newline at end of file
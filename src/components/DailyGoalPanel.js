@@ -0,0 +1,183 @@
+/**
+ * Daily goal panel
+ * Shows progress toward today's goal and the practice streak on the home screen,
+ * and edits the goal and the reminder
+ */
+class DailyGoalPanel {
+  /**
+   * Creates a new DailyGoalPanel component
+   * @param {HTMLElement} container - The panel element
+   * @param {Object} options - Configuration options
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM
+   * @private
+   */
+  _findElements() {
+    if (!this.container) {
+      console.error('Daily goal panel element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      progressBar: this.container.querySelector('#daily-goal-progress'),
+      summary: this.container.querySelector('#daily-goal-summary'),
+      streak: this.container.querySelector('#daily-goal-streak'),
+      amountInput: this.container.querySelector('#daily-goal-amount'),
+      unitSelect: this.container.querySelector('#daily-goal-unit'),
+      reminderEnabled: this.container.querySelector('#reminder-enabled'),
+      reminderTime: this.container.querySelector('#reminder-time'),
+      saveBtn: this.container.querySelector('#save-daily-goal-btn')
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const { saveBtn } = this.elements;
+
+    if (saveBtn && !saveBtn._hasDailyGoalListener) {
+      saveBtn.addEventListener('click', () => this.saveGoal());
+      saveBtn._hasDailyGoalListener = true;
+    }
+  }
+
+  /**
+   * Load today's progress and the goal settings
+   * @returns {Promise<void>} - Promise resolving once the panel is updated
+   */
+  async load() {
+    try {
+      const [progress, settings] = await Promise.all([
+        this.flashcards.getDailyProgress(),
+        this.flashcards.getSettings()
+      ]);
+
+      this.render(progress);
+      this._fillForm(settings);
+    } catch (error) {
+      console.error('Error loading daily progress:', error);
+      if (this.elements.summary) {
+        this.elements.summary.textContent = 'Could not load your daily progress';
+      }
+    }
+  }
+
+  /**
+   * Show progress toward the goal and the streak
+   * @param {Object} progress - Result of getDailyProgress
+   */
+  render(progress) {
+    const { progressBar, summary, streak } = this.elements;
+    const { goal } = progress;
+    const unit = goal.unit === 'minutes' ? 'minutes' : 'cards';
+
+    if (progressBar) {
+      progressBar.style.width = `${progress.percent}%`;
+    }
+
+    if (summary) {
+      summary.textContent = progress.met ?
+        `Goal reached: ${Math.floor(progress.progress)} of ${goal.amount} ${unit} today` :
+        `${Math.floor(progress.progress)} of ${goal.amount} ${unit} today`;
+    }
+
+    if (this.container) {
+      this.container.classList.toggle('met', progress.met);
+    }
+
+    if (streak) {
+      streak.textContent = DailyGoalPanel.describeStreak(progress.streak);
+    }
+  }
+
+  /**
+   * Save the goal and reminder from the form
+   * Settings are saved whole, so the stored ones are the base.
+   * @returns {Promise<void>} - Promise resolving once the goal is saved and progress reloaded
+   */
+  async saveGoal() {
+    const { amountInput, unitSelect, reminderEnabled, reminderTime } = this.elements;
+    const amount = parseInt(amountInput.value, 10);
+
+    if (!(amount > 0)) {
+      if (this.notificationSystem) {
+        this.notificationSystem.warning('Invalid Goal', 'The daily goal must be at least 1');
+      }
+      return;
+    }
+
+    try {
+      const settings = await this.flashcards.getSettings();
+      await this.flashcards.saveSettings({
+        ...settings,
+        dailyGoal: amount,
+        dailyGoalUnit: unitSelect.value,
+        reminderEnabled: reminderEnabled.checked,
+        reminderTime: reminderTime.value || settings.reminderTime
+      });
+
+      if (this.notificationSystem) {
+        this.notificationSystem.success('Goal Saved', `Your daily goal is ${amount} ${unitSelect.value}`);
+      }
+      await this.load();
+    } catch (error) {
+      console.error('Error saving daily goal:', error);
+      if (this.notificationSystem) {
+        this.notificationSystem.error('Goal Not Saved', 'Could not save the daily goal', error.message);
+      }
+    }
+  }
+
+  /**
+   * Put the stored goal and reminder in the form
+   * @param {Object} settings - Settings data
+   * @private
+   */
+  _fillForm(settings) {
+    const { amountInput, unitSelect, reminderEnabled, reminderTime } = this.elements;
+
+    if (amountInput) amountInput.value = settings.dailyGoal;
+    if (unitSelect) unitSelect.value = settings.dailyGoalUnit;
+    if (reminderEnabled) reminderEnabled.checked = Boolean(settings.reminderEnabled);
+    if (reminderTime) reminderTime.value = settings.reminderTime;
+  }
+
+  /**
+   * Describe a practice streak
+   * @param {Object} streak - { current, longest, practicedToday }
+   * @returns {string} - Streak text
+   */
+  static describeStreak(streak) {
+    if (streak.current === 0) {
+      return streak.longest > 0 ?
+        `No current streak · longest ${streak.longest} day${streak.longest === 1 ? '' : 's'}` :
+        'Practice today to start a streak';
+    }
+
+    const days = `${streak.current}-day streak`;
+    const longest = streak.longest > streak.current ? ` · longest ${streak.longest} days` : '';
+    return streak.practicedToday ?
+      `${days}${longest}` :
+      `${days} · practice today to keep it${longest}`;
+  }
+}
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DailyGoalPanel;
+}
\ No newline at end of file
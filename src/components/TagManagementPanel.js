@@ -0,0 +1,334 @@
+/**
+ * Tag management panel
+ * Renames, merges and deletes tags, and adds or removes a tag on the cards
+ * matching the setup screen's tag selection
+ */
+class TagManagementPanel {
+  /**
+   * Creates a new TagManagementPanel component
+   * @param {HTMLElement} container - The panel element
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.getCardFilter] - Returns the card filter for bulk changes, or null if no cards are selected
+   * @param {Function} [options.onTagsChanged] - Called after tags were changed
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      getCardFilter: () => ({}),
+      onTagsChanged: () => {},
+      ...options
+    };
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+
+    this.state = {
+      tags: [],
+      busy: false
+    };
+
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM
+   * @private
+   */
+  _findElements() {
+    if (!this.container) {
+      console.error('Tag management panel element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      list: this.container.querySelector('#tag-management-list'),
+      nameInput: this.container.querySelector('#tag-management-name'),
+      renameBtn: this.container.querySelector('#rename-tag-btn'),
+      mergeBtn: this.container.querySelector('#merge-tags-btn'),
+      untagBtn: this.container.querySelector('#untag-cards-btn'),
+      deleteCardsBtn: this.container.querySelector('#delete-tagged-cards-btn'),
+      bulkNameInput: this.container.querySelector('#bulk-tag-name'),
+      bulkAddBtn: this.container.querySelector('#bulk-add-tag-btn'),
+      bulkRemoveBtn: this.container.querySelector('#bulk-remove-tag-btn')
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const actions = [
+      ['renameBtn', () => this.renameTag()],
+      ['mergeBtn', () => this.mergeTags()],
+      ['untagBtn', () => this.deleteTags({ deleteCards: false })],
+      ['deleteCardsBtn', () => this.deleteTags({ deleteCards: true })],
+      ['bulkAddBtn', () => this.addTagToCards()],
+      ['bulkRemoveBtn', () => this.removeTagFromCards()]
+    ];
+
+    actions.forEach(([name, action]) => {
+      const button = this.elements[name];
+      if (button && !button._hasTagManagementListener) {
+        button.addEventListener('click', action);
+        button._hasTagManagementListener = true;
+      }
+    });
+  }
+
+  /**
+   * Show the tags that can be managed
+   * The panel is hidden when there are none.
+   * @param {Object[]} tags - Tags with counts, as returned by getAvailableTags
+   */
+  setTags(tags) {
+    this.state.tags = tags || [];
+
+    if (this.container) {
+      this.container.style.display = this.state.tags.length > 0 ? 'block' : 'none';
+    }
+
+    const { list } = this.elements;
+    if (!list) return;
+
+    list.innerHTML = '';
+    this.state.tags.forEach(({ tag, count }) => {
+      const label = document.createElement('label');
+      label.className = 'tag-management-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = tag;
+
+      label.append(checkbox, ` ${tag} (${count})`);
+      list.appendChild(label);
+    });
+  }
+
+  /**
+   * Tags ticked in the list
+   * @returns {string[]} - Tag names
+   */
+  getCheckedTags() {
+    if (!this.elements.list) return [];
+
+    return Array.from(this.elements.list.querySelectorAll('input[type="checkbox"]:checked'))
+      .map(checkbox => checkbox.value);
+  }
+
+  /**
+   * Rename the ticked tag to the name in the name field
+   * @returns {Promise<void>}
+   */
+  async renameTag() {
+    const checked = this.getCheckedTags();
+    const newName = this._readName(this.elements.nameInput);
+
+    if (checked.length !== 1) {
+      this._warn('Rename Tag', 'Tick exactly one tag to rename.');
+      return;
+    }
+
+    if (!newName) {
+      this._warn('Rename Tag', 'Enter the new name of the tag.');
+      return;
+    }
+
+    await this._perform('Rename Tag', async () => {
+      const result = await this.flashcards.renameTag(checked[0], newName);
+      return `Renamed "${checked[0]}" to "${newName}" on ${this._cards(result.cardsUpdated)}.`;
+    });
+  }
+
+  /**
+   * Merge the ticked tags into the name in the name field, or into the first ticked tag
+   * @returns {Promise<void>}
+   */
+  async mergeTags() {
+    const checked = this.getCheckedTags();
+
+    if (checked.length < 2) {
+      this._warn('Merge Tags', 'Tick at least two tags to merge.');
+      return;
+    }
+
+    const targetName = this._readName(this.elements.nameInput) || checked[0];
+
+    await this._perform('Merge Tags', async () => {
+      const result = await this.flashcards.mergeTags(checked, targetName);
+      return `Merged ${checked.length} tags into "${targetName}" (${this._cards(result.cardsUpdated)}).`;
+    });
+  }
+
+  /**
+   * Delete the ticked tags
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.deleteCards=false] - Delete the tagged cards too
+   * @returns {Promise<void>}
+   */
+  async deleteTags({ deleteCards = false } = {}) {
+    const checked = this.getCheckedTags();
+
+    if (checked.length === 0) {
+      this._warn('Delete Tags', 'Tick the tags to delete.');
+      return;
+    }
+
+    const names = checked.map(name => `"${name}"`).join(', ');
+    const message = deleteCards ?
+      `Delete ${names} and every card carrying ${checked.length === 1 ? 'it' : 'them'}? This cannot be undone.` :
+      `Remove ${names} from all cards? The cards are kept.`;
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    await this._perform('Delete Tags', async () => {
+      let cardsUntagged = 0;
+      let cardsDeleted = 0;
+
+      for (const name of checked) {
+        const result = await this.flashcards.deleteTag(name, { deleteCards });
+        cardsUntagged += result.cardsUntagged;
+        cardsDeleted += result.cardsDeleted;
+      }
+
+      return deleteCards ?
+        `Deleted ${checked.length} tag(s) and ${this._cards(cardsDeleted)}.` :
+        `Removed ${checked.length} tag(s) from ${this._cards(cardsUntagged)}.`;
+    });
+  }
+
+  /**
+   * Add the tag in the bulk field to the selected cards
+   * @returns {Promise<void>}
+   */
+  async addTagToCards() {
+    await this._bulkChange('Add Tag', 'addTagToCards', (name, count) => `Added "${name}" to ${this._cards(count)}.`);
+  }
+
+  /**
+   * Remove the tag in the bulk field from the selected cards
+   * @returns {Promise<void>}
+   */
+  async removeTagFromCards() {
+    await this._bulkChange('Remove Tag', 'removeTagFromCards', (name, count) => `Removed "${name}" from ${this._cards(count)}.`);
+  }
+
+  /**
+   * Apply a tag change to the cards matching the tag selection
+   * @param {string} title - Notification title
+   * @param {string} method - flashcards API method to call
+   * @param {Function} describe - Builds the success message from the tag name and changed card count
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _bulkChange(title, method, describe) {
+    const name = this._readName(this.elements.bulkNameInput);
+    if (!name) {
+      this._warn(title, 'Enter the tag to add or remove.');
+      return;
+    }
+
+    const filter = this.options.getCardFilter();
+    if (!filter) {
+      this._warn(title, 'Select at least one tag in the tag selection to choose the cards.');
+      return;
+    }
+
+    await this._perform(title, async () => {
+      const result = await this.flashcards[method](name, filter);
+      return describe(name, result.cardsUpdated);
+    });
+  }
+
+  /**
+   * Run a change, report the outcome and refresh the tags
+   * @param {string} title - Notification title
+   * @param {Function} action - Async function returning the success message
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _perform(title, action) {
+    if (this.state.busy) return;
+
+    this.state.busy = true;
+    this._setButtonsDisabled(true);
+
+    try {
+      const message = await action();
+
+      if (this.notificationSystem) {
+        this.notificationSystem.success(title, message);
+      }
+
+      if (this.elements.nameInput) this.elements.nameInput.value = '';
+      await this.options.onTagsChanged();
+    } catch (error) {
+      console.error(`${title} failed:`, error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(title, 'The tags could not be changed', error.message);
+      } else {
+        alert(`${title} failed: ${error.message}`);
+      }
+    } finally {
+      this.state.busy = false;
+      this._setButtonsDisabled(false);
+    }
+  }
+
+  /**
+   * Enable or disable all action buttons
+   * @param {boolean} disabled - Whether the buttons are disabled
+   * @private
+   */
+  _setButtonsDisabled(disabled) {
+    ['renameBtn', 'mergeBtn', 'untagBtn', 'deleteCardsBtn', 'bulkAddBtn', 'bulkRemoveBtn'].forEach(name => {
+      if (this.elements[name]) {
+        this.elements[name].disabled = disabled;
+      }
+    });
+  }
+
+  /**
+   * Read a tag name from an input
+   * @param {HTMLInputElement} input - The input
+   * @returns {string} - Trimmed value, empty if missing
+   * @private
+   */
+  _readName(input) {
+    return input ? input.value.trim() : '';
+  }
+
+  /**
+   * Format a card count
+   * @param {number} count - Number of cards
+   * @returns {string} - e.g. "1 card" or "3 cards"
+   * @private
+   */
+  _cards(count) {
+    return `${count} ${count === 1 ? 'card' : 'cards'}`;
+  }
+
+  /**
+   * Show a warning
+   * @param {string} title - Notification title
+   * @param {string} message - Warning text
+   * @private
+   */
+  _warn(title, message) {
+    if (this.notificationSystem) {
+      this.notificationSystem.warning(title, message);
+    } else {
+      alert(message);
+    }
+  }
+}
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagManagementPanel;
+}
\ No newline at end of file
@@ -1,5 +1,17 @@
+// Chip states in click order
+const TAG_STATES = ['include', 'require', 'exclude', 'off'];
+
+// Screen reader description of each chip state
+const TAG_STATE_LABELS = {
+  include: 'included',
+  require: 'required',
+  exclude: 'excluded',
+  off: 'not selected'
+};
+
 /**
  * Tag selection component for selecting tags in practice sessions
+ * Each tag chip cycles through include, require, exclude and off.
  */
 class TagSelectionComponent {
   /**
@@ -17,8 +29,9 @@ class TagSelectionComponent {
       ...options
     };
     
-    this.selectedTags = [];
+    this.tagStates = {};
     this.includeUntagged = true;
+    this.countRequest = 0;
     
     // References to DOM elements
     this.elements = {};
@@ -47,6 +60,7 @@ class TagSelectionComponent {
         toggle: this.container.querySelector('.tag-selection-toggle'),
         status: this.container.querySelector('.tag-selection-status'),
         tagCloud: this.container.querySelector('.tag-cloud'),
+        matchingCount: this.container.querySelector('.tag-selection-count'),
         untaggedBtn: this.container.querySelector('#include-untagged'),
         selectAllBtn: this.container.querySelector('.tag-action-btn#select-all-tags'),
         deselectAllBtn: this.container.querySelector('.tag-action-btn#deselect-all-tags')
@@ -62,6 +76,7 @@ class TagSelectionComponent {
             aria-haspopup="true">
             <span>Select Tags</span>
             <span class="tag-selection-summary" aria-live="polite">All tags selected</span>
+            <span class="tag-selection-count" aria-live="polite"></span>
             <span class="tag-selection-toggle" aria-hidden="true">▼</span>
           </button>
           <div
@@ -72,6 +87,8 @@ class TagSelectionComponent {
             <!-- Selection status announced to screen readers but visually hidden -->
             <div class="sr-only" aria-live="polite" class="tag-selection-status"></div>
 
+            <p class="tag-selection-hint">Click a tag to include, require or exclude it. Cards need one included tag, every required tag and no excluded tag.</p>
+
             <!-- Tag Cloud -->
             <div class="tag-cloud" role="group" aria-label="Available tags">
               <div class="tag-loading">Loading tags...</div>
@@ -121,6 +138,7 @@ class TagSelectionComponent {
         toggle: this.container.querySelector('.tag-selection-toggle'),
         status: this.container.querySelector('.tag-selection-status'),
         tagCloud: this.container.querySelector('.tag-cloud'),
+        matchingCount: this.container.querySelector('.tag-selection-count'),
         untaggedBtn: this.container.querySelector('#include-untagged'),
         selectAllBtn: this.container.querySelector('#select-all-tags'),
         deselectAllBtn: this.container.querySelector('#deselect-all-tags')
@@ -222,10 +240,11 @@ class TagSelectionComponent {
     if (!this.elements.tagCloud) return;
     
     // Update tag buttons
+    const state = selected ? 'include' : 'off';
     const tagButtons = this.elements.tagCloud.querySelectorAll('.tag-toggle');
     tagButtons.forEach(button => {
-      button.classList.toggle('selected', selected);
-      button.setAttribute('aria-pressed', selected.toString());
+      this.tagStates[button.dataset.tag] = state;
+      TagSelectionComponent.applyState(button, state);
     });
     
     // Update untagged button
@@ -235,13 +254,6 @@ class TagSelectionComponent {
       this.elements.untaggedBtn.setAttribute('aria-pressed', selected.toString());
     }
     
-    // Update selectedTags array
-    if (selected) {
-      this.selectedTags = Array.from(tagButtons).map(button => button.dataset.tag);
-    } else {
-      this.selectedTags = [];
-    }
-    
     // Update summary
     this._updateSummary();
     
@@ -250,29 +262,19 @@ class TagSelectionComponent {
   }
   
   /**
-   * Toggle selection of a specific tag
-   * @param {HTMLElement} button - The tag button to toggle
+   * Move a tag to its next state: include, require, exclude, off
+   * @param {HTMLElement} button - The tag button that was clicked
    * @private
    */
   _toggleTag(button) {
     if (!button) return;
     
     const tag = button.dataset.tag;
-    const isSelected = button.classList.contains('selected');
-    const newState = !isSelected;
+    const newState = TagSelectionComponent.nextState(this.tagStates[tag] || 'off');
     
     // Update button state
-    button.classList.toggle('selected', newState);
-    button.setAttribute('aria-pressed', newState.toString());
-    
-    // Update selectedTags array
-    if (newState) {
-      if (!this.selectedTags.includes(tag)) {
-        this.selectedTags.push(tag);
-      }
-    } else {
-      this.selectedTags = this.selectedTags.filter(t => t !== tag);
-    }
+    this.tagStates[tag] = newState;
+    TagSelectionComponent.applyState(button, newState);
     
     // Update summary
     this._updateSummary();
@@ -291,12 +293,17 @@ class TagSelectionComponent {
     const tagButtons = this.elements.tagCloud ? this.elements.tagCloud.querySelectorAll('.tag-toggle') : [];
     const totalCount = tagButtons.length + 1; // +1 for untagged
     
-    const selectedTagButtons = this.elements.tagCloud ? 
-      this.elements.tagCloud.querySelectorAll('.tag-toggle.selected') : [];
-    const selectedCount = selectedTagButtons.length + (this.includeUntagged ? 1 : 0);
+    const { selectedTags, requiredTags, excludedTags } = this.getSelection();
+    const selectedCount = selectedTags.length + (this.includeUntagged ? 1 : 0);
     
     let summaryText = '';
-    if (selectedCount === 0) {
+    if (requiredTags.length > 0 || excludedTags.length > 0) {
+      summaryText = [
+        [selectedCount, 'included'],
+        [requiredTags.length, 'required'],
+        [excludedTags.length, 'excluded']
+      ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+    } else if (selectedCount === 0) {
       summaryText = 'No tags selected';
     } else if (selectedCount === totalCount) {
       summaryText = `All ${totalCount} tags selected`;
@@ -313,16 +320,48 @@ class TagSelectionComponent {
   }
   
   /**
-   * Notify about selection changes
+   * Notify about selection changes and refresh the matching card count
    * @private
    */
   _notifyChange() {
     if (this.options.onChange) {
       this.options.onChange({
-        selectedTags: this.selectedTags,
-        includeUntagged: this.includeUntagged
+        ...this.getSelection(),
+        filter: this.getFilter()
       });
     }
+    
+    this.updateMatchingCount();
+  }
+  
+  /**
+   * Show how many cards of the source language match the selection
+   * Answers to earlier requests are ignored, so quick clicks cannot show a stale count.
+   * @returns {Promise<number|null>} The number of matching cards, or null if it could not be counted
+   */
+  async updateMatchingCount() {
+    const flashcardsService = this.options.flashcards || window.flashcards;
+    if (!this.elements.matchingCount || !flashcardsService || !flashcardsService.countFlashCards) return null;
+    
+    const request = ++this.countRequest;
+    
+    try {
+      const count = await flashcardsService.countFlashCards({
+        sourceLanguage: this.options.sourceLanguage,
+        ...this.getFilter()
+      });
+      
+      if (request === this.countRequest) {
+        this.elements.matchingCount.textContent = `${count} ${count === 1 ? 'card' : 'cards'}`;
+      }
+      return count;
+    } catch (error) {
+      console.error('Error counting matching cards:', error);
+      if (request === this.countRequest) {
+        this.elements.matchingCount.textContent = '';
+      }
+      return null;
+    }
   }
   
   /**
@@ -346,6 +385,7 @@ class TagSelectionComponent {
       
       // Fetch the tags
       const tagsData = await flashcardsService.getAvailableTags(sourceLanguage);
+      this.options.sourceLanguage = sourceLanguage;
       
       // Check if we have any tags to display
       if (tagsData.tags.length === 0 && tagsData.untaggedCount === 0) {
@@ -377,11 +417,12 @@ class TagSelectionComponent {
               id="tag-${tagData.tag.replace(/\s+/g, '-')}"
               class="tag-toggle selected"
               data-tag="${tagData.tag}"
+              data-state="include"
               aria-pressed="true"
               aria-describedby="tag-desc-${tagData.tag.replace(/\s+/g, '-')}">
               <span>${tagData.tag}</span>
               <span class="tag-count">(${tagData.count})</span>
-              <span id="tag-desc-${tagData.tag.replace(/\s+/g, '-')}" class="sr-only">Toggle selection of tag ${tagData.tag} with ${tagData.count} cards</span>
+              <span id="tag-desc-${tagData.tag.replace(/\s+/g, '-')}" class="sr-only">Tag ${tagData.tag} with ${tagData.count} cards, <span class="tag-state-label">${TAG_STATE_LABELS.include}</span></span>
             </button>
           `;
         });
@@ -401,11 +442,15 @@ class TagSelectionComponent {
         }
       });
       
-      // Update the selected tags array with all tags initially
-      this.selectedTags = Array.from(tagButtons).map(button => button.dataset.tag);
+      // Include all tags initially
+      this.tagStates = {};
+      tagButtons.forEach(button => {
+        this.tagStates[button.dataset.tag] = 'include';
+      });
       
-      // Update summary
+      // Update summary and count
       this._updateSummary();
+      this.updateMatchingCount();
       
       // Close the accordion initially
       if (this.elements.content) {
@@ -432,32 +477,57 @@ class TagSelectionComponent {
   
   /**
    * Get the current selection state
-   * @returns {Object} Object containing selectedTags array and includeUntagged boolean
+   * @returns {Object} Object containing the selectedTags (included), requiredTags and excludedTags arrays and the includeUntagged boolean
    */
   getSelection() {
+    const tagsIn = state => Object.keys(this.tagStates).filter(tag => this.tagStates[tag] === state);
+    
     return {
-      selectedTags: this.selectedTags,
+      selectedTags: tagsIn('include'),
+      requiredTags: tagsIn('require'),
+      excludedTags: tagsIn('exclude'),
       includeUntagged: this.includeUntagged
     };
   }
   
+  /**
+   * Get the selection as card filter options
+   * @returns {Object} Object containing the tags filter expression and includeUntagged, as accepted by getAllFlashCards
+   */
+  getFilter() {
+    const states = Object.keys(this.tagStates).map(tag => ({ tag, state: this.tagStates[tag] }));
+    return TagSelectionComponent.buildFilter(states, this.includeUntagged);
+  }
+  
   /**
    * Set the selection state
-   * @param {string[]} tags - Array of tags to select
+   * Tags not named in any list are switched off.
+   * @param {string[]} tags - Array of tags to include
    * @param {boolean} includeUntagged - Whether to include untagged cards
+   * @param {Object} [options] - Required and excluded tags
+   * @param {string[]} [options.required=[]] - Tags cards must have
+   * @param {string[]} [options.excluded=[]] - Tags cards must not have
    */
-  setSelection(tags = [], includeUntagged = true) {
-    this.selectedTags = Array.isArray(tags) ? [...tags] : [];
+  setSelection(tags = [], includeUntagged = true, { required = [], excluded = [] } = {}) {
+    const stateOf = tag => {
+      if (excluded.includes(tag)) return 'exclude';
+      if (required.includes(tag)) return 'require';
+      return Array.isArray(tags) && tags.includes(tag) ? 'include' : 'off';
+    };
+    
+    this.tagStates = {};
+    [...(Array.isArray(tags) ? tags : []), ...required, ...excluded].forEach(tag => {
+      this.tagStates[tag] = stateOf(tag);
+    });
     this.includeUntagged = !!includeUntagged;
     
     // Update UI to match the selection
     if (this.elements.tagCloud) {
       const tagButtons = this.elements.tagCloud.querySelectorAll('.tag-toggle');
       tagButtons.forEach(button => {
-        const tag = button.dataset.tag;
-        const isSelected = this.selectedTags.includes(tag);
-        button.classList.toggle('selected', isSelected);
-        button.setAttribute('aria-pressed', isSelected.toString());
+        const state = stateOf(button.dataset.tag);
+        this.tagStates[button.dataset.tag] = state;
+        TagSelectionComponent.applyState(button, state);
       });
     }
     
@@ -490,15 +560,15 @@ class TagSelectionComponent {
    * Clear all selections
    */
   clear() {
-    this.selectedTags = [];
+    this.tagStates = {};
     this.includeUntagged = true;
     
     // Update UI
     if (this.elements.tagCloud) {
       const tagButtons = this.elements.tagCloud.querySelectorAll('.tag-toggle');
       tagButtons.forEach(button => {
-        button.classList.remove('selected');
-        button.setAttribute('aria-pressed', 'false');
+        this.tagStates[button.dataset.tag] = 'off';
+        TagSelectionComponent.applyState(button, 'off');
       });
     }
     
@@ -510,7 +580,58 @@ class TagSelectionComponent {
     // Update summary
     this._updateSummary();
   }
+  
+  /**
+   * State a tag chip moves to when clicked
+   * @param {string} state - Current state: include, require, exclude or off
+   * @returns {string} The next state
+   */
+  static nextState(state) {
+    const index = TAG_STATES.indexOf(state);
+    return TAG_STATES[(index + 1) % TAG_STATES.length];
+  }
+  
+  /**
+   * Show a state on a tag chip
+   * @param {HTMLElement} button - The tag button
+   * @param {string} state - include, require, exclude or off
+   */
+  static applyState(button, state) {
+    button.dataset.state = state;
+    button.classList.toggle('selected', state === 'include');
+    button.classList.toggle('required', state === 'require');
+    button.classList.toggle('excluded', state === 'exclude');
+    button.setAttribute('aria-pressed', (state !== 'off').toString());
+    
+    const label = button.querySelector('.tag-state-label');
+    if (label) {
+      label.textContent = TAG_STATE_LABELS[state];
+    }
+  }
+  
+  /**
+   * Turn chip states into card filter options
+   * Required tags count as included when no tag is switched off, so that with
+   * every tag in play a card carrying only required tags is still picked.
+   * Untagged cards never have the required tags, so the untagged chip only
+   * counts when no tag is required.
+   * @param {Array<{tag: string, state: string}>} tagStates - State of each tag
+   * @param {boolean} includeUntagged - Whether untagged cards are included
+   * @returns {Object} Object containing the tags filter expression ({ anyOf, allOf, noneOf }) and includeUntagged
+   */
+  static buildFilter(tagStates, includeUntagged) {
+    const tagsIn = state => tagStates.filter(entry => entry.state === state).map(entry => entry.tag);
+    const allOf = tagsIn('require');
+    const anyOf = tagStates.some(entry => entry.state === 'off') ? tagsIn('include') : [...tagsIn('include'), ...allOf];
+    
+    return {
+      tags: { anyOf, allOf, noneOf: tagsIn('exclude') },
+      includeUntagged: !!includeUntagged && allOf.length === 0
+    };
+  }
 }
 
-// Export the component for use in UI modules
-module.exports = TagSelectionComponent;
\ No newline at end of file
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagSelectionComponent;
+}
\ No newline at end of file
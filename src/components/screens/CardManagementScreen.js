@@ -0,0 +1,556 @@
+/**
+ * Card Management Screen component
+ * Lists flashcards page by page and lets the user search, edit and delete them
+ */
+class CardManagementScreen {
+  /**
+   * Creates a new CardManagementScreen component
+   * @param {HTMLElement} container - The container element for the card management screen
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onBack] - Called when the user leaves the screen
+   * @param {Function} [options.onCardsChanged] - Called after a card was saved or deleted
+   * @param {number} [options.pageSize=20] - Number of cards per page
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      onBack: () => {},
+      onCardsChanged: () => {},
+      pageSize: 20,
+      ...options
+    };
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+
+    this.state = {
+      page: 0,
+      hasNextPage: false,
+      cards: [],
+      editingCardId: null
+    };
+    this.searchTimer = null;
+
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM
+   * @private
+   */
+  _findElements() {
+    const cardsScreen = document.getElementById('cards-screen');
+
+    if (!cardsScreen) {
+      console.error('Card management screen element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      cardsScreen,
+      languageFilter: document.getElementById('cards-language-filter'),
+      tagFilter: document.getElementById('cards-tag-filter'),
+      searchInput: document.getElementById('cards-search'),
+      cardsList: document.getElementById('cards-list'),
+      pageLabel: document.getElementById('cards-page-label'),
+      prevPageBtn: document.getElementById('cards-prev-page-btn'),
+      nextPageBtn: document.getElementById('cards-next-page-btn'),
+      backBtn: document.getElementById('back-from-cards-btn')
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const { languageFilter, tagFilter, searchInput, prevPageBtn, nextPageBtn, backBtn } = this.elements;
+
+    if (languageFilter && !languageFilter._hasCardsListener) {
+      languageFilter.addEventListener('change', async () => {
+        await this._loadTags();
+        this._reload();
+      });
+      languageFilter._hasCardsListener = true;
+    }
+
+    if (tagFilter && !tagFilter._hasCardsListener) {
+      tagFilter.addEventListener('change', () => this._reload());
+      tagFilter._hasCardsListener = true;
+    }
+
+    if (searchInput && !searchInput._hasCardsListener) {
+      // Debounce typing so every keystroke doesn't hit the database
+      searchInput.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this._reload(), 300);
+      });
+      searchInput._hasCardsListener = true;
+    }
+
+    if (prevPageBtn && !prevPageBtn._hasCardsListener) {
+      prevPageBtn.addEventListener('click', () => this.goToPage(this.state.page - 1));
+      prevPageBtn._hasCardsListener = true;
+    }
+
+    if (nextPageBtn && !nextPageBtn._hasCardsListener) {
+      nextPageBtn.addEventListener('click', () => this.goToPage(this.state.page + 1));
+      nextPageBtn._hasCardsListener = true;
+    }
+
+    if (backBtn && !backBtn._hasCardsListener) {
+      backBtn.addEventListener('click', () => this.options.onBack());
+      backBtn._hasCardsListener = true;
+    }
+  }
+
+  /**
+   * Build the flashcard:getAll query from the current filters
+   * @returns {Object} - Query options for getAllFlashCards
+   * @private
+   */
+  _buildQuery() {
+    const { languageFilter, tagFilter, searchInput } = this.elements;
+    const query = {
+      // Ask for one extra card to find out whether there is a next page
+      limit: this.options.pageSize + 1,
+      offset: this.state.page * this.options.pageSize
+    };
+
+    if (languageFilter && languageFilter.value) {
+      query.sourceLanguage = languageFilter.value;
+    }
+
+    if (tagFilter && tagFilter.value) {
+      query.tags = [tagFilter.value];
+    }
+
+    const searchTerm = searchInput ? searchInput.value.trim() : '';
+    if (searchTerm) {
+      query.searchTerm = searchTerm;
+    }
+
+    return query;
+  }
+
+  /**
+   * Reload the list from the first page
+   * @private
+   */
+  _reload() {
+    this.state.page = 0;
+    return this.loadCards();
+  }
+
+  /**
+   * Go to the given page of results
+   * @param {number} page - Zero-based page number
+   */
+  goToPage(page) {
+    if (page < 0 || (page > this.state.page && !this.state.hasNextPage)) {
+      return Promise.resolve();
+    }
+
+    this.state.page = page;
+    return this.loadCards();
+  }
+
+  /**
+   * Load the current page of cards and render it
+   */
+  async loadCards() {
+    try {
+      const cards = await this.flashcards.getAllFlashCards(this._buildQuery());
+
+      this.state.hasNextPage = cards.length > this.options.pageSize;
+      this.state.cards = cards.slice(0, this.options.pageSize);
+      this.state.editingCardId = null;
+
+      // A delete can empty the last page; step back to one that has cards
+      if (this.state.cards.length === 0 && this.state.page > 0) {
+        this.state.page -= 1;
+        return this.loadCards();
+      }
+
+      this._renderCards();
+    } catch (error) {
+      console.error('Error loading cards:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Loading Cards Failed',
+          'Could not load flashcards',
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Populate the tag filter with the tags of the selected language
+   * Without a language filter, tags of every language in the filter are merged.
+   * @private
+   */
+  async _loadTags() {
+    const { languageFilter, tagFilter } = this.elements;
+    if (!tagFilter) return;
+
+    const previous = tagFilter.value;
+    const languages = languageFilter && languageFilter.value ?
+      [languageFilter.value] :
+      Array.from(languageFilter ? languageFilter.options : [])
+        .map(option => option.value)
+        .filter(Boolean);
+
+    try {
+      const counts = new Map();
+      for (const language of languages) {
+        const result = await this.flashcards.getAvailableTags(language);
+        (result.tags || []).forEach(({ tag, count }) => {
+          counts.set(tag, (counts.get(tag) || 0) + count);
+        });
+      }
+
+      tagFilter.innerHTML = '';
+      tagFilter.appendChild(new Option('All tags', ''));
+      Array.from(counts.keys())
+        .sort((a, b) => a.localeCompare(b))
+        .forEach(tag => {
+          tagFilter.appendChild(new Option(`${tag} (${counts.get(tag)})`, tag));
+        });
+
+      tagFilter.value = counts.has(previous) ? previous : '';
+    } catch (error) {
+      console.error('Error loading tags for card management:', error);
+    }
+  }
+
+  /**
+   * Render the current page of cards
+   * @private
+   */
+  _renderCards() {
+    const { cardsList, pageLabel, prevPageBtn, nextPageBtn } = this.elements;
+    if (!cardsList) return;
+
+    cardsList.innerHTML = '';
+
+    if (this.state.cards.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cards-empty';
+      empty.textContent = 'No flashcards match the current filters.';
+      cardsList.appendChild(empty);
+    } else {
+      this.state.cards.forEach(card => {
+        const row = card.id === this.state.editingCardId ?
+          this._createEditForm(card) :
+          this._createCardRow(card);
+        cardsList.appendChild(row);
+      });
+    }
+
+    if (pageLabel) {
+      pageLabel.textContent = `Page ${this.state.page + 1}`;
+    }
+    if (prevPageBtn) {
+      prevPageBtn.disabled = this.state.page === 0;
+    }
+    if (nextPageBtn) {
+      nextPageBtn.disabled = !this.state.hasNextPage;
+    }
+  }
+
+  /**
+   * Create the read-only row for a card
+   * @param {Object} card - Flashcard data
+   * @returns {HTMLElement} - Row element
+   * @private
+   */
+  _createCardRow(card) {
+    const row = document.createElement('div');
+    row.className = 'card-row';
+    row.dataset.cardId = card.id;
+
+    const details = document.createElement('div');
+    details.className = 'card-row-details';
+
+    const content = document.createElement('div');
+    content.className = 'card-row-content';
+    content.textContent = card.content;
+    details.appendChild(content);
+
+    const meta = document.createElement('div');
+    meta.className = 'card-row-meta';
+    meta.textContent = [
+      card.sourceLanguage.toUpperCase(),
+      card.userTranslation ? `→ ${card.userTranslation}` : '',
+      card.comment
+    ].filter(Boolean).join(' · ');
+    details.appendChild(meta);
+
+    if (card.tags && card.tags.length > 0) {
+      const tags = document.createElement('div');
+      card.tags.forEach(tag => {
+        const tagElement = document.createElement('span');
+        tagElement.className = 'card-tag';
+        tagElement.textContent = tag;
+        tags.appendChild(tagElement);
+      });
+      details.appendChild(tags);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'card-row-actions';
+    actions.appendChild(this._createButton('Edit', 'secondary-button', () => {
+      this.state.editingCardId = card.id;
+      this._renderCards();
+    }));
+    actions.appendChild(this._createButton('Delete', 'secondary-button danger', () => this.deleteCard(card)));
+
+    row.appendChild(details);
+    row.appendChild(actions);
+    return row;
+  }
+
+  /**
+   * Create the inline edit form for a card
+   * @param {Object} card - Flashcard data
+   * @returns {HTMLElement} - Form element
+   * @private
+   */
+  _createEditForm(card) {
+    const form = document.createElement('form');
+    form.className = 'card-row editing';
+    form.dataset.cardId = card.id;
+
+    const fields = [
+      { name: 'content', label: 'Content', value: card.content },
+      { name: 'userTranslation', label: 'Translation', value: card.userTranslation },
+      {
+        name: 'alternativeTranslations',
+        label: 'Also accepted (semicolon separated, note in parentheses)',
+        value: CardManagementScreen.formatAcceptedTranslations(card.alternativeTranslations)
+      },
+      { name: 'comment', label: 'Comment', value: card.comment },
+      { name: 'tags', label: 'Tags (comma separated)', value: (card.tags || []).join(', ') }
+    ];
+
+    fields.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = field.name;
+      input.id = `card-edit-${field.name}`;
+      input.value = field.value || '';
+
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+      label.textContent = field.label;
+
+      group.appendChild(label);
+      group.appendChild(input);
+      form.appendChild(group);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'card-row-actions';
+    const saveBtn = this._createButton('Save', 'primary-button', null);
+    saveBtn.type = 'submit';
+    actions.appendChild(saveBtn);
+    actions.appendChild(this._createButton('Cancel', 'secondary-button', () => {
+      this.state.editingCardId = null;
+      this._renderCards();
+    }));
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.saveCard(card, {
+        content: form.elements.content.value.trim(),
+        userTranslation: form.elements.userTranslation.value.trim(),
+        alternativeTranslations: CardManagementScreen.parseAcceptedTranslations(form.elements.alternativeTranslations.value),
+        comment: form.elements.comment.value.trim(),
+        tags: CardManagementScreen.parseTags(form.elements.tags.value)
+      });
+    });
+
+    // Focus the first field so the user can start typing straight away
+    setTimeout(() => form.elements.content.focus(), 0);
+
+    return form;
+  }
+
+  /**
+   * Create a button element
+   * @param {string} label - Button text
+   * @param {string} className - CSS classes
+   * @param {Function|null} onClick - Click handler
+   * @returns {HTMLButtonElement} - Button element
+   * @private
+   */
+  _createButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    if (onClick) {
+      button.addEventListener('click', onClick);
+    }
+    return button;
+  }
+
+  /**
+   * Save edits to a card
+   * @param {Object} card - The card being edited
+   * @param {Object} changes - Edited fields
+   * @returns {Promise<boolean>} - True if the card was saved
+   */
+  async saveCard(card, changes) {
+    if (!changes.content) {
+      if (this.notificationSystem) {
+        this.notificationSystem.warning('Invalid Card', 'Card content cannot be empty.');
+      }
+      return false;
+    }
+
+    try {
+      await this.flashcards.saveFlashCard({
+        ...card,
+        ...changes,
+        updatedAt: new Date().toISOString()
+      });
+
+      if (this.notificationSystem) {
+        this.notificationSystem.success('Card Saved', 'Flashcard updated successfully.');
+      }
+
+      await this._loadTags();
+      await this.loadCards();
+      this.options.onCardsChanged();
+      return true;
+    } catch (error) {
+      console.error('Error saving card:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Saving Card Failed',
+          'Could not save flashcard',
+          error.message
+        );
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Delete a card after confirmation
+   * @param {Object} card - The card to delete
+   * @returns {Promise<boolean>} - True if the card was deleted
+   */
+  async deleteCard(card) {
+    if (!window.confirm(`Delete the card "${card.content}"? This cannot be undone.`)) {
+      return false;
+    }
+
+    try {
+      await this.flashcards.deleteFlashCard(card.id);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.success('Card Deleted', 'Flashcard deleted successfully.');
+      }
+
+      await this._loadTags();
+      await this.loadCards();
+      this.options.onCardsChanged();
+      return true;
+    } catch (error) {
+      console.error('Error deleting card:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Deleting Card Failed',
+          'Could not delete flashcard',
+          error.message
+        );
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Parse a comma separated tag list
+   * @param {string} value - Comma separated tags
+   * @returns {string[]} - Trimmed, de-duplicated tags
+   */
+  static parseTags(value) {
+    const tags = (value || '')
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean);
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Parse a semicolon separated list of accepted translations
+   * A note may follow each translation in parentheses, e.g. 'Karre (colloquial)'.
+   * @param {string} value - Semicolon separated translations
+   * @returns {Array<{text: string, note: string}>} - Accepted translations
+   */
+  static parseAcceptedTranslations(value) {
+    return (value || '')
+      .split(';')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const match = entry.match(/^(.*?)\s*\(([^)]*)\)$/);
+        return match && match[1] ? { text: match[1], note: match[2].trim() } : { text: entry, note: '' };
+      });
+  }
+
+  /**
+   * Format accepted translations for the edit form
+   * @param {Array<{text: string, note: string}>} [translations] - Accepted translations
+   * @returns {string} - Semicolon separated translations
+   */
+  static formatAcceptedTranslations(translations) {
+    return (translations || [])
+      .map(translation => (translation.note ? `${translation.text} (${translation.note})` : translation.text))
+      .join('; ');
+  }
+
+  /**
+   * Show the card management screen
+   */
+  async show() {
+    if (!this.elements.cardsScreen) {
+      console.error('Card management screen element not found');
+      return;
+    }
+
+    this.elements.cardsScreen.classList.add('active');
+    await this._loadTags();
+    await this._reload();
+  }
+
+  /**
+   * Hide the card management screen
+   */
+  hide() {
+    if (!this.elements.cardsScreen) {
+      console.error('Card management screen element not found');
+      return;
+    }
+
+    clearTimeout(this.searchTimer);
+    this.elements.cardsScreen.classList.remove('active');
+  }
+}
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CardManagementScreen;
+}
\ No newline at end of file
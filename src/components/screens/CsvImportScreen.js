@@ -0,0 +1,400 @@
+/**
+ * CSV Import Screen component
+ * Lets the user pick a CSV/TSV file, map its columns to flashcard fields and
+ * check a preview with per-row validation errors before importing
+ */
+class CsvImportScreen {
+  /**
+   * Creates a new CsvImportScreen component
+   * @param {HTMLElement} container - The container element for the CSV import screen
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onBack] - Called when the user leaves the screen
+   * @param {Function} [options.onImported] - Called with the import result after cards were imported
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      onBack: () => {},
+      onImported: () => {},
+      ...options
+    };
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+
+    this.state = {
+      preview: null
+    };
+
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM
+   * @private
+   */
+  _findElements() {
+    const csvImportScreen = document.getElementById('csv-import-screen');
+
+    if (!csvImportScreen) {
+      console.error('CSV import screen element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      csvImportScreen,
+      chooseFileBtn: document.getElementById('csv-choose-file-btn'),
+      fileName: document.getElementById('csv-file-name'),
+      optionsContainer: document.getElementById('csv-options'),
+      delimiter: document.getElementById('csv-delimiter'),
+      encoding: document.getElementById('csv-encoding'),
+      defaultLanguage: document.getElementById('csv-default-language'),
+      tagDelimiter: document.getElementById('csv-tag-delimiter'),
+      hasHeader: document.getElementById('csv-has-header'),
+      mapping: document.getElementById('csv-mapping'),
+      summary: document.getElementById('csv-summary'),
+      preview: document.getElementById('csv-preview'),
+      importBtn: document.getElementById('csv-import-btn'),
+      backBtn: document.getElementById('back-from-csv-import-btn')
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const { chooseFileBtn, delimiter, encoding, defaultLanguage, tagDelimiter, hasHeader, importBtn, backBtn } = this.elements;
+
+    if (chooseFileBtn && !chooseFileBtn._hasCsvListener) {
+      chooseFileBtn.addEventListener('click', () => this.chooseFile());
+      chooseFileBtn._hasCsvListener = true;
+    }
+
+    // A different delimiter or encoding changes the columns, so detect everything again
+    [delimiter, encoding].forEach(element => {
+      if (element && !element._hasCsvListener) {
+        element.addEventListener('change', () => this.refreshPreview({ keepHeader: false, keepMapping: false }));
+        element._hasCsvListener = true;
+      }
+    });
+
+    if (hasHeader && !hasHeader._hasCsvListener) {
+      hasHeader.addEventListener('change', () => this.refreshPreview({ keepHeader: true, keepMapping: false }));
+      hasHeader._hasCsvListener = true;
+    }
+
+    [defaultLanguage, tagDelimiter].forEach(element => {
+      if (element && !element._hasCsvListener) {
+        element.addEventListener('change', () => this.refreshPreview());
+        element._hasCsvListener = true;
+      }
+    });
+
+    if (importBtn && !importBtn._hasCsvListener) {
+      importBtn.addEventListener('click', () => this.importCards());
+      importBtn._hasCsvListener = true;
+    }
+
+    if (backBtn && !backBtn._hasCsvListener) {
+      backBtn.addEventListener('click', () => this.options.onBack());
+      backBtn._hasCsvListener = true;
+    }
+  }
+
+  /**
+   * Build the importer options from the form
+   * @param {Object} [keep] - Which detected settings to pass on
+   * @param {boolean} [keep.keepHeader=true] - Send the header checkbox instead of detecting it
+   * @param {boolean} [keep.keepMapping=true] - Send the column mapping instead of guessing it
+   * @returns {Object} - Options for the database:previewCsv and database:importCsv handlers
+   * @private
+   */
+  _buildOptions({ keepHeader = true, keepMapping = true } = {}) {
+    const { delimiter, encoding, defaultLanguage, tagDelimiter, hasHeader } = this.elements;
+    const options = {
+      encoding: encoding ? encoding.value : 'auto',
+      defaultSourceLanguage: defaultLanguage ? defaultLanguage.value : 'en',
+      tagDelimiter: tagDelimiter && tagDelimiter.value ? tagDelimiter.value : ','
+    };
+
+    if (delimiter && delimiter.value) {
+      options.delimiter = delimiter.value;
+    }
+
+    if (this.state.preview && keepHeader && hasHeader) {
+      options.hasHeader = hasHeader.checked;
+    }
+
+    if (this.state.preview && keepMapping) {
+      options.mapping = this._readMapping();
+    }
+
+    return options;
+  }
+
+  /**
+   * Read the column mapping from the mapping selects
+   * @returns {Object} - Column index per field, null for unmapped fields
+   * @private
+   */
+  _readMapping() {
+    const mapping = {};
+
+    CsvImportScreen.FIELDS.forEach(({ name }) => {
+      const select = this.elements.mapping && this.elements.mapping.querySelector(`select[name="${name}"]`);
+      mapping[name] = select && select.value !== '' ? Number(select.value) : null;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Let the user pick a file and show its preview
+   */
+  async chooseFile() {
+    try {
+      const result = await this.flashcards.openCsvImport(this._buildOptions({ keepHeader: false, keepMapping: false }));
+
+      if (!result.success) {
+        return;
+      }
+
+      this._applyPreview(result);
+    } catch (error) {
+      console.error('Error opening CSV file:', error);
+      this._showError('Could not read the file', error);
+    }
+  }
+
+  /**
+   * Analyze the chosen file again with the current options
+   * @param {Object} [keep] - Which settings to keep, see _buildOptions
+   */
+  async refreshPreview(keep) {
+    if (!this.state.preview) return;
+
+    try {
+      const result = await this.flashcards.previewCsvImport(this._buildOptions(keep));
+
+      if (!result.success) {
+        this.reset();
+        return;
+      }
+
+      this._applyPreview(result);
+    } catch (error) {
+      console.error('Error previewing CSV file:', error);
+      this._showError('Could not read the file with these settings', error);
+    }
+  }
+
+  /**
+   * Import the valid rows of the chosen file
+   * @returns {Promise<boolean>} - True if cards were imported
+   */
+  async importCards() {
+    if (!this.state.preview) return false;
+
+    try {
+      const result = await this.flashcards.importCsv(this._buildOptions());
+
+      if (!result.success) {
+        if (this.notificationSystem) {
+          this.notificationSystem.warning('Nothing to Import', 'None of the rows can be imported. Check the column mapping.');
+        }
+        return false;
+      }
+
+      this.reset();
+      this.options.onImported(result);
+      return true;
+    } catch (error) {
+      console.error('Error importing CSV file:', error);
+      this._showError('The cards could not be imported', error);
+      return false;
+    }
+  }
+
+  /**
+   * Show a preview returned by the main process
+   * @param {Object} preview - Preview data
+   * @private
+   */
+  _applyPreview(preview) {
+    const { fileName, optionsContainer, hasHeader, summary, importBtn } = this.elements;
+
+    this.state.preview = preview;
+
+    if (fileName) {
+      fileName.textContent = preview.fileName;
+    }
+    if (optionsContainer) {
+      optionsContainer.style.display = 'block';
+    }
+    if (hasHeader) {
+      hasHeader.checked = preview.hasHeader;
+    }
+
+    this._renderMapping();
+    this._renderPreviewTable();
+
+    if (summary) {
+      const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab' }[preview.delimiter] || preview.delimiter;
+      summary.textContent = `${preview.totalRows} rows (${preview.encoding}, ${delimiterName}-separated): ` +
+        `${preview.validCount} ready to import` +
+        (preview.invalidCount > 0 ? `, ${preview.invalidCount} with problems will be skipped.` : '.');
+    }
+
+    if (importBtn) {
+      importBtn.disabled = preview.validCount === 0;
+      importBtn.textContent = preview.validCount > 0 ? `Import ${preview.validCount} Cards` : 'Import Cards';
+    }
+  }
+
+  /**
+   * Render one column select per flashcard field
+   * @private
+   */
+  _renderMapping() {
+    const { mapping } = this.elements;
+    if (!mapping) return;
+
+    const { columns, mapping: current } = this.state.preview;
+    mapping.innerHTML = '';
+
+    CsvImportScreen.FIELDS.forEach(({ name, label }) => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+
+      const labelElement = document.createElement('label');
+      labelElement.textContent = `${label}:`;
+
+      const select = document.createElement('select');
+      select.name = name;
+      select.appendChild(new Option('(not imported)', ''));
+      columns.forEach((column, index) => select.appendChild(new Option(column, String(index))));
+      select.value = current[name] === null || current[name] === undefined ? '' : String(current[name]);
+      select.addEventListener('change', () => this.refreshPreview());
+
+      labelElement.appendChild(select);
+      group.appendChild(labelElement);
+      mapping.appendChild(group);
+    });
+  }
+
+  /**
+   * Render the first rows, and any later rows with problems, as a table
+   * @private
+   */
+  _renderPreviewTable() {
+    const { preview } = this.elements;
+    if (!preview) return;
+
+    const { rows, invalidRows } = this.state.preview;
+    preview.innerHTML = '';
+
+    const header = preview.insertRow();
+    ['Row', ...CsvImportScreen.FIELDS.map(field => field.label), 'Problems'].forEach(title => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      header.appendChild(th);
+    });
+
+    rows.forEach(row => {
+      const tr = preview.insertRow();
+      tr.className = row.errors.length > 0 ? 'invalid' : '';
+      [
+        row.rowNumber,
+        row.card.content,
+        row.card.sourceLanguage,
+        row.card.userTranslation,
+        row.card.comment,
+        row.card.tags.join(', '),
+        row.errors.join('; ')
+      ].forEach(value => {
+        tr.insertCell().textContent = value;
+      });
+    });
+
+    // Problems further down the file are listed without their values
+    const lastPreviewRow = rows.length > 0 ? rows[rows.length - 1].rowNumber : 0;
+    invalidRows
+      .filter(row => row.rowNumber > lastPreviewRow)
+      .forEach(row => {
+        const tr = preview.insertRow();
+        tr.className = 'invalid';
+        tr.insertCell().textContent = row.rowNumber;
+        const cell = tr.insertCell();
+        cell.colSpan = CsvImportScreen.FIELDS.length + 1;
+        cell.textContent = row.errors.join('; ');
+      });
+  }
+
+  /**
+   * Report an error through the notification system
+   * @param {string} message - What went wrong
+   * @param {Error} error - The error
+   * @private
+   */
+  _showError(message, error) {
+    if (this.notificationSystem) {
+      this.notificationSystem.error('CSV Import Failed', message, error.message);
+    }
+  }
+
+  /**
+   * Forget the chosen file and clear the form
+   */
+  reset() {
+    const { fileName, optionsContainer, mapping, summary, preview, importBtn } = this.elements;
+
+    this.state.preview = null;
+
+    if (fileName) fileName.textContent = '';
+    if (optionsContainer) optionsContainer.style.display = 'none';
+    if (mapping) mapping.innerHTML = '';
+    if (summary) summary.textContent = '';
+    if (preview) preview.innerHTML = '';
+    if (importBtn) {
+      importBtn.disabled = true;
+      importBtn.textContent = 'Import Cards';
+    }
+  }
+
+  /**
+   * Show the CSV import screen
+   */
+  show() {
+    if (this.elements.csvImportScreen) {
+      this.elements.csvImportScreen.classList.add('active');
+    }
+  }
+
+  /**
+   * Hide the CSV import screen
+   */
+  hide() {
+    if (this.elements.csvImportScreen) {
+      this.elements.csvImportScreen.classList.remove('active');
+    }
+  }
+}
+
+/**
+ * Flashcard fields that can be filled from a column, in display order
+ */
+CsvImportScreen.FIELDS = [
+  { name: 'content', label: 'Content' },
+  { name: 'sourceLanguage', label: 'Language' },
+  { name: 'userTranslation', label: 'Translation' },
+  { name: 'comment', label: 'Comment' },
+  { name: 'tags', label: 'Tags' }
+];
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CsvImportScreen;
+}
\ No newline at end of file
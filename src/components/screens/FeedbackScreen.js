@@ -21,6 +21,7 @@ class FeedbackScreen {
     this.evaluationResult = null;
     this.lastAnswer = null;
     this.currentCard = null;
+    this.feedbackData = null;
 
     this.elements = {};
     this._findElements();
@@ -48,6 +49,9 @@ class FeedbackScreen {
       userAnswer: document.getElementById('feedback-user-answer'),
       suggestedTranslation: document.getElementById('feedback-suggested'),
       feedbackResult: document.getElementById('feedback-result'),
+      acceptButton: document.getElementById('accept-answer-btn'),
+      overrideRightButton: document.getElementById('override-right-btn'),
+      overrideWrongButton: document.getElementById('override-wrong-btn'),
       nextButton: document.getElementById('next-card-btn')
     };
   }
@@ -64,6 +68,25 @@ class FeedbackScreen {
       this.elements.nextButton._hasFeedbackListener = true;
     }
 
+    if (this.elements.acceptButton && !this.elements.acceptButton._hasFeedbackListener) {
+      this.elements.acceptButton.addEventListener('click', () => {
+        this._acceptAnswer();
+      });
+      this.elements.acceptButton._hasFeedbackListener = true;
+    }
+
+    [
+      [this.elements.overrideRightButton, true],
+      [this.elements.overrideWrongButton, false]
+    ].forEach(([button, correct]) => {
+      if (button && !button._hasFeedbackListener) {
+        button.addEventListener('click', () => {
+          this._overrideVerdict(correct);
+        });
+        button._hasFeedbackListener = true;
+      }
+    });
+
     // Add keyboard shortcut for next card (Space, Enter)
     document.addEventListener('keydown', (e) => {
       // Only if the feedback screen is active
@@ -123,12 +146,108 @@ class FeedbackScreen {
     }
   }
 
+  /**
+   * Add the user's answer to the card's accepted translations
+   * @private
+   */
+  async _acceptAnswer() {
+    if (!this.currentCard || !this.lastAnswer) {
+      return;
+    }
+
+    try {
+      if (this.elements.acceptButton) {
+        this.elements.acceptButton.disabled = true;
+      }
+
+      const result = await this.flashcards.acceptTranslation(this.currentCard.id, this.lastAnswer);
+      this.currentCard = result.card;
+
+      if (this.elements.acceptButton) {
+        this.elements.acceptButton.style.display = 'none';
+      }
+
+      if (this.notificationSystem) {
+        this.notificationSystem.success(
+          'Answer Accepted',
+          `"${this.lastAnswer}" is now an accepted translation of this card.`
+        );
+      }
+    } catch (error) {
+      console.error('Error accepting answer:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Accepting Answer Failed',
+          'Could not add your answer to the card',
+          error.message
+        );
+      }
+    } finally {
+      if (this.elements.acceptButton) {
+        this.elements.acceptButton.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Replace the evaluated verdict of the answer with the user's own
+   * @private
+   * @param {boolean} correct - Whether the user says the answer was correct
+   */
+  async _overrideVerdict(correct) {
+    const data = this.feedbackData;
+    if (!data || typeof data.responseIndex !== 'number') {
+      return;
+    }
+
+    try {
+      const { response } = await this.flashcards.overrideResponse(this.sessionId, data.responseIndex, correct);
+
+      // Show the user's verdict in place of the evaluated one
+      this.showFeedback({
+        ...data,
+        evaluation: { ...data.evaluation, correct: response.correct, overridden: Boolean(response.overridden) }
+      });
+    } catch (error) {
+      console.error('Error overriding verdict:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Override Failed',
+          'Could not change the verdict of your answer',
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Check whether the user's answer can be added to the card's accepted translations
+   * Only typed answers to the card's own side are offered, and only if not accepted yet.
+   * @param {Object} data - Feedback data, as passed to showFeedback
+   * @returns {boolean} - True if the answer can be accepted
+   */
+  canAcceptAnswer(data) {
+    if (!data.card || !data.userAnswer || data.choices || (data.direction && data.direction !== 'forward')) {
+      return false;
+    }
+
+    const answer = data.userAnswer.trim().toLowerCase();
+    const accepted = [data.card.userTranslation, ...(data.card.alternativeTranslations || []).map(translation => translation.text)];
+    return !accepted.some(translation => translation && translation.trim().toLowerCase() === answer);
+  }
+
   /**
    * Display feedback for the user's answer
    * @param {Object} data - Feedback data
    * @param {Object} data.card - The current card data
+   * @param {string} [data.prompt] - The text the card was shown with, if not its content
    * @param {Object} data.evaluation - The evaluation result
    * @param {string} data.userAnswer - The user's submitted answer
+   * @param {'forward'|'reverse'} [data.direction] - Direction the card was practiced in
+   * @param {Array<string>} [data.choices] - Choices, if the card was answered by multiple choice
+   * @param {number} [data.responseIndex] - Position of the response in the session, for overriding its verdict
    * @param {Object} data.sessionProgress - Session progress information
    * @param {string} data.sessionId - The session ID
    */
@@ -137,6 +256,7 @@ class FeedbackScreen {
     this.evaluationResult = data.evaluation;
     this.lastAnswer = data.userAnswer;
     this.currentCard = data.card;
+    this.feedbackData = data;
     
     // Update progress in the feedback screen
     if (this.elements.progressBar && data.sessionProgress) {
@@ -146,7 +266,7 @@ class FeedbackScreen {
     
     // Show the original text
     if (this.elements.originalText && data.card) {
-      this.elements.originalText.textContent = data.card.content;
+      this.elements.originalText.textContent = data.prompt || data.card.content;
     }
     
     // Show the user's answer
@@ -162,7 +282,9 @@ class FeedbackScreen {
     // Show the feedback message
     if (this.elements.feedbackResult) {
       const feedbackElement = this.elements.feedbackResult;
-      feedbackElement.textContent = data.evaluation.feedback || '';
+      feedbackElement.textContent = data.evaluation.overridden ?
+        `${data.evaluation.feedback || ''} You marked this answer as ${data.evaluation.correct ? 'correct' : 'incorrect'}.` :
+        data.evaluation.feedback || '';
       
       // Update CSS classes based on correctness
       if (data.evaluation.correct) {
@@ -174,6 +296,20 @@ class FeedbackScreen {
       }
     }
     
+    // Offer to accept a typed answer the card does not list yet
+    if (this.elements.acceptButton) {
+      this.elements.acceptButton.style.display = this.canAcceptAnswer(data) ? '' : 'none';
+    }
+    
+    // Multiple-choice answers are checked exactly, so only typed answers can be overridden
+    const canOverride = !data.choices && typeof data.responseIndex === 'number';
+    if (this.elements.overrideRightButton) {
+      this.elements.overrideRightButton.style.display = canOverride && !data.evaluation.correct ? '' : 'none';
+    }
+    if (this.elements.overrideWrongButton) {
+      this.elements.overrideWrongButton.style.display = canOverride && data.evaluation.correct ? '' : 'none';
+    }
+    
     // Show the feedback screen
     this.show();
     
@@ -217,6 +353,7 @@ class FeedbackScreen {
     this.evaluationResult = null;
     this.lastAnswer = null;
     this.currentCard = null;
+    this.feedbackData = null;
     
     if (this.elements.originalText) {
       this.elements.originalText.textContent = '';
@@ -238,6 +375,12 @@ class FeedbackScreen {
     if (this.elements.progressBar) {
       this.elements.progressBar.style.width = '0%';
     }
+
+    [this.elements.acceptButton, this.elements.overrideRightButton, this.elements.overrideWrongButton].forEach(button => {
+      if (button) {
+        button.style.display = 'none';
+      }
+    });
   }
 }
 
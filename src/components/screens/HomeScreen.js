@@ -13,7 +13,10 @@ class HomeScreen {
     this.options = {
       onStartPractice: () => {},
       onExportData: () => {},
+      onExportAnki: () => {},
       onImportData: () => {},
+      onResumeSession: () => {},
+      onAbandonSession: () => {},
       ...options
     };
 
@@ -79,12 +82,19 @@ class HomeScreen {
           <button id="create-sample-card">Create Sample Card</button>
         </div>
 
+        <!-- Interrupted sessions that can be continued -->
+        <div id="active-sessions-container" class="info-container" style="display: none;">
+          <h2>Continue Session</h2>
+          <div id="active-sessions-list" class="active-sessions-list"></div>
+        </div>
+
         <!-- Database Management -->
         <div class="info-container" style="margin-top: 40px;">
           <h2>Database Management</h2>
           <p>Import or export your flashcards, sessions, and settings.</p>
           <div class="button-container">
             <button id="export-data-btn">Export Data</button>
+            <button id="export-anki-btn">Export for Anki</button>
             <button id="import-data-btn">Import Data</button>
           </div>
         </div>
@@ -104,12 +114,16 @@ class HomeScreen {
       refreshStatsBtn: this.container.querySelector('#refresh-stats'),
       createSampleCardBtn: this.container.querySelector('#create-sample-card'),
       exportDataBtn: this.container.querySelector('#export-data-btn'),
-      importDataBtn: this.container.querySelector('#import-data-btn')
+      exportAnkiBtn: this.container.querySelector('#export-anki-btn'),
+      importDataBtn: this.container.querySelector('#import-data-btn'),
+      activeSessionsContainer: this.container.querySelector('#active-sessions-container'),
+      activeSessionsList: this.container.querySelector('#active-sessions-list')
     };
 
     // Load initial data
     this.loadVersionInfo();
     this.loadDatabaseStats();
+    this.loadActiveSessions();
 
     // Add test notification button in dev mode
     if (process.env.NODE_ENV === 'development') {
@@ -148,6 +162,10 @@ class HomeScreen {
       this.options.onExportData();
     });
 
+    this.elements.exportAnkiBtn.addEventListener('click', () => {
+      this.options.onExportAnki();
+    });
+
     this.elements.importDataBtn.addEventListener('click', () => {
       this.options.onImportData();
     });
@@ -175,6 +193,52 @@ class HomeScreen {
     }
   }
 
+  /**
+   * Loads and displays sessions that were left unfinished
+   */
+  async loadActiveSessions() {
+    try {
+      const sessions = await this.flashcards.getAllSessions({ activeOnly: true });
+      const list = this.elements.activeSessionsList;
+
+      list.innerHTML = '';
+      this.elements.activeSessionsContainer.style.display = sessions.length > 0 ? 'block' : 'none';
+
+      sessions.forEach(session => {
+        const row = document.createElement('div');
+        row.className = 'active-session-row';
+
+        const answered = Math.min(session.responses.length, session.cardIds.length);
+        const summary = document.createElement('span');
+        summary.className = 'active-session-summary';
+        summary.textContent = `${session.sourceLanguage.toUpperCase()} → ${session.targetLanguage.toUpperCase()} · ` +
+          `${answered}/${session.cardIds.length} cards · started ${new Date(session.createdAt).toLocaleString()}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'active-session-actions';
+
+        const continueBtn = document.createElement('button');
+        continueBtn.className = 'primary-button';
+        continueBtn.textContent = 'Continue';
+        continueBtn.addEventListener('click', () => this.options.onResumeSession(session.id));
+
+        const abandonBtn = document.createElement('button');
+        abandonBtn.className = 'secondary-button';
+        abandonBtn.textContent = 'Abandon';
+        abandonBtn.addEventListener('click', () => this.options.onAbandonSession(session.id));
+
+        actions.appendChild(continueBtn);
+        actions.appendChild(abandonBtn);
+        row.appendChild(summary);
+        row.appendChild(actions);
+        list.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Error loading active sessions:', error);
+      this.elements.activeSessionsContainer.style.display = 'none';
+    }
+  }
+
   /**
    * Loads and displays version information
    */
@@ -268,6 +332,7 @@ class HomeScreen {
    */
   update() {
     this.loadDatabaseStats();
+    this.loadActiveSessions();
   }
 }
 
@@ -1,6 +1,7 @@
 /**
  * Practice Screen component
- * Displays the current flashcard and allows the user to submit a translation
+ * Displays the current flashcard and allows the user to submit a translation,
+ * or to pick one of its answer choices in multiple-choice sessions
  */
 class PracticeScreen {
   /**
@@ -43,6 +44,9 @@ class PracticeScreen {
       practiceScreen,
       progressBar: document.getElementById('session-progress'),
       cardContent: document.getElementById('card-content'),
+      cardDirection: document.getElementById('card-direction'),
+      choiceList: document.getElementById('choice-list'),
+      translationGroup: document.getElementById('translation-group'),
       translationInput: document.getElementById('translation-input'),
       submitButton: document.getElementById('submit-answer-btn')
     };
@@ -72,11 +76,55 @@ class PracticeScreen {
     }
   }
 
+  /**
+   * Show the answer choices of a multiple-choice card, or the translation input
+   * @param {string[]|null} choices - Answer choices, or null for a typed answer
+   * @private
+   */
+  _renderChoices(choices) {
+    if (!this.elements.choiceList) {
+      return;
+    }
+    
+    this.elements.choiceList.innerHTML = '';
+    this.elements.choiceList.style.display = choices ? 'grid' : 'none';
+    
+    if (this.elements.translationGroup) {
+      this.elements.translationGroup.style.display = choices ? 'none' : '';
+    }
+    if (this.elements.submitButton) {
+      this.elements.submitButton.style.display = choices ? 'none' : '';
+    }
+    
+    (choices || []).forEach(choice => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'choice-button';
+      button.textContent = choice;
+      button.addEventListener('click', () => this._submitAnswer(choice));
+      this.elements.choiceList.appendChild(button);
+    });
+  }
+
+  /**
+   * Enable or disable the choice buttons
+   * @param {boolean} disabled - Whether the buttons are disabled
+   * @private
+   */
+  _setChoicesDisabled(disabled) {
+    if (this.elements.choiceList) {
+      this.elements.choiceList.querySelectorAll('.choice-button').forEach(button => {
+        button.disabled = disabled;
+      });
+    }
+  }
+
   /**
    * Submit the current answer
+   * @param {string} [choice] - The chosen answer of a multiple-choice card; typed answers are read from the input
    * @private
    */
-  async _submitAnswer() {
+  async _submitAnswer(choice) {
     if (!this.sessionId) {
       if (this.notificationSystem) {
         this.notificationSystem.error(
@@ -89,7 +137,7 @@ class PracticeScreen {
     }
 
     try {
-      const answer = this.elements.translationInput.value.trim();
+      const answer = typeof choice === 'string' ? choice : this.elements.translationInput.value.trim();
       
       if (!answer) {
         if (this.notificationSystem) {
@@ -105,6 +153,7 @@ class PracticeScreen {
       this.elements.submitButton.disabled = true;
       const originalText = this.elements.submitButton.textContent;
       this.elements.submitButton.textContent = 'Evaluating...';
+      this._setChoicesDisabled(true);
       
       // Call the submit answer handler
       await this.options.onSubmitAnswer(this.sessionId, answer);
@@ -112,6 +161,7 @@ class PracticeScreen {
       // Re-enable submit button (in case of error, the feedback screen won't show)
       this.elements.submitButton.disabled = false;
       this.elements.submitButton.textContent = originalText;
+      this._setChoicesDisabled(false);
     } catch (error) {
       console.error('Error submitting answer:', error);
       
@@ -120,6 +170,7 @@ class PracticeScreen {
         this.elements.submitButton.disabled = false;
         this.elements.submitButton.textContent = 'Submit Answer';
       }
+      this._setChoicesDisabled(false);
       
       if (this.notificationSystem) {
         this.notificationSystem.error(
@@ -152,9 +203,16 @@ class PracticeScreen {
       
       this.currentCard = cardData;
       
-      // Update UI
+      // Update UI: reverse cards are shown in the target language
+      const prompt = cardData.prompt || { text: cardData.card.content };
+      
       if (this.elements.cardContent) {
-        this.elements.cardContent.textContent = cardData.card.content;
+        this.elements.cardContent.textContent = prompt.text;
+      }
+      
+      if (this.elements.cardDirection) {
+        this.elements.cardDirection.textContent = prompt.language ?
+          `${prompt.language.toUpperCase()} → ${prompt.answerLanguage.toUpperCase()}` : '';
       }
       
       // Update progress
@@ -163,6 +221,9 @@ class PracticeScreen {
         this.elements.progressBar.style.width = `${progressPercent}%`;
       }
       
+      // Multiple-choice cards are answered by clicking a choice instead of typing
+      this._renderChoices(cardData.choices || null);
+      
       // Clear the input
       if (this.elements.translationInput) {
         this.elements.translationInput.value = '';
@@ -231,6 +292,8 @@ class PracticeScreen {
       this.elements.translationInput.value = '';
     }
     
+    this._renderChoices(null);
+    
     if (this.elements.progressBar) {
       this.elements.progressBar.style.width = '0%';
     }
@@ -45,6 +45,7 @@ class ResultsScreen {
       totalCards: document.getElementById('results-total'),
       correctCards: document.getElementById('results-correct'),
       accuracy: document.getElementById('results-accuracy'),
+      firstTryAccuracy: document.getElementById('results-first-try'),
       backToHomeBtn: document.getElementById('back-to-home-from-results-btn'),
       startNewSessionBtn: document.getElementById('start-new-session-btn')
     };
@@ -142,6 +143,11 @@ class ResultsScreen {
         this.elements.accuracy.classList.add('low');
       }
     }
+    
+    // Differs from the final accuracy only when mistakes were retried
+    if (this.elements.firstTryAccuracy) {
+      this.elements.firstTryAccuracy.textContent = Math.round(stats.stats.firstTryAccuracy || 0) + '%';
+    }
   }
 
   /**
@@ -199,6 +205,10 @@ class ResultsScreen {
       this.elements.accuracy.textContent = '0%';
       this.elements.accuracy.classList.remove('high', 'medium', 'low');
     }
+    
+    if (this.elements.firstTryAccuracy) {
+      this.elements.firstTryAccuracy.textContent = '0%';
+    }
   }
 }
 
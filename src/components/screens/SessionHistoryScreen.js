@@ -0,0 +1,607 @@
+/**
+ * Session History Screen component
+ * Lists past practice sessions and shows the answers given in each of them
+ */
+class SessionHistoryScreen {
+  /**
+   * Creates a new SessionHistoryScreen component
+   * @param {HTMLElement} container - The container element for the history screen
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onBack] - Called when the user leaves the screen
+   * @param {Function} [options.onPracticeCards] - Called with session options to practice the missed cards of a session
+   * @param {number} [options.pageSize=20] - Number of sessions per page
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      onBack: () => {},
+      onPracticeCards: () => {},
+      pageSize: 20,
+      ...options
+    };
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+
+    this.state = {
+      page: 0,
+      hasNextPage: false,
+      sessions: [],
+      selectedSession: null
+    };
+
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM
+   * @private
+   */
+  _findElements() {
+    const historyScreen = document.getElementById('history-screen');
+
+    if (!historyScreen) {
+      console.error('Session history screen element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      historyScreen,
+      fromDate: document.getElementById('history-from'),
+      toDate: document.getElementById('history-to'),
+      sourceLanguage: document.getElementById('history-source-language'),
+      targetLanguage: document.getElementById('history-target-language'),
+      statusFilter: document.getElementById('history-status'),
+      sessionsList: document.getElementById('history-list'),
+      pagination: document.getElementById('history-pagination'),
+      pageLabel: document.getElementById('history-page-label'),
+      prevPageBtn: document.getElementById('history-prev-page-btn'),
+      nextPageBtn: document.getElementById('history-next-page-btn'),
+      detail: document.getElementById('history-detail'),
+      backBtn: document.getElementById('back-from-history-btn')
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const { fromDate, toDate, sourceLanguage, targetLanguage, statusFilter, prevPageBtn, nextPageBtn, backBtn } = this.elements;
+
+    [fromDate, toDate, sourceLanguage, targetLanguage, statusFilter].forEach(filter => {
+      if (filter && !filter._hasHistoryListener) {
+        filter.addEventListener('change', () => this._reload());
+        filter._hasHistoryListener = true;
+      }
+    });
+
+    if (prevPageBtn && !prevPageBtn._hasHistoryListener) {
+      prevPageBtn.addEventListener('click', () => this.goToPage(this.state.page - 1));
+      prevPageBtn._hasHistoryListener = true;
+    }
+
+    if (nextPageBtn && !nextPageBtn._hasHistoryListener) {
+      nextPageBtn.addEventListener('click', () => this.goToPage(this.state.page + 1));
+      nextPageBtn._hasHistoryListener = true;
+    }
+
+    if (backBtn && !backBtn._hasHistoryListener) {
+      // Leave the session details first, then the screen
+      backBtn.addEventListener('click', () => {
+        if (this.state.selectedSession) {
+          this.closeSession();
+        } else {
+          this.options.onBack();
+        }
+      });
+      backBtn._hasHistoryListener = true;
+    }
+  }
+
+  /**
+   * Build the session:getAll query from the current filters
+   * @returns {Object} - Query options for getAllSessions
+   * @private
+   */
+  _buildQuery() {
+    const { fromDate, toDate, sourceLanguage, targetLanguage, statusFilter } = this.elements;
+    const query = {
+      // Ask for one extra session to find out whether there is a next page
+      limit: this.options.pageSize + 1,
+      offset: this.state.page * this.options.pageSize,
+      ...SessionHistoryScreen.buildDateRange(fromDate && fromDate.value, toDate && toDate.value)
+    };
+
+    if (sourceLanguage && sourceLanguage.value) {
+      query.sourceLanguage = sourceLanguage.value;
+    }
+
+    if (targetLanguage && targetLanguage.value) {
+      query.targetLanguage = targetLanguage.value;
+    }
+
+    const status = statusFilter ? statusFilter.value : '';
+    if (status === 'active') {
+      query.activeOnly = true;
+    } else if (status === 'completed') {
+      query.completedOnly = true;
+    } else if (status === 'abandoned') {
+      query.abandonedOnly = true;
+    }
+
+    return query;
+  }
+
+  /**
+   * Reload the list from the first page
+   * @private
+   */
+  _reload() {
+    this.state.page = 0;
+    return this.loadSessions();
+  }
+
+  /**
+   * Go to the given page of results
+   * @param {number} page - Zero-based page number
+   */
+  goToPage(page) {
+    if (page < 0 || (page > this.state.page && !this.state.hasNextPage)) {
+      return Promise.resolve();
+    }
+
+    this.state.page = page;
+    return this.loadSessions();
+  }
+
+  /**
+   * Load the current page of sessions and render it
+   */
+  async loadSessions() {
+    try {
+      const sessions = await this.flashcards.getAllSessions(this._buildQuery());
+
+      this.state.hasNextPage = sessions.length > this.options.pageSize;
+      this.state.sessions = sessions.slice(0, this.options.pageSize);
+      this._renderSessions();
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Loading History Failed',
+          'Could not load practice sessions',
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Render the current page of sessions
+   * @private
+   */
+  _renderSessions() {
+    const { sessionsList, pageLabel, prevPageBtn, nextPageBtn } = this.elements;
+    if (!sessionsList) return;
+
+    sessionsList.innerHTML = '';
+
+    if (this.state.sessions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cards-empty';
+      empty.textContent = 'No practice sessions match the current filters.';
+      sessionsList.appendChild(empty);
+    } else {
+      this.state.sessions.forEach(session => {
+        sessionsList.appendChild(this._createSessionRow(session));
+      });
+    }
+
+    if (pageLabel) {
+      pageLabel.textContent = `Page ${this.state.page + 1}`;
+    }
+    if (prevPageBtn) {
+      prevPageBtn.disabled = this.state.page === 0;
+    }
+    if (nextPageBtn) {
+      nextPageBtn.disabled = !this.state.hasNextPage;
+    }
+  }
+
+  /**
+   * Create the row of a session in the list
+   * @param {Object} session - Session data
+   * @returns {HTMLElement} - Row element
+   * @private
+   */
+  _createSessionRow(session) {
+    const summary = SessionHistoryScreen.summarize(session);
+
+    const row = document.createElement('div');
+    row.className = 'card-row';
+    row.dataset.sessionId = session.id;
+
+    const details = document.createElement('div');
+    details.className = 'card-row-details';
+
+    const title = document.createElement('div');
+    title.className = 'card-row-content';
+    title.textContent = `${new Date(session.createdAt).toLocaleString()} · ` +
+      `${session.sourceLanguage.toUpperCase()} → ${session.targetLanguage.toUpperCase()}`;
+    details.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'card-row-meta';
+    meta.textContent = [
+      summary.status,
+      `${summary.correct} of ${summary.answered} correct`,
+      summary.missed > 0 ? `${summary.missed} missed` : ''
+    ].filter(Boolean).join(' · ');
+    details.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'card-row-actions';
+    const viewBtn = document.createElement('button');
+    viewBtn.type = 'button';
+    viewBtn.className = 'secondary-button';
+    viewBtn.textContent = 'Details';
+    viewBtn.addEventListener('click', () => this.openSession(session));
+    actions.appendChild(viewBtn);
+
+    row.appendChild(details);
+    row.appendChild(actions);
+    return row;
+  }
+
+  /**
+   * Show the answers of a session
+   * @param {Object} session - Session data
+   */
+  async openSession(session) {
+    const { detail, sessionsList, pagination } = this.elements;
+    if (!detail) return;
+
+    this.state.selectedSession = session;
+
+    const cards = await this._loadCards(session);
+
+    detail.innerHTML = '';
+    detail.appendChild(this._createDetailHeader(session, cards));
+    this._appendResponses(detail, session, cards);
+
+    detail.style.display = '';
+    if (sessionsList) sessionsList.style.display = 'none';
+    if (pagination) pagination.style.display = 'none';
+  }
+
+  /**
+   * Show the answers of a session with their feedback in a container
+   * The results screen uses it to list the answers of the session just finished.
+   * @param {HTMLElement} container - Element to fill
+   * @param {Object} session - Session data, as returned by session:get
+   * @returns {Promise<void>} - Promise resolving once the answers are shown
+   */
+  async renderResponses(container, session) {
+    const cards = await this._loadCards(session);
+
+    container.innerHTML = '';
+    this._appendResponses(container, session, cards);
+  }
+
+  /**
+   * Load the cards answered in a session
+   * Cards deleted since the session, or sample cards, are not in the database.
+   * @param {Object} session - Session data
+   * @returns {Promise<Map<string, Object>>} - Cards that still exist, by ID
+   * @private
+   */
+  async _loadCards(session) {
+    const cardIds = Array.from(new Set(session.responses.map(response => response.cardId)));
+    const cards = new Map();
+    await Promise.all(cardIds.map(async cardId => {
+      try {
+        const card = await this.flashcards.getFlashCard(cardId);
+        if (card) {
+          cards.set(cardId, card);
+        }
+      } catch (error) {
+        console.error('Error loading card for session history:', error);
+      }
+    }));
+
+    return cards;
+  }
+
+  /**
+   * Append a row per answer of a session, or a message if there are none
+   * @param {HTMLElement} container - Element to append to
+   * @param {Object} session - Session data
+   * @param {Map<string, Object>} cards - Cards that still exist, by ID
+   * @private
+   */
+  _appendResponses(container, session, cards) {
+    if (session.responses.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cards-empty';
+      empty.textContent = 'No answers were given in this session.';
+      container.appendChild(empty);
+    }
+
+    session.responses.forEach((response, index) => {
+      container.appendChild(this._createResponseRow(session, response, index, cards.get(response.cardId)));
+    });
+  }
+
+  /**
+   * Return from the session details to the list
+   */
+  closeSession() {
+    const { detail, sessionsList, pagination } = this.elements;
+
+    this.state.selectedSession = null;
+    if (detail) {
+      detail.innerHTML = '';
+      detail.style.display = 'none';
+    }
+    if (sessionsList) sessionsList.style.display = '';
+    if (pagination) pagination.style.display = '';
+  }
+
+  /**
+   * Create the header of the session details, with the button to practice missed cards
+   * @param {Object} session - Session data
+   * @param {Map<string, Object>} cards - Cards that still exist, by ID
+   * @returns {HTMLElement} - Header element
+   * @private
+   */
+  _createDetailHeader(session, cards) {
+    const summary = SessionHistoryScreen.summarize(session);
+    const missedCardIds = SessionHistoryScreen.getMissedCardIds(session).filter(cardId => cards.has(cardId));
+
+    const header = document.createElement('div');
+    header.className = 'history-detail-header';
+
+    const title = document.createElement('h3');
+    title.textContent = `${new Date(session.createdAt).toLocaleString()} · ` +
+      `${session.sourceLanguage.toUpperCase()} → ${session.targetLanguage.toUpperCase()}`;
+    header.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'card-row-meta';
+    meta.textContent = `${summary.status} · ${summary.correct} of ${summary.answered} correct`;
+    header.appendChild(meta);
+
+    const practiceBtn = document.createElement('button');
+    practiceBtn.type = 'button';
+    practiceBtn.className = 'primary-button';
+    practiceBtn.textContent = missedCardIds.length > 0 ?
+      `Practice ${missedCardIds.length} Missed Card${missedCardIds.length === 1 ? '' : 's'} Again` :
+      'No Missed Cards';
+    practiceBtn.disabled = missedCardIds.length === 0;
+    practiceBtn.addEventListener('click', () => this.practiceMissedCards(session, missedCardIds));
+    header.appendChild(practiceBtn);
+
+    return header;
+  }
+
+  /**
+   * Create the row of an answer in the session details
+   * @param {Object} session - Session data
+   * @param {Object} response - Response from Session.responses
+   * @param {number} index - Position of the response
+   * @param {Object} [card] - The card answered, if it still exists
+   * @returns {HTMLElement} - Row element
+   * @private
+   */
+  _createResponseRow(session, response, index, card) {
+    const row = document.createElement('div');
+    row.className = `card-row history-response ${response.correct ? 'correct' : 'incorrect'}`;
+
+    const details = document.createElement('div');
+    details.className = 'card-row-details';
+
+    const content = document.createElement('div');
+    content.className = 'card-row-content';
+    content.textContent = card ? card.content : 'Card no longer available';
+    details.appendChild(content);
+
+    const answer = document.createElement('div');
+    answer.className = 'history-answer';
+    answer.textContent = `Your answer: ${response.userResponse || '(empty)'}`;
+    details.appendChild(answer);
+
+    const evaluation = this._createEvaluation(response);
+    if (evaluation) {
+      details.appendChild(evaluation);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'card-row-meta';
+    meta.textContent = [
+      response.correct ? 'Correct' : 'Incorrect',
+      response.overridden ? 'marked by you' : '',
+      response.direction === 'reverse' ? 'reverse' : '',
+      index >= (session.firstRoundSize ?? session.cardIds.length) ? 'retry' : '',
+      response.fallback ? 'not graded' : '',
+      response.provider && !response.fallback ? `graded by ${response.provider}` : '',
+      new Date(response.timestamp).toLocaleString()
+    ].filter(Boolean).join(' · ');
+    details.appendChild(meta);
+
+    row.appendChild(details);
+    return row;
+  }
+
+  /**
+   * Create the feedback of an answer: the feedback text, suggested translation and detailed notes
+   * @param {Object} response - Response from Session.responses
+   * @returns {HTMLElement|null} - Evaluation element, or null for a response saved without feedback
+   * @private
+   */
+  _createEvaluation(response) {
+    const notes = Object.entries(SessionHistoryScreen.DETAIL_LABELS)
+      .filter(([key]) => response.details && response.details[key]);
+
+    if (!response.feedback && !response.suggestedTranslation && notes.length === 0) {
+      return null;
+    }
+
+    const evaluation = document.createElement('div');
+    evaluation.className = 'history-evaluation';
+
+    if (response.feedback) {
+      const feedback = document.createElement('div');
+      feedback.className = 'history-feedback';
+      feedback.textContent = response.feedback;
+      evaluation.appendChild(feedback);
+    }
+
+    if (response.suggestedTranslation) {
+      const suggested = document.createElement('div');
+      suggested.className = 'history-suggested';
+      suggested.textContent = `Suggested: ${response.suggestedTranslation}`;
+      evaluation.appendChild(suggested);
+    }
+
+    if (notes.length > 0) {
+      const list = document.createElement('dl');
+      list.className = 'history-evaluation-details';
+      notes.forEach(([key, label]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const note = document.createElement('dd');
+        note.textContent = response.details[key];
+        list.appendChild(term);
+        list.appendChild(note);
+      });
+      evaluation.appendChild(list);
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Start a new session with the missed cards of a session
+   * @param {Object} session - Session data
+   * @param {string[]} cardIds - Missed cards that still exist
+   */
+  practiceMissedCards(session, cardIds) {
+    if (cardIds.length === 0) {
+      return;
+    }
+
+    this.options.onPracticeCards({
+      sourceLanguage: session.sourceLanguage,
+      targetLanguage: session.targetLanguage,
+      cardIds,
+      maxCards: cardIds.length,
+      useSampleCards: false,
+      direction: session.direction,
+      mode: session.mode
+    });
+  }
+
+  /**
+   * Turn the date filter values into a session query range
+   * Dates are local days; the end date is included.
+   * @param {string} [from] - First day, as YYYY-MM-DD
+   * @param {string} [to] - Last day, as YYYY-MM-DD
+   * @returns {Object} - { createdAfter, createdBefore } with ISO strings for the days given
+   */
+  static buildDateRange(from, to) {
+    const range = {};
+
+    if (from) {
+      range.createdAfter = new Date(`${from}T00:00:00`).toISOString();
+    }
+
+    if (to) {
+      const end = new Date(`${to}T00:00:00`);
+      end.setDate(end.getDate() + 1);
+      range.createdBefore = end.toISOString();
+    }
+
+    return range;
+  }
+
+  /**
+   * Get the cards answered incorrectly at least once in a session
+   * @param {Object} session - Session data
+   * @returns {string[]} - Card IDs in the order they were first missed
+   */
+  static getMissedCardIds(session) {
+    const missed = session.responses
+      .filter(response => !response.correct)
+      .map(response => response.cardId);
+    return Array.from(new Set(missed));
+  }
+
+  /**
+   * Summarize a session for the list
+   * @param {Object} session - Session data
+   * @returns {Object} - { status, answered, correct, missed }
+   */
+  static summarize(session) {
+    // Final verdict of each card: its latest answer
+    const verdicts = new Map();
+    session.responses.forEach(response => verdicts.set(response.cardId, response.correct));
+
+    let status = 'Active';
+    if (session.completedAt) {
+      status = 'Completed';
+    } else if (session.abandonedAt) {
+      status = 'Abandoned';
+    }
+
+    return {
+      status,
+      answered: verdicts.size,
+      correct: [...verdicts.values()].filter(Boolean).length,
+      missed: SessionHistoryScreen.getMissedCardIds(session).length
+    };
+  }
+
+  /**
+   * Show the session history screen
+   */
+  async show() {
+    if (!this.elements.historyScreen) {
+      console.error('Session history screen element not found');
+      return;
+    }
+
+    this.elements.historyScreen.classList.add('active');
+    this.closeSession();
+    await this._reload();
+  }
+
+  /**
+   * Hide the session history screen
+   */
+  hide() {
+    if (!this.elements.historyScreen) {
+      console.error('Session history screen element not found');
+      return;
+    }
+
+    this.elements.historyScreen.classList.remove('active');
+  }
+}
+
+/**
+ * Detailed notes of an evaluation, in display order
+ */
+SessionHistoryScreen.DETAIL_LABELS = {
+  grammar: 'Grammar',
+  vocabulary: 'Vocabulary',
+  accuracy: 'Accuracy'
+};
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionHistoryScreen;
+}
\ No newline at end of file
@@ -1,3 +1,6 @@
+const TagManagementPanel = require('../TagManagementPanel');
+const TagSelectionComponent = require('../TagSelectionComponent');
+
 /**
  * Setup Screen component
  * Handles configuration of practice sessions
@@ -19,9 +22,20 @@ class SetupScreen {
     this.flashcards = options.flashcards || window.flashcards;
     this.notificationSystem = options.notificationSystem || null;
     
+    // Numbers the card count requests, so only the latest answer is shown
+    this._matchingCountRequest = 0;
+
     // Instead of creating new elements, find existing ones
     this._findElements();
     this._attachEventListeners();
+
+    // Tag management panel below the tag selection
+    this.tagManagementPanel = new TagManagementPanel(document.getElementById('tag-management-panel'), {
+      flashcards: this.flashcards,
+      notificationSystem: this.notificationSystem,
+      getCardFilter: () => this._getSelectedCardFilter(),
+      onTagsChanged: () => this._loadTagsForSelection(this.elements.sourceLanguage.value)
+    });
   }
   
   /**
@@ -43,6 +57,12 @@ class SetupScreen {
       sourceLanguage: document.getElementById('source-language'),
       targetLanguage: document.getElementById('target-language'),
       cardCount: document.getElementById('card-count'),
+      selectionMode: document.getElementById('selection-mode'),
+      practiceDirection: document.getElementById('practice-direction'),
+      practiceMode: document.getElementById('practice-mode'),
+      retryMistakes: document.getElementById('retry-mistakes'),
+      saveGeneratedTranslations: document.getElementById('save-generated-translations'),
+      ignoreDiacritics: document.getElementById('ignore-diacritics'),
       tagSelectionContainer: document.getElementById('tag-selection-container'),
       tagSelectionHeader: document.getElementById('tag-selection-header'),
       tagSelectionToggle: document.getElementById('tag-selection-toggle'),
@@ -50,6 +70,7 @@ class SetupScreen {
       tagSelectionSummary: document.getElementById('tag-selection-summary'),
       tagSelectionStatus: document.getElementById('tag-selection-status'),
       tagCloud: document.getElementById('tag-cloud'),
+      matchingCardCount: document.getElementById('matching-card-count'),
       untaggedCount: document.getElementById('untagged-count'),
       includeUntagged: document.getElementById('include-untagged'),
       selectAllTagsBtn: document.getElementById('select-all-tags'),
@@ -106,6 +127,17 @@ class SetupScreen {
       });
       this.elements.deselectAllTagsBtn._hasSetupListener = true;
     }
+    
+    for (const key of ['saveGeneratedTranslations', 'ignoreDiacritics']) {
+      const checkbox = this.elements[key];
+      
+      if (checkbox && !checkbox._hasSetupListener) {
+        checkbox.addEventListener('change', () => {
+          this._saveToggleSetting(key, checkbox);
+        });
+        checkbox._hasSetupListener = true;
+      }
+    }
   }
   
   /**
@@ -132,6 +164,7 @@ class SetupScreen {
       // Fetch tags for the selected source language
       const tagsData = await this.flashcards.getAvailableTags(sourceLanguage);
       console.log('Available tags:', tagsData);
+      this.tagManagementPanel.setTags(tagsData.tags);
 
       // Check if we have any tags
       if (tagsData.tags.length === 0 && tagsData.untaggedCount === 0) {
@@ -158,12 +191,13 @@ class SetupScreen {
               id="tag-${tagData.tag}"
               class="tag-toggle selected"
               data-tag="${tagData.tag}"
+              data-state="include"
               aria-pressed="true"
               aria-describedby="tag-desc-${tagData.tag}"
               tabindex="0">
               <span>${tagData.tag}</span>
               <span class="tag-count">(${tagData.count})</span>
-              <span id="tag-desc-${tagData.tag}" class="sr-only">Toggle selection of tag ${tagData.tag} with ${tagData.count} cards</span>
+              <span id="tag-desc-${tagData.tag}" class="sr-only">Tag ${tagData.tag} with ${tagData.count} cards, <span class="tag-state-label">included</span></span>
             </button>
           `;
         });
@@ -197,6 +231,9 @@ class SetupScreen {
           button._hasTagListener = true;
         }
       });
+
+      // Show how many cards the selection matches
+      this._updateMatchingCardCount();
     } catch (error) {
       console.error('Error loading tags:', error);
       
@@ -213,21 +250,22 @@ class SetupScreen {
   }
   
   /**
-   * Toggles tag selection status
-   * @param {HTMLElement} button - The tag button to toggle
+   * Move a tag to its next state (include, require, exclude, off), or toggle the untagged cards
+   * @param {HTMLElement} button - The tag button that was clicked
    * @private
    */
   _toggleTagSelection(button) {
-    const isSelected = button.classList.contains('selected');
-    const newState = !isSelected;
-    const tagName = button.dataset.tag || (button.id === 'include-untagged' ? 'untagged cards' : button.textContent.trim());
-
-    // Update button state
-    button.classList.toggle('selected', newState);
-    button.setAttribute('aria-pressed', newState.toString());
+    if (button.id === 'include-untagged') {
+      const newState = !button.classList.contains('selected');
+      button.classList.toggle('selected', newState);
+      button.setAttribute('aria-pressed', newState.toString());
+    } else {
+      TagSelectionComponent.applyState(button, TagSelectionComponent.nextState(button.dataset.state || 'off'));
+    }
 
     // Update summary text in the dropdown header
     this._updateTagSelectionSummary();
+    this._updateMatchingCardCount();
   }
   
   /**
@@ -239,11 +277,19 @@ class SetupScreen {
     
     const totalTagButtons = document.querySelectorAll('.tag-toggle').length;
     const selectedTagButtons = document.querySelectorAll('.tag-toggle.selected').length;
+    const requiredTagButtons = document.querySelectorAll('.tag-toggle.required').length;
+    const excludedTagButtons = document.querySelectorAll('.tag-toggle.excluded').length;
     const tagSummaryElement = this.elements.tagSelectionSummary;
     const tagStatusElement = this.elements.tagSelectionStatus;
 
     let summaryText = '';
-    if (selectedTagButtons === 0) {
+    if (requiredTagButtons > 0 || excludedTagButtons > 0) {
+      summaryText = [
+        [selectedTagButtons, 'included'],
+        [requiredTagButtons, 'required'],
+        [excludedTagButtons, 'excluded']
+      ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+    } else if (selectedTagButtons === 0) {
       summaryText = 'No tags selected';
     } else if (selectedTagButtons === totalTagButtons) {
       summaryText = `All ${totalTagButtons} tags selected`;
@@ -290,12 +336,90 @@ class SetupScreen {
     const tagButtons = document.querySelectorAll('.tag-toggle');
 
     tagButtons.forEach(button => {
-      button.classList.toggle('selected', selected);
-      button.setAttribute('aria-pressed', selected.toString());
+      if (button.id === 'include-untagged') {
+        button.classList.toggle('selected', selected);
+        button.setAttribute('aria-pressed', selected.toString());
+      } else {
+        TagSelectionComponent.applyState(button, selected ? 'include' : 'off');
+      }
     });
 
     // Update summary
     this._updateTagSelectionSummary();
+    this._updateMatchingCardCount();
+  }
+  
+  /**
+   * Reads the tag selection
+   * @returns {{tags: string[], includeUntagged: boolean}} - Selected tags, empty if the tag selection is hidden
+   * @private
+   */
+  _getTagSelection() {
+    const tagSelectionContainer = this.elements.tagSelectionContainer;
+
+    if (!tagSelectionContainer || tagSelectionContainer.style.display === 'none') {
+      return { tags: [], includeUntagged: false };
+    }
+
+    // Get the state of every tag button
+    const tagStates = Array.from(this.elements.tagCloud.querySelectorAll('.tag-toggle'))
+      .map(button => ({ tag: button.dataset.tag, state: button.dataset.state || 'off' }));
+
+    // Check if untagged cards should be included
+    const includeUntagged = Boolean(this.elements.includeUntagged &&
+      this.elements.includeUntagged.classList.contains('selected'));
+
+    return TagSelectionComponent.buildFilter(tagStates, includeUntagged);
+  }
+  
+  /**
+   * Builds the card filter for bulk tag changes from the language and tag selection
+   * @returns {Object|null} - Filter for getAllFlashCards, or null if no tags are selected
+   * @private
+   */
+  _getSelectedCardFilter() {
+    const sourceLanguage = this.elements.sourceLanguage.value;
+    const tagSelectionContainer = this.elements.tagSelectionContainer;
+
+    // Without a visible tag selection every card of the language is selected
+    if (!tagSelectionContainer || tagSelectionContainer.style.display === 'none') {
+      return { sourceLanguage };
+    }
+
+    const { tags, includeUntagged } = this._getTagSelection();
+    const hasTags = tags.anyOf.length > 0 || tags.allOf.length > 0 || tags.noneOf.length > 0;
+    return hasTags || includeUntagged ? { sourceLanguage, tags, includeUntagged } : null;
+  }
+  
+  /**
+   * Show how many cards of the source language match the tag selection
+   * Answers to earlier requests are ignored, so quick clicks cannot show a stale count.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateMatchingCardCount() {
+    const countElement = this.elements.matchingCardCount;
+    if (!countElement || !this.flashcards.countFlashCards) return;
+
+    const request = ++this._matchingCountRequest;
+
+    try {
+      const { tags, includeUntagged } = this._getTagSelection();
+      const count = await this.flashcards.countFlashCards({
+        sourceLanguage: this.elements.sourceLanguage.value,
+        tags,
+        includeUntagged
+      });
+
+      if (request === this._matchingCountRequest) {
+        countElement.textContent = `${count} matching ${count === 1 ? 'card' : 'cards'}`;
+      }
+    } catch (error) {
+      console.error('Error counting matching cards:', error);
+      if (request === this._matchingCountRequest) {
+        countElement.textContent = '';
+      }
+    }
   }
   
   /**
@@ -312,6 +436,10 @@ class SetupScreen {
       const sourceLanguage = this.elements.sourceLanguage.value;
       const targetLanguage = this.elements.targetLanguage.value;
       const maxCards = parseInt(this.elements.cardCount.value, 10);
+      const selectionMode = this.elements.selectionMode ? this.elements.selectionMode.value : 'random';
+      const direction = this.elements.practiceDirection ? this.elements.practiceDirection.value : 'forward';
+      const mode = this.elements.practiceMode ? this.elements.practiceMode.value : 'translate';
+      const retryMistakes = this.elements.retryMistakes ? this.elements.retryMistakes.checked : false;
 
       if (sourceLanguage === targetLanguage) {
         if (this.notificationSystem) {
@@ -342,21 +470,7 @@ class SetupScreen {
       }
 
       // Get selected tags if the container is visible
-      const tagSelectionContainer = this.elements.tagSelectionContainer;
-      let selectedTags = [];
-      let includeUntagged = false;
-
-      if (tagSelectionContainer && tagSelectionContainer.style.display !== 'none') {
-        // Get all selected tag buttons
-        const tagButtons = document.querySelectorAll('.tag-toggle.selected');
-        selectedTags = Array.from(tagButtons)
-          .filter(button => button.id !== 'include-untagged')
-          .map(button => button.dataset.tag);
-
-        // Check if untagged cards should be included
-        includeUntagged = this.elements.includeUntagged && 
-                         this.elements.includeUntagged.classList.contains('selected');
-      }
+      const { tags: selectedTags, includeUntagged } = this._getTagSelection();
 
       console.log('Selected tags:', selectedTags);
       console.log('Include untagged:', includeUntagged);
@@ -367,7 +481,11 @@ class SetupScreen {
         maxCards,
         useSampleCards: useSampleCards,
         tags: selectedTags,
-        includeUntagged: includeUntagged
+        includeUntagged: includeUntagged,
+        selectionMode,
+        direction,
+        mode,
+        retryMistakes
       };
 
       // Call the start session callback with the session options
@@ -387,6 +505,53 @@ class SetupScreen {
     }
   }
   
+  /**
+   * Shows the current settings on the setup screen
+   * @private
+   */
+  async _loadSettings() {
+    if (!this.flashcards || !this.flashcards.getSettings) {
+      return;
+    }
+    
+    try {
+      const settings = await this.flashcards.getSettings();
+      
+      for (const key of ['saveGeneratedTranslations', 'ignoreDiacritics']) {
+        if (this.elements[key]) {
+          this.elements[key].checked = Boolean(settings[key]);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+  
+  /**
+   * Saves a setting shown as a checkbox on the setup screen
+   * @param {string} key - Name of the setting
+   * @param {HTMLInputElement} checkbox - Checkbox holding its new value
+   * @private
+   */
+  async _saveToggleSetting(key, checkbox) {
+    try {
+      // Settings are saved whole, so start from the stored ones
+      const settings = await this.flashcards.getSettings();
+      await this.flashcards.saveSettings({ ...settings, [key]: checkbox.checked });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      checkbox.checked = !checkbox.checked;
+      
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Settings Not Saved',
+          'Could not save the setting',
+          error.message
+        );
+      }
+    }
+  }
+  
   /**
    * Shows the setup screen
    */
@@ -402,6 +567,8 @@ class SetupScreen {
     if (this.elements.sourceLanguage) {
       this._loadTagsForSelection(this.elements.sourceLanguage.value);
     }
+    
+    this._loadSettings();
   }
   
   /**
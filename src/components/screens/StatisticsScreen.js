@@ -0,0 +1,332 @@
+/* global ChartComponent */
+
+// Most tags drawn in the tag chart; the table below it lists all of them
+const STATISTICS_CHART_TAGS = 8;
+
+/**
+ * Statistics Screen component
+ * Shows learning statistics across all practice sessions
+ */
+class StatisticsScreen {
+  /**
+   * Creates a new StatisticsScreen component
+   * @param {HTMLElement} container - The container element for the statistics screen
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onBack] - Called when the user leaves the screen
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      onBack: () => {},
+      ...options
+    };
+
+    this.flashcards = options.flashcards || window.flashcards;
+    this.notificationSystem = options.notificationSystem || null;
+
+    this.stats = null;
+    this.charts = {};
+    this.elements = {};
+    this._findElements();
+    this._attachEventListeners();
+  }
+
+  /**
+   * Find elements in the DOM and create the charts
+   * @private
+   */
+  _findElements() {
+    const statisticsScreen = document.getElementById('statistics-screen');
+
+    if (!statisticsScreen) {
+      console.error('Statistics screen element not found in HTML');
+      return;
+    }
+
+    this.elements = {
+      statisticsScreen,
+      daysFilter: document.getElementById('statistics-days'),
+      tagFilter: document.getElementById('statistics-tag'),
+      responses: document.getElementById('statistics-responses'),
+      accuracy: document.getElementById('statistics-accuracy'),
+      averageScore: document.getElementById('statistics-average-score'),
+      cardsPracticed: document.getElementById('statistics-cards-practiced'),
+      tagsTable: document.getElementById('statistics-tags-table'),
+      pairsTable: document.getElementById('statistics-pairs-table'),
+      mostMissed: document.getElementById('statistics-missed'),
+      backBtn: document.getElementById('back-from-statistics-btn')
+    };
+
+    const percent = { maxValue: 100, formatValue: value => `${Math.round(value)}%` };
+    this.charts = {
+      accuracy: new ChartComponent(document.getElementById('statistics-accuracy-chart'), {
+        type: 'line',
+        emptyText: 'No answers in this period',
+        ...percent
+      }),
+      cardsPracticed: new ChartComponent(document.getElementById('statistics-cards-chart'), {
+        type: 'bar',
+        emptyText: 'No answers in this period'
+      }),
+      tags: new ChartComponent(document.getElementById('statistics-tags-chart'), {
+        type: 'bar',
+        emptyText: 'No tagged cards practiced yet',
+        ...percent
+      }),
+      pairs: new ChartComponent(document.getElementById('statistics-pairs-chart'), {
+        type: 'bar',
+        emptyText: 'No sessions yet',
+        ...percent
+      })
+    };
+  }
+
+  /**
+   * Attach event listeners to interactive elements
+   * @private
+   */
+  _attachEventListeners() {
+    const { daysFilter, tagFilter, backBtn } = this.elements;
+
+    [daysFilter, tagFilter].forEach(filter => {
+      if (filter && !filter._hasStatisticsListener) {
+        filter.addEventListener('change', () => this.loadStatistics());
+        filter._hasStatisticsListener = true;
+      }
+    });
+
+    if (backBtn && !backBtn._hasStatisticsListener) {
+      backBtn.addEventListener('click', () => this.options.onBack());
+      backBtn._hasStatisticsListener = true;
+    }
+  }
+
+  /**
+   * Load the statistics for the current filters and render them
+   */
+  async loadStatistics() {
+    const { daysFilter, tagFilter } = this.elements;
+
+    try {
+      this.stats = await this.flashcards.getLearningStats({
+        days: daysFilter ? parseInt(daysFilter.value, 10) || 30 : 30,
+        tag: tagFilter ? tagFilter.value : ''
+      });
+      this._render();
+    } catch (error) {
+      console.error('Error loading statistics:', error);
+
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Loading Statistics Failed',
+          'Could not load learning statistics',
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Render the loaded statistics
+   * @private
+   */
+  _render() {
+    const { totals, daily, byTag, byLanguagePair, mostMissed, tags } = this.stats;
+    const { responses, accuracy, averageScore, cardsPracticed } = this.elements;
+
+    if (responses) responses.textContent = String(totals.responses);
+    if (accuracy) accuracy.textContent = StatisticsScreen.formatPercent(totals.accuracy);
+    if (averageScore) {
+      averageScore.textContent = totals.averageScore === null ? '–' : totals.averageScore.toFixed(2);
+    }
+    if (cardsPracticed) cardsPracticed.textContent = String(totals.cardsPracticed);
+
+    this._renderTagOptions(tags);
+
+    // Days are labeled MM-DD; the year is clear from the range
+    this.charts.accuracy.render(daily.map(day => ({ label: day.date.slice(5), value: day.accuracy })));
+    this.charts.cardsPracticed.render(daily.map(day => ({ label: day.date.slice(5), value: day.cardsPracticed })));
+    this.charts.tags.render(byTag.slice(0, STATISTICS_CHART_TAGS).map(group => ({ label: group.tag, value: group.accuracy })));
+    this.charts.pairs.render(byLanguagePair.map(group => ({
+      label: StatisticsScreen.formatLanguagePair(group),
+      value: group.accuracy
+    })));
+
+    this._renderBreakdown(this.elements.tagsTable, 'Tag', byTag.map(group => ({ label: group.tag, ...group })));
+    this._renderBreakdown(this.elements.pairsTable, 'Languages', byLanguagePair.map(group => ({
+      label: StatisticsScreen.formatLanguagePair(group),
+      ...group
+    })));
+    this._renderMostMissed(mostMissed);
+  }
+
+  /**
+   * Fill the tag filter with the practiced tags, keeping the selection
+   * @param {string[]} tags - Tags of practiced cards
+   * @private
+   */
+  _renderTagOptions(tags) {
+    const { tagFilter } = this.elements;
+    if (!tagFilter) return;
+
+    const selected = tagFilter.value;
+    tagFilter.innerHTML = '';
+
+    [{ value: '', label: 'All tags' }, ...tags.map(tag => ({ value: tag, label: tag }))].forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      tagFilter.appendChild(option);
+    });
+
+    tagFilter.value = tags.includes(selected) ? selected : '';
+  }
+
+  /**
+   * Render a table of groups with their accuracy and its change over the period
+   * @param {HTMLElement} container - Container of the table
+   * @param {string} heading - Heading of the group column
+   * @param {Object[]} groups - Groups with label, responses, accuracy, previousAccuracy and recentAccuracy
+   * @private
+   */
+  _renderBreakdown(container, heading, groups) {
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (groups.length === 0) return;
+
+    const table = document.createElement('table');
+    table.className = 'statistics-table';
+
+    const headRow = document.createElement('tr');
+    [heading, 'Answers', 'Accuracy', 'Before', 'This Period', 'Change'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+    table.appendChild(headRow);
+
+    groups.forEach(group => {
+      const row = document.createElement('tr');
+      [
+        group.label,
+        String(group.responses),
+        StatisticsScreen.formatPercent(group.accuracy),
+        StatisticsScreen.formatPercent(group.previousAccuracy),
+        StatisticsScreen.formatPercent(group.recentAccuracy),
+        StatisticsScreen.formatChange(group.previousAccuracy, group.recentAccuracy)
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+
+    container.appendChild(table);
+  }
+
+  /**
+   * Render the most-missed cards
+   * @param {Object[]} cards - Cards with content, translation, misses, responses and lastMissedAt
+   * @private
+   */
+  _renderMostMissed(cards) {
+    const { mostMissed } = this.elements;
+    if (!mostMissed) return;
+
+    mostMissed.innerHTML = '';
+
+    if (cards.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cards-empty';
+      empty.textContent = 'No missed cards. Well done!';
+      mostMissed.appendChild(empty);
+      return;
+    }
+
+    cards.forEach(card => {
+      const row = document.createElement('div');
+      row.className = 'card-row';
+
+      const details = document.createElement('div');
+      details.className = 'card-row-details';
+
+      const content = document.createElement('div');
+      content.className = 'card-row-content';
+      content.textContent = card.translation ? `${card.content} → ${card.translation}` : card.content;
+      details.appendChild(content);
+
+      const meta = document.createElement('div');
+      meta.className = 'card-row-meta';
+      meta.textContent = `Missed ${card.misses} of ${card.responses} · last ${new Date(card.lastMissedAt).toLocaleDateString()}`;
+      details.appendChild(meta);
+
+      row.appendChild(details);
+      mostMissed.appendChild(row);
+    });
+  }
+
+  /**
+   * Format an accuracy percentage
+   * @param {?number} value - Accuracy, or null without answers
+   * @returns {string} - Rounded percentage, or a dash
+   */
+  static formatPercent(value) {
+    return value === null || value === undefined ? '–' : `${Math.round(value)}%`;
+  }
+
+  /**
+   * Format the change between two accuracies in percentage points
+   * @param {?number} previous - Accuracy before the period
+   * @param {?number} recent - Accuracy within the period
+   * @returns {string} - Signed change, or a dash when either is missing
+   */
+  static formatChange(previous, recent) {
+    if (previous === null || previous === undefined || recent === null || recent === undefined) {
+      return '–';
+    }
+
+    const change = Math.round(recent - previous);
+    return `${change > 0 ? '+' : ''}${change} pts`;
+  }
+
+  /**
+   * Format a language pair
+   * @param {Object} group - Group with sourceLanguage and targetLanguage
+   * @returns {string} - Pair like "EN → DE"
+   */
+  static formatLanguagePair(group) {
+    return `${group.sourceLanguage.toUpperCase()} → ${group.targetLanguage.toUpperCase()}`;
+  }
+
+  /**
+   * Show the statistics screen
+   */
+  async show() {
+    if (!this.elements.statisticsScreen) {
+      console.error('Statistics screen element not found');
+      return;
+    }
+
+    this.elements.statisticsScreen.classList.add('active');
+    await this.loadStatistics();
+  }
+
+  /**
+   * Hide the statistics screen
+   */
+  hide() {
+    if (!this.elements.statisticsScreen) {
+      console.error('Statistics screen element not found');
+      return;
+    }
+
+    this.elements.statisticsScreen.classList.remove('active');
+  }
+}
+
+// Export the component for use in UI modules (not available in the browser renderer)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StatisticsScreen;
+}
\ No newline at end of file
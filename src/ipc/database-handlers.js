@@ -4,6 +4,12 @@
 const { ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const CsvImporter = require('../services/import/CsvImporter');
+const AnkiImporter = require('../services/anki/AnkiImporter');
+const AnkiExporter = require('../services/anki/AnkiExporter');
+
+// Number of rows shown in the CSV import preview
+const CSV_PREVIEW_ROWS = 10;
 
 /**
  * Register database IPC handlers
@@ -11,8 +17,9 @@ const fs = require('fs');
  * @param {Object} errorHandler - The error handler utility
  * @param {BrowserWindow} mainWindow - The main window instance
  * @param {Electron.App} app - The Electron app instance
+ * @param {Function} [onBackupRestored] - Called with the restored settings, e.g. to reschedule reminders
  */
-function registerDatabaseHandlers(db, errorHandler, mainWindow, app) {
+function registerDatabaseHandlers(db, errorHandler, mainWindow, app, onBackupRestored = () => {}) {
   // Tag operations
   ipcMain.handle('tags:getAvailable', async (event, sourceLanguage) => {
     try {
@@ -28,6 +35,76 @@ function registerDatabaseHandlers(db, errorHandler, mainWindow, app) {
     }
   });
 
+  ipcMain.handle('tags:rename', async (event, { name, newName } = {}) => {
+    try {
+      return await db.renameTag(name, newName);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'renaming tag'
+      );
+      throw new Error(errorInfo.message || 'Failed to rename tag');
+    }
+  });
+
+  ipcMain.handle('tags:merge', async (event, { names, targetName } = {}) => {
+    try {
+      return await db.mergeTags(names, targetName);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'merging tags'
+      );
+      throw new Error(errorInfo.message || 'Failed to merge tags');
+    }
+  });
+
+  ipcMain.handle('tags:delete', async (event, { name, deleteCards = false } = {}) => {
+    try {
+      return await db.deleteTag(name, { deleteCards });
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'deleting tag'
+      );
+      throw new Error(errorInfo.message || 'Failed to delete tag');
+    }
+  });
+
+  ipcMain.handle('tags:addToCards', async (event, { name, filter = {} } = {}) => {
+    try {
+      return await db.addTagToCards(name, filter);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'adding tag to cards'
+      );
+      throw new Error(errorInfo.message || 'Failed to add tag to cards');
+    }
+  });
+
+  ipcMain.handle('tags:removeFromCards', async (event, { name, filter = {} } = {}) => {
+    try {
+      return await db.removeTagFromCards(name, filter);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'removing tag from cards'
+      );
+      throw new Error(errorInfo.message || 'Failed to remove tag from cards');
+    }
+  });
+
   // FlashCard operations
   ipcMain.handle('flashcard:save', async (event, cardData) => {
     try {
@@ -76,6 +153,43 @@ function registerDatabaseHandlers(db, errorHandler, mainWindow, app) {
     }
   });
 
+  ipcMain.handle('flashcard:count', async (event, options) => {
+    try {
+      return await db.countFlashCards(options);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'counting flashcards'
+      );
+      throw new Error(errorInfo.message || 'Failed to count flashcards');
+    }
+  });
+
+  ipcMain.handle('flashcard:acceptTranslation', async (event, { id, text, note = '' } = {}) => {
+    try {
+      const card = await db.getFlashCard(id);
+      if (!card) {
+        throw new Error(`Flashcard not found: ${id}`);
+      }
+
+      const added = card.addAcceptedTranslation(text, note);
+      if (added) {
+        await db.saveFlashCard(card);
+      }
+      return { added, card: card.toJSON() };
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'accepting translation'
+      );
+      throw new Error(errorInfo.message || 'Failed to accept translation');
+    }
+  });
+
   ipcMain.handle('flashcard:delete', async (event, id) => {
     try {
       return await db.deleteFlashCard(id);
@@ -95,7 +209,7 @@ function registerDatabaseHandlers(db, errorHandler, mainWindow, app) {
     try {
       const Session = require('../models/Session');
       const session = new Session(sessionData);
-      const savedSession = await db.saveSession(session);
+      const savedSession = await db.saveSession(session, { withResponses: true });
       return savedSession.toJSON();
     } catch (error) {
       const errorInfo = errorHandler.handleException(
@@ -249,15 +363,14 @@ function registerDatabaseHandlers(db, errorHandler, mainWindow, app) {
       // Merge or replace option (merge is default)
       const shouldReplace = options.mode === 'replace';
 
-      // If replacing, first clear the database (not implemented yet)
-      // TODO: Implement database clear method in DatabaseService
-
-      // Import the data
-      const result = await db.importData(importData.data);
+      // Import the data. In replace mode the existing data is cleared in the
+      // same transaction, so a failed import leaves the database untouched.
+      const result = await db.importData(importData.data, { replace: shouldReplace });
 
       return {
         success: true,
         path: filePaths[0],
+        mode: shouldReplace ? 'replace' : 'merge',
         stats: {
           flashcardsImported: result.flashcardsImported,
           sessionsImported: result.sessionsImported,
@@ -279,6 +392,272 @@ function registerDatabaseHandlers(db, errorHandler, mainWindow, app) {
       throw new Error(errorInfo.message || 'Failed to import database');
     }
   });
+
+  // CSV/TSV import. The chosen file stays in the main process between
+  // previewing and importing, so the renderer never sends file paths back.
+  let pendingCsvFile = null;
+
+  /**
+   * Analyze the pending CSV file and shape the result for the preview
+   * @param {Object} options - Importer options chosen on the import screen
+   * @returns {Object} - Preview with columns, mapping, the first rows and counts
+   */
+  const buildCsvPreview = (options = {}) => {
+    const importer = new CsvImporter(options);
+    const analysis = importer.analyze(pendingCsvFile.buffer, {
+      ...options,
+      fileName: pendingCsvFile.path
+    });
+
+    return {
+      success: true,
+      fileName: path.basename(pendingCsvFile.path),
+      encoding: analysis.encoding,
+      delimiter: analysis.delimiter,
+      hasHeader: analysis.hasHeader,
+      columns: analysis.columns,
+      mapping: analysis.mapping,
+      rows: analysis.rows.slice(0, CSV_PREVIEW_ROWS).map(({ rowNumber, card, errors }) => ({ rowNumber, card, errors })),
+      invalidRows: analysis.rows
+        .filter(row => row.errors.length > 0)
+        .slice(0, CSV_PREVIEW_ROWS)
+        .map(({ rowNumber, errors }) => ({ rowNumber, errors })),
+      totalRows: analysis.totalRows,
+      validCount: analysis.validCount,
+      invalidCount: analysis.invalidCount
+    };
+  };
+
+  ipcMain.handle('database:openCsv', async (event, options = {}) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Vocabulary from CSV/TSV',
+        filters: [
+          { name: 'Spreadsheet Text Files', extensions: ['csv', 'tsv', 'tab', 'txt'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (canceled || !filePaths || filePaths.length === 0) {
+        return { success: false, reason: 'canceled' };
+      }
+
+      pendingCsvFile = {
+        path: filePaths[0],
+        buffer: await fs.promises.readFile(filePaths[0])
+      };
+
+      return buildCsvPreview(options);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'reading CSV file'
+      );
+      throw new Error(errorInfo.message || 'Failed to read CSV file');
+    }
+  });
+
+  ipcMain.handle('database:previewCsv', async (event, options = {}) => {
+    try {
+      if (!pendingCsvFile) {
+        return { success: false, reason: 'no_file' };
+      }
+
+      return buildCsvPreview(options);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'previewing CSV file'
+      );
+      throw new Error(errorInfo.message || 'Failed to preview CSV file');
+    }
+  });
+
+  ipcMain.handle('database:importCsv', async (event, options = {}) => {
+    try {
+      if (!pendingCsvFile) {
+        return { success: false, reason: 'no_file' };
+      }
+
+      const importer = new CsvImporter(options);
+      const analysis = importer.analyze(pendingCsvFile.buffer, {
+        ...options,
+        fileName: pendingCsvFile.path
+      });
+
+      if (analysis.validCount === 0) {
+        return { success: false, reason: 'no_valid_rows' };
+      }
+
+      // Rows with validation errors are skipped; the rest go in as one transaction
+      const result = await db.importData({ flashcards: analysis.cards });
+      const filePath = pendingCsvFile.path;
+      pendingCsvFile = null;
+
+      return {
+        success: true,
+        path: filePath,
+        stats: {
+          flashcardsImported: result.flashcardsImported,
+          rowsSkipped: analysis.invalidCount
+        }
+      };
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'importing CSV file'
+      );
+      throw new Error(errorInfo.message || 'Failed to import CSV file');
+    }
+  });
+
+  // Anki interoperability
+  ipcMain.handle('database:importAnki', async (event, options = {}) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Anki Deck',
+        filters: [
+          { name: 'Anki Decks', extensions: ['apkg', 'txt', 'tsv'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (canceled || !filePaths || filePaths.length === 0) {
+        return { success: false, reason: 'canceled' };
+      }
+
+      const buffer = await fs.promises.readFile(filePaths[0]);
+      const importer = new AnkiImporter({ defaultSourceLanguage: options.sourceLanguage });
+      const { cards, skipped } = await importer.readFile(buffer, filePaths[0]);
+
+      if (cards.length === 0) {
+        return { success: false, reason: 'no_notes' };
+      }
+
+      const result = await db.importData({ flashcards: cards });
+
+      return {
+        success: true,
+        path: filePaths[0],
+        stats: {
+          flashcardsImported: result.flashcardsImported,
+          notesSkipped: skipped
+        }
+      };
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'importing Anki deck'
+      );
+      throw new Error(errorInfo.message || 'Failed to import Anki deck');
+    }
+  });
+
+  ipcMain.handle('database:exportAnki', async () => {
+    try {
+      const data = await db.exportData();
+
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Cards for Anki',
+        defaultPath: 'flashcards-anki.txt',
+        filters: [
+          { name: 'Text Files', extensions: ['txt'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['createDirectory', 'showOverwriteConfirmation']
+      });
+
+      if (canceled || !filePath) {
+        return { success: false, reason: 'canceled' };
+      }
+
+      await fs.promises.writeFile(filePath, new AnkiExporter().toText(data), 'utf-8');
+
+      return {
+        success: true,
+        path: filePath,
+        stats: {
+          flashcardsCount: data.flashcards.length
+        }
+      };
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'exporting cards for Anki'
+      );
+      throw new Error(errorInfo.message || 'Failed to export cards for Anki');
+    }
+  });
+
+  ipcMain.handle('database:listBackups', async () => {
+    try {
+      return await db.listBackups();
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'listing backups'
+      );
+      throw new Error(errorInfo.message || 'Failed to list backups');
+    }
+  });
+
+  ipcMain.handle('database:createBackup', async () => {
+    try {
+      const backup = await db.createBackup('manual');
+      if (!backup) {
+        return { success: false, reason: 'unavailable' };
+      }
+
+      return { success: true, fileName: backup.fileName, createdAt: backup.createdAt };
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'creating a backup'
+      );
+      throw new Error(errorInfo.message || 'Failed to create a backup');
+    }
+  });
+
+  ipcMain.handle('database:restoreBackup', async (event, fileName) => {
+    try {
+      const result = await db.restoreBackup(fileName);
+      onBackupRestored(await db.getSettings());
+      const stats = await db.getStats();
+
+      return {
+        success: true,
+        restored: result.restored,
+        safetyBackup: result.safetyBackup,
+        stats: {
+          flashcardsCount: stats.flashcardsCount
+        }
+      };
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'restoring a backup'
+      );
+      throw new Error(errorInfo.message || 'Failed to restore the backup');
+    }
+  });
 }
 
 module.exports = {
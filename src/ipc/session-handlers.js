@@ -98,6 +98,51 @@ function registerSessionHandlers(sessionService, errorHandler, mainWindow) {
     }
   });
 
+  // Resume an interrupted session
+  ipcMain.handle('session:resume', async (event, sessionId) => {
+    try {
+      return await sessionService.resumeSession(sessionId);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'session',
+        'resuming session'
+      );
+      throw new Error(errorInfo.message || 'Failed to resume session');
+    }
+  });
+
+  // Abandon a session
+  ipcMain.handle('session:abandon', async (event, sessionId) => {
+    try {
+      return await sessionService.abandonSession(sessionId);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'session',
+        'abandoning session'
+      );
+      throw new Error(errorInfo.message || 'Failed to abandon session');
+    }
+  });
+
+  // Override the evaluated verdict of an answer
+  ipcMain.handle('session:overrideResponse', async (event, { sessionId, responseIndex, correct }) => {
+    try {
+      return await sessionService.overrideResponse(sessionId, responseIndex, correct);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'session',
+        'overriding answer verdict'
+      );
+      throw new Error(errorInfo.message || 'Failed to override the verdict');
+    }
+  });
+
   // Get session statistics
   ipcMain.handle('session:getStats', async (event, sessionId) => {
     try {
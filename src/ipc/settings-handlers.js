@@ -8,14 +8,16 @@ const { ipcMain } = require('electron');
  * @param {Object} db - The database service instance
  * @param {Object} errorHandler - The error handler utility
  * @param {BrowserWindow} mainWindow - The main window instance
+ * @param {Function} [onSettingsSaved] - Called with the saved settings, e.g. to reschedule reminders
  */
-function registerSettingsHandlers(db, errorHandler, mainWindow) {
+function registerSettingsHandlers(db, errorHandler, mainWindow, onSettingsSaved = () => {}) {
   // Save settings
   ipcMain.handle('settings:save', async (event, settingsData) => {
     try {
       const Settings = require('../models/Settings');
       const settings = new Settings(settingsData);
       const savedSettings = await db.saveSettings(settings);
+      onSettingsSaved(savedSettings);
       return savedSettings.toJSON();
     } catch (error) {
       const errorInfo = errorHandler.handleException(
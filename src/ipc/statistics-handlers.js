@@ -0,0 +1,46 @@
+/**
+ * IPC handlers for learning statistics
+ */
+const { ipcMain } = require('electron');
+
+/**
+ * Register statistics IPC handlers
+ * @param {Object} statisticsService - The statistics service instance
+ * @param {Object} errorHandler - The error handler utility
+ * @param {BrowserWindow} mainWindow - The main window instance
+ */
+function registerStatisticsHandlers(statisticsService, errorHandler, mainWindow) {
+  // Learning statistics across sessions
+  ipcMain.handle('statistics:get', async (event, options = {}) => {
+    try {
+      return await statisticsService.getLearningStats(options);
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'retrieving learning statistics'
+      );
+      throw new Error(errorInfo.message || 'Failed to retrieve learning statistics');
+    }
+  });
+
+  // Progress toward today's goal and the practice streak
+  ipcMain.handle('statistics:dailyProgress', async () => {
+    try {
+      return await statisticsService.getDailyProgress();
+    } catch (error) {
+      const errorInfo = errorHandler.handleException(
+        mainWindow,
+        error,
+        'database',
+        'retrieving daily progress'
+      );
+      throw new Error(errorInfo.message || 'Failed to retrieve daily progress');
+    }
+  });
+}
+
+module.exports = {
+  registerStatisticsHandlers
+};
\ No newline at end of file
@@ -58,7 +58,11 @@ function registerTranslationHandlers(translationService, errorHandler, mainWindo
         apiKeyMessage = ' Please check your API key in settings.';
       }
 
-      return `[Translation error: ${error.message}${apiKeyMessage}]`;
+      return {
+        translation: `[Translation error: ${error.message}${apiKeyMessage}]`,
+        provider: null,
+        _error: true // Flag to indicate this is a fallback result
+      };
     }
   });
 }
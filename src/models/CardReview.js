@@ -0,0 +1,64 @@
+/**
+ * CardReview class holding the spaced-repetition state of a single flashcard
+ */
+class CardReview {
+  /**
+   * Create a new CardReview
+   * @param {Object} data - Review state data
+   * @param {string} data.cardId - ID of the flashcard this state belongs to
+   * @param {number} [data.easeFactor] - SM-2 ease factor (minimum 1.3)
+   * @param {number} [data.interval] - Current interval in days
+   * @param {number} [data.repetitions] - Number of consecutive successful reviews
+   * @param {number} [data.lapses] - Number of failed reviews
+   * @param {Date|string|null} [data.dueDate] - When the card is next due for review
+   * @param {Date|string|null} [data.lastReviewedAt] - When the card was last reviewed
+   */
+  constructor(data = {}) {
+    this.cardId = data.cardId || null;
+    this.easeFactor = data.easeFactor ?? CardReview.DEFAULT_EASE_FACTOR;
+    this.interval = data.interval || 0;
+    this.repetitions = data.repetitions || 0;
+    this.lapses = data.lapses || 0;
+    this.dueDate = data.dueDate ? new Date(data.dueDate) : null;
+    this.lastReviewedAt = data.lastReviewedAt ? new Date(data.lastReviewedAt) : null;
+  }
+
+  /**
+   * Check whether the card is due for review
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} - True if the card has never been scheduled or its due date has passed
+   */
+  isDue(now = new Date()) {
+    return !this.dueDate || this.dueDate.getTime() <= now.getTime();
+  }
+
+  /**
+   * Convert to a plain object for storage
+   * @returns {Object} - Plain object representation
+   */
+  toJSON() {
+    return {
+      cardId: this.cardId,
+      easeFactor: this.easeFactor,
+      interval: this.interval,
+      repetitions: this.repetitions,
+      lapses: this.lapses,
+      dueDate: this.dueDate ? this.dueDate.toISOString() : null,
+      lastReviewedAt: this.lastReviewedAt ? this.lastReviewedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Create a CardReview instance from a plain object (from storage)
+   * @param {Object} data - Plain object data
+   * @returns {CardReview} - New CardReview instance
+   */
+  static fromJSON(data) {
+    return new CardReview(data);
+  }
+}
+
+CardReview.DEFAULT_EASE_FACTOR = 2.5;
+CardReview.MIN_EASE_FACTOR = 1.3;
+
+module.exports = CardReview;
\ No newline at end of file
@@ -1,5 +1,30 @@
 const { generateId } = require('../utils/helpers');
 
+/**
+ * Bring a list of alternative translations into { text, note } form
+ * Strings are accepted as translations without a note; empty and repeated translations are dropped.
+ * @param {Array<string|Object>} translations - Alternative translations
+ * @returns {Array<{text: string, note: string}>} - Trimmed alternative translations
+ */
+function normalizeAlternativeTranslations(translations) {
+  const seen = new Set();
+
+  return (Array.isArray(translations) ? translations : [])
+    .map(translation => (typeof translation === 'string' ? { text: translation } : translation || {}))
+    .map(translation => ({
+      text: String(translation.text || '').trim(),
+      note: String(translation.note || '').trim()
+    }))
+    .filter(translation => {
+      const key = translation.text.normalize('NFC').toLowerCase();
+      if (!translation.text || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
 /**
  * FlashCard class representing a single flashcard in the application
  */
@@ -11,6 +36,7 @@ class FlashCard {
    * @param {string} data.sourceLanguage - ISO language code
    * @param {string} [data.comment] - Optional user comment
    * @param {string} [data.userTranslation] - Optional user-provided translation
+   * @param {Array<string|Object>} [data.alternativeTranslations] - Other accepted translations, each { text, note }
    * @param {string[]} [data.tags] - Array of tags for organization
    */
   constructor(data = {}) {
@@ -19,6 +45,7 @@ class FlashCard {
     this.sourceLanguage = data.sourceLanguage || 'en';
     this.comment = data.comment || '';
     this.userTranslation = data.userTranslation || '';
+    this.alternativeTranslations = normalizeAlternativeTranslations(data.alternativeTranslations);
     this.tags = data.tags || [];
     this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
     this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
@@ -33,10 +60,50 @@ class FlashCard {
     if (data.sourceLanguage !== undefined) this.sourceLanguage = data.sourceLanguage;
     if (data.comment !== undefined) this.comment = data.comment;
     if (data.userTranslation !== undefined) this.userTranslation = data.userTranslation;
+    if (data.alternativeTranslations !== undefined) {
+      this.alternativeTranslations = normalizeAlternativeTranslations(data.alternativeTranslations);
+    }
     if (data.tags !== undefined) this.tags = data.tags;
     this.updatedAt = new Date();
   }
 
+  /**
+   * Get every accepted translation, the main one first
+   * @returns {string[]} - Accepted translations
+   */
+  getAcceptedTranslations() {
+    return [this.userTranslation, ...this.alternativeTranslations.map(translation => translation.text)]
+      .filter(Boolean);
+  }
+
+  /**
+   * Accept another translation
+   * A card without a translation gets it as its main translation.
+   * @param {string} text - Translation to accept
+   * @param {string} [note] - Optional note, e.g. 'colloquial'
+   * @returns {boolean} - False if the translation was already accepted
+   */
+  addAcceptedTranslation(text, note = '') {
+    const translation = String(text || '').trim();
+    const key = translation.normalize('NFC').toLowerCase();
+    const accepted = this.getAcceptedTranslations().map(existing => existing.trim().normalize('NFC').toLowerCase());
+
+    if (!translation || accepted.includes(key)) {
+      return false;
+    }
+
+    if (this.userTranslation) {
+      this.alternativeTranslations = normalizeAlternativeTranslations([
+        ...this.alternativeTranslations,
+        { text: translation, note }
+      ]);
+    } else {
+      this.userTranslation = translation;
+    }
+    this.updatedAt = new Date();
+    return true;
+  }
+
   /**
    * Convert to a plain object for storage
    * @returns {Object} Plain object representation
@@ -48,12 +115,24 @@ class FlashCard {
       sourceLanguage: this.sourceLanguage,
       comment: this.comment,
       userTranslation: this.userTranslation,
+      alternativeTranslations: this.alternativeTranslations.map(translation => ({ ...translation })),
       tags: this.tags,
       createdAt: this.createdAt.toISOString(),
       updatedAt: this.updatedAt.toISOString()
     };
   }
 
+  /**
+   * Format alternative translations for a prompt
+   * @param {Array<string|Object>} alternatives - Alternative translations, as text or { text, note }
+   * @returns {string} - Quoted translations with their notes, e.g. '"Wagen", "Karre" (colloquial)'
+   */
+  static formatAlternativeTranslations(alternatives) {
+    return normalizeAlternativeTranslations(alternatives)
+      .map(alternative => (alternative.note ? `"${alternative.text}" (${alternative.note})` : `"${alternative.text}"`))
+      .join(', ');
+  }
+
   /**
    * Create a FlashCard instance from a plain object (from storage)
    * @param {Object} data - Plain object data
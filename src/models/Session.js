@@ -1,5 +1,11 @@
 const { generateId } = require('../utils/helpers');
 
+// Practice directions a session can be created with; mixed picks one per card
+const DIRECTIONS = ['forward', 'reverse', 'mixed'];
+
+// Practice modes: type the translation, or pick it from a list of choices
+const MODES = ['translate', 'multipleChoice'];
+
 /**
  * Session class for tracking practice sessions
  */
@@ -11,20 +17,74 @@ class Session {
    * @param {string} [data.sourceLanguage] - Source language ISO code
    * @param {string} [data.targetLanguage] - Target language ISO code
    * @param {string[]} [data.cardIds] - Array of card IDs to practice
+   * @param {'forward'|'reverse'|'mixed'} [data.direction='forward'] - Practice direction: source to target, target to source, or per card
+   * @param {string[]} [data.cardDirections] - Direction ('forward' or 'reverse') of each card, in card order
+   * @param {'translate'|'multipleChoice'} [data.mode='translate'] - Practice mode
+   * @param {string[][]} [data.cardChoices] - Answer choices of each card in multiple-choice mode, in card order
+   * @param {boolean} [data.retryMistakes=false] - Whether cards answered incorrectly come back in extra rounds
+   * @param {number} [data.firstRoundSize] - Number of cards before the retry rounds, defaults to all cards
+   * @param {number} [data.retryRounds=0] - Number of retry rounds queued so far
    * @param {number} [data.currentCardIndex] - Current position in the card list
    * @param {Array} [data.responses] - User's responses during the session
    * @param {Date|string} [data.createdAt] - Creation timestamp
    * @param {Date|string|null} [data.completedAt] - Completion timestamp
+   * @param {Date|string|null} [data.abandonedAt] - Timestamp when the user gave up on the session
    */
   constructor(data = {}) {
     this.id = data.id || generateId();
     this.sourceLanguage = data.sourceLanguage || 'en';
     this.targetLanguage = data.targetLanguage || 'en';
     this.cardIds = data.cardIds || [];
+    this.direction = data.direction || 'forward';
+    this.cardDirections = data.cardDirections || [];
+    this.mode = data.mode || 'translate';
+    this.cardChoices = data.cardChoices || [];
+    this.retryMistakes = Boolean(data.retryMistakes);
+    this.firstRoundSize = data.firstRoundSize ?? this.cardIds.length;
+    this.retryRounds = data.retryRounds || 0;
     this.currentCardIndex = data.currentCardIndex || 0;
     this.responses = data.responses || [];
     this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
     this.completedAt = data.completedAt ? new Date(data.completedAt) : null;
+    this.abandonedAt = data.abandonedAt ? new Date(data.abandonedAt) : null;
+  }
+
+  /**
+   * Check whether the session can still be practiced
+   * @returns {boolean} - True if the session is neither completed nor abandoned
+   */
+  isActive() {
+    return !this.completedAt && !this.abandonedAt;
+  }
+
+  /**
+   * Mark the session as abandoned
+   * Abandoned sessions keep their responses but can no longer be resumed.
+   */
+  abandon() {
+    if (!this.abandonedAt) {
+      this.abandonedAt = new Date();
+    }
+  }
+
+  /**
+   * Get the direction a card is practiced in
+   * Sessions saved before directions existed have no card directions and are forward.
+   * @param {number} [index] - Card position, defaults to the current card
+   * @returns {'forward'|'reverse'} - Direction of the card
+   */
+  getCardDirection(index = this.currentCardIndex) {
+    const direction = this.cardDirections[index] || this.direction;
+    return direction === 'reverse' ? 'reverse' : 'forward';
+  }
+
+  /**
+   * Get the answer choices of a card
+   * @param {number} [index] - Card position, defaults to the current card
+   * @returns {string[]|null} - Choices in display order, or null if the session is not multiple choice
+   */
+  getCardChoices(index = this.currentCardIndex) {
+    return this.mode === 'multipleChoice' ? (this.cardChoices[index] || []) : null;
   }
 
   /**
@@ -32,18 +92,92 @@ class Session {
    * @param {string} cardId - The ID of the card being responded to
    * @param {string} userResponse - The user's translation response
    * @param {boolean} correct - Whether the response was correct
+   * @param {'forward'|'reverse'} [direction] - Direction the card was practiced in, defaults to the current card's
+   * @returns {Object} - The recorded response
    */
-  recordResponse(cardId, userResponse, correct) {
-    this.responses.push({
+  recordResponse(cardId, userResponse, correct, direction = this.getCardDirection()) {
+    const response = {
       cardId,
       userResponse,
       correct,
+      direction,
       timestamp: new Date()
+    };
+    this.responses.push(response);
+    return response;
+  }
+
+  /**
+   * Replace the evaluated verdict of a response with the user's own
+   * The evaluated verdict is kept in `evaluatedCorrect` and the response is flagged as
+   * `overridden`; overriding it back to the evaluated verdict removes the flag.
+   * @param {number} index - Position of the response
+   * @param {boolean} correct - Whether the user says the answer was correct
+   * @returns {boolean} - False if the response already had this verdict
+   * @throws {Error} - If there is no response at the position
+   */
+  overrideResponse(index, correct) {
+    const response = this.responses[index];
+    if (!response) {
+      throw new Error(`Response not found: ${index}`);
+    }
+
+    if (response.correct === correct) {
+      return false;
+    }
+
+    const evaluatedCorrect = response.overridden ? response.evaluatedCorrect : response.correct;
+    response.correct = correct;
+
+    if (correct === evaluatedCorrect) {
+      delete response.overridden;
+      delete response.evaluatedCorrect;
+    } else {
+      response.overridden = true;
+      response.evaluatedCorrect = evaluatedCorrect;
+    }
+
+    return true;
+  }
+
+  /**
+   * Queue the cards that have not been answered correctly yet for another round
+   * Each card keeps the direction and choices it was last practiced with.
+   * @returns {number} - Number of cards queued, 0 if every answered card is correct
+   */
+  queueRetryRound() {
+    // Position of the latest response of each card; responses are recorded one per position
+    const latest = new Map();
+    this.responses.forEach((response, index) => latest.set(response.cardId, index));
+
+    const mistakes = [...latest.entries()].filter(([, index]) => !this.responses[index].correct);
+    mistakes.forEach(([cardId, index]) => {
+      const position = this.cardIds.length;
+      this.cardIds.push(cardId);
+      this.cardDirections[position] = this.getCardDirection(index);
+      if (this.mode === 'multipleChoice') {
+        this.cardChoices[position] = this.getCardChoices(index);
+      }
     });
+
+    if (mistakes.length > 0) {
+      this.retryRounds++;
+    }
+    return mistakes.length;
+  }
+
+  /**
+   * Check whether a card position belongs to a retry round
+   * @param {number} [index] - Card position, defaults to the current card
+   * @returns {boolean} - True for cards queued again after a mistake
+   */
+  isRetry(index = this.currentCardIndex) {
+    return index >= this.firstRoundSize;
   }
 
   /**
    * Move to the next card
+   * With retryMistakes, the cards answered incorrectly are queued again after the last one.
    * @returns {boolean} - True if there are more cards, false if session is complete
    */
   nextCard() {
@@ -52,6 +186,11 @@ class Session {
       return true;
     }
     
+    if (this.retryMistakes && !this.completedAt && this.cardIds.length > 0 && this.queueRetryRound() > 0) {
+      this.currentCardIndex++;
+      return true;
+    }
+    
     // Mark session as completed if we've gone through all cards
     if (this.currentCardIndex === this.cardIds.length - 1 && !this.completedAt) {
       this.completedAt = new Date();
@@ -76,16 +215,31 @@ class Session {
    * @returns {Object} - Session statistics
    */
   getStats() {
-    const totalCards = this.cardIds.length;
-    const answeredCards = this.responses.length;
-    const correctCards = this.responses.filter(r => r.correct).length;
+    const totalCards = this.firstRoundSize;
+    const overriddenCards = this.responses.filter(r => r.overridden).length;
+    
+    // Final verdict of each card: its latest response, after any retry rounds
+    const finalVerdicts = new Map();
+    this.responses.forEach(r => finalVerdicts.set(r.cardId, r.correct));
+    const answeredCards = finalVerdicts.size;
+    const correctCards = [...finalVerdicts.values()].filter(Boolean).length;
+    
+    // First try: the responses of the first round only
+    const firstTries = this.responses.slice(0, this.firstRoundSize);
+    const firstTryCorrectCards = firstTries.filter(r => r.correct).length;
     
     return {
       totalCards,
       answeredCards,
       correctCards,
+      overriddenCards,
       accuracy: answeredCards > 0 ? (correctCards / answeredCards) * 100 : 0,
-      isComplete: Boolean(this.completedAt)
+      firstTryCorrectCards,
+      firstTryAccuracy: firstTries.length > 0 ? (firstTryCorrectCards / firstTries.length) * 100 : 0,
+      attempts: this.responses.length,
+      retryRounds: this.retryRounds,
+      isComplete: Boolean(this.completedAt),
+      isAbandoned: Boolean(this.abandonedAt)
     };
   }
 
@@ -99,34 +253,71 @@ class Session {
       sourceLanguage: this.sourceLanguage,
       targetLanguage: this.targetLanguage,
       cardIds: this.cardIds,
+      direction: this.direction,
+      cardDirections: this.cardDirections,
+      mode: this.mode,
+      cardChoices: this.cardChoices,
+      retryMistakes: this.retryMistakes,
+      firstRoundSize: this.firstRoundSize,
+      retryRounds: this.retryRounds,
       currentCardIndex: this.currentCardIndex,
       responses: this.responses.map(r => ({
         ...r,
         timestamp: r.timestamp.toISOString()
       })),
       createdAt: this.createdAt.toISOString(),
-      completedAt: this.completedAt ? this.completedAt.toISOString() : null
+      completedAt: this.completedAt ? this.completedAt.toISOString() : null,
+      abandonedAt: this.abandonedAt ? this.abandonedAt.toISOString() : null
     };
   }
 
   /**
    * Create a Session instance from a plain object
+   * Responses from first-release exports call the answer userTranslation and have no
+   * timestamp; they get the session's creation time, as in migration 010.
    * @param {Object} data - Plain object data
    * @returns {Session} - New Session instance
    */
   static fromJSON(data) {
+    const createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
     const parsedData = {
       ...data,
-      responses: (data.responses || []).map(r => ({
+      responses: (data.responses || []).map(({ userTranslation, ...r }) => ({
         ...r,
-        timestamp: new Date(r.timestamp)
+        userResponse: r.userResponse ?? userTranslation ?? '',
+        timestamp: r.timestamp ? new Date(r.timestamp) : createdAt
       })),
-      createdAt: data.createdAt ? new Date(data.createdAt) : new Date(),
-      completedAt: data.completedAt ? new Date(data.completedAt) : null
+      createdAt,
+      completedAt: data.completedAt ? new Date(data.completedAt) : null,
+      abandonedAt: data.abandonedAt ? new Date(data.abandonedAt) : null
     };
     
     return new Session(parsedData);
   }
+
+  /**
+   * Pick the direction of each card for a new session
+   * @param {number} count - Number of cards
+   * @param {'forward'|'reverse'|'mixed'} direction - Session direction
+   * @param {Function} [random=Math.random] - Random number source, for mixed sessions
+   * @returns {string[]} - 'forward' or 'reverse' for each card
+   * @throws {Error} - If the direction is unknown
+   */
+  static assignCardDirections(count, direction, random = Math.random) {
+    if (!DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown practice direction: ${direction}`);
+    }
+
+    return Array.from({ length: count }, () => {
+      if (direction === 'mixed') {
+        return random() < 0.5 ? 'forward' : 'reverse';
+      }
+      return direction;
+    });
+  }
 }
 
+Session.DIRECTIONS = DIRECTIONS;
+Session.MODES = MODES;
+
 module.exports = Session;
\ No newline at end of file
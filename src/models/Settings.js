@@ -7,19 +7,37 @@ class Settings {
    * @param {Object} data - Settings data
    * @param {boolean} [data.darkMode] - Whether dark mode is enabled
    * @param {string} [data.translationApiKey] - API key for translation service
-   * @param {'gemini'|'openai'} [data.translationApiProvider] - Which translation API provider to use
+   * @param {'gemini'|'openai'|'local'} [data.translationApiProvider] - Which translation API provider to use
+   * @param {string} [data.localLlmBaseUrl] - URL of the local OpenAI-compatible server, for the 'local' provider
+   * @param {string} [data.localLlmModel] - Model name on the local server
+   * @param {Array<Object>} [data.translationProviders] - Providers in fallback order, each { name, apiKey, modelName, baseUrl }
    * @param {number} [data.maxCardsPerSession] - Maximum cards per practice session
    * @param {string} [data.defaultSourceLanguage] - Default source language ISO code
    * @param {string} [data.defaultTargetLanguage] - Default target language ISO code
+   * @param {boolean} [data.saveGeneratedTranslations] - Whether AI-generated translations are saved to cards without one
+   * @param {boolean} [data.ignoreDiacritics] - Whether the offline evaluator accepts answers with missing or wrong accents
+   * @param {'cards'|'minutes'} [data.dailyGoalUnit] - Whether the daily goal counts cards answered or minutes practiced
+   * @param {number} [data.dailyGoal] - Cards or minutes to practice each day
+   * @param {boolean} [data.reminderEnabled] - Whether to remind the user when the daily goal is not met
+   * @param {string} [data.reminderTime] - Local time of the reminder, as HH:MM
    */
   constructor(data = {}) {
     this.darkMode = data.darkMode ?? true;
     this.translationApiKey = data.translationApiKey || '';
     // Use nullish coalescing to allow empty string but not undefined/null
     this.translationApiProvider = data.translationApiProvider !== undefined ? data.translationApiProvider : 'gemini';
+    this.localLlmBaseUrl = data.localLlmBaseUrl || '';
+    this.localLlmModel = data.localLlmModel || '';
+    this.translationProviders = Array.isArray(data.translationProviders) ? data.translationProviders : [];
     this.maxCardsPerSession = data.maxCardsPerSession || 20;
     this.defaultSourceLanguage = data.defaultSourceLanguage || 'en';
     this.defaultTargetLanguage = data.defaultTargetLanguage || 'es';
+    this.saveGeneratedTranslations = data.saveGeneratedTranslations ?? false;
+    this.ignoreDiacritics = data.ignoreDiacritics ?? false;
+    this.dailyGoalUnit = data.dailyGoalUnit === 'minutes' ? 'minutes' : 'cards';
+    this.dailyGoal = data.dailyGoal > 0 ? data.dailyGoal : 20;
+    this.reminderEnabled = data.reminderEnabled ?? false;
+    this.reminderTime = data.reminderTime || '19:00';
   }
 
   /**
@@ -30,16 +48,30 @@ class Settings {
     if (newSettings.darkMode !== undefined) this.darkMode = newSettings.darkMode;
     if (newSettings.translationApiKey !== undefined) this.translationApiKey = newSettings.translationApiKey;
     if (newSettings.translationApiProvider !== undefined) this.translationApiProvider = newSettings.translationApiProvider;
+    if (newSettings.localLlmBaseUrl !== undefined) this.localLlmBaseUrl = newSettings.localLlmBaseUrl;
+    if (newSettings.localLlmModel !== undefined) this.localLlmModel = newSettings.localLlmModel;
+    if (Array.isArray(newSettings.translationProviders)) this.translationProviders = newSettings.translationProviders;
     if (newSettings.maxCardsPerSession !== undefined) this.maxCardsPerSession = newSettings.maxCardsPerSession;
     if (newSettings.defaultSourceLanguage !== undefined) this.defaultSourceLanguage = newSettings.defaultSourceLanguage;
     if (newSettings.defaultTargetLanguage !== undefined) this.defaultTargetLanguage = newSettings.defaultTargetLanguage;
+    if (newSettings.saveGeneratedTranslations !== undefined) this.saveGeneratedTranslations = newSettings.saveGeneratedTranslations;
+    if (newSettings.ignoreDiacritics !== undefined) this.ignoreDiacritics = newSettings.ignoreDiacritics;
+    if (newSettings.dailyGoalUnit === 'cards' || newSettings.dailyGoalUnit === 'minutes') this.dailyGoalUnit = newSettings.dailyGoalUnit;
+    if (newSettings.dailyGoal > 0) this.dailyGoal = newSettings.dailyGoal;
+    if (newSettings.reminderEnabled !== undefined) this.reminderEnabled = newSettings.reminderEnabled;
+    if (newSettings.reminderTime !== undefined) this.reminderTime = newSettings.reminderTime;
   }
 
   /**
    * Check if translation API settings are configured
+   * The local provider needs a server URL instead of an API key.
    * @returns {boolean} - True if translation API settings are configured
    */
   hasTranslationApiConfiguration() {
+    if (this.translationApiProvider === 'local') {
+      return Boolean(this.localLlmBaseUrl);
+    }
+    
     return Boolean(this.translationApiKey && this.translationApiProvider && this.translationApiProvider !== '');
   }
 
@@ -52,9 +84,18 @@ class Settings {
       darkMode: this.darkMode,
       translationApiKey: this.translationApiKey,
       translationApiProvider: this.translationApiProvider,
+      localLlmBaseUrl: this.localLlmBaseUrl,
+      localLlmModel: this.localLlmModel,
+      translationProviders: this.translationProviders,
       maxCardsPerSession: this.maxCardsPerSession,
       defaultSourceLanguage: this.defaultSourceLanguage,
-      defaultTargetLanguage: this.defaultTargetLanguage
+      defaultTargetLanguage: this.defaultTargetLanguage,
+      saveGeneratedTranslations: this.saveGeneratedTranslations,
+      ignoreDiacritics: this.ignoreDiacritics,
+      dailyGoalUnit: this.dailyGoalUnit,
+      dailyGoal: this.dailyGoal,
+      reminderEnabled: this.reminderEnabled,
+      reminderTime: this.reminderTime
     };
   }
 
@@ -15,10 +15,17 @@ contextBridge.exposeInMainWorld('flashcards', {
   saveFlashCard: (cardData) => ipcRenderer.invoke('flashcard:save', cardData),
   getFlashCard: (id) => ipcRenderer.invoke('flashcard:get', id),
   getAllFlashCards: (options) => ipcRenderer.invoke('flashcard:getAll', options),
+  countFlashCards: (options) => ipcRenderer.invoke('flashcard:count', options),
   deleteFlashCard: (id) => ipcRenderer.invoke('flashcard:delete', id),
+  acceptTranslation: (id, text, note) => ipcRenderer.invoke('flashcard:acceptTranslation', { id, text, note }),
 
   // Tag operations
   getAvailableTags: (sourceLanguage) => ipcRenderer.invoke('tags:getAvailable', sourceLanguage),
+  renameTag: (name, newName) => ipcRenderer.invoke('tags:rename', { name, newName }),
+  mergeTags: (names, targetName) => ipcRenderer.invoke('tags:merge', { names, targetName }),
+  deleteTag: (name, options = {}) => ipcRenderer.invoke('tags:delete', { name, ...options }),
+  addTagToCards: (name, filter) => ipcRenderer.invoke('tags:addToCards', { name, filter }),
+  removeTagFromCards: (name, filter) => ipcRenderer.invoke('tags:removeFromCards', { name, filter }),
 
   // Session operations
   saveSession: (sessionData) => ipcRenderer.invoke('session:save', sessionData),
@@ -32,8 +39,18 @@ contextBridge.exposeInMainWorld('flashcards', {
 
   // Database operations
   getDatabaseStats: () => ipcRenderer.invoke('database:stats'),
+  getLearningStats: (options) => ipcRenderer.invoke('statistics:get', options),
+  getDailyProgress: () => ipcRenderer.invoke('statistics:dailyProgress'),
   exportDatabase: () => ipcRenderer.invoke('database:export'),
   importDatabase: (data) => ipcRenderer.invoke('database:import', data),
+  openCsvImport: (options) => ipcRenderer.invoke('database:openCsv', options),
+  previewCsvImport: (options) => ipcRenderer.invoke('database:previewCsv', options),
+  importCsv: (options) => ipcRenderer.invoke('database:importCsv', options),
+  importAnki: (options) => ipcRenderer.invoke('database:importAnki', options),
+  exportAnki: () => ipcRenderer.invoke('database:exportAnki'),
+  listBackups: () => ipcRenderer.invoke('database:listBackups'),
+  createBackup: () => ipcRenderer.invoke('database:createBackup'),
+  restoreBackup: (fileName) => ipcRenderer.invoke('database:restoreBackup', fileName),
 
   // Game Session operations
   createGameSession: (options) => ipcRenderer.invoke('session:create', options),
@@ -41,6 +58,9 @@ contextBridge.exposeInMainWorld('flashcards', {
   submitAnswer: (sessionId, answer) => ipcRenderer.invoke('session:submitAnswer', { sessionId, answer }),
   advanceSession: (sessionId) => ipcRenderer.invoke('session:advance', sessionId),
   getSessionStats: (sessionId) => ipcRenderer.invoke('session:getStats', sessionId),
+  overrideResponse: (sessionId, responseIndex, correct) => ipcRenderer.invoke('session:overrideResponse', { sessionId, responseIndex, correct }),
+  resumeSession: (sessionId) => ipcRenderer.invoke('session:resume', sessionId),
+  abandonSession: (sessionId) => ipcRenderer.invoke('session:abandon', sessionId),
 
   // Translation operations
   evaluateTranslation: (data) => ipcRenderer.invoke('translation:evaluate', data),
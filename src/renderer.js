@@ -4,6 +4,8 @@
  * It's needed because we can't use require() directly in the renderer with contextIsolation
  */
 
+/* global BackupRestorePanel, CardManagementScreen, CsvImportScreen, DailyGoalPanel, SessionHistoryScreen, StatisticsScreen, TagManagementPanel, TagSelectionComponent */
+
 // Setup global handlers
 document.addEventListener('DOMContentLoaded', () => {
   console.log('DOM loaded, initializing application...');
@@ -192,9 +194,20 @@ class SetupScreen {
     this.flashcards = options.flashcards || window.flashcards;
     this.notificationSystem = options.notificationSystem || null;
     
+    // Numbers the card count requests, so only the latest answer is shown
+    this._matchingCountRequest = 0;
+
     // Find existing elements
     this._findElements();
     this._attachEventListeners();
+
+    // Tag management panel below the tag selection
+    this.tagManagementPanel = new TagManagementPanel(document.getElementById('tag-management-panel'), {
+      flashcards: this.flashcards,
+      notificationSystem: this.notificationSystem,
+      getCardFilter: () => this._getSelectedCardFilter(),
+      onTagsChanged: () => this._loadTagsForSelection(this.elements.sourceLanguage.value)
+    });
   }
   
   _findElements() {
@@ -212,6 +225,12 @@ class SetupScreen {
       sourceLanguage: document.getElementById('source-language'),
       targetLanguage: document.getElementById('target-language'),
       cardCount: document.getElementById('card-count'),
+      selectionMode: document.getElementById('selection-mode'),
+      practiceDirection: document.getElementById('practice-direction'),
+      practiceMode: document.getElementById('practice-mode'),
+      retryMistakes: document.getElementById('retry-mistakes'),
+      saveGeneratedTranslations: document.getElementById('save-generated-translations'),
+      ignoreDiacritics: document.getElementById('ignore-diacritics'),
       tagSelectionContainer: document.getElementById('tag-selection-container'),
       tagSelectionHeader: document.getElementById('tag-selection-header'),
       tagSelectionToggle: document.getElementById('tag-selection-toggle'),
@@ -219,6 +238,7 @@ class SetupScreen {
       tagSelectionSummary: document.getElementById('tag-selection-summary'),
       tagSelectionStatus: document.getElementById('tag-selection-status'),
       tagCloud: document.getElementById('tag-cloud'),
+      matchingCardCount: document.getElementById('matching-card-count'),
       untaggedCount: document.getElementById('untagged-count'),
       includeUntagged: document.getElementById('include-untagged'),
       selectAllTagsBtn: document.getElementById('select-all-tags'),
@@ -271,6 +291,17 @@ class SetupScreen {
       });
       this.elements.deselectAllTagsBtn._hasSetupListener = true;
     }
+    
+    for (const key of ['saveGeneratedTranslations', 'ignoreDiacritics']) {
+      const checkbox = this.elements[key];
+      
+      if (checkbox && !checkbox._hasSetupListener) {
+        checkbox.addEventListener('change', () => {
+          this._saveToggleSetting(key, checkbox);
+        });
+        checkbox._hasSetupListener = true;
+      }
+    }
   }
   
   async _loadTagsForSelection(sourceLanguage) {
@@ -292,6 +323,7 @@ class SetupScreen {
       // Fetch tags for the selected source language
       const tagsData = await this.flashcards.getAvailableTags(sourceLanguage);
       console.log('Available tags:', tagsData);
+      this.tagManagementPanel.setTags(tagsData.tags);
 
       // Check if we have any tags
       if (tagsData.tags.length === 0 && tagsData.untaggedCount === 0) {
@@ -318,12 +350,13 @@ class SetupScreen {
               id="tag-${tagData.tag}"
               class="tag-toggle selected"
               data-tag="${tagData.tag}"
+              data-state="include"
               aria-pressed="true"
               aria-describedby="tag-desc-${tagData.tag}"
               tabindex="0">
               <span>${tagData.tag}</span>
               <span class="tag-count">(${tagData.count})</span>
-              <span id="tag-desc-${tagData.tag}" class="sr-only">Toggle selection of tag ${tagData.tag} with ${tagData.count} cards</span>
+              <span id="tag-desc-${tagData.tag}" class="sr-only">Tag ${tagData.tag} with ${tagData.count} cards, <span class="tag-state-label">included</span></span>
             </button>
           `;
         });
@@ -357,6 +390,9 @@ class SetupScreen {
           button._hasTagListener = true;
         }
       });
+
+      // Show how many cards the selection matches
+      this._updateMatchingCardCount();
     } catch (error) {
       console.error('Error loading tags:', error);
       
@@ -373,16 +409,17 @@ class SetupScreen {
   }
   
   _toggleTagSelection(button) {
-    const isSelected = button.classList.contains('selected');
-    const newState = !isSelected;
-    const tagName = button.dataset.tag || (button.id === 'include-untagged' ? 'untagged cards' : button.textContent.trim());
-
-    // Update button state
-    button.classList.toggle('selected', newState);
-    button.setAttribute('aria-pressed', newState.toString());
+    if (button.id === 'include-untagged') {
+      const newState = !button.classList.contains('selected');
+      button.classList.toggle('selected', newState);
+      button.setAttribute('aria-pressed', newState.toString());
+    } else {
+      TagSelectionComponent.applyState(button, TagSelectionComponent.nextState(button.dataset.state || 'off'));
+    }
 
     // Update summary text in the dropdown header
     this._updateTagSelectionSummary();
+    this._updateMatchingCardCount();
   }
   
   _updateTagSelectionSummary() {
@@ -390,11 +427,19 @@ class SetupScreen {
     
     const totalTagButtons = document.querySelectorAll('.tag-toggle').length;
     const selectedTagButtons = document.querySelectorAll('.tag-toggle.selected').length;
+    const requiredTagButtons = document.querySelectorAll('.tag-toggle.required').length;
+    const excludedTagButtons = document.querySelectorAll('.tag-toggle.excluded').length;
     const tagSummaryElement = this.elements.tagSelectionSummary;
     const tagStatusElement = this.elements.tagSelectionStatus;
 
     let summaryText = '';
-    if (selectedTagButtons === 0) {
+    if (requiredTagButtons > 0 || excludedTagButtons > 0) {
+      summaryText = [
+        [selectedTagButtons, 'included'],
+        [requiredTagButtons, 'required'],
+        [excludedTagButtons, 'excluded']
+      ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+    } else if (selectedTagButtons === 0) {
       summaryText = 'No tags selected';
     } else if (selectedTagButtons === totalTagButtons) {
       summaryText = `All ${totalTagButtons} tags selected`;
@@ -432,12 +477,74 @@ class SetupScreen {
     const tagButtons = document.querySelectorAll('.tag-toggle');
 
     tagButtons.forEach(button => {
-      button.classList.toggle('selected', selected);
-      button.setAttribute('aria-pressed', selected.toString());
+      if (button.id === 'include-untagged') {
+        button.classList.toggle('selected', selected);
+        button.setAttribute('aria-pressed', selected.toString());
+      } else {
+        TagSelectionComponent.applyState(button, selected ? 'include' : 'off');
+      }
     });
 
     // Update summary
     this._updateTagSelectionSummary();
+    this._updateMatchingCardCount();
+  }
+  
+  _getTagSelection() {
+    const tagSelectionContainer = this.elements.tagSelectionContainer;
+
+    if (!tagSelectionContainer || tagSelectionContainer.style.display === 'none') {
+      return { tags: [], includeUntagged: false };
+    }
+
+    // Get the state of every tag button
+    const tagStates = Array.from(this.elements.tagCloud.querySelectorAll('.tag-toggle'))
+      .map(button => ({ tag: button.dataset.tag, state: button.dataset.state || 'off' }));
+
+    // Check if untagged cards should be included
+    const includeUntagged = Boolean(this.elements.includeUntagged &&
+      this.elements.includeUntagged.classList.contains('selected'));
+
+    return TagSelectionComponent.buildFilter(tagStates, includeUntagged);
+  }
+  
+  _getSelectedCardFilter() {
+    const sourceLanguage = this.elements.sourceLanguage.value;
+    const tagSelectionContainer = this.elements.tagSelectionContainer;
+
+    // Without a visible tag selection every card of the language is selected
+    if (!tagSelectionContainer || tagSelectionContainer.style.display === 'none') {
+      return { sourceLanguage };
+    }
+
+    const { tags, includeUntagged } = this._getTagSelection();
+    const hasTags = tags.anyOf.length > 0 || tags.allOf.length > 0 || tags.noneOf.length > 0;
+    return hasTags || includeUntagged ? { sourceLanguage, tags, includeUntagged } : null;
+  }
+  
+  async _updateMatchingCardCount() {
+    const countElement = this.elements.matchingCardCount;
+    if (!countElement || !this.flashcards.countFlashCards) return;
+
+    const request = ++this._matchingCountRequest;
+
+    try {
+      const { tags, includeUntagged } = this._getTagSelection();
+      const count = await this.flashcards.countFlashCards({
+        sourceLanguage: this.elements.sourceLanguage.value,
+        tags,
+        includeUntagged
+      });
+
+      if (request === this._matchingCountRequest) {
+        countElement.textContent = `${count} matching ${count === 1 ? 'card' : 'cards'}`;
+      }
+    } catch (error) {
+      console.error('Error counting matching cards:', error);
+      if (request === this._matchingCountRequest) {
+        countElement.textContent = '';
+      }
+    }
   }
   
   async _createSession() {
@@ -450,6 +557,10 @@ class SetupScreen {
       const sourceLanguage = this.elements.sourceLanguage.value;
       const targetLanguage = this.elements.targetLanguage.value;
       const maxCards = parseInt(this.elements.cardCount.value, 10);
+      const selectionMode = this.elements.selectionMode ? this.elements.selectionMode.value : 'random';
+      const direction = this.elements.practiceDirection ? this.elements.practiceDirection.value : 'forward';
+      const mode = this.elements.practiceMode ? this.elements.practiceMode.value : 'translate';
+      const retryMistakes = this.elements.retryMistakes ? this.elements.retryMistakes.checked : false;
 
       if (sourceLanguage === targetLanguage) {
         if (this.notificationSystem) {
@@ -480,21 +591,7 @@ class SetupScreen {
       }
 
       // Get selected tags if the container is visible
-      const tagSelectionContainer = this.elements.tagSelectionContainer;
-      let selectedTags = [];
-      let includeUntagged = false;
-
-      if (tagSelectionContainer && tagSelectionContainer.style.display !== 'none') {
-        // Get all selected tag buttons
-        const tagButtons = document.querySelectorAll('.tag-toggle.selected');
-        selectedTags = Array.from(tagButtons)
-          .filter(button => button.id !== 'include-untagged')
-          .map(button => button.dataset.tag);
-
-        // Check if untagged cards should be included
-        includeUntagged = this.elements.includeUntagged && 
-                         this.elements.includeUntagged.classList.contains('selected');
-      }
+      const { tags: selectedTags, includeUntagged } = this._getTagSelection();
 
       console.log('Selected tags:', selectedTags);
       console.log('Include untagged:', includeUntagged);
@@ -505,7 +602,11 @@ class SetupScreen {
         maxCards,
         useSampleCards: useSampleCards,
         tags: selectedTags,
-        includeUntagged: includeUntagged
+        includeUntagged: includeUntagged,
+        selectionMode,
+        direction,
+        mode,
+        retryMistakes
       };
 
       // Call the start session callback with the session options
@@ -525,6 +626,43 @@ class SetupScreen {
     }
   }
   
+  async _loadSettings() {
+    if (!this.flashcards || !this.flashcards.getSettings) {
+      return;
+    }
+    
+    try {
+      const settings = await this.flashcards.getSettings();
+      
+      for (const key of ['saveGeneratedTranslations', 'ignoreDiacritics']) {
+        if (this.elements[key]) {
+          this.elements[key].checked = Boolean(settings[key]);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+  
+  async _saveToggleSetting(key, checkbox) {
+    try {
+      // Settings are saved whole, so start from the stored ones
+      const settings = await this.flashcards.getSettings();
+      await this.flashcards.saveSettings({ ...settings, [key]: checkbox.checked });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      checkbox.checked = !checkbox.checked;
+      
+      if (this.notificationSystem) {
+        this.notificationSystem.error(
+          'Settings Not Saved',
+          'Could not save the setting',
+          error.message
+        );
+      }
+    }
+  }
+  
   show() {
     if (!this.elements.setupScreen) {
       console.error('Setup screen element not found');
@@ -537,6 +675,8 @@ class SetupScreen {
     if (this.elements.sourceLanguage) {
       this._loadTagsForSelection(this.elements.sourceLanguage.value);
     }
+    
+    this._loadSettings();
   }
   
   hide() {
@@ -578,6 +718,12 @@ class FlashCardsApp {
     // Initialize database stats
     this.loadDatabaseStats();
     
+    // Offer to continue interrupted sessions
+    this.loadActiveSessions();
+    
+    // Show progress toward today's goal
+    this.dailyGoalPanel.load();
+    
     console.log('FlashCards application initialized');
   }
   
@@ -589,7 +735,11 @@ class FlashCardsApp {
       practice: document.getElementById('practice-screen'),
       feedback: document.getElementById('feedback-screen'),
       results: document.getElementById('results-screen'),
+      cards: document.getElementById('cards-screen'),
+      history: document.getElementById('history-screen'),
+      statistics: document.getElementById('statistics-screen'),
       import: document.getElementById('import-screen'),
+      csvImport: document.getElementById('csv-import-screen'),
       operationResult: document.getElementById('operation-result-screen')
     };
     
@@ -613,6 +763,50 @@ class FlashCardsApp {
       notificationSystem: this.notificationSystem,
       flashcards: window.flashcards
     });
+    
+    // Initialize card management screen
+    this.cardManagementScreen = new CardManagementScreen(document.body, {
+      onBack: () => this.showScreen('home'),
+      onCardsChanged: () => this.loadDatabaseStats(),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
+    
+    // Initialize session history screen; missed cards are practiced in a new session
+    this.sessionHistoryScreen = new SessionHistoryScreen(document.body, {
+      onBack: () => this.showScreen('home'),
+      onPracticeCards: (options) => this.createSession(options),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
+    
+    // Initialize statistics screen
+    this.statisticsScreen = new StatisticsScreen(document.body, {
+      onBack: () => this.showScreen('home'),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
+    
+    // Initialize the daily goal panel on the home screen
+    this.dailyGoalPanel = new DailyGoalPanel(document.getElementById('daily-goal-panel'), {
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
+    
+    // Initialize the backup panel on the import screen; a restore replaces everything shown
+    this.backupRestorePanel = new BackupRestorePanel(document.getElementById('backup-panel'), {
+      onRestored: (result) => this.showRestoreResult(result),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
+    
+    // Initialize CSV/TSV import screen
+    this.csvImportScreen = new CsvImportScreen(document.body, {
+      onBack: () => this.showScreen('import'),
+      onImported: (result) => this.showCsvImportResult(result),
+      notificationSystem: this.notificationSystem,
+      flashcards: window.flashcards
+    });
   }
   
   attachEventListeners() {
@@ -620,7 +814,11 @@ class FlashCardsApp {
     document.getElementById('refresh-stats').addEventListener('click', () => this.loadDatabaseStats());
     document.getElementById('create-sample-card').addEventListener('click', () => this.createSampleCard());
     document.getElementById('start-practice-btn').addEventListener('click', () => this.showScreen('setup'));
+    document.getElementById('manage-cards-btn').addEventListener('click', () => this.showScreen('cards'));
+    document.getElementById('session-history-btn').addEventListener('click', () => this.showScreen('history'));
+    document.getElementById('statistics-btn').addEventListener('click', () => this.showScreen('statistics'));
     document.getElementById('export-data-btn').addEventListener('click', () => this.exportData());
+    document.getElementById('export-anki-btn').addEventListener('click', () => this.exportAnki());
     document.getElementById('import-data-btn').addEventListener('click', () => this.showScreen('import'));
     
     // Practice screen
@@ -629,6 +827,9 @@ class FlashCardsApp {
     
     // Feedback screen
     document.getElementById('next-card-btn').addEventListener('click', () => this.nextCard());
+    document.getElementById('accept-answer-btn').addEventListener('click', () => this.acceptAnswer());
+    document.getElementById('override-right-btn').addEventListener('click', () => this.overrideVerdict(true));
+    document.getElementById('override-wrong-btn').addEventListener('click', () => this.overrideVerdict(false));
     
     // Results screen
     document.getElementById('back-to-home-from-results-btn').addEventListener('click', () => this.showScreen('home'));
@@ -637,6 +838,8 @@ class FlashCardsApp {
     // Import screen
     document.getElementById('back-from-import-btn').addEventListener('click', () => this.showScreen('home'));
     document.getElementById('proceed-import-btn').addEventListener('click', () => this.proceedWithImport());
+    document.getElementById('open-csv-import-btn').addEventListener('click', () => this.showScreen('csvImport'));
+    document.getElementById('import-anki-btn').addEventListener('click', () => this.importAnki());
     document.getElementById('back-to-home-from-result-btn').addEventListener('click', () => this.showScreen('home'));
     
     // Listen for error events from the backend
@@ -666,6 +869,46 @@ class FlashCardsApp {
       } else if (this.setupScreen && this.screens.setup) {
         this.setupScreen.hide();
       }
+      
+      // If showing home screen, refresh the sessions that can be continued and today's progress
+      if (screenName === 'home') {
+        this.loadActiveSessions();
+        this.dailyGoalPanel.load();
+      }
+      
+      // If showing import screen, list the backups
+      if (screenName === 'import') {
+        this.backupRestorePanel.load();
+      }
+      
+      // If showing card management screen, load the cards
+      if (screenName === 'cards') {
+        this.cardManagementScreen.show();
+      } else if (this.cardManagementScreen && this.screens.cards) {
+        this.cardManagementScreen.hide();
+      }
+      
+      // If showing session history screen, load the sessions
+      if (screenName === 'history') {
+        this.sessionHistoryScreen.show();
+      } else if (this.sessionHistoryScreen && this.screens.history) {
+        this.sessionHistoryScreen.hide();
+      }
+      
+      // If showing statistics screen, load the statistics
+      if (screenName === 'statistics') {
+        this.statisticsScreen.show();
+      } else if (this.statisticsScreen && this.screens.statistics) {
+        this.statisticsScreen.hide();
+      }
+      
+      // Leaving the CSV import screen forgets the chosen file
+      if (screenName === 'csvImport') {
+        this.csvImportScreen.show();
+      } else if (this.csvImportScreen && this.screens.csvImport) {
+        this.csvImportScreen.hide();
+        this.csvImportScreen.reset();
+      }
     } else {
       console.error(`Screen "${screenName}" not found`);
     }
@@ -786,6 +1029,102 @@ class FlashCardsApp {
     }
   }
   
+  async loadActiveSessions() {
+    const container = document.getElementById('active-sessions-container');
+    const list = document.getElementById('active-sessions-list');
+    if (!container || !list) return;
+    
+    try {
+      const sessions = await window.flashcards.getAllSessions({ activeOnly: true });
+      
+      list.innerHTML = '';
+      container.style.display = sessions.length > 0 ? 'block' : 'none';
+      
+      sessions.forEach(session => {
+        const row = document.createElement('div');
+        row.className = 'active-session-row';
+        
+        // Cards before currentCardIndex are done; the current one may be answered too
+        const answered = Math.min(session.responses.length, session.cardIds.length);
+        const summary = document.createElement('span');
+        summary.className = 'active-session-summary';
+        summary.textContent = `${session.sourceLanguage.toUpperCase()} → ${session.targetLanguage.toUpperCase()} · ` +
+          `${answered}/${session.cardIds.length} cards · started ${new Date(session.createdAt).toLocaleString()}`;
+        
+        const actions = document.createElement('div');
+        actions.className = 'active-session-actions';
+        
+        const continueBtn = document.createElement('button');
+        continueBtn.className = 'primary-button';
+        continueBtn.textContent = 'Continue';
+        continueBtn.addEventListener('click', () => this.resumeSession(session.id));
+        
+        const abandonBtn = document.createElement('button');
+        abandonBtn.className = 'secondary-button';
+        abandonBtn.textContent = 'Abandon';
+        abandonBtn.addEventListener('click', () => this.abandonSession(session.id));
+        
+        actions.appendChild(continueBtn);
+        actions.appendChild(abandonBtn);
+        row.appendChild(summary);
+        row.appendChild(actions);
+        list.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Error loading active sessions:', error);
+      container.style.display = 'none';
+    }
+  }
+  
+  async resumeSession(sessionId) {
+    try {
+      const cardData = await window.flashcards.resumeSession(sessionId);
+      this.state.sessionId = sessionId;
+      
+      if (!cardData) {
+        // Every card was already answered
+        await this.showResults();
+        return;
+      }
+      
+      await this.loadCurrentCard();
+      this.showScreen('practice');
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      this.notificationSystem.error(
+        'Resume Failed',
+        'Could not continue the practice session',
+        error.message
+      );
+      this.loadActiveSessions();
+    }
+  }
+  
+  async abandonSession(sessionId) {
+    if (!confirm('Abandon this practice session? It will no longer be offered for continuing.')) {
+      return;
+    }
+    
+    try {
+      await window.flashcards.abandonSession(sessionId);
+      
+      this.notificationSystem.info(
+        'Session Abandoned',
+        'The practice session has been abandoned.'
+      );
+    } catch (error) {
+      console.error('Error abandoning session:', error);
+      this.notificationSystem.error(
+        'Abandon Failed',
+        'Could not abandon the practice session',
+        error.message
+      );
+    }
+    
+    await this.loadActiveSessions();
+    await this.loadDatabaseStats();
+  }
+  
   async createSampleCard() {
     try {
       const sampleCard = {
@@ -854,8 +1193,11 @@ class FlashCardsApp {
       
       this.state.currentCard = cardData;
       
-      // Update UI
-      document.getElementById('card-content').textContent = cardData.card.content;
+      // Update UI: reverse cards are shown in the target language
+      const prompt = cardData.prompt || { text: cardData.card.content };
+      document.getElementById('card-content').textContent = prompt.text;
+      document.getElementById('card-direction').textContent = prompt.language ?
+        `${prompt.language.toUpperCase()} → ${prompt.answerLanguage.toUpperCase()}` : '';
 
       // Update progress
       const progressPercent = (cardData.sessionProgress.current / cardData.sessionProgress.total) * 100;
@@ -874,12 +1216,20 @@ class FlashCardsApp {
         });
       }
 
+      // Multiple-choice cards are answered by clicking a choice instead of typing
+      this.showChoices(cardData.choices);
+
       // Clear the input
       document.getElementById('translation-input').value = '';
 
       // Focus the input field for immediate typing
       setTimeout(() => {
-        document.getElementById('translation-input').focus();
+        const focusTarget = cardData.choices ?
+          document.querySelector('#choice-list .choice-button') :
+          document.getElementById('translation-input');
+        if (focusTarget) {
+          focusTarget.focus();
+        }
       }, 100);
     } catch (error) {
       console.error('Error loading current card:', error);
@@ -891,9 +1241,28 @@ class FlashCardsApp {
     }
   }
   
-  async submitAnswer() {
+  showChoices(choices) {
+    const choiceList = document.getElementById('choice-list');
+    choiceList.innerHTML = '';
+    choiceList.style.display = choices ? 'grid' : 'none';
+    document.getElementById('translation-group').style.display = choices ? 'none' : '';
+    document.getElementById('submit-answer-btn').style.display = choices ? 'none' : '';
+
+    (choices || []).forEach(choice => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'choice-button';
+      button.textContent = choice;
+      button.addEventListener('click', () => this.submitAnswer(choice));
+      choiceList.appendChild(button);
+    });
+  }
+  
+  async submitAnswer(choice) {
+    const choiceButtons = document.querySelectorAll('#choice-list .choice-button');
+
     try {
-      const answer = document.getElementById('translation-input').value.trim();
+      const answer = typeof choice === 'string' ? choice : document.getElementById('translation-input').value.trim();
       
       if (!answer) {
         this.notificationSystem.warning(
@@ -908,12 +1277,14 @@ class FlashCardsApp {
       const originalText = submitBtn.textContent;
       submitBtn.disabled = true;
       submitBtn.textContent = 'Evaluating...';
+      choiceButtons.forEach(button => { button.disabled = true; });
       
       const result = await window.flashcards.submitAnswer(this.state.sessionId, answer);
       
       // Re-enable submit button
       submitBtn.disabled = false;
       submitBtn.textContent = originalText;
+      choiceButtons.forEach(button => { button.disabled = false; });
       
       this.state.lastAnswer = answer;
       this.state.lastEvaluation = result;
@@ -926,6 +1297,7 @@ class FlashCardsApp {
       const submitBtn = document.getElementById('submit-answer-btn');
       submitBtn.disabled = false;
       submitBtn.textContent = 'Submit Answer';
+      choiceButtons.forEach(button => { button.disabled = false; });
       
       this.notificationSystem.error(
         'Answer Submission Failed',
@@ -941,7 +1313,7 @@ class FlashCardsApp {
     document.getElementById('feedback-progress').style.width = `${progressPercent}%`;
     
     // Show the original text
-    document.getElementById('feedback-original').textContent = this.state.currentCard.card.content;
+    document.getElementById('feedback-original').textContent = result.prompt || this.state.currentCard.card.content;
     
     // Show the user's answer
     document.getElementById('feedback-user-answer').textContent = this.state.lastAnswer;
@@ -951,7 +1323,9 @@ class FlashCardsApp {
     
     // Show the feedback message
     const feedbackElement = document.getElementById('feedback-result');
-    feedbackElement.textContent = result.evaluation.feedback;
+    feedbackElement.textContent = result.evaluation.overridden ?
+      `${result.evaluation.feedback} You marked this answer as ${result.evaluation.correct ? 'correct' : 'incorrect'}.` :
+      result.evaluation.feedback;
     
     if (result.evaluation.correct) {
       feedbackElement.classList.add('correct');
@@ -961,10 +1335,74 @@ class FlashCardsApp {
       feedbackElement.classList.remove('correct');
     }
     
+    // Offer to accept a typed answer the card does not list yet
+    document.getElementById('accept-answer-btn').style.display = this.canAcceptAnswer(result) ? '' : 'none';
+    
+    // Multiple-choice answers are checked exactly, so only typed answers can be overridden
+    const canOverride = !this.state.currentCard.choices && typeof result.responseIndex === 'number';
+    document.getElementById('override-right-btn').style.display = canOverride && !result.evaluation.correct ? '' : 'none';
+    document.getElementById('override-wrong-btn').style.display = canOverride && result.evaluation.correct ? '' : 'none';
+    
     // Show the feedback screen
     this.showScreen('feedback');
   }
   
+  canAcceptAnswer(result) {
+    const { card, choices } = this.state.currentCard;
+    if (result.direction !== 'forward' || choices || !this.state.lastAnswer) {
+      return false;
+    }
+
+    const answer = this.state.lastAnswer.toLowerCase();
+    const accepted = [card.userTranslation, ...(card.alternativeTranslations || []).map(translation => translation.text)];
+    return !accepted.some(translation => translation && translation.toLowerCase() === answer);
+  }
+  
+  async overrideVerdict(correct) {
+    const result = this.state.lastEvaluation;
+    
+    try {
+      const { response } = await window.flashcards.overrideResponse(this.state.sessionId, result.responseIndex, correct);
+      
+      // Show the user's verdict in place of the evaluated one
+      result.evaluation = { ...result.evaluation, correct: response.correct, overridden: Boolean(response.overridden) };
+      this.showFeedback(result);
+    } catch (error) {
+      console.error('Error overriding verdict:', error);
+      this.notificationSystem.error(
+        'Override Failed',
+        'Could not change the verdict of your answer',
+        error.message
+      );
+    }
+  }
+  
+  async acceptAnswer() {
+    const acceptBtn = document.getElementById('accept-answer-btn');
+    const answer = this.state.lastAnswer;
+    
+    try {
+      acceptBtn.disabled = true;
+      const result = await window.flashcards.acceptTranslation(this.state.currentCard.card.id, answer);
+      this.state.currentCard.card = result.card;
+      acceptBtn.style.display = 'none';
+      
+      this.notificationSystem.success(
+        'Answer Accepted',
+        `"${answer}" is now an accepted translation of this card.`
+      );
+    } catch (error) {
+      console.error('Error accepting answer:', error);
+      this.notificationSystem.error(
+        'Accepting Answer Failed',
+        'Could not add your answer to the card',
+        error.message
+      );
+    } finally {
+      acceptBtn.disabled = false;
+    }
+  }
+  
   async nextCard() {
     try {
       const result = await window.flashcards.advanceSession(this.state.sessionId);
@@ -973,6 +1411,13 @@ class FlashCardsApp {
         // Session is complete, show results
         this.showResults();
       } else {
+        if (result.retryRound) {
+          this.notificationSystem.info(
+            'Retry Round',
+            `${result.retryRound.cards} card${result.retryRound.cards === 1 ? '' : 's'} to get right this time.`
+          );
+        }
+        
         // Load the next card
         await this.loadCurrentCard();
         this.showScreen('practice');
@@ -991,13 +1436,13 @@ class FlashCardsApp {
     if (!this.state.sessionId) {
       this.notificationSystem.warning(
         'No Active Session',
-        'There is no active session to cancel.'
+        'There is no active session to pause.'
       );
       return;
     }
 
     // Show confirmation dialog
-    if (confirm('Are you sure you want to cancel this practice session? Your progress will not be saved.')) {
+    if (confirm('Pause this practice session? You can continue it later from the home screen.')) {
       // Reset session state
       this.state.sessionId = null;
       this.state.currentCard = null;
@@ -1006,8 +1451,8 @@ class FlashCardsApp {
       this.showScreen('home');
 
       this.notificationSystem.info(
-        'Session Cancelled',
-        'Practice session has been cancelled.'
+        'Session Paused',
+        'Your progress is saved. Continue the session from the home screen.'
       );
     }
   }
@@ -1020,6 +1465,13 @@ class FlashCardsApp {
       document.getElementById('results-total').textContent = stats.stats.totalCards;
       document.getElementById('results-correct').textContent = stats.stats.correctCards;
       document.getElementById('results-accuracy').textContent = Math.round(stats.stats.accuracy) + '%';
+      document.getElementById('results-first-try').textContent = Math.round(stats.stats.firstTryAccuracy || 0) + '%';
+      
+      // List the answers with the feedback they were given
+      const session = await window.flashcards.getSession(this.state.sessionId);
+      if (session) {
+        await this.sessionHistoryScreen.renderResponses(document.getElementById('results-responses'), session);
+      }
       
       // Show the results screen
       this.showScreen('results');
@@ -1090,6 +1542,11 @@ class FlashCardsApp {
     try {
       const importMode = document.getElementById('import-mode').value;
       
+      if (importMode === 'replace' &&
+          !confirm('Replace mode deletes all existing flashcards, sessions and settings before importing. Continue?')) {
+        return;
+      }
+      
       const result = await window.flashcards.importDatabase({ mode: importMode });
       
       if (!result.success) {
@@ -1110,6 +1567,7 @@ class FlashCardsApp {
       
       // Show success screen
       const stats = [
+        { label: 'Import Mode', value: result.mode === 'replace' ? 'Replace' : 'Merge' },
         { label: 'Flashcards Imported', value: result.stats.flashcardsImported },
         { label: 'Sessions Imported', value: result.stats.sessionsImported },
         { label: 'Settings Imported', value: result.stats.settingsImported ? 'Yes' : 'No' }
@@ -1140,6 +1598,111 @@ class FlashCardsApp {
     }
   }
   
+  async exportAnki() {
+    try {
+      const result = await window.flashcards.exportAnki();
+      
+      if (!result.success) {
+        if (result.reason !== 'canceled') {
+          this.showOperationResult(
+            'Export Failed',
+            'Failed to export cards for Anki: ' + (result.reason || 'Unknown error'),
+            [],
+            'incorrect'
+          );
+        }
+        return;
+      }
+      
+      this.showOperationResult(
+        'Export Successful',
+        'Your cards have been exported. Import the file in Anki with the "Basic" note type.',
+        [{ label: 'Flashcards', value: result.stats.flashcardsCount }],
+        'correct'
+      );
+      
+      document.getElementById('operation-result-path').textContent = result.path;
+      document.getElementById('operation-result-path-container').style.display = 'block';
+    } catch (error) {
+      console.error('Error exporting cards for Anki:', error);
+      this.showOperationResult(
+        'Export Error',
+        'An error occurred: ' + error.message,
+        [],
+        'incorrect'
+      );
+    }
+  }
+  
+  async importAnki() {
+    try {
+      const sourceLanguage = document.getElementById('anki-source-language').value;
+      const result = await window.flashcards.importAnki({ sourceLanguage });
+      
+      if (!result.success) {
+        if (result.reason === 'no_notes') {
+          this.showOperationResult(
+            'Import Failed',
+            'The Anki file does not contain any notes that can be imported.',
+            [],
+            'incorrect'
+          );
+        }
+        return;
+      }
+      
+      this.showOperationResult(
+        'Import Successful',
+        'Your Anki deck has been imported!',
+        [
+          { label: 'Flashcards Imported', value: result.stats.flashcardsImported },
+          { label: 'Empty Notes Skipped', value: result.stats.notesSkipped }
+        ],
+        'correct'
+      );
+      
+      await this.loadDatabaseStats();
+    } catch (error) {
+      console.error('Error importing Anki deck:', error);
+      this.showOperationResult(
+        'Import Error',
+        'An error occurred: ' + error.message,
+        [],
+        'incorrect'
+      );
+    }
+  }
+  
+  showCsvImportResult(result) {
+    const stats = [
+      { label: 'Flashcards Imported', value: result.stats.flashcardsImported },
+      { label: 'Rows Skipped', value: result.stats.rowsSkipped }
+    ];
+    
+    this.showOperationResult(
+      'Import Successful',
+      'Your vocabulary list has been imported!',
+      stats,
+      'correct'
+    );
+    
+    this.loadDatabaseStats();
+  }
+  
+  showRestoreResult(result) {
+    this.showOperationResult(
+      'Backup Restored',
+      'The database has been restored. The data it replaced was backed up first.',
+      [
+        { label: 'Flashcards', value: result.stats.flashcardsCount }
+      ],
+      'correct'
+    );
+    
+    this.loadDatabaseStats();
+    this.loadActiveSessions();
+  }
+  
   showOperationResult(title, message, stats, resultClass) {
     document.getElementById('operation-result-title').textContent = title;
     
@@ -0,0 +1,180 @@
+const CardReview = require('../models/CardReview');
+const { isEmpty } = require('../utils/helpers');
+
+/**
+ * Repository for CardReview entity operations (spaced-repetition state)
+ */
+class CardReviewRepository {
+  /**
+   * Creates a new CardReviewRepository instance
+   * @param {Object} db - The database instance
+   * @param {boolean} initialized - Whether the database is initialized
+   */
+  constructor(db, initialized = false) {
+    this.db = db;
+    this.initialized = initialized;
+  }
+
+  /**
+   * Set the initialized state of the repository
+   * @param {boolean} initialized - Whether the database is initialized
+   */
+  setInitialized(initialized) {
+    this.initialized = initialized;
+  }
+
+  /**
+   * Save the review state of a card
+   * @param {CardReview} review - The review state to save
+   * @returns {Promise<CardReview>} - Promise that resolves to the saved review state
+   */
+  saveCardReview(review) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const json = review.toJSON();
+      const query = `
+        INSERT OR REPLACE INTO card_reviews (
+          cardId, easeFactor, interval, repetitions, lapses, dueDate, lastReviewedAt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      this.db.run(
+        query,
+        [
+          json.cardId,
+          json.easeFactor,
+          json.interval,
+          json.repetitions,
+          json.lapses,
+          json.dueDate,
+          json.lastReviewedAt
+        ],
+        (err) => {
+          if (err) {
+            console.error('Error saving card review:', err);
+            reject(err);
+            return;
+          }
+
+          resolve(review);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the review state of a card
+   * @param {string} cardId - The flashcard ID
+   * @returns {Promise<CardReview|null>} - Promise resolving to the review state or null if the card was never reviewed
+   */
+  getCardReview(cardId) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    if (isEmpty(cardId)) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM card_reviews WHERE cardId = ?', [cardId], (err, row) => {
+        if (err) {
+          console.error('Error getting card review:', err);
+          reject(err);
+          return;
+        }
+
+        resolve(row ? CardReview.fromJSON(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Get the review states of several cards
+   * @param {string[]} cardIds - The flashcard IDs
+   * @returns {Promise<Map<string, CardReview>>} - Promise resolving to a map of card ID to review state;
+   * cards that were never reviewed are absent from the map
+   */
+  getCardReviews(cardIds) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    if (!Array.isArray(cardIds) || cardIds.length === 0) {
+      return Promise.resolve(new Map());
+    }
+
+    return new Promise((resolve, reject) => {
+      const placeholders = cardIds.map(() => '?').join(', ');
+      const query = `SELECT * FROM card_reviews WHERE cardId IN (${placeholders})`;
+
+      this.db.all(query, cardIds, (err, rows) => {
+        if (err) {
+          console.error('Error getting card reviews:', err);
+          reject(err);
+          return;
+        }
+
+        const reviews = new Map();
+        (rows || []).forEach(row => {
+          reviews.set(row.cardId, CardReview.fromJSON(row));
+        });
+        resolve(reviews);
+      });
+    });
+  }
+
+  /**
+   * Get the review states of all cards
+   * @returns {Promise<CardReview[]>} - Promise resolving to every stored review state
+   */
+  getAllCardReviews() {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM card_reviews ORDER BY cardId', [], (err, rows) => {
+        if (err) {
+          console.error('Error getting all card reviews:', err);
+          reject(err);
+          return;
+        }
+
+        resolve((rows || []).map(row => CardReview.fromJSON(row)));
+      });
+    });
+  }
+
+  /**
+   * Delete the review state of a card
+   * @param {string} cardId - The flashcard ID
+   * @returns {Promise<boolean>} - Promise resolving to true if a review state was deleted
+   */
+  deleteCardReview(cardId) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    if (isEmpty(cardId)) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM card_reviews WHERE cardId = ?', [cardId], function(err) {
+        if (err) {
+          console.error('Error deleting card review:', err);
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+}
+
+module.exports = CardReviewRepository;
\ No newline at end of file
@@ -1,6 +1,52 @@
 const FlashCard = require('../models/FlashCard');
 const { isEmpty } = require('../utils/helpers');
 
+// Flashcard columns plus the card's tags and alternative translations as JSON arrays, in the order they were given
+const SELECT_FLASHCARDS = `
+  SELECT flashcards.*, (
+    SELECT json_group_array(name) FROM (
+      SELECT tags.name FROM card_tags
+      JOIN tags ON tags.id = card_tags.tagId
+      WHERE card_tags.cardId = flashcards.id
+      ORDER BY card_tags.position
+    )
+  ) AS tags, (
+    SELECT json_group_array(json_object('text', text, 'note', note)) FROM (
+      SELECT text, note FROM card_translations
+      WHERE card_translations.cardId = flashcards.id
+      ORDER BY card_translations.position
+    )
+  ) AS alternativeTranslations
+  FROM flashcards
+`;
+
+// Tag names of the flashcard in the outer query, for use in EXISTS conditions
+const CARD_TAG_NAMES = `
+  SELECT 1 FROM card_tags
+  JOIN tags ON tags.id = card_tags.tagId
+  WHERE card_tags.cardId = flashcards.id
+`;
+
+/**
+ * Bring the tags option of a card query into filter expression form
+ * An array (or single tag) is the older any-of form.
+ * @param {string|string[]|Object} tags - Tags option
+ * @returns {{anyOf: string[], allOf: string[], noneOf: string[]}} - Trimmed, deduplicated tag sets
+ */
+function normalizeTagFilter(tags) {
+  const names = value => [...new Set([].concat(value || []).map(tag => String(tag).trim()).filter(Boolean))];
+
+  if (!tags || Array.isArray(tags) || typeof tags === 'string') {
+    return { anyOf: names(tags), allOf: [], noneOf: [] };
+  }
+
+  return {
+    anyOf: names(tags.anyOf),
+    allOf: names(tags.allOf),
+    noneOf: names(tags.noneOf)
+  };
+}
+
 /**
  * Repository for FlashCard entity operations
  */
@@ -25,6 +71,8 @@ class FlashCardRepository {
 
   /**
    * Save a flashcard to the database
+   * The card row, its tags and its alternative translations are written under a savepoint, so they are saved
+   * together both on their own and inside an import transaction.
    * @param {FlashCard} flashcard - The flashcard to save
    * @returns {Promise<FlashCard>} - Promise that resolves to the saved flashcard
    */
@@ -33,40 +81,87 @@ class FlashCardRepository {
       return Promise.reject(new Error('Database not initialized'));
     }
 
-    return new Promise((resolve, reject) => {
-      const json = flashcard.toJSON();
-      const query = `
-        INSERT OR REPLACE INTO flashcards (
-          id, content, sourceLanguage, comment, userTranslation, tags, createdAt, updatedAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      console.log('Saving flashcard with id:', json.id);
-
-      this.db.run(
-        query,
-        [
-          json.id,
-          json.content,
-          json.sourceLanguage,
-          json.comment,
-          json.userTranslation,
-          JSON.stringify(json.tags),
-          json.createdAt,
-          json.updatedAt
-        ],
-        (err) => {
-          if (err) {
-            console.error('Error saving flashcard:', err);
-            reject(err);
-            return;
-          }
-
-          console.log('Flashcard saved successfully:', json.id);
-          resolve(flashcard);
-        }
-      );
-    });
+    const json = flashcard.toJSON();
+    const query = `
+      INSERT INTO flashcards (
+        id, content, sourceLanguage, comment, userTranslation, createdAt, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        content = excluded.content,
+        sourceLanguage = excluded.sourceLanguage,
+        comment = excluded.comment,
+        userTranslation = excluded.userTranslation,
+        createdAt = excluded.createdAt,
+        updatedAt = excluded.updatedAt
+    `;
+
+    console.log('Saving flashcard with id:', json.id);
+
+    return this._run('SAVEPOINT save_flashcard')
+      .then(() => this._run(query, [
+        json.id,
+        json.content,
+        json.sourceLanguage,
+        json.comment,
+        json.userTranslation,
+        json.createdAt,
+        json.updatedAt
+      ]))
+      .then(() => this._saveTags(json.id, json.tags))
+      .then(() => this._saveAlternativeTranslations(json.id, json.alternativeTranslations))
+      .then(() => this._run('RELEASE save_flashcard'))
+      .then(() => {
+        console.log('Flashcard saved successfully:', json.id);
+        return flashcard;
+      })
+      .catch((err) => {
+        console.error('Error saving flashcard:', err);
+        return this._run('ROLLBACK TO save_flashcard')
+          .then(() => this._run('RELEASE save_flashcard'))
+          .catch(() => {})
+          .then(() => {
+            throw err;
+          });
+      });
+  }
+
+  /**
+   * Replace the tags of a flashcard
+   * Tags are trimmed, empty and repeated tags are dropped.
+   * @private
+   * @param {string} cardId - The flashcard ID
+   * @param {string[]} tags - Tag names in display order
+   * @returns {Promise} - Promise that resolves when the tags are saved
+   */
+  _saveTags(cardId, tags) {
+    const names = [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+
+    return names.reduce(
+      (chain, name, position) => chain
+        .then(() => this._run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]))
+        .then(() => this._run(
+          'INSERT INTO card_tags (cardId, tagId, position) SELECT ?, id, ? FROM tags WHERE name = ?',
+          [cardId, position, name]
+        )),
+      this._run('DELETE FROM card_tags WHERE cardId = ?', [cardId])
+    );
+  }
+
+  /**
+   * Replace the alternative translations of a flashcard
+   * @private
+   * @param {string} cardId - The flashcard ID
+   * @param {Array<{text: string, note: string}>} translations - Alternative translations in order
+   * @returns {Promise} - Promise that resolves when the translations are saved
+   */
+  _saveAlternativeTranslations(cardId, translations) {
+    return (translations || []).reduce(
+      (chain, translation, position) => chain.then(() => this._run(
+        'INSERT INTO card_translations (cardId, position, text, note) VALUES (?, ?, ?, ?)',
+        [cardId, position, translation.text, translation.note || '']
+      )),
+      this._run('DELETE FROM card_translations WHERE cardId = ?', [cardId])
+    );
   }
 
   /**
@@ -84,7 +179,7 @@ class FlashCardRepository {
     }
 
     return new Promise((resolve, reject) => {
-      this.db.get('SELECT * FROM flashcards WHERE id = ?', [id], (err, row) => {
+      this.db.get(`${SELECT_FLASHCARDS} WHERE flashcards.id = ?`, [id], (err, row) => {
         if (err) {
           console.error('Error getting flashcard:', err);
           reject(err);
@@ -99,7 +194,8 @@ class FlashCardRepository {
         try {
           const flashcard = FlashCard.fromJSON({
             ...row,
-            tags: row.tags ? JSON.parse(row.tags) : []
+            tags: row.tags ? JSON.parse(row.tags) : [],
+            alternativeTranslations: row.alternativeTranslations ? JSON.parse(row.alternativeTranslations) : []
           });
           resolve(flashcard);
         } catch (parseError) {
@@ -112,10 +208,16 @@ class FlashCardRepository {
 
   /**
    * Get all flashcards
+   * Cards match the tag filter if they have at least one of its any-of tags
+   * (or no tags, with includeUntagged), all of its all-of tags and none of its
+   * none-of tags. Empty sets do not restrict.
    * @param {Object} options - Query options
    * @param {string} [options.sourceLanguage] - Filter by source language
-   * @param {string|string[]} [options.tags] - Filter by one or more tags
-   * @param {boolean} [options.includeUntagged] - Whether to include cards with no tags
+   * @param {string|string[]|Object} [options.tags] - Filter by tags: an array of tags of which cards need any, or a filter expression
+   * @param {string[]} [options.tags.anyOf] - Cards need at least one of these tags
+   * @param {string[]} [options.tags.allOf] - Cards need all of these tags
+   * @param {string[]} [options.tags.noneOf] - Cards need none of these tags
+   * @param {boolean} [options.includeUntagged] - Whether cards with no tags satisfy the any-of set
    * @param {string} [options.tag] - Filter by a single tag (legacy, use tags instead)
    * @param {string} [options.searchTerm] - Search in content or comments
    * @param {number} [options.limit] - Maximum number of results
@@ -127,60 +229,11 @@ class FlashCardRepository {
       return Promise.reject(new Error('Database not initialized'));
     }
 
-    // Handle multiple filtering options for tags
-    const useLegacyTagFilter = !!options.tag && !options.tags;
-    const hasMultipleTags = options.tags && Array.isArray(options.tags) && options.tags.length > 0;
-    const includeUntagged = !!options.includeUntagged;
-
     // Start building the query
-    let query = 'SELECT * FROM flashcards';
-    const params = [];
-    const conditions = [];
-
-    if (options.sourceLanguage) {
-      conditions.push('sourceLanguage = ?');
-      params.push(options.sourceLanguage);
-    }
+    const { where, params } = this._buildFilter(options);
+    let query = SELECT_FLASHCARDS + where;
 
-    // Legacy single tag filter
-    if (useLegacyTagFilter) {
-      conditions.push('tags LIKE ?');
-      params.push(`%"${options.tag}"%`);
-    }
-    // Multi-tag filtering
-    else if (hasMultipleTags || includeUntagged) {
-      const tagConditions = [];
-
-      // Add condition for each tag
-      if (hasMultipleTags) {
-        options.tags.forEach(tag => {
-          tagConditions.push('tags LIKE ?');
-          params.push(`%"${tag}"%`);
-        });
-      }
-
-      // Add condition for untagged cards
-      if (includeUntagged) {
-        tagConditions.push('(tags IS NULL OR tags = ? OR tags = ?)');
-        params.push('[]', '');
-      }
-
-      // Combine tag conditions with OR
-      if (tagConditions.length > 0) {
-        conditions.push(`(${tagConditions.join(' OR ')})`);
-      }
-    }
-
-    if (options.searchTerm) {
-      conditions.push('(content LIKE ? OR comment LIKE ?)');
-      params.push(`%${options.searchTerm}%`, `%${options.searchTerm}%`);
-    }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
-
-    query += ' ORDER BY updatedAt DESC';
+    query += ' ORDER BY flashcards.updatedAt DESC';
 
     if (options.limit) {
       query += ' LIMIT ?';
@@ -211,7 +264,8 @@ class FlashCardRepository {
           const flashcards = rows.map(row => {
             return FlashCard.fromJSON({
               ...row,
-              tags: row.tags ? JSON.parse(row.tags) : []
+              tags: row.tags ? JSON.parse(row.tags) : [],
+              alternativeTranslations: row.alternativeTranslations ? JSON.parse(row.alternativeTranslations) : []
             });
           });
           console.log(`Found ${flashcards.length} flashcards`);
@@ -224,8 +278,96 @@ class FlashCardRepository {
     });
   }
 
+  /**
+   * Count the flashcards matching a filter
+   * @param {Object} options - Filter options, as accepted by getAllFlashCards (limit and offset are ignored)
+   * @returns {Promise<number>} - Promise that resolves to the number of matching flashcards
+   */
+  countFlashCards(options = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    const { where, params } = this._buildFilter(options);
+
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) AS count FROM flashcards${where}`, params, (err, row) => {
+        if (err) {
+          console.error('Error counting flashcards:', err);
+          reject(err);
+          return;
+        }
+
+        resolve(row ? row.count : 0);
+      });
+    });
+  }
+
+  /**
+   * Build the WHERE clause for a card query
+   * @private
+   * @param {Object} options - Filter options, see getAllFlashCards
+   * @returns {{where: string, params: Array}} - WHERE clause (empty if nothing is filtered) and its parameters
+   */
+  _buildFilter(options) {
+    const params = [];
+    const conditions = [];
+
+    if (options.sourceLanguage) {
+      conditions.push('flashcards.sourceLanguage = ?');
+      params.push(options.sourceLanguage);
+    }
+
+    // Legacy single tag filter
+    if (options.tag && !options.tags) {
+      conditions.push(`EXISTS (${CARD_TAG_NAMES} AND tags.name = ?)`);
+      params.push(options.tag);
+    } else {
+      const { anyOf, allOf, noneOf } = normalizeTagFilter(options.tags);
+      const placeholders = names => names.map(() => '?').join(', ');
+
+      // Cards with any of the tags, or without tags
+      const anyConditions = [];
+      if (anyOf.length > 0) {
+        anyConditions.push(`EXISTS (${CARD_TAG_NAMES} AND tags.name IN (${placeholders(anyOf)}))`);
+        params.push(...anyOf);
+      }
+      if (options.includeUntagged) {
+        anyConditions.push('NOT EXISTS (SELECT 1 FROM card_tags WHERE card_tags.cardId = flashcards.id)');
+      }
+      if (anyConditions.length > 0) {
+        conditions.push(`(${anyConditions.join(' OR ')})`);
+      }
+
+      // Cards with every required tag; tag names are unique, so counting them is enough
+      if (allOf.length > 0) {
+        conditions.push(`(SELECT COUNT(*) FROM card_tags
+          JOIN tags ON tags.id = card_tags.tagId
+          WHERE card_tags.cardId = flashcards.id AND tags.name IN (${placeholders(allOf)})) = ?`);
+        params.push(...allOf, allOf.length);
+      }
+
+      // Cards without any excluded tag
+      if (noneOf.length > 0) {
+        conditions.push(`NOT EXISTS (${CARD_TAG_NAMES} AND tags.name IN (${placeholders(noneOf)}))`);
+        params.push(...noneOf);
+      }
+    }
+
+    if (options.searchTerm) {
+      conditions.push('(flashcards.content LIKE ? OR flashcards.comment LIKE ?)');
+      params.push(`%${options.searchTerm}%`, `%${options.searchTerm}%`);
+    }
+
+    return {
+      where: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+      params
+    };
+  }
+
   /**
    * Delete a flashcard by its ID
+   * Its tag assignments are removed by the card_tags foreign key.
    * @param {string} id - The flashcard ID
    * @returns {Promise<boolean>} - Promise resolving to true if successful
    */
@@ -251,6 +393,19 @@ class FlashCardRepository {
       });
     });
   }
+
+  /**
+   * Run a statement
+   * @private
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Statement parameters
+   * @returns {Promise} - Promise that resolves when the statement has run
+   */
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+  }
 }
 
 module.exports = FlashCardRepository;
\ No newline at end of file
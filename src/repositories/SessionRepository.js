@@ -1,6 +1,131 @@
 const Session = require('../models/Session');
 const { isEmpty } = require('../utils/helpers');
 
+// Session columns plus the session's responses as a JSON array, in the order they were given
+const SELECT_SESSIONS = `
+  SELECT sessions.*, (
+    SELECT json_group_array(json_object(
+      'cardId', cardId,
+      'answer', answer,
+      'correct', correct,
+      'direction', direction,
+      'score', score,
+      'feedback', feedback,
+      'suggestedTranslation', suggestedTranslation,
+      'details', details,
+      'fallback', fallback,
+      'provider', provider,
+      'latencyMs', latencyMs,
+      'overridden', overridden,
+      'evaluatedCorrect', evaluatedCorrect,
+      'previousReview', previousReview,
+      'timestamp', timestamp
+    )) FROM (
+      SELECT * FROM session_responses
+      WHERE session_responses.sessionId = sessions.id
+      ORDER BY session_responses.position
+    )
+  ) AS responses
+  FROM sessions
+`;
+
+const UPSERT_RESPONSE = `
+  INSERT OR REPLACE INTO session_responses (
+    sessionId, position, cardId, answer, correct, direction, score, feedback,
+    suggestedTranslation, details, fallback, provider, latencyMs, overridden,
+    evaluatedCorrect, previousReview, timestamp
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+/**
+ * Turn a response into the parameters of UPSERT_RESPONSE
+ * details and previousReview are stored as JSON; a null previousReview (a card never
+ * reviewed before) is kept apart from a missing value.
+ * @param {string} sessionId - The session ID
+ * @param {number} position - Position of the response in the session
+ * @param {Object} response - Response as kept in Session.responses
+ * @returns {Array} - Statement parameters
+ */
+function responseParams(sessionId, position, response) {
+  const optional = value => (value === undefined ? null : value);
+
+  return [
+    sessionId,
+    position,
+    response.cardId,
+    response.userResponse ?? '',
+    response.correct ? 1 : 0,
+    response.direction || 'forward',
+    optional(response.score),
+    optional(response.feedback),
+    optional(response.suggestedTranslation),
+    response.details ? JSON.stringify(response.details) : null,
+    response.fallback ? 1 : 0,
+    optional(response.provider),
+    optional(response.latencyMs),
+    response.overridden ? 1 : 0,
+    typeof response.evaluatedCorrect === 'boolean' ? Number(response.evaluatedCorrect) : null,
+    response.previousReview === undefined ? null : JSON.stringify(response.previousReview),
+    new Date(response.timestamp).toISOString()
+  ];
+}
+
+/**
+ * Turn a response read by SELECT_SESSIONS back into its Session.responses form
+ * Columns without a value are left out, as they were never set on the response.
+ * @param {Object} row - Response object from the responses JSON array
+ * @returns {Object} - Response with userResponse, boolean verdicts and a timestamp string
+ */
+function responseFromRow(row) {
+  const response = {
+    cardId: row.cardId,
+    userResponse: row.answer,
+    correct: Boolean(row.correct),
+    direction: row.direction,
+    timestamp: row.timestamp
+  };
+
+  ['score', 'feedback', 'suggestedTranslation', 'provider', 'latencyMs'].forEach(field => {
+    if (row[field] !== null) {
+      response[field] = row[field];
+    }
+  });
+
+  if (row.details !== null) {
+    response.details = JSON.parse(row.details);
+  }
+
+  if (row.fallback) {
+    response.fallback = true;
+  }
+
+  if (row.overridden) {
+    response.overridden = true;
+    response.evaluatedCorrect = Boolean(row.evaluatedCorrect);
+  }
+
+  if (row.previousReview !== null) {
+    response.previousReview = JSON.parse(row.previousReview);
+  }
+
+  return response;
+}
+
+/**
+ * Parse a row read by SELECT_SESSIONS into a Session
+ * @param {Object} row - Database row
+ * @returns {Session} - The session
+ */
+function sessionFromRow(row) {
+  return Session.fromJSON({
+    ...row,
+    cardIds: row.cardIds ? JSON.parse(row.cardIds) : [],
+    cardDirections: row.cardDirections ? JSON.parse(row.cardDirections) : [],
+    cardChoices: row.cardChoices ? JSON.parse(row.cardChoices) : [],
+    responses: row.responses ? JSON.parse(row.responses).map(responseFromRow) : []
+  });
+}
+
 /**
  * Repository for Session entity operations
  */
@@ -25,49 +150,134 @@ class SessionRepository {
 
   /**
    * Save a session to the database
+   * Only the session row is written by default: answers are saved one at a time with
+   * saveResponse, so moving through a session does not rewrite them. With `withResponses`,
+   * as for imports and overrides, the responses are replaced too, under a savepoint so they
+   * are saved together with the row both on their own and inside an import transaction.
    * @param {Session} session - The session to save
+   * @param {Object} [options] - Save options
+   * @param {boolean} [options.withResponses=false] - Whether to replace the stored responses
    * @returns {Promise<Session>} - Promise that resolves to the saved session
    */
-  saveSession(session) {
+  saveSession(session, options = {}) {
     if (!this.initialized) {
       return Promise.reject(new Error('Database not initialized'));
     }
 
-    return new Promise((resolve, reject) => {
-      const json = session.toJSON();
-      const query = `
-        INSERT OR REPLACE INTO sessions (
-          id, sourceLanguage, targetLanguage, cardIds, currentCardIndex,
-          responses, createdAt, completedAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      console.log('Saving session with id:', json.id);
-
-      this.db.run(
-        query,
-        [
-          json.id,
-          json.sourceLanguage,
-          json.targetLanguage,
-          JSON.stringify(json.cardIds),
-          json.currentCardIndex,
-          JSON.stringify(json.responses),
-          json.createdAt,
-          json.completedAt
-        ],
-        (err) => {
-          if (err) {
-            console.error('Error saving session:', err);
-            reject(err);
-            return;
-          }
-
-          console.log('Session saved successfully:', json.id);
-          resolve(session);
-        }
-      );
-    });
+    const json = session.toJSON();
+    const query = `
+      INSERT INTO sessions (
+        id, sourceLanguage, targetLanguage, cardIds, direction, cardDirections,
+        mode, cardChoices, retryMistakes, firstRoundSize, retryRounds,
+        currentCardIndex, createdAt, completedAt, abandonedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        sourceLanguage = excluded.sourceLanguage,
+        targetLanguage = excluded.targetLanguage,
+        cardIds = excluded.cardIds,
+        direction = excluded.direction,
+        cardDirections = excluded.cardDirections,
+        mode = excluded.mode,
+        cardChoices = excluded.cardChoices,
+        retryMistakes = excluded.retryMistakes,
+        firstRoundSize = excluded.firstRoundSize,
+        retryRounds = excluded.retryRounds,
+        currentCardIndex = excluded.currentCardIndex,
+        createdAt = excluded.createdAt,
+        completedAt = excluded.completedAt,
+        abandonedAt = excluded.abandonedAt
+    `;
+
+    console.log('Saving session with id:', json.id);
+
+    return this._run('SAVEPOINT save_session')
+      .then(() => this._run(query, [
+        json.id,
+        json.sourceLanguage,
+        json.targetLanguage,
+        JSON.stringify(json.cardIds),
+        json.direction,
+        JSON.stringify(json.cardDirections),
+        json.mode,
+        JSON.stringify(json.cardChoices),
+        json.retryMistakes ? 1 : 0,
+        json.firstRoundSize,
+        json.retryRounds,
+        json.currentCardIndex,
+        json.createdAt,
+        json.completedAt,
+        json.abandonedAt
+      ]))
+      .then(() => (options.withResponses ? this._replaceResponses(json.id, json.responses) : null))
+      .then(() => this._run('RELEASE save_session'))
+      .then(() => {
+        console.log('Session saved successfully:', json.id);
+        return session;
+      })
+      .catch((err) => {
+        console.error('Error saving session:', err);
+        return this._run('ROLLBACK TO save_session')
+          .then(() => this._run('RELEASE save_session'))
+          .catch(() => {})
+          .then(() => {
+            throw err;
+          });
+      });
+  }
+
+  /**
+   * Replace the stored responses of a session
+   * @private
+   * @param {string} sessionId - The session ID
+   * @param {Object[]} responses - Responses as in Session.toJSON()
+   * @returns {Promise<void>} - Promise that resolves once the responses are written
+   */
+  _replaceResponses(sessionId, responses) {
+    return this._run('DELETE FROM session_responses WHERE sessionId = ? AND position >= ?', [sessionId, responses.length])
+      .then(() => responses.reduce(
+        (chain, response, position) => chain.then(() => this._run(UPSERT_RESPONSE, responseParams(sessionId, position, response))),
+        Promise.resolve()
+      ));
+  }
+
+  /**
+   * Save a single response of a session
+   * Recording an answer only adds a response, so the session row is not written again.
+   * @param {string} sessionId - The session ID, which must already be saved
+   * @param {number} position - Position of the response in the session
+   * @param {Object} response - Response as kept in Session.responses
+   * @returns {Promise<Object>} - Promise that resolves to the saved response
+   */
+  saveResponse(sessionId, position, response) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return this._run(UPSERT_RESPONSE, responseParams(sessionId, position, response))
+      .then(() => response)
+      .catch((err) => {
+        console.error('Error saving session response:', err);
+        throw err;
+      });
+  }
+
+  /**
+   * Check whether a card has been reviewed by a response after the given time
+   * Only responses that moved the review schedule count; they are the ones with the
+   * review state before them.
+   * @param {string} cardId - The card ID
+   * @param {Date|string} timestamp - Time of the earlier response
+   * @returns {Promise<boolean>} - Promise that resolves to true if a later response reviewed the card
+   */
+  hasLaterReview(cardId, timestamp) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return this._get(
+      'SELECT 1 AS found FROM session_responses WHERE cardId = ? AND timestamp > ? AND previousReview IS NOT NULL LIMIT 1',
+      [cardId, new Date(timestamp).toISOString()]
+    ).then(row => Boolean(row));
   }
 
   /**
@@ -85,7 +295,7 @@ class SessionRepository {
     }
 
     return new Promise((resolve, reject) => {
-      this.db.get('SELECT * FROM sessions WHERE id = ?', [id], (err, row) => {
+      this.db.get(`${SELECT_SESSIONS} WHERE sessions.id = ?`, [id], (err, row) => {
         if (err) {
           console.error('Error getting session:', err);
           reject(err);
@@ -98,12 +308,7 @@ class SessionRepository {
         }
 
         try {
-          const session = Session.fromJSON({
-            ...row,
-            cardIds: JSON.parse(row.cardIds || '[]'),
-            responses: JSON.parse(row.responses || '[]')
-          });
-          resolve(session);
+          resolve(sessionFromRow(row));
         } catch (parseError) {
           console.error('Error parsing session data:', parseError);
           reject(parseError);
@@ -115,8 +320,13 @@ class SessionRepository {
   /**
    * Get all sessions
    * @param {Object} options - Query options
-   * @param {boolean} [options.activeOnly] - Only active (not completed) sessions
+   * @param {boolean} [options.activeOnly] - Only active (neither completed nor abandoned) sessions
    * @param {boolean} [options.completedOnly] - Only completed sessions
+   * @param {boolean} [options.abandonedOnly] - Only abandoned sessions
+   * @param {string} [options.sourceLanguage] - Only sessions from this language
+   * @param {string} [options.targetLanguage] - Only sessions into this language
+   * @param {Date|string} [options.createdAfter] - Only sessions created at or after this time
+   * @param {Date|string} [options.createdBefore] - Only sessions created before this time
    * @param {number} [options.limit] - Maximum number of results
    * @param {number} [options.offset] - Results offset
    * @returns {Promise<Session[]>} - Promise that resolves to an array of sessions
@@ -127,18 +337,43 @@ class SessionRepository {
     }
 
     return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM sessions';
+      let query = SELECT_SESSIONS;
       const params = [];
       const conditions = [];
 
       if (options.activeOnly) {
-        conditions.push('completedAt IS NULL');
+        conditions.push('completedAt IS NULL AND abandonedAt IS NULL');
       }
 
       if (options.completedOnly) {
         conditions.push('completedAt IS NOT NULL');
       }
 
+      if (options.abandonedOnly) {
+        conditions.push('abandonedAt IS NOT NULL');
+      }
+
+      if (options.sourceLanguage) {
+        conditions.push('sourceLanguage = ?');
+        params.push(options.sourceLanguage);
+      }
+
+      if (options.targetLanguage) {
+        conditions.push('targetLanguage = ?');
+        params.push(options.targetLanguage);
+      }
+
+      // Timestamps are stored as ISO strings, which sort chronologically
+      if (options.createdAfter) {
+        conditions.push('createdAt >= ?');
+        params.push(new Date(options.createdAfter).toISOString());
+      }
+
+      if (options.createdBefore) {
+        conditions.push('createdAt < ?');
+        params.push(new Date(options.createdBefore).toISOString());
+      }
+
       if (conditions.length > 0) {
         query += ' WHERE ' + conditions.join(' AND ');
       }
@@ -170,15 +405,7 @@ class SessionRepository {
         }
 
         try {
-          const sessions = rows.map(row => {
-            // Ensure the row has all required properties
-            return Session.fromJSON({
-              ...row,
-              cardIds: row.cardIds ? JSON.parse(row.cardIds) : [],
-              responses: row.responses ? JSON.parse(row.responses) : []
-            });
-          });
-          resolve(sessions);
+          resolve(rows.map(sessionFromRow));
         } catch (parseError) {
           console.error('Error parsing session data:', parseError);
           reject(parseError);
@@ -214,6 +441,32 @@ class SessionRepository {
       });
     });
   }
+
+  /**
+   * Run a statement
+   * @private
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Statement parameters
+   * @returns {Promise} - Promise that resolves when the statement has run
+   */
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * Read a single row
+   * @private
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Object|undefined>} - Promise resolving to the row, if any
+   */
+  _get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
 }
 
 module.exports = SessionRepository;
\ No newline at end of file
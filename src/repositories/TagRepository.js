@@ -40,39 +40,338 @@ class TagRepository {
       });
     }
 
-    // First get all cards for this language
-    return this.flashCardRepository.getAllFlashCards({ sourceLanguage })
-      .then(allCards => {
-        // Create a map to count occurrences of each tag
-        const tagCounts = new Map();
-        let untaggedCount = 0;
-
-        // Count all tag occurrences
-        allCards.forEach(card => {
-          if (!card.tags || card.tags.length === 0) {
-            untaggedCount++;
-          } else {
-            card.tags.forEach(tag => {
-              const count = tagCounts.get(tag) || 0;
-              tagCounts.set(tag, count + 1);
-            });
+    const tagCountsQuery = `
+      SELECT tags.name AS tag, COUNT(*) AS count
+      FROM card_tags
+      JOIN tags ON tags.id = card_tags.tagId
+      JOIN flashcards ON flashcards.id = card_tags.cardId
+      WHERE flashcards.sourceLanguage = ?
+      GROUP BY tags.id
+    `;
+    const untaggedQuery = `
+      SELECT COUNT(*) AS count
+      FROM flashcards
+      WHERE sourceLanguage = ?
+        AND NOT EXISTS (SELECT 1 FROM card_tags WHERE card_tags.cardId = flashcards.id)
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(tagCountsQuery, [sourceLanguage], (err, rows) => {
+        if (err) {
+          console.error('Error counting tags:', err);
+          reject(err);
+          return;
+        }
+
+        this.db.get(untaggedQuery, [sourceLanguage], (err, untagged) => {
+          if (err) {
+            console.error('Error counting untagged cards:', err);
+            reject(err);
+            return;
           }
+
+          // Sort by tag name
+          const tagsWithCounts = rows.sort((a, b) => a.tag.localeCompare(b.tag));
+
+          resolve({
+            tags: tagsWithCounts,
+            untaggedCount: untagged.count
+          });
         });
+      });
+    });
+  }
+
+  /**
+   * Rename a tag on every card
+   * Renaming to the name of another existing tag merges the two.
+   * @param {string} name - Current tag name
+   * @param {string} newName - New tag name
+   * @returns {Promise<{cardsUpdated: number}>} - Promise resolving to the number of cards carrying the tag
+   */
+  renameTag(name, newName) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    const target = TagRepository.normalizeName(newName);
+    if (!target) {
+      return Promise.reject(new Error('Tag name cannot be empty'));
+    }
+
+    return this._transaction(async () => {
+      const tag = await this._findTag(name);
+      const existing = await this._get('SELECT id, name FROM tags WHERE name = ?', [target]);
+
+      if (existing && existing.id !== tag.id) {
+        return this._mergeInto([tag], existing);
+      }
+
+      await this._run('UPDATE tags SET name = ? WHERE id = ?', [target, tag.id]);
+      return { cardsUpdated: await this._countCards(tag.id) };
+    });
+  }
+
+  /**
+   * Merge tags into one
+   * Cards carrying any of the tags carry the target tag instead. The target is
+   * created if it does not exist and may be one of the merged tags.
+   * @param {string[]} names - Tags to merge
+   * @param {string} targetName - Tag to merge them into
+   * @returns {Promise<{cardsUpdated: number}>} - Promise resolving to the number of cards carrying the target tag afterwards
+   */
+  mergeTags(names, targetName) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    const target = TagRepository.normalizeName(targetName);
+    if (!target) {
+      return Promise.reject(new Error('Tag name cannot be empty'));
+    }
+
+    if (!Array.isArray(names) || names.length === 0) {
+      return Promise.reject(new Error('No tags to merge'));
+    }
+
+    return this._transaction(async () => {
+      const tags = [];
+      for (const name of names) {
+        tags.push(await this._findTag(name));
+      }
+
+      await this._run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [target]);
+      const targetTag = await this._findTag(target);
+
+      return this._mergeInto(tags.filter(tag => tag.id !== targetTag.id), targetTag);
+    });
+  }
+
+  /**
+   * Delete a tag
+   * @param {string} name - Tag to delete
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.deleteCards=false] - Delete the cards carrying the tag instead of only untagging them
+   * @returns {Promise<{cardsUntagged: number, deletedCardIds: string[]}>} - Promise resolving to what was changed
+   */
+  deleteTag(name, options = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return this._transaction(async () => {
+      const tag = await this._findTag(name);
+      const rows = await this._all('SELECT cardId FROM card_tags WHERE tagId = ?', [tag.id]);
+      const cardIds = rows.map(row => row.cardId);
+
+      await this._run('DELETE FROM card_tags WHERE tagId = ?', [tag.id]);
+      await this._run('DELETE FROM tags WHERE id = ?', [tag.id]);
+
+      if (options.deleteCards) {
+        for (const cardId of cardIds) {
+          await this._run('DELETE FROM card_tags WHERE cardId = ?', [cardId]);
+          await this._run('DELETE FROM flashcards WHERE id = ?', [cardId]);
+        }
+      }
+
+      return {
+        cardsUntagged: options.deleteCards ? 0 : cardIds.length,
+        deletedCardIds: options.deleteCards ? cardIds : []
+      };
+    });
+  }
+
+  /**
+   * Add a tag to every card matching a filter
+   * The tag is added after the cards' existing tags.
+   * @param {string} name - Tag to add
+   * @param {Object} [filter] - Card filter, as accepted by FlashCardRepository.getAllFlashCards
+   * @returns {Promise<{cardsUpdated: number}>} - Promise resolving to the number of cards that did not have the tag yet
+   */
+  addTagToCards(name, filter = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    const tagName = TagRepository.normalizeName(name);
+    if (!tagName) {
+      return Promise.reject(new Error('Tag name cannot be empty'));
+    }
 
-        // Convert to the result format
-        const tagsWithCounts = Array.from(tagCounts.entries()).map(([tag, count]) => ({
-          tag,
-          count
-        }));
+    return this._matchingCardIds(filter).then(cardIds => this._transaction(async () => {
+      await this._run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tagName]);
+      const tag = await this._findTag(tagName);
+      let cardsUpdated = 0;
 
-        // Sort by tag name
-        tagsWithCounts.sort((a, b) => a.tag.localeCompare(b.tag));
+      for (const cardId of cardIds) {
+        const changes = await this._run(`
+          INSERT OR IGNORE INTO card_tags (cardId, tagId, position)
+          SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM card_tags WHERE cardId = ?
+        `, [cardId, tag.id, cardId]);
+        cardsUpdated += changes;
+      }
 
-        return {
-          tags: tagsWithCounts,
-          untaggedCount
-        };
+      return { cardsUpdated };
+    }));
+  }
+
+  /**
+   * Remove a tag from every card matching a filter
+   * @param {string} name - Tag to remove
+   * @param {Object} [filter] - Card filter, as accepted by FlashCardRepository.getAllFlashCards
+   * @returns {Promise<{cardsUpdated: number}>} - Promise resolving to the number of cards the tag was removed from
+   */
+  removeTagFromCards(name, filter = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return this._matchingCardIds(filter).then(cardIds => this._transaction(async () => {
+      const tag = await this._findTag(name);
+      let cardsUpdated = 0;
+
+      for (const cardId of cardIds) {
+        cardsUpdated += await this._run('DELETE FROM card_tags WHERE tagId = ? AND cardId = ?', [tag.id, cardId]);
+      }
+
+      return { cardsUpdated };
+    }));
+  }
+
+  /**
+   * Clean up a tag name the way cards are saved
+   * @param {string} name - Tag name as entered
+   * @returns {string} - Trimmed name, empty if there is none
+   */
+  static normalizeName(name) {
+    return typeof name === 'string' ? name.trim() : '';
+  }
+
+  /**
+   * Move the cards of several tags to a target tag and delete the source tags
+   * A card that already has the target tag keeps its position; others take the
+   * position of the tag being replaced.
+   * @private
+   * @param {Object[]} sources - Tag rows to merge
+   * @param {Object} target - Tag row to merge into
+   * @returns {Promise<{cardsUpdated: number}>} - Promise resolving to the number of cards carrying the target tag
+   */
+  async _mergeInto(sources, target) {
+    for (const source of sources) {
+      await this._run(`
+        INSERT OR IGNORE INTO card_tags (cardId, tagId, position)
+        SELECT cardId, ?, position FROM card_tags WHERE tagId = ?
+      `, [target.id, source.id]);
+      await this._run('DELETE FROM card_tags WHERE tagId = ?', [source.id]);
+      await this._run('DELETE FROM tags WHERE id = ?', [source.id]);
+    }
+
+    return { cardsUpdated: await this._countCards(target.id) };
+  }
+
+  /**
+   * Look up a tag by name
+   * @private
+   * @param {string} name - Tag name
+   * @returns {Promise<Object>} - Promise resolving to the tag row
+   * @throws {Error} - If there is no such tag
+   */
+  async _findTag(name) {
+    const tag = await this._get('SELECT id, name FROM tags WHERE name = ?', [TagRepository.normalizeName(name)]);
+    if (!tag) {
+      throw new Error(`Tag "${name}" does not exist`);
+    }
+    return tag;
+  }
+
+  /**
+   * Count the cards carrying a tag
+   * @private
+   * @param {number} tagId - Tag ID
+   * @returns {Promise<number>} - Promise resolving to the number of cards
+   */
+  async _countCards(tagId) {
+    const row = await this._get('SELECT COUNT(*) AS count FROM card_tags WHERE tagId = ?', [tagId]);
+    return row.count;
+  }
+
+  /**
+   * IDs of the cards matching a filter
+   * @private
+   * @param {Object} filter - Card filter, as accepted by FlashCardRepository.getAllFlashCards
+   * @returns {Promise<string[]>} - Promise resolving to the card IDs
+   */
+  _matchingCardIds(filter) {
+    // Bulk changes apply to every matching card, not to one page of them
+    const options = { ...filter, limit: undefined, offset: undefined };
+    return this.flashCardRepository.getAllFlashCards(options).then(cards => cards.map(card => card.id));
+  }
+
+  /**
+   * Run a function under a savepoint, rolling back everything it did if it fails
+   * @private
+   * @param {Function} work - Async function doing the changes
+   * @returns {Promise<*>} - Promise resolving to the result of work
+   */
+  async _transaction(work) {
+    await this._run('SAVEPOINT tag_operation');
+
+    try {
+      const result = await work();
+      await this._run('RELEASE tag_operation');
+      return result;
+    } catch (error) {
+      console.error('Error changing tags:', error);
+      await this._run('ROLLBACK TO tag_operation')
+        .then(() => this._run('RELEASE tag_operation'))
+        .catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Run a statement
+   * @private
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Statement parameters
+   * @returns {Promise<number>} - Promise resolving to the number of changed rows
+   */
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
       });
+    });
+  }
+
+  /**
+   * Read a single row
+   * @private
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Object|undefined>} - Promise resolving to the row, if any
+   */
+  _get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  /**
+   * Read all rows
+   * @private
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Object[]>} - Promise resolving to the rows
+   */
+  _all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    });
   }
 }
 
@@ -0,0 +1,135 @@
+// Matches one cache entry; parameters come from _keyParams
+const KEY_CONDITION = 'kind = ? AND provider = ? AND sourceLanguage = ? AND targetLanguage = ? ' +
+  'AND sourceText = ? AND answer = ? AND reference = ?';
+
+/**
+ * Repository for cached translation and evaluation results
+ */
+class TranslationCacheRepository {
+  /**
+   * Creates a new TranslationCacheRepository instance
+   * @param {Object} db - The database instance
+   * @param {boolean} initialized - Whether the database is initialized
+   */
+  constructor(db, initialized = false) {
+    this.db = db;
+    this.initialized = initialized;
+  }
+
+  /**
+   * Set the initialized state of the repository
+   * @param {boolean} initialized - Whether the database is initialized
+   */
+  setInitialized(initialized) {
+    this.initialized = initialized;
+  }
+
+  /**
+   * Get a cached result and count the hit
+   * @param {Object} key - Cache key
+   * @param {'translation'|'evaluation'} key.kind - Kind of request
+   * @param {string} key.provider - Provider and model, e.g. 'openai/gpt-3.5-turbo'
+   * @param {string} key.sourceLanguage - Source language code
+   * @param {string} key.targetLanguage - Target language code
+   * @param {string} key.sourceText - Text that was translated
+   * @param {string} [key.answer] - User's answer, for evaluations
+   * @param {string} [key.reference] - Reference translation, for evaluations
+   * @returns {Promise<*|null>} - Promise that resolves to the cached result or null on a miss
+   */
+  getEntry(key) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    const params = this._keyParams(key);
+
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT result FROM translation_cache WHERE ${KEY_CONDITION}`,
+        params,
+        (err, row) => {
+          if (err) {
+            console.error('Error reading translation cache:', err);
+            reject(err);
+            return;
+          }
+
+          if (!row) {
+            resolve(null);
+            return;
+          }
+
+          this.db.run(
+            `UPDATE translation_cache SET hits = hits + 1, lastUsedAt = ? WHERE ${KEY_CONDITION}`,
+            [new Date().toISOString(), ...params],
+            (updateErr) => {
+              if (updateErr) {
+                // Counting hits is bookkeeping; the cached result is still good
+                console.error('Error counting translation cache hit:', updateErr);
+              }
+
+              try {
+                resolve(JSON.parse(row.result));
+              } catch (parseError) {
+                console.error('Error parsing cached translation result:', parseError);
+                resolve(null);
+              }
+            }
+          );
+        }
+      );
+    });
+  }
+
+  /**
+   * Save a result, replacing any earlier result for the same key
+   * @param {Object} key - Cache key, as for getEntry
+   * @param {*} result - JSON-serializable result
+   * @returns {Promise<void>} - Promise that resolves once the result is saved
+   */
+  saveEntry(key, result) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const query = `
+        INSERT OR REPLACE INTO translation_cache (
+          kind, provider, sourceLanguage, targetLanguage, sourceText, answer, reference,
+          result, createdAt, lastUsedAt, hits
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+      `;
+
+      this.db.run(query, [...this._keyParams(key), JSON.stringify(result), now, now], (err) => {
+        if (err) {
+          console.error('Error saving translation cache entry:', err);
+          reject(err);
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Get the query parameters of a cache key, in KEY_CONDITION order
+   * @private
+   * @param {Object} key - Cache key
+   * @returns {Array} - Query parameters
+   */
+  _keyParams(key) {
+    return [
+      key.kind,
+      key.provider,
+      key.sourceLanguage,
+      key.targetLanguage,
+      key.sourceText,
+      key.answer || '',
+      key.reference || ''
+    ];
+  }
+}
+
+module.exports = TranslationCacheRepository;
\ No newline at end of file
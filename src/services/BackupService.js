@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// How often the schedule checks whether a daily backup is due
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Age of the newest backup at which a daily backup is made
+const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Backup file names: flashcards-<UTC time with milliseconds>-<reason>.db
+const FILE_NAME = /^flashcards-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z-([a-z-]+)\.db$/;
+
+/**
+ * Rolling snapshots of the database file
+ * Snapshots are written with `VACUUM INTO`, which makes a consistent copy through the
+ * open connection. The newest `keep` daily snapshots are kept, and separately the newest
+ * `keep` of the others, so a run of imports or restores does not push out the daily ones.
+ */
+class BackupService {
+  /**
+   * Create a new BackupService
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getConnection - Returns the open sqlite3 connection to back up
+   * @param {string} options.backupDir - Directory of the snapshots
+   * @param {number} [options.keep=10] - Number of daily snapshots to keep, and of other snapshots
+   */
+  constructor(options = {}) {
+    if (!options.getConnection) {
+      throw new Error('A database connection is required');
+    }
+
+    if (!options.backupDir) {
+      throw new Error('A backup directory is required');
+    }
+
+    this.getConnection = options.getConnection;
+    this.backupDir = options.backupDir;
+    this.keep = options.keep || 10;
+    this.timer = null;
+  }
+
+  /**
+   * Write a snapshot of the database and drop the oldest ones beyond `keep`
+   * VACUUM INTO cannot run inside a transaction, so callers back up before opening one.
+   * @param {string} reason - Why the snapshot is made, like 'daily', 'import' or 'migration'
+   * @returns {Promise<Object>} - { fileName, path, createdAt, reason }
+   */
+  async createBackup(reason) {
+    const createdAt = new Date();
+    const fileName = BackupService.fileNameFor(createdAt, reason);
+    const backupPath = path.join(this.backupDir, fileName);
+
+    await fs.promises.mkdir(this.backupDir, { recursive: true });
+    await new Promise((resolve, reject) => {
+      this.getConnection().run('VACUUM INTO ?', [backupPath], (err) => (err ? reject(err) : resolve()));
+    });
+    console.log(`Database backed up to ${backupPath}`);
+
+    await this._rotate();
+    return { fileName, path: backupPath, createdAt: createdAt.toISOString(), reason };
+  }
+
+  /**
+   * List the snapshots with their number of cards
+   * @returns {Promise<Object[]>} - Newest first: { fileName, createdAt, reason, size, cardCount }
+   */
+  async listBackups() {
+    const entries = await this._readEntries();
+
+    return Promise.all(entries.map(async entry => {
+      const filePath = path.join(this.backupDir, entry.fileName);
+      const { size } = await fs.promises.stat(filePath);
+
+      return {
+        ...entry,
+        size,
+        cardCount: await BackupService.countCards(filePath)
+      };
+    }));
+  }
+
+  /**
+   * Get the path of a snapshot
+   * Only names of existing snapshots are accepted, so the renderer cannot point at other files.
+   * @param {string} fileName - Snapshot file name, as listed
+   * @returns {Promise<string>} - Path of the snapshot
+   * @throws {Error} - If there is no such snapshot
+   */
+  async getBackupPath(fileName) {
+    const entries = await this._readEntries();
+    if (!entries.some(entry => entry.fileName === fileName)) {
+      throw new Error(`Backup not found: ${fileName}`);
+    }
+
+    return path.join(this.backupDir, fileName);
+  }
+
+  /**
+   * Back up once a day while the app runs
+   * A backup is due when the newest snapshot, of any reason, is a day old. The schedule
+   * checks every hour, so sleep and restarts do not skip a day.
+   * @returns {Promise<Object|null>} - The backup made at start, if one was due
+   */
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this._backUpIfDue(), CHECK_INTERVAL_MS);
+    return this._backUpIfDue();
+  }
+
+  /**
+   * Stop the daily schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Make a daily backup if the newest snapshot is a day old
+   * Failures are logged and retried at the next check.
+   * @returns {Promise<Object|null>} - The backup, or null if none was due or it failed
+   * @private
+   */
+  async _backUpIfDue() {
+    try {
+      const [newest] = await this._readEntries();
+      if (newest && Date.now() - new Date(newest.createdAt) < DAILY_INTERVAL_MS) {
+        return null;
+      }
+
+      return await this.createBackup('daily');
+    } catch (error) {
+      console.error('Error making the daily backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the snapshots in the backup directory
+   * @returns {Promise<Object[]>} - Newest first: { fileName, createdAt, reason }
+   * @private
+   */
+  async _readEntries() {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return fileNames
+      .map(fileName => ({ fileName, ...BackupService.parseFileName(fileName) }))
+      .filter(entry => entry.createdAt)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete the daily snapshots beyond the newest `keep`, and likewise the others
+   * @returns {Promise<void>} - Promise resolving once they are deleted
+   * @private
+   */
+  async _rotate() {
+    const entries = await this._readEntries();
+    const daily = entries.filter(entry => entry.reason === 'daily');
+    const others = entries.filter(entry => entry.reason !== 'daily');
+
+    for (const entry of [...daily.slice(this.keep), ...others.slice(this.keep)]) {
+      await fs.promises.unlink(path.join(this.backupDir, entry.fileName));
+    }
+  }
+
+  /**
+   * Build the file name of a snapshot
+   * @param {Date} date - Time of the snapshot
+   * @param {string} reason - Why the snapshot is made, lowercase letters and dashes
+   * @returns {string} - File name
+   */
+  static fileNameFor(date, reason) {
+    return `flashcards-${date.toISOString().replace(/[-:.]/g, '')}-${reason}.db`;
+  }
+
+  /**
+   * Read the time and reason from a snapshot file name
+   * @param {string} fileName - File name
+   * @returns {Object|null} - { createdAt, reason }, or null for other files
+   */
+  static parseFileName(fileName) {
+    const match = FILE_NAME.exec(fileName);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds, milliseconds, reason] = match;
+    return {
+      createdAt: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${milliseconds}Z`,
+      reason
+    };
+  }
+
+  /**
+   * Count the cards in a snapshot
+   * @param {string} filePath - Path of the snapshot
+   * @returns {Promise<number|null>} - Number of cards, or null if the file cannot be read
+   */
+  static countCards(filePath) {
+    return new Promise(resolve => {
+      const connection = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => {
+        if (err) {
+          resolve(null);
+          return;
+        }
+
+        connection.get('SELECT COUNT(*) AS count FROM flashcards', (err, row) => {
+          connection.close(() => resolve(err ? null : row.count));
+        });
+      });
+    });
+  }
+}
+
+module.exports = BackupService;
\ No newline at end of file
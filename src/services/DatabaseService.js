@@ -6,10 +6,18 @@ const FlashCardRepository = require('../repositories/FlashCardRepository');
 const SessionRepository = require('../repositories/SessionRepository');
 const SettingsRepository = require('../repositories/SettingsRepository');
 const TagRepository = require('../repositories/TagRepository');
+const CardReviewRepository = require('../repositories/CardReviewRepository');
+const TranslationCacheRepository = require('../repositories/TranslationCacheRepository');
+const MigrationRunner = require('./migrations/MigrationRunner');
+const BackupService = require('./BackupService');
 const FlashCard = require('../models/FlashCard');
 const Session = require('../models/Session');
+const CardReview = require('../models/CardReview');
 const Settings = require('../models/Settings');
 
+// Tables holding user data, in the order they are emptied by a reset
+const DATA_TABLES = ['card_tags', 'tags', 'card_translations', 'card_reviews', 'session_responses', 'sessions', 'flashcards', 'settings'];
+
 /**
  * Service for managing database operations
  * Now uses the repository pattern to delegate entity operations
@@ -20,19 +28,27 @@ class DatabaseService {
    * @param {Object} options - Configuration options
    * @param {string} [options.dbPath] - Path to the database file (default: user data directory)
    * @param {boolean} [options.inMemory] - Whether to use an in-memory database (for testing)
+   * @param {string} [options.backupDir] - Directory of the database backups (default: backups next to the database file)
+   * @param {number} [options.backupCount] - Number of daily backups to keep, and of other backups
    */
   constructor(options = {}) {
     this.dbPath = options.dbPath;
     this.inMemory = options.inMemory || false;
+    this.backupDir = options.backupDir;
+    this.backupCount = options.backupCount;
     this.db = null;
     this.initialized = false;
 
+    // Created once the database path is known; in-memory databases have no backups
+    this.backupService = null;
+
     // Repositories will be initialized after database connection
     this.repositories = {
       flashCard: null,
       session: null,
       settings: null,
-      tag: null
+      tag: null,
+      cardReview: null
     };
   }
 
@@ -63,6 +79,14 @@ class DatabaseService {
       this.dbPath = path.join(userDataPath, 'flashcards.db');
     }
 
+    if (!this.inMemory && !this.backupService) {
+      this.backupService = new BackupService({
+        getConnection: () => this.db,
+        backupDir: this.backupDir || path.join(path.dirname(this.dbPath), 'backups'),
+        keep: this.backupCount
+      });
+    }
+
     console.log('Creating database connection, in-memory:', this.inMemory);
 
       // Create or connect to the database with a promise
@@ -95,11 +119,10 @@ class DatabaseService {
           });
         });
       }).then(() => {
-        console.log('Starting to create tables');
-        // Create tables if they don't exist
-        return this._createTables();
+        // Create the tables or bring an existing database up to date
+        return this._migrateSchema();
       }).then(() => {
-        console.log('Tables created successfully');
+        console.log('Database schema is up to date');
         // Initialize repositories
         console.log('Initializing repositories');
         this._initializeRepositories();
@@ -139,6 +162,10 @@ class DatabaseService {
    * Close the database connection
    */
   close() {
+    if (this.backupService) {
+      this.backupService.stop();
+    }
+
     if (this.db) {
       // Update repositories state first
       this._setRepositoriesInitialized(false);
@@ -153,80 +180,28 @@ class DatabaseService {
         flashCard: null,
         session: null,
         settings: null,
-        tag: null
+        tag: null,
+        cardReview: null
       };
     }
   }
 
   /**
-   * Create database tables
+   * Apply pending schema migrations
+   * File databases are backed up first; databases from a newer version of the app are refused.
    * @private
-   * @returns {Promise} - Promise that resolves when tables are created
+   * @returns {Promise<Object>} - Promise that resolves to the migration result
    */
-  _createTables() {
-    console.log('Starting _createTables method');
-    return new Promise((resolve, reject) => {
-      console.log('Creating flashcards table');
-      // Create flashcards table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS flashcards (
-          id TEXT PRIMARY KEY,
-          content TEXT NOT NULL,
-          sourceLanguage TEXT NOT NULL,
-          comment TEXT,
-          userTranslation TEXT,
-          tags TEXT,
-          createdAt TEXT NOT NULL,
-          updatedAt TEXT NOT NULL
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Error creating flashcards table:', err);
-          reject(err);
-          return;
-        }
-        console.log('Flashcards table created successfully');
-
-        console.log('Creating sessions table');
-        // Create sessions table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS sessions (
-            id TEXT PRIMARY KEY,
-            sourceLanguage TEXT NOT NULL,
-            targetLanguage TEXT NOT NULL,
-            cardIds TEXT NOT NULL,
-            currentCardIndex INTEGER NOT NULL,
-            responses TEXT,
-            createdAt TEXT NOT NULL,
-            completedAt TEXT
-          )
-        `, (err) => {
-          if (err) {
-            console.error('Error creating sessions table:', err);
-            reject(err);
-            return;
-          }
-          console.log('Sessions table created successfully');
-
-          console.log('Creating settings table');
-          // Create settings table
-          this.db.run(`
-            CREATE TABLE IF NOT EXISTS settings (
-              id TEXT PRIMARY KEY,
-              settings TEXT NOT NULL
-            )
-          `, (err) => {
-            if (err) {
-              console.error('Error creating settings table:', err);
-              reject(err);
-              return;
-            }
-            console.log('Settings table created successfully');
-            console.log('All tables created, resolving promise');
-            resolve();
-          });
-        });
-      });
+  _migrateSchema() {
+    const runner = new MigrationRunner(this.db, {
+      backup: this.backupService ? () => this.backupService.createBackup('migration').then(backup => backup.path) : null
+    });
+
+    return runner.migrate().then((result) => {
+      if (result.applied.length > 0) {
+        console.log(`Database schema migrated from version ${result.from} to ${result.to}`);
+      }
+      return result;
     });
   }
 
@@ -242,6 +217,8 @@ class DatabaseService {
 
     // TagRepository depends on FlashCardRepository
     this.repositories.tag = new TagRepository(this.db, this.repositories.flashCard, this.initialized);
+    this.repositories.cardReview = new CardReviewRepository(this.db, this.initialized);
+    this.repositories.translationCache = new TranslationCacheRepository(this.db, this.initialized);
   }
 
   /**
@@ -276,8 +253,8 @@ class DatabaseService {
    * Get all flashcards
    * @param {Object} options - Query options
    * @param {string} [options.sourceLanguage] - Filter by source language
-   * @param {string|string[]} [options.tags] - Filter by one or more tags
-   * @param {boolean} [options.includeUntagged] - Whether to include cards with no tags
+   * @param {string|string[]|Object} [options.tags] - Filter by tags: any of an array of tags, or an { anyOf, allOf, noneOf } expression
+   * @param {boolean} [options.includeUntagged] - Whether cards with no tags satisfy the any-of tags
    * @param {string} [options.tag] - Filter by a single tag (legacy, use tags instead)
    * @param {string} [options.searchTerm] - Search in content or comments
    * @param {number} [options.limit] - Maximum number of results
@@ -293,6 +270,20 @@ class DatabaseService {
     return Promise.resolve(this.repositories.flashCard.getAllFlashCards(options));
   }
 
+  /**
+   * Count the flashcards matching a filter
+   * @param {Object} options - Filter options, as accepted by getAllFlashCards
+   * @returns {Promise<number>} - Promise that resolves to the number of matching flashcards
+   */
+  countFlashCards(options = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to FlashCardRepository
+    return Promise.resolve(this.repositories.flashCard.countFlashCards(options));
+  }
+
   /**
    * Delete a flashcard by its ID
    * @param {string} id - The flashcard ID
@@ -303,22 +294,112 @@ class DatabaseService {
       return Promise.reject(new Error('Database not initialized'));
     }
 
-    // Delegate to FlashCardRepository
-    return Promise.resolve(this.repositories.flashCard.deleteFlashCard(id));
+    // Delegate to FlashCardRepository, then drop the card's review state
+    return Promise.resolve(this.repositories.flashCard.deleteFlashCard(id))
+      .then(deleted => this.repositories.cardReview.deleteCardReview(id).then(() => deleted));
+  }
+
+  /**
+   * Save the spaced-repetition state of a card
+   * @param {CardReview} review - The review state to save
+   * @returns {Promise<CardReview>} - Promise that resolves to the saved review state
+   */
+  saveCardReview(review) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to CardReviewRepository
+    return Promise.resolve(this.repositories.cardReview.saveCardReview(review));
+  }
+
+  /**
+   * Get the spaced-repetition state of a card
+   * @param {string} cardId - The flashcard ID
+   * @returns {Promise<CardReview|null>} - Promise that resolves to the review state or null if never reviewed
+   */
+  getCardReview(cardId) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to CardReviewRepository
+    return Promise.resolve(this.repositories.cardReview.getCardReview(cardId));
+  }
+
+  /**
+   * Get the spaced-repetition state of several cards
+   * @param {string[]} cardIds - The flashcard IDs
+   * @returns {Promise<Map<string, CardReview>>} - Promise that resolves to a map of card ID to review state
+   */
+  getCardReviews(cardIds) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to CardReviewRepository
+    return Promise.resolve(this.repositories.cardReview.getCardReviews(cardIds));
+  }
+
+  /**
+   * Get the spaced-repetition state of all cards
+   * @returns {Promise<CardReview[]>} - Promise that resolves to every stored review state
+   */
+  getAllCardReviews() {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to CardReviewRepository
+    return Promise.resolve(this.repositories.cardReview.getAllCardReviews());
   }
 
   /**
    * Save a session to the database
    * @param {Session} session - The session to save
+   * @param {Object} [options] - Save options
+   * @param {boolean} [options.withResponses=false] - Whether to replace the stored responses too;
+   * otherwise only the session row is written
    * @returns {Promise<Session>} - Promise that resolves to the saved session
    */
-  saveSession(session) {
+  saveSession(session, options = {}) {
     if (!this.initialized) {
       return Promise.reject(new Error('Database not initialized'));
     }
 
     // Delegate to SessionRepository
-    return Promise.resolve(this.repositories.session.saveSession(session));
+    return Promise.resolve(this.repositories.session.saveSession(session, options));
+  }
+
+  /**
+   * Save a single response of a saved session
+   * @param {string} sessionId - The session ID
+   * @param {number} position - Position of the response in the session
+   * @param {Object} response - Response as kept in Session.responses
+   * @returns {Promise<Object>} - Promise that resolves to the saved response
+   */
+  saveSessionResponse(sessionId, position, response) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to SessionRepository
+    return Promise.resolve(this.repositories.session.saveResponse(sessionId, position, response));
+  }
+
+  /**
+   * Check whether a card has been reviewed by a response after the given time
+   * @param {string} cardId - The card ID
+   * @param {Date|string} timestamp - Time of the earlier response
+   * @returns {Promise<boolean>} - Promise that resolves to true if a later response reviewed the card
+   */
+  hasLaterReview(cardId, timestamp) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to SessionRepository
+    return Promise.resolve(this.repositories.session.hasLaterReview(cardId, timestamp));
   }
 
   /**
@@ -340,6 +421,10 @@ class DatabaseService {
    * @param {Object} options - Query options
    * @param {boolean} [options.activeOnly] - Only active (not completed) sessions
    * @param {boolean} [options.completedOnly] - Only completed sessions
+   * @param {string} [options.sourceLanguage] - Only sessions from this language
+   * @param {string} [options.targetLanguage] - Only sessions into this language
+   * @param {Date|string} [options.createdAfter] - Only sessions created at or after this time
+   * @param {Date|string} [options.createdBefore] - Only sessions created before this time
    * @param {number} [options.limit] - Maximum number of results
    * @param {number} [options.offset] - Results offset
    * @returns {Promise<Session[]>} - Promise that resolves to an array of sessions
@@ -394,6 +479,35 @@ class DatabaseService {
     return Promise.resolve(this.repositories.settings.getSettings());
   }
 
+  /**
+   * Get a cached translation or evaluation result
+   * @param {Object} key - Cache key, see TranslationCacheRepository.getEntry
+   * @returns {Promise<*|null>} - Promise that resolves to the cached result or null on a miss
+   */
+  getTranslationCacheEntry(key) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TranslationCacheRepository
+    return Promise.resolve(this.repositories.translationCache.getEntry(key));
+  }
+
+  /**
+   * Save a translation or evaluation result to the cache
+   * @param {Object} key - Cache key, see TranslationCacheRepository.getEntry
+   * @param {*} result - JSON-serializable result
+   * @returns {Promise<void>} - Promise that resolves once the result is saved
+   */
+  saveTranslationCacheEntry(key, result) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TranslationCacheRepository
+    return Promise.resolve(this.repositories.translationCache.saveEntry(key, result));
+  }
+
   /**
    * Get available tags for a given source language
    * @param {string} sourceLanguage - Source language to filter tags by
@@ -408,6 +522,84 @@ class DatabaseService {
     return Promise.resolve(this.repositories.tag.getAvailableTags(sourceLanguage));
   }
 
+  /**
+   * Rename a tag on every card, merging it into the new name if that tag exists
+   * @param {string} name - Current tag name
+   * @param {string} newName - New tag name
+   * @returns {Promise<{cardsUpdated: number}>} - Promise that resolves to the number of cards carrying the tag
+   */
+  renameTag(name, newName) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TagRepository
+    return Promise.resolve(this.repositories.tag.renameTag(name, newName));
+  }
+
+  /**
+   * Merge several tags into one
+   * @param {string[]} names - Tags to merge
+   * @param {string} targetName - Tag to merge them into
+   * @returns {Promise<{cardsUpdated: number}>} - Promise that resolves to the number of cards carrying the target tag
+   */
+  mergeTags(names, targetName) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TagRepository
+    return Promise.resolve(this.repositories.tag.mergeTags(names, targetName));
+  }
+
+  /**
+   * Delete a tag, optionally together with the cards carrying it
+   * @param {string} name - Tag to delete
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.deleteCards=false] - Delete the tagged cards instead of untagging them
+   * @returns {Promise<{cardsUntagged: number, cardsDeleted: number}>} - Promise that resolves to what was changed
+   */
+  deleteTag(name, options = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TagRepository, then drop the review state of deleted cards
+    return Promise.resolve(this.repositories.tag.deleteTag(name, options))
+      .then(result => Promise.all(result.deletedCardIds.map(id => this.repositories.cardReview.deleteCardReview(id)))
+        .then(() => ({ cardsUntagged: result.cardsUntagged, cardsDeleted: result.deletedCardIds.length })));
+  }
+
+  /**
+   * Add a tag to every card matching a filter
+   * @param {string} name - Tag to add
+   * @param {Object} [filter] - Card filter, as accepted by getAllFlashCards
+   * @returns {Promise<{cardsUpdated: number}>} - Promise that resolves to the number of cards that gained the tag
+   */
+  addTagToCards(name, filter = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TagRepository
+    return Promise.resolve(this.repositories.tag.addTagToCards(name, filter));
+  }
+
+  /**
+   * Remove a tag from every card matching a filter
+   * @param {string} name - Tag to remove
+   * @param {Object} [filter] - Card filter, as accepted by getAllFlashCards
+   * @returns {Promise<{cardsUpdated: number}>} - Promise that resolves to the number of cards that lost the tag
+   */
+  removeTagFromCards(name, filter = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    // Delegate to TagRepository
+    return Promise.resolve(this.repositories.tag.removeTagFromCards(name, filter));
+  }
+
   /**
    * Get database statistics
    * @returns {Promise<Object>} - Database statistics promise
@@ -422,7 +614,8 @@ class DatabaseService {
         flashcardsCount: 0,
         sessionsCount: 0,
         activeSessionsCount: 0,
-        completedSessionsCount: 0
+        completedSessionsCount: 0,
+        abandonedSessionsCount: 0
       };
 
       this.db.get('SELECT COUNT(*) as count FROM flashcards', (err, row) => {
@@ -439,7 +632,7 @@ class DatabaseService {
           }
           stats.sessionsCount = row.count;
 
-          this.db.get('SELECT COUNT(*) as count FROM sessions WHERE completedAt IS NULL', (err, row) => {
+          this.db.get('SELECT COUNT(*) as count FROM sessions WHERE completedAt IS NULL AND abandonedAt IS NULL', (err, row) => {
             if (err) {
               reject(err);
               return;
@@ -452,7 +645,15 @@ class DatabaseService {
                 return;
               }
               stats.completedSessionsCount = row.count;
-              resolve(stats);
+
+              this.db.get('SELECT COUNT(*) as count FROM sessions WHERE abandonedAt IS NOT NULL', (err, row) => {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                stats.abandonedSessionsCount = row.count;
+                resolve(stats);
+              });
             });
           });
         });
@@ -460,21 +661,89 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Delete all flashcards, sessions, review state and settings
+   * Runs in its own transaction, so either everything is cleared or nothing is.
+   * @returns {Promise<boolean>} - Promise that resolves to true when the database is empty
+   */
+  clearAll() {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run('BEGIN TRANSACTION', (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        this._clearTables()
+          .then(() => {
+            this.db.run('COMMIT', (err) => {
+              if (err) {
+                this.db.run('ROLLBACK', () => {
+                  reject(err);
+                });
+                return;
+              }
+
+              resolve(true);
+            });
+          })
+          .catch((error) => {
+            this.db.run('ROLLBACK', () => {
+              console.error('Clearing database failed:', error);
+              reject(error);
+            });
+          });
+      });
+    });
+  }
+
+  /**
+   * Delete the rows of every data table
+   * Does not open a transaction itself; callers wrap it in one.
+   * @private
+   * @returns {Promise} - Promise that resolves when all tables are empty
+   */
+  _clearTables() {
+    return DATA_TABLES.reduce((chain, table) => chain.then(() => {
+      return new Promise((resolve, reject) => {
+        this.db.run(`DELETE FROM ${table}`, (err) => {
+          if (err) {
+            console.error(`Error clearing ${table} table:`, err);
+            reject(err);
+            return;
+          }
+          resolve();
+        });
+      });
+    }), Promise.resolve());
+  }
+
   /**
    * Import data from a JSON file
    * @param {Object} data - The data to import
    * @param {FlashCard[]} [data.flashcards] - Flashcards to import
+   * @param {Object[]} [data.cardReviews] - Spaced-repetition state of the cards, as in CardReview.toJSON()
    * @param {Session[]} [data.sessions] - Sessions to import
    * @param {Settings} [data.settings] - Settings to import
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.replace=false] - Clear all existing data first, in the same transaction
    * @returns {Promise<Object>} - Import statistics promise
    */
-  importData(data) {
+  importData(data, options = {}) {
     if (!this.initialized) {
       return Promise.reject(new Error('Database not initialized'));
     }
 
-    return new Promise((resolve, reject) => {
+    const replace = Boolean(options.replace);
+
+    // Back up first, so a bad import can be undone by restoring the backup
+    return this.createBackup('import').then(() => new Promise((resolve, reject) => {
       let flashcardsImported = 0;
+      let cardReviewsImported = 0;
       let sessionsImported = 0;
       let settingsImported = false;
 
@@ -513,6 +782,33 @@ class DatabaseService {
           });
         };
 
+        const processCardReviews = () => {
+          return new Promise((resolve, reject) => {
+            if (Array.isArray(data.cardReviews)) {
+              // Use recursive function to handle async operations sequentially
+              const importNextReview = (index) => {
+                if (index >= data.cardReviews.length) {
+                  resolve();
+                  return;
+                }
+
+                const review = CardReview.fromJSON(data.cardReviews[index]);
+
+                this.saveCardReview(review)
+                  .then(() => {
+                    cardReviewsImported++;
+                    importNextReview(index + 1);
+                  })
+                  .catch(reject);
+              };
+
+              importNextReview(0);
+            } else {
+              resolve();
+            }
+          });
+        };
+
         const processSessions = () => {
           return new Promise((resolve, reject) => {
             if (Array.isArray(data.sessions)) {
@@ -526,7 +822,7 @@ class DatabaseService {
                 const sessionData = data.sessions[index];
                 const session = Session.fromJSON(sessionData);
 
-                this.saveSession(session)
+                this.saveSession(session, { withResponses: true })
                   .then(() => {
                     sessionsImported++;
                     importNextSession(index + 1);
@@ -557,8 +853,14 @@ class DatabaseService {
           });
         };
 
+        // In replace mode the old data is removed inside the transaction,
+        // so a failed import rolls back to the previous contents
+        const clearExisting = () => replace ? this._clearTables() : Promise.resolve();
+
         // Process all data sequentially
-        processFlashcards()
+        clearExisting()
+          .then(() => processFlashcards())
+          .then(() => processCardReviews())
           .then(() => processSessions())
           .then(() => processSettings())
           .then(() => {
@@ -574,7 +876,9 @@ class DatabaseService {
 
               resolve({
                 success: true,
+                replaced: replace,
                 flashcardsImported,
+                cardReviewsImported,
                 sessionsImported,
                 settingsImported
               });
@@ -588,7 +892,7 @@ class DatabaseService {
             });
           });
       });
-    });
+    }));
   }
 
   /**
@@ -602,11 +906,13 @@ class DatabaseService {
 
     return Promise.all([
       this.getAllFlashCards(),
+      this.getAllCardReviews(),
       this.getAllSessions(),
       this.getSettings()
-    ]).then(([flashcards, sessions, settings]) => {
+    ]).then(([flashcards, cardReviews, sessions, settings]) => {
       return {
         flashcards: flashcards.map(card => card.toJSON()),
+        cardReviews: cardReviews.map(review => review.toJSON()),
         sessions: sessions.map(session => session.toJSON()),
         settings: settings.toJSON(),
         exportDate: new Date().toISOString()
@@ -614,6 +920,122 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Back up the database file
+   * In-memory databases have no backups.
+   * @param {string} [reason='manual'] - Why the backup is made
+   * @returns {Promise<Object|null>} - Promise that resolves to the backup, or null for in-memory databases
+   */
+  createBackup(reason = 'manual') {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    if (!this.backupService) {
+      return Promise.resolve(null);
+    }
+
+    // Delegate to BackupService
+    return this.backupService.createBackup(reason);
+  }
+
+  /**
+   * List the database backups
+   * @returns {Promise<Object[]>} - Promise that resolves to the backups, newest first
+   */
+  listBackups() {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    if (!this.backupService) {
+      return Promise.resolve([]);
+    }
+
+    // Delegate to BackupService
+    return this.backupService.listBackups();
+  }
+
+  /**
+   * Back up the database once a day while the app runs
+   * @returns {Promise<Object|null>} - Promise that resolves to the backup made at start, if one was due
+   */
+  startDailyBackups() {
+    if (!this.backupService) {
+      return Promise.resolve(null);
+    }
+
+    // Delegate to BackupService
+    return this.backupService.start();
+  }
+
+  /**
+   * Replace the database with a backup
+   * The current database is backed up first, so a restore can be undone too. The
+   * connection is closed while the file is replaced and opened again afterwards, which
+   * brings a backup from an older version up to the current schema.
+   * @param {string} fileName - File name of the backup, as listed
+   * @returns {Promise<Object>} - Promise that resolves to { restored, safetyBackup }
+   */
+  restoreBackup(fileName) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Database not initialized'));
+    }
+
+    if (!this.backupService) {
+      return Promise.reject(new Error('In-memory databases have no backups'));
+    }
+
+    let backupPath;
+    let safetyBackup;
+
+    return this.backupService.getBackupPath(fileName)
+      .then((foundPath) => {
+        backupPath = foundPath;
+        return this.backupService.createBackup('before-restore');
+      })
+      .then((backup) => {
+        safetyBackup = backup;
+        return this._closeConnection();
+      })
+      .then(() => fs.promises.copyFile(backupPath, this.dbPath))
+      .catch((error) => {
+        // Reopen whatever is in place, so a failed restore leaves a usable database
+        if (this.initialized) {
+          throw error;
+        }
+        return this.initialize().then(() => {
+          throw error;
+        });
+      })
+      .then(() => this.initialize())
+      .then(() => {
+        console.log(`Database restored from ${fileName}`);
+        return { restored: fileName, safetyBackup: safetyBackup.fileName };
+      });
+  }
+
+  /**
+   * Close the connection and wait until it is closed, keeping the repositories
+   * @private
+   * @returns {Promise} - Promise that resolves once the connection is closed
+   */
+  _closeConnection() {
+    this.initialized = false;
+    this._setRepositoriesInitialized(false);
+
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        this.db = null;
+        resolve();
+      });
+    });
+  }
+
   /**
    * Update the initialized state for all repositories
    * Called internally when the database initialization state changes
@@ -635,6 +1057,14 @@ class DatabaseService {
     if (this.repositories.tag) {
       this.repositories.tag.setInitialized(initialized);
     }
+
+    if (this.repositories.cardReview) {
+      this.repositories.cardReview.setInitialized(initialized);
+    }
+
+    if (this.repositories.translationCache) {
+      this.repositories.translationCache.setInitialized(initialized);
+    }
   }
 }
 
@@ -3,6 +3,8 @@ const SessionManager = require('./session/SessionManager');
 const SessionCardSelector = require('./session/SessionCardSelector');
 const SessionProgressTracker = require('./session/SessionProgressTracker');
 const SessionEvaluator = require('./session/SessionEvaluator');
+const SessionChoiceSelector = require('./session/SessionChoiceSelector');
+const SpacedRepetitionScheduler = require('./session/SpacedRepetitionScheduler');
 
 /**
  * Service for managing practice sessions
@@ -20,7 +22,7 @@ class SessionService {
     }
     
     this.db = options.db;
-    this.translationService = options.translationService || new TranslationService();
+    this.translationService = options.translationService || new TranslationService({ db: this.db });
     
     // Initialize session components
     this._initializeComponents();
@@ -34,14 +36,18 @@ class SessionService {
    * @private
    */
   _initializeComponents() {
+    // Create the review scheduler shared by card selection and progress tracking
+    this.scheduler = new SpacedRepetitionScheduler();
+    
     // Create card selector
     this.cardSelector = new SessionCardSelector({
-      db: this.db
+      db: this.db,
+      scheduler: this.scheduler
     });
     
-    // Create progress tracker
-    this.progressTracker = new SessionProgressTracker({
-      db: this.db
+    // Create the choice selector of multiple-choice sessions, which draws from the same cards
+    this.choiceSelector = new SessionChoiceSelector({
+      cardSelector: this.cardSelector
     });
     
     // Create evaluator
@@ -49,12 +55,20 @@ class SessionService {
       translationService: this.translationService
     });
     
+    // Create progress tracker, which asks the evaluator for reverse prompts
+    this.progressTracker = new SessionProgressTracker({
+      db: this.db,
+      scheduler: this.scheduler,
+      evaluator: this.evaluator
+    });
+    
     // Create session manager
     this.sessionManager = new SessionManager({
       db: this.db,
       cardSelector: this.cardSelector,
       progressTracker: this.progressTracker,
-      evaluator: this.evaluator
+      evaluator: this.evaluator,
+      choiceSelector: this.choiceSelector
     });
   }
   
@@ -65,8 +79,13 @@ class SessionService {
    * @param {string} options.targetLanguage - Target language code
    * @param {number} [options.maxCards=10] - Maximum number of cards
    * @param {boolean} [options.useSampleCards=true] - Whether to use sample cards
-   * @param {string[]} [options.tags=[]] - Tags to filter cards by
+   * @param {string[]|Object} [options.tags=[]] - Tags to filter cards by: any of an array of tags, or an { anyOf, allOf, noneOf } expression
    * @param {boolean} [options.includeUntagged=false] - Whether to include untagged cards
+   * @param {'random'|'due'} [options.selectionMode='random'] - Random sample, or due cards first
+   * @param {'forward'|'reverse'|'mixed'} [options.direction='forward'] - Practice direction: source to target, target to source, or per card
+   * @param {'translate'|'multipleChoice'} [options.mode='translate'] - Type the translation, or pick it from four choices
+   * @param {boolean} [options.retryMistakes=false] - Practice the cards answered incorrectly again at the end, until each is right once
+   * @param {string[]} [options.cardIds] - Practice exactly these cards instead of selecting them
    * @returns {Promise<Object>} - Created session data
    */
   async createSession(options = {}) {
@@ -101,6 +120,35 @@ class SessionService {
     return this.sessionManager.advanceSession(sessionId);
   }
   
+  /**
+   * Resume an interrupted session at the first unanswered card
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Current card data or null if session is complete
+   */
+  async resumeSession(sessionId) {
+    return this.sessionManager.resumeSession(sessionId);
+  }
+  
+  /**
+   * Abandon a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Session statistics at the time of abandoning
+   */
+  async abandonSession(sessionId) {
+    return this.sessionManager.abandonSession(sessionId);
+  }
+  
+  /**
+   * Override the evaluated verdict of a response with the user's own
+   * @param {string} sessionId - Session ID
+   * @param {number} responseIndex - Position of the response in the session
+   * @param {boolean} correct - Whether the user says the answer was correct
+   * @returns {Promise<Object>} - Updated response and session statistics
+   */
+  async overrideResponse(sessionId, responseIndex, correct) {
+    return this.sessionManager.overrideResponse(sessionId, responseIndex, correct);
+  }
+  
   /**
    * Get session statistics
    * @param {string} sessionId - Session ID
@@ -0,0 +1,382 @@
+/**
+ * Longest time counted for one answer, so a break in the middle of a session
+ * does not count as practice
+ */
+const MAX_ANSWER_TIME_MS = 2 * 60 * 1000;
+
+/**
+ * Service for learning statistics across practice sessions
+ * Every response counts, including answers in retry rounds; an overridden response
+ * counts with the verdict the user gave.
+ */
+class StatisticsService {
+  /**
+   * Create a new StatisticsService instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.db - DatabaseService instance
+   */
+  constructor(options = {}) {
+    if (!options.db) {
+      throw new Error('DatabaseService is required');
+    }
+
+    this.db = options.db;
+  }
+
+  /**
+   * Aggregate the responses of all sessions
+   * Tags are the cards' current tags, so retagging a card moves its history with it.
+   * @param {Object} [options] - Query options
+   * @param {number} [options.days=30] - Number of days in the daily series, ending today
+   * @param {string} [options.tag] - Only responses to cards with this tag
+   * @param {string} [options.sourceLanguage] - Only sessions from this language
+   * @param {string} [options.targetLanguage] - Only sessions into this language
+   * @param {number} [options.missedLimit=10] - Number of most-missed cards to return
+   * @param {Date|string} [options.now] - End of the daily series, defaults to the current time
+   * @returns {Promise<Object>} - { totals, daily, byTag, byLanguagePair, mostMissed, tags }
+   */
+  async getLearningStats(options = {}) {
+    const {
+      days = 30,
+      tag = '',
+      sourceLanguage,
+      targetLanguage,
+      missedLimit = 10
+    } = options;
+    const now = options.now ? new Date(options.now) : new Date();
+
+    const [sessions, cards] = await Promise.all([
+      this.db.getAllSessions({ sourceLanguage, targetLanguage }),
+      this.db.getAllFlashCards()
+    ]);
+    const cardsById = new Map(cards.map(card => [card.id, card]));
+
+    const practiced = StatisticsService.collectResponses(sessions, cardsById);
+    const responses = tag ?
+      practiced.filter(response => response.card && response.card.tags.includes(tag)) :
+      practiced;
+
+    // The daily series covers the last `days` local days, today included
+    const windowStart = StatisticsService.startOfDay(now);
+    windowStart.setDate(windowStart.getDate() - (days - 1));
+
+    return {
+      totals: {
+        sessions: new Set(responses.map(response => response.sessionId)).size,
+        ...StatisticsService.summarize(responses)
+      },
+      daily: StatisticsService.buildDailySeries(responses, windowStart, days),
+      byTag: StatisticsService.groupByTag(responses, windowStart),
+      byLanguagePair: StatisticsService.groupByLanguagePair(responses, windowStart),
+      mostMissed: StatisticsService.findMostMissed(responses, missedLimit),
+      // Every tag of a practiced card, for filtering
+      tags: Array.from(new Set(practiced.flatMap(response => (response.card ? response.card.tags : [])))).sort()
+    };
+  }
+
+  /**
+   * Get today's progress toward the daily goal, and the practice streak
+   * The streak is the number of days in a row with at least one answer. It is still
+   * current while today has no answers yet, counting up to yesterday.
+   * @param {Object} [options] - Query options
+   * @param {Date|string} [options.now] - Current time, defaults to now
+   * @returns {Promise<Object>} - { goal: { unit, amount }, today: { date, cards, minutes }, progress, percent,
+   * met, streak: { current, longest, practicedToday } }
+   */
+  async getDailyProgress(options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+
+    const [settings, sessions] = await Promise.all([
+      this.db.getSettings(),
+      this.db.getAllSessions()
+    ]);
+
+    const days = StatisticsService.summarizePracticeDays(sessions);
+    const date = StatisticsService.formatDay(now);
+    const today = days.get(date) || { cards: 0, minutes: 0 };
+    const goal = { unit: settings.dailyGoalUnit, amount: settings.dailyGoal };
+    const progress = goal.unit === 'minutes' ? today.minutes : today.cards;
+
+    return {
+      goal,
+      today: { date, ...today },
+      progress,
+      percent: Math.min(100, (progress / goal.amount) * 100),
+      met: progress >= goal.amount,
+      streak: StatisticsService.countStreaks(Array.from(days.keys()), now)
+    };
+  }
+
+  /**
+   * Count the answers and practice time of each local day
+   * An answer's time runs from the previous answer of its session, or from the start of
+   * the session for the first one, up to MAX_ANSWER_TIME_MS.
+   * @param {Session[]} sessions - Sessions to read
+   * @returns {Map<string, Object>} - { cards, minutes } by day as YYYY-MM-DD
+   */
+  static summarizePracticeDays(sessions) {
+    const days = new Map();
+
+    sessions.forEach(session => {
+      let previous = new Date(session.createdAt);
+
+      session.responses
+        .map(response => new Date(response.timestamp))
+        .sort((a, b) => a - b)
+        .forEach(timestamp => {
+          const date = StatisticsService.formatDay(timestamp);
+          if (!days.has(date)) {
+            days.set(date, { cards: 0, minutes: 0 });
+          }
+
+          const day = days.get(date);
+          day.cards++;
+          day.minutes += Math.min(Math.max(timestamp - previous, 0), MAX_ANSWER_TIME_MS) / 60000;
+          previous = timestamp;
+        });
+    });
+
+    return days;
+  }
+
+  /**
+   * Count the current and the longest run of practice days
+   * @param {string[]} dates - Practice days as YYYY-MM-DD, in any order
+   * @param {Date} now - Current time
+   * @returns {Object} - { current, longest, practicedToday }
+   */
+  static countStreaks(dates, now) {
+    const practiced = new Set(dates);
+    const runUpTo = date => {
+      let length = 0;
+      for (let day = date; practiced.has(day); day = StatisticsService._shiftDay(day, -1)) {
+        length++;
+      }
+      return length;
+    };
+
+    // Every run is counted back from its last day
+    const longest = Math.max(0, ...Array.from(practiced)
+      .filter(date => !practiced.has(StatisticsService._shiftDay(date, 1)))
+      .map(runUpTo));
+
+    const today = StatisticsService.formatDay(now);
+    const practicedToday = practiced.has(today);
+
+    return {
+      current: runUpTo(practicedToday ? today : StatisticsService._shiftDay(today, -1)),
+      longest,
+      practicedToday
+    };
+  }
+
+  /**
+   * Flatten the responses of sessions, each with its session's languages and its card
+   * @param {Session[]} sessions - Sessions to read
+   * @param {Map<string, FlashCard>} cardsById - Existing cards; deleted and sample cards have none
+   * @returns {Object[]} - Responses with sessionId, sourceLanguage, targetLanguage, card and a Date timestamp
+   */
+  static collectResponses(sessions, cardsById) {
+    return sessions.flatMap(session => session.responses.map(response => ({
+      ...response,
+      timestamp: new Date(response.timestamp),
+      sessionId: session.id,
+      sourceLanguage: session.sourceLanguage,
+      targetLanguage: session.targetLanguage,
+      card: cardsById.get(response.cardId) || null
+    })));
+  }
+
+  /**
+   * Summarize a group of responses
+   * Accuracy is a percentage, and both accuracy and score are null without responses.
+   * @param {Object[]} responses - Responses from collectResponses
+   * @returns {Object} - { responses, correct, accuracy, averageScore, cardsPracticed }
+   */
+  static summarize(responses) {
+    const correct = responses.filter(response => response.correct).length;
+    const scores = responses
+      .map(response => response.score)
+      .filter(score => typeof score === 'number');
+
+    return {
+      responses: responses.length,
+      correct,
+      accuracy: responses.length > 0 ? (correct / responses.length) * 100 : null,
+      averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      cardsPracticed: new Set(responses.map(response => response.cardId)).size
+    };
+  }
+
+  /**
+   * Summarize responses per local day, including days without practice
+   * @param {Object[]} responses - Responses from collectResponses
+   * @param {Date} start - Local midnight of the first day
+   * @param {number} days - Number of days
+   * @returns {Object[]} - Oldest day first: { date, responses, correct, accuracy, averageScore, cardsPracticed }
+   */
+  static buildDailySeries(responses, start, days) {
+    const byDay = new Map();
+    responses.forEach(response => {
+      const date = StatisticsService.formatDay(response.timestamp);
+      if (!byDay.has(date)) {
+        byDay.set(date, []);
+      }
+      byDay.get(date).push(response);
+    });
+
+    const series = [];
+    const day = new Date(start);
+    for (let i = 0; i < days; i++) {
+      const date = StatisticsService.formatDay(day);
+      series.push({ date, ...StatisticsService.summarize(byDay.get(date) || []) });
+      day.setDate(day.getDate() + 1);
+    }
+
+    return series;
+  }
+
+  /**
+   * Summarize responses per tag of their card
+   * Each group also compares accuracy before the daily series with accuracy within it,
+   * which shows whether practicing the tag lately has paid off.
+   * @param {Object[]} responses - Responses from collectResponses
+   * @param {Date} windowStart - Start of the daily series
+   * @returns {Object[]} - Most practiced first: { tag, ...summary, previousAccuracy, recentAccuracy }
+   */
+  static groupByTag(responses, windowStart) {
+    const groups = new Map();
+    responses.forEach(response => {
+      (response.card ? response.card.tags : []).forEach(tag => {
+        if (!groups.has(tag)) {
+          groups.set(tag, []);
+        }
+        groups.get(tag).push(response);
+      });
+    });
+
+    return Array.from(groups, ([tag, group]) => ({
+      tag,
+      ...StatisticsService._summarizeWithTrend(group, windowStart)
+    })).sort((a, b) => b.responses - a.responses || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Summarize responses per language pair of their session
+   * @param {Object[]} responses - Responses from collectResponses
+   * @param {Date} windowStart - Start of the daily series
+   * @returns {Object[]} - Most practiced first: { sourceLanguage, targetLanguage, ...summary, previousAccuracy, recentAccuracy }
+   */
+  static groupByLanguagePair(responses, windowStart) {
+    const groups = new Map();
+    responses.forEach(response => {
+      const key = `${response.sourceLanguage}-${response.targetLanguage}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(response);
+    });
+
+    return Array.from(groups.values(), group => ({
+      sourceLanguage: group[0].sourceLanguage,
+      targetLanguage: group[0].targetLanguage,
+      ...StatisticsService._summarizeWithTrend(group, windowStart)
+    })).sort((a, b) => b.responses - a.responses);
+  }
+
+  /**
+   * Find the cards answered incorrectly most often
+   * Cards that no longer exist are left out, since they cannot be practiced again.
+   * @param {Object[]} responses - Responses from collectResponses
+   * @param {number} limit - Maximum number of cards
+   * @returns {Object[]} - { cardId, content, translation, misses, responses, accuracy, lastMissedAt }
+   */
+  static findMostMissed(responses, limit) {
+    const cards = new Map();
+    responses.forEach(response => {
+      if (!response.card) {
+        return;
+      }
+
+      if (!cards.has(response.cardId)) {
+        cards.set(response.cardId, {
+          cardId: response.cardId,
+          content: response.card.content,
+          translation: response.card.userTranslation,
+          misses: 0,
+          responses: 0,
+          lastMissedAt: null
+        });
+      }
+
+      const entry = cards.get(response.cardId);
+      entry.responses++;
+      if (!response.correct) {
+        entry.misses++;
+        if (!entry.lastMissedAt || response.timestamp > entry.lastMissedAt) {
+          entry.lastMissedAt = response.timestamp;
+        }
+      }
+    });
+
+    return Array.from(cards.values())
+      .filter(entry => entry.misses > 0)
+      .map(entry => ({
+        ...entry,
+        accuracy: ((entry.responses - entry.misses) / entry.responses) * 100,
+        lastMissedAt: entry.lastMissedAt.toISOString()
+      }))
+      .sort((a, b) => b.misses - a.misses || a.accuracy - b.accuracy)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the local midnight of a date
+   * @param {Date} date - Any time of the day
+   * @returns {Date} - New date at local midnight
+   */
+  static startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  }
+
+  /**
+   * Format the local day of a date
+   * @param {Date} date - Date to format
+   * @returns {string} - Day as YYYY-MM-DD
+   */
+  static formatDay(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Move a day by a number of days
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {number} days - Days to add, negative for earlier days
+   * @returns {string} - Day as YYYY-MM-DD
+   * @private
+   */
+  static _shiftDay(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return StatisticsService.formatDay(new Date(year, month - 1, day + days));
+  }
+
+  /**
+   * Summarize a group, with accuracy before and within the daily series
+   * @param {Object[]} group - Responses of the group
+   * @param {Date} windowStart - Start of the daily series
+   * @returns {Object} - Summary with previousAccuracy and recentAccuracy
+   * @private
+   */
+  static _summarizeWithTrend(group, windowStart) {
+    return {
+      ...StatisticsService.summarize(group),
+      previousAccuracy: StatisticsService.summarize(group.filter(response => response.timestamp < windowStart)).accuracy,
+      recentAccuracy: StatisticsService.summarize(group.filter(response => response.timestamp >= windowStart)).accuracy
+    };
+  }
+}
+
+module.exports = StatisticsService;
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Daily study reminder
+ * Once a day, at the time chosen in the settings, the user is notified if the daily
+ * goal is not met yet. Timers are plain setTimeout calls, so tests can drive them with
+ * a fake clock.
+ */
+class StudyReminder {
+  /**
+   * Create a new StudyReminder
+   * @param {Object} options - Configuration options
+   * @param {Object} options.db - DatabaseService instance, for the settings
+   * @param {Object} options.statisticsService - StatisticsService instance, for today's progress
+   * @param {Function} options.notify - Called with a title and a body to show the reminder
+   */
+  constructor(options = {}) {
+    if (!options.db) {
+      throw new Error('DatabaseService is required');
+    }
+
+    if (!options.statisticsService) {
+      throw new Error('StatisticsService is required');
+    }
+
+    this.db = options.db;
+    this.statisticsService = options.statisticsService;
+    this.notify = options.notify || (() => {});
+
+    this.settings = null;
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the reminder from the stored settings
+   * @returns {Promise<Date|null>} - Time of the next reminder, or null if reminders are off
+   */
+  async start() {
+    return this.schedule(await this.db.getSettings());
+  }
+
+  /**
+   * Schedule the next reminder, replacing the one already scheduled
+   * @param {Settings} settings - Settings with reminderEnabled and reminderTime
+   * @returns {Date|null} - Time of the next reminder, or null if reminders are off
+   */
+  schedule(settings) {
+    this.stop();
+    this.settings = settings;
+
+    if (!settings.reminderEnabled) {
+      return null;
+    }
+
+    const now = new Date();
+    const next = StudyReminder.nextOccurrence(settings.reminderTime, now);
+    if (!next) {
+      console.warn('Invalid reminder time:', settings.reminderTime);
+      return null;
+    }
+
+    this.timer = setTimeout(() => this._remind(), next - now);
+    return next;
+  }
+
+  /**
+   * Cancel the scheduled reminder
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Notify the user unless today's goal is met, then schedule tomorrow's reminder
+   * @returns {Promise<void>} - Promise resolving once the next reminder is scheduled
+   * @private
+   */
+  async _remind() {
+    this.timer = null;
+
+    try {
+      const progress = await this.statisticsService.getDailyProgress();
+      if (!progress.met) {
+        const { title, body } = StudyReminder.buildMessage(progress);
+        this.notify(title, body);
+      }
+    } catch (error) {
+      console.error('Error checking the daily goal:', error);
+    }
+
+    this.schedule(this.settings);
+  }
+
+  /**
+   * Get the next time a daily HH:MM time comes round
+   * @param {string} time - Local time as HH:MM
+   * @param {Date} now - Current time
+   * @returns {Date|null} - Today at that time if it is still ahead, otherwise tomorrow; null for an invalid time
+   */
+  static nextOccurrence(time, now) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+
+    const next = new Date(now);
+    next.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+
+    return next;
+  }
+
+  /**
+   * Build the reminder text from today's progress
+   * @param {Object} progress - Result of StatisticsService.getDailyProgress
+   * @returns {Object} - { title, body }
+   */
+  static buildMessage(progress) {
+    const { goal, streak } = progress;
+    const done = Math.floor(progress.progress);
+    const unit = goal.unit === 'minutes' ? 'minutes' : 'cards';
+
+    let body = done > 0 ?
+      `You have practiced ${done} of ${goal.amount} ${unit} today.` :
+      `Your goal is ${goal.amount} ${unit} a day.`;
+    if (streak.current > 0 && !streak.practicedToday) {
+      body += ` Practice today to keep your ${streak.current}-day streak.`;
+    }
+
+    return { title: "Today's goal is not met yet", body };
+  }
+}
+
+module.exports = StudyReminder;
\ No newline at end of file
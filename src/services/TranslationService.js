@@ -2,6 +2,8 @@ const Settings = require('../models/Settings');
 const TranslationProviderFactory = require('./translation/TranslationProviderFactory');
 const TranslationEvaluator = require('./translation/TranslationEvaluator');
 const TranslationGenerator = require('./translation/TranslationGenerator');
+const TranslationCache = require('./translation/TranslationCache');
+const ProviderCircuitBreaker = require('./translation/ProviderCircuitBreaker');
 
 /**
  * Service for translation operations using AI providers
@@ -11,9 +13,9 @@ class TranslationService {
    * Create a new TranslationService instance
    * @param {Object} options - Configuration options
    * @param {Object} [options.settings] - Settings object
-   * @param {string} [options.apiProvider] - API provider ('gemini' or 'openai')
+   * @param {string} [options.apiProvider] - API provider ('gemini', 'openai' or 'local')
    * @param {string} [options.apiKey] - API key for the provider
-   * @param {Object} [options.db] - DatabaseService instance for settings
+   * @param {Object} [options.db] - DatabaseService instance for settings and the translation cache
    */
   constructor(options = {}) {
     this.db = options.db;
@@ -39,16 +41,30 @@ class TranslationService {
     // Store provider data
     this.providers = providerSetup.providers;
     this.primaryProvider = providerSetup.primaryProvider;
+    this.providerOrder = providerSetup.providerOrder;
     
+    // Provider results are cached when there is a database to keep them in
+    this.cache = this.db ? new TranslationCache({ db: this.db }) : null;
+
+    // Evaluation and generation share provider health, so a failing provider is skipped by both
+    this.circuitBreaker = new ProviderCircuitBreaker();
+
     // Initialize translation services
     this.evaluator = new TranslationEvaluator({
       providers: this.providers,
-      primaryProvider: this.primaryProvider
+      primaryProvider: this.primaryProvider,
+      providerOrder: this.providerOrder,
+      cache: this.cache,
+      circuitBreaker: this.circuitBreaker,
+      baselineOptions: { ignoreDiacritics: this.settings.ignoreDiacritics }
     });
     
     this.generator = new TranslationGenerator({
       providers: this.providers,
-      primaryProvider: this.primaryProvider
+      primaryProvider: this.primaryProvider,
+      providerOrder: this.providerOrder,
+      cache: this.cache,
+      circuitBreaker: this.circuitBreaker
     });
   }
   
@@ -60,36 +76,35 @@ class TranslationService {
    * @param {string} data.targetLanguage - Target language code
    * @param {string} data.userTranslation - User's translation to evaluate
    * @param {string} [data.referenceTranslation] - Optional reference translation
+   * @param {Array<{text: string, note: string}>} [data.alternativeTranslations] - Other accepted translations
    * @returns {Promise<Object>} - Evaluation result
    */
   async evaluateTranslation(data) {
     return this.evaluator.evaluateTranslation(data);
   }
   
+  /**
+   * Apply saved settings to the running service
+   * Grading options take effect at once. The providers are kept until the app restarts,
+   * since their keys may come from the environment rather than the settings.
+   * @param {Object} settings - Saved settings
+   */
+  updateSettings(settings) {
+    this.settings.update({ ignoreDiacritics: Boolean(settings.ignoreDiacritics) });
+    this.evaluator.setBaselineOptions({ ignoreDiacritics: this.settings.ignoreDiacritics });
+  }
+  
   /**
    * Generate a reference translation
    * @param {Object} data - Translation data
    * @param {string} data.content - Content to translate
    * @param {string} data.sourceLanguage - Source language code
    * @param {string} data.targetLanguage - Target language code
-   * @returns {Promise<string>} - Generated translation
+   * @returns {Promise<Object>} - { translation, provider }, with the name of the provider that produced it
    */
   async generateTranslation(data) {
     return this.generator.generateTranslation(data);
   }
-  
-  /**
-   * Check if two strings are close matches
-   * Retained for backward compatibility
-   * @private
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {boolean} - True if the strings are close matches
-   */
-  _isCloseMatch(str1, str2) {
-    const baselineTranslator = new (require('./translation/BaselineTranslator'))();
-    return baselineTranslator._isCloseMatch(str1, str2);
-  }
 }
 
 module.exports = TranslationService;
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * Writes flashcards in Anki's "Notes in Plain Text" format
+ * The file can be imported into Anki with the Basic note type: the content
+ * becomes the front, the translation the back. Tags are kept, with spaces
+ * replaced by underscores since Anki tags cannot contain spaces.
+ */
+class AnkiExporter {
+  /**
+   * Convert exported data to an Anki text file
+   * @param {Object} data - Output of DatabaseService.exportData()
+   * @param {Object[]} data.flashcards - Flashcards to export
+   * @returns {string} - File contents
+   */
+  toText(data) {
+    const lines = [
+      '#separator:tab',
+      '#html:false',
+      '#tags column:3'
+    ];
+
+    (data.flashcards || []).forEach(card => {
+      const tags = (card.tags || []).map(tag => tag.trim().replace(/\s+/g, '_')).filter(Boolean);
+
+      lines.push([
+        card.content,
+        card.userTranslation || '',
+        tags.join(' ')
+      ].map(AnkiExporter.escapeField).join('\t'));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Quote a field if it contains characters that would break the line
+   * @param {string} value - Field value
+   * @returns {string} - Value safe to write between tabs
+   */
+  static escapeField(value) {
+    const text = String(value);
+    return /[\t\r\n"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = AnkiExporter;
\ No newline at end of file
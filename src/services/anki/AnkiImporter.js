@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const FlashCard = require('../../models/FlashCard');
+const CsvImporter = require('../import/CsvImporter');
+const { generateId } = require('../../utils/helpers');
+const { listZipEntries, readZipEntry } = require('../../utils/zip');
+
+// Anki separates the fields of a note with the unit separator character
+const FIELD_SEPARATOR = '\u001f';
+
+// Named separators used in the #separator header of Anki text exports
+const SEPARATOR_NAMES = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  space: ' ',
+  pipe: '|',
+  colon: ':'
+};
+
+// Anki puts every card in this deck unless told otherwise, so it says nothing about the card
+const DEFAULT_DECK = 'Default';
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+/**
+ * Reads Anki decks into flashcards
+ * Supports Anki's "Notes in Plain Text" export and .apkg packages written with
+ * "Support older Anki versions" enabled. The first field of a note becomes the
+ * card content, the second the translation; Anki tags and the deck name become tags.
+ */
+class AnkiImporter {
+  /**
+   * Create a new AnkiImporter
+   * @param {Object} [options] - Importer options
+   * @param {string} [options.defaultSourceLanguage='en'] - Language of the imported cards (Anki does not store one)
+   * @param {string} [options.tmpDir] - Directory for the temporary copy of a package's collection
+   */
+  constructor(options = {}) {
+    this.defaultSourceLanguage = options.defaultSourceLanguage || 'en';
+    this.tmpDir = options.tmpDir || os.tmpdir();
+  }
+
+  /**
+   * Read an Anki export of either kind
+   * @param {Buffer} buffer - File contents
+   * @param {string} [fileName] - File name, used to tell packages from text exports
+   * @returns {Promise<{cards: Object[], skipped: number}>} - Flashcard data and the number of notes without content
+   */
+  readFile(buffer, fileName = '') {
+    const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+    if (isZip || /\.(apkg|colpkg)$/i.test(fileName)) {
+      return this.readPackage(buffer);
+    }
+
+    const { text } = new CsvImporter().decode(buffer);
+    return Promise.resolve(this.parseText(text));
+  }
+
+  /**
+   * Parse Anki's plain text export
+   * Header lines such as "#separator:tab", "#html:true" and "#tags column:3"
+   * describe the file. Exports without headers are read as tab-separated HTML.
+   * @param {string} text - Decoded file contents
+   * @returns {{cards: Object[], skipped: number}} - Flashcard data and the number of notes without content
+   */
+  parseText(text) {
+    const lines = text.split(/\r?\n/);
+    const headers = {};
+    let firstDataLine = 0;
+
+    while (firstDataLine < lines.length) {
+      const match = lines[firstDataLine].match(/^#([a-z ]+):(.*)$/i);
+      if (!match) break;
+      headers[match[1].trim().toLowerCase()] = match[2].trim();
+      firstDataLine++;
+    }
+
+    const separatorHeader = headers.separator || 'tab';
+    const separator = SEPARATOR_NAMES[separatorHeader.toLowerCase()] || separatorHeader;
+    const html = headers.html === undefined ? true : headers.html.toLowerCase() === 'true';
+
+    // Column headers are 1-based; every other column holds a note field
+    const columnOf = name => headers[`${name} column`] ? Number(headers[`${name} column`]) - 1 : -1;
+    const tagsColumn = columnOf('tags');
+    const deckColumn = columnOf('deck');
+    const specialColumns = [tagsColumn, deckColumn, columnOf('notetype'), columnOf('guid')];
+
+    const rows = new CsvImporter().parse(lines.slice(firstDataLine).join('\n'), separator);
+    const notes = rows.map(cells => ({
+      fields: cells.filter((_, index) => !specialColumns.includes(index)),
+      tags: tagsColumn >= 0 ? cells[tagsColumn] || '' : headers.tags || '',
+      deck: deckColumn >= 0 ? cells[deckColumn] || '' : headers.deck || ''
+    }));
+
+    return this._toCards(notes, html);
+  }
+
+  /**
+   * Read an .apkg package
+   * The package is a zip archive with the collection as an SQLite database.
+   * @param {Buffer} buffer - Package contents
+   * @returns {Promise<{cards: Object[], skipped: number}>} - Flashcard data and the number of notes without content
+   */
+  async readPackage(buffer) {
+    const names = listZipEntries(buffer).map(entry => entry.name);
+
+    // Anki 2.1.50+ writes a zstd-compressed collection plus a placeholder
+    // collection.anki2 unless the legacy format is requested
+    if (names.includes('collection.anki21b') && !names.includes('collection.anki21')) {
+      throw new Error('This deck uses the package format of Anki 2.1.50 and newer. ' +
+        'Export it again with "Support older Anki versions" enabled.');
+    }
+
+    const collectionName = ['collection.anki21', 'collection.anki2'].find(name => names.includes(name));
+    if (!collectionName) {
+      throw new Error('The file is not an Anki package');
+    }
+
+    const collectionPath = path.join(this.tmpDir, `anki-import-${generateId()}.sqlite`);
+    await fs.promises.writeFile(collectionPath, readZipEntry(buffer, collectionName));
+
+    try {
+      const notes = await this._readCollection(collectionPath);
+      return this._toCards(notes, true);
+    } finally {
+      await fs.promises.unlink(collectionPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Read the notes of an Anki collection database
+   * @param {string} collectionPath - Path to the collection file
+   * @returns {Promise<Object[]>} - Notes with fields, tags, deck and timestamps
+   * @private
+   */
+  _readCollection(collectionPath) {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(collectionPath, sqlite3.OPEN_READONLY, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        db.get('SELECT decks FROM col', (err, col) => {
+          if (err || !col) {
+            db.close(() => reject(err || new Error('The Anki collection is empty')));
+            return;
+          }
+
+          const query = `
+            SELECT n.id, n.mod, n.flds, n.tags,
+              (SELECT c.did FROM cards c WHERE c.nid = n.id ORDER BY c.ord LIMIT 1) AS did
+            FROM notes n
+            ORDER BY n.id
+          `;
+
+          db.all(query, (err, rows) => {
+            db.close(() => {
+              if (err) {
+                reject(err);
+                return;
+              }
+
+              try {
+                const decks = JSON.parse(col.decks || '{}');
+                resolve(rows.map(row => ({
+                  fields: (row.flds || '').split(FIELD_SEPARATOR),
+                  tags: row.tags || '',
+                  deck: decks[row.did] ? decks[row.did].name : '',
+                  // Note IDs are creation times in milliseconds, mod is in seconds
+                  createdAt: new Date(row.id),
+                  updatedAt: new Date(row.mod * 1000)
+                })));
+              } catch (parseError) {
+                reject(parseError);
+              }
+            });
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Convert notes to flashcard data
+   * @param {Object[]} notes - Notes with fields, tags and deck
+   * @param {boolean} html - Whether the fields contain HTML
+   * @returns {{cards: Object[], skipped: number}} - Flashcard data and the number of notes without content
+   * @private
+   */
+  _toCards(notes, html) {
+    const clean = value => html ? AnkiImporter.htmlToText(value || '') : (value || '').trim();
+    const cards = [];
+    let skipped = 0;
+
+    notes.forEach(note => {
+      const content = clean(note.fields[0]);
+      if (!content) {
+        skipped++;
+        return;
+      }
+
+      const tags = note.tags.split(/\s+/).filter(Boolean);
+      const deck = note.deck.trim();
+      if (deck && deck !== DEFAULT_DECK) {
+        tags.push(deck);
+      }
+
+      cards.push(new FlashCard({
+        content,
+        sourceLanguage: this.defaultSourceLanguage,
+        userTranslation: clean(note.fields[1]),
+        tags: [...new Set(tags)],
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt
+      }).toJSON());
+    });
+
+    return { cards, skipped };
+  }
+
+  /**
+   * Turn an Anki field into plain text
+   * Line breaks are kept, other markup, sound references and cloze markers are removed.
+   * @param {string} value - Field contents
+   * @returns {string} - Plain text
+   */
+  static htmlToText(value) {
+    return value
+      .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\[sound:[^\]]*\]/g, '')
+      .replace(/\{\{c\d+::(.*?)(::[^}]*)?\}\}/g, '$1')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+          const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+          // Entities that are no character, such as surrogates, are left as they are
+          const isCharacter = number <= 0x10FFFF && (number < 0xD800 || number > 0xDFFF);
+          return isCharacter ? String.fromCodePoint(number) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] || entity;
+      })
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+  }
+}
+
+module.exports = AnkiImporter;
\ No newline at end of file
@@ -0,0 +1,336 @@
+const FlashCard = require('../../models/FlashCard');
+
+/**
+ * FlashCard fields a CSV/TSV column can be mapped to
+ */
+const CSV_FIELDS = ['content', 'sourceLanguage', 'userTranslation', 'comment', 'tags'];
+
+/**
+ * Header names recognized when guessing the column mapping (lowercase, without spaces)
+ */
+const HEADER_ALIASES = {
+  content: ['content', 'word', 'phrase', 'text', 'front', 'term', 'source'],
+  sourceLanguage: ['sourcelanguage', 'language', 'lang', 'sourcelang'],
+  userTranslation: ['usertranslation', 'translation', 'back', 'meaning', 'definition', 'target'],
+  comment: ['comment', 'comments', 'note', 'notes'],
+  tags: ['tags', 'tag', 'labels', 'category', 'categories']
+};
+
+const SUPPORTED_DELIMITERS = [',', ';', '\t'];
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+
+/**
+ * Converts spreadsheet exports (CSV/TSV) into flashcards
+ * Handles text decoding, delimiter detection, quoted fields and the mapping
+ * of columns to FlashCard fields, with validation errors per row.
+ */
+class CsvImporter {
+  /**
+   * Create a new CsvImporter
+   * @param {Object} [options] - Importer options
+   * @param {string} [options.defaultSourceLanguage='en'] - Language for rows without a language column
+   * @param {string} [options.tagDelimiter=','] - Separator between tags within the tags column
+   */
+  constructor(options = {}) {
+    this.defaultSourceLanguage = options.defaultSourceLanguage || 'en';
+    this.tagDelimiter = options.tagDelimiter || ',';
+  }
+
+  /**
+   * Decode file contents to text
+   * With 'auto', a byte order mark selects UTF-8 or UTF-16; otherwise UTF-8 is
+   * tried and Windows-1252 (the usual Excel default) is used if it is not valid UTF-8.
+   * @param {Buffer|Uint8Array} buffer - Raw file contents
+   * @param {string} [encoding='auto'] - Encoding label, or 'auto' to detect it
+   * @returns {{text: string, encoding: string}} - Decoded text and the encoding used
+   */
+  decode(buffer, encoding = 'auto') {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    if (encoding && encoding !== 'auto') {
+      const decoder = new TextDecoder(encoding);
+      return { text: decoder.decode(bytes), encoding: decoder.encoding };
+    }
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+    }
+
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+    }
+
+    try {
+      // TextDecoder strips a UTF-8 byte order mark itself
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch (error) {
+      return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+  }
+
+  /**
+   * Guess the field delimiter
+   * @param {string} text - Decoded file contents
+   * @param {string} [fileName] - File name; .tsv and .tab files are always tab-separated
+   * @returns {string} - The delimiter: ',', ';' or a tab
+   */
+  detectDelimiter(text, fileName = '') {
+    if (/\.(tsv|tab)$/i.test(fileName)) {
+      return '\t';
+    }
+
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    let best = ',';
+    let bestCount = 0;
+
+    SUPPORTED_DELIMITERS.forEach(delimiter => {
+      const count = firstLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Parse delimited text into rows of cells
+   * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+   * doubled, and quoted fields may contain delimiters and line breaks.
+   * Blank lines are skipped.
+   * @param {string} text - Decoded file contents
+   * @param {string} [delimiter=','] - Field delimiter
+   * @returns {string[][]} - Parsed rows
+   * @throws {Error} - If a quoted field is never closed
+   */
+  parse(text, delimiter = ',') {
+    return this._parseRecords(text, delimiter).map(record => record.cells);
+  }
+
+  /**
+   * Parse delimited text into rows of cells with the line each row starts on
+   * Line numbers count blank lines and the line breaks inside quoted fields,
+   * so they match what a text editor shows.
+   * @param {string} text - Decoded file contents
+   * @param {string} delimiter - Field delimiter
+   * @returns {Object[]} - One entry per non-blank row: {cells, lineNumber}
+   * @throws {Error} - If a quoted field is never closed
+   * @private
+   */
+  _parseRecords(text, delimiter) {
+    const records = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowStartLine = 1;
+    let quoteStartLine = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char !== '"') {
+          field += char;
+          if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+            line++;
+          }
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+        quoteStartLine = line;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        records.push({ cells: row, lineNumber: rowStartLine });
+        row = [];
+        field = '';
+        line++;
+        rowStartLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteStartLine}`);
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      records.push({ cells: row, lineNumber: rowStartLine });
+    }
+
+    return records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Guess which column holds which field
+   * @param {string[]} headerRow - The first row of the file
+   * @returns {Object} - Column index per field, null for unmapped fields
+   */
+  suggestMapping(headerRow) {
+    const normalized = headerRow.map(name => name.toLowerCase().replace(/[\s_-]/g, ''));
+    const mapping = {};
+
+    CSV_FIELDS.forEach(field => {
+      const index = normalized.findIndex(name => HEADER_ALIASES[field].includes(name));
+      mapping[field] = index === -1 ? null : index;
+    });
+
+    // Don't map the same column to two fields
+    CSV_FIELDS.forEach((field, fieldIndex) => {
+      const earlier = CSV_FIELDS.slice(0, fieldIndex).some(other => mapping[other] === mapping[field]);
+      if (mapping[field] !== null && earlier) {
+        mapping[field] = null;
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Split a tags cell into a list of unique, trimmed tags
+   * @param {string} value - The cell value
+   * @returns {string[]} - Tags
+   */
+  parseTags(value) {
+    if (!value) {
+      return [];
+    }
+
+    const tags = value.split(this.tagDelimiter)
+      .map(tag => tag.trim())
+      .filter(tag => tag !== '');
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Turn parsed rows into flashcards using a column mapping
+   * @param {string[][]} rows - Data rows (without the header row)
+   * @param {Object} mapping - Column index per field, null for unmapped fields
+   * @param {number[]} [rowNumbers] - Row number of each row in the file, by default counting from 1
+   * @returns {Object[]} - One entry per row: {rowNumber, cells, card, errors}
+   */
+  mapRows(rows, mapping, rowNumbers = rows.map((cells, index) => index + 1)) {
+    const seen = new Map();
+    const cell = (cells, field) => {
+      const index = mapping[field];
+      return index === null || index === undefined ? '' : (cells[index] || '').trim();
+    };
+
+    return rows.map((cells, index) => {
+      const rowNumber = rowNumbers[index];
+      const errors = [];
+
+      const content = cell(cells, 'content');
+      if (!content) {
+        errors.push('Content is empty');
+      }
+
+      let sourceLanguage = cell(cells, 'sourceLanguage').toLowerCase() || this.defaultSourceLanguage;
+      if (!LANGUAGE_CODE_PATTERN.test(sourceLanguage)) {
+        errors.push(`"${sourceLanguage}" is not a language code`);
+        sourceLanguage = this.defaultSourceLanguage;
+      }
+
+      if (content) {
+        const key = `${sourceLanguage}\u0000${content.toLowerCase()}`;
+        if (seen.has(key)) {
+          errors.push(`Duplicate of row ${seen.get(key)}`);
+        } else {
+          seen.set(key, rowNumber);
+        }
+      }
+
+      const card = new FlashCard({
+        content,
+        sourceLanguage,
+        userTranslation: cell(cells, 'userTranslation'),
+        comment: cell(cells, 'comment'),
+        tags: this.parseTags(cell(cells, 'tags'))
+      }).toJSON();
+
+      return { rowNumber, cells, card, errors };
+    });
+  }
+
+  /**
+   * Decode, parse and map a file in one go
+   * Options that are left out are detected from the file.
+   * @param {Buffer|Uint8Array} buffer - Raw file contents
+   * @param {Object} [options] - Import options
+   * @param {string} [options.fileName] - Original file name, used for delimiter detection
+   * @param {string} [options.encoding='auto'] - Text encoding
+   * @param {string} [options.delimiter] - Field delimiter
+   * @param {boolean} [options.hasHeader] - Whether the first row holds column names
+   * @param {Object} [options.mapping] - Column index per field
+   * @returns {Object} - Analysis with columns, mapping, mapped rows, valid cards and counts
+   * @throws {Error} - If the file cannot be parsed or is empty
+   */
+  analyze(buffer, options = {}) {
+    const { text, encoding } = this.decode(buffer, options.encoding);
+    const delimiter = options.delimiter || this.detectDelimiter(text, options.fileName);
+    const records = this._parseRecords(text, delimiter);
+    const allRows = records.map(record => record.cells);
+
+    if (allRows.length === 0) {
+      throw new Error('The file does not contain any rows');
+    }
+
+    const suggested = this.suggestMapping(allRows[0]);
+    // Without a recognizable content header, treat the first row as data
+    const hasHeader = options.hasHeader !== undefined ? Boolean(options.hasHeader) : suggested.content !== null;
+    const columnCount = allRows.reduce((max, cells) => Math.max(max, cells.length), 0);
+    const columns = Array.from({ length: columnCount }, (_, index) => {
+      const name = hasHeader ? (allRows[0][index] || '').trim() : '';
+      return name || `Column ${index + 1}`;
+    });
+
+    const mapping = options.mapping || (hasHeader ? suggested : {
+      content: 0,
+      sourceLanguage: null,
+      userTranslation: columnCount > 1 ? 1 : null,
+      comment: null,
+      tags: null
+    });
+
+    const dataRecords = hasHeader ? records.slice(1) : records;
+    const rows = this.mapRows(
+      dataRecords.map(record => record.cells),
+      mapping,
+      dataRecords.map(record => record.lineNumber)
+    );
+    const validRows = rows.filter(row => row.errors.length === 0);
+
+    return {
+      encoding,
+      delimiter,
+      hasHeader,
+      columns,
+      mapping,
+      rows,
+      cards: validRows.map(row => row.card),
+      totalRows: rows.length,
+      validCount: validRows.length,
+      invalidCount: rows.length - validRows.length
+    };
+  }
+}
+
+module.exports = CsvImporter;
\ No newline at end of file
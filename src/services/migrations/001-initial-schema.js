@@ -0,0 +1,44 @@
+const { run } = require('./helpers');
+
+/**
+ * The tables of the first release: flashcards, practice sessions and settings
+ */
+module.exports = {
+  version: 1,
+  description: 'Create flashcards, sessions and settings tables',
+
+  async up(db) {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS flashcards (
+        id TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        sourceLanguage TEXT NOT NULL,
+        comment TEXT,
+        userTranslation TEXT,
+        tags TEXT,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+      )
+    `);
+
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        sourceLanguage TEXT NOT NULL,
+        targetLanguage TEXT NOT NULL,
+        cardIds TEXT NOT NULL,
+        currentCardIndex INTEGER NOT NULL,
+        responses TEXT,
+        createdAt TEXT NOT NULL,
+        completedAt TEXT
+      )
+    `);
+
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS settings (
+        id TEXT PRIMARY KEY,
+        settings TEXT NOT NULL
+      )
+    `);
+  }
+};
\ No newline at end of file
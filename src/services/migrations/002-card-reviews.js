@@ -0,0 +1,25 @@
+const { run } = require('./helpers');
+
+/**
+ * Spaced-repetition state, one row per reviewed card (RFC-00013)
+ */
+module.exports = {
+  version: 2,
+  description: 'Create card_reviews table',
+
+  async up(db) {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS card_reviews (
+        cardId TEXT PRIMARY KEY,
+        easeFactor REAL NOT NULL,
+        interval INTEGER NOT NULL,
+        repetitions INTEGER NOT NULL,
+        lapses INTEGER NOT NULL,
+        dueDate TEXT,
+        lastReviewedAt TEXT
+      )
+    `);
+
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_card_reviews_dueDate ON card_reviews (dueDate)');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+const { addColumnIfMissing } = require('./helpers');
+
+/**
+ * Mark sessions the user gave up on (RFC-00015)
+ */
+module.exports = {
+  version: 3,
+  description: 'Add abandonedAt to sessions',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'sessions', 'abandonedAt', 'TEXT');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { run, all } = require('./helpers');
+
+/**
+ * Move tags from the JSON column flashcards.tags into their own tables (RFC-00020)
+ * card_tags.position keeps the order in which the tags were given.
+ */
+module.exports = {
+  version: 4,
+  description: 'Move flashcard tags into tags and card_tags tables',
+
+  async up(db) {
+    await run(db, `
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+      )
+    `);
+
+    await run(db, `
+      CREATE TABLE card_tags (
+        cardId TEXT NOT NULL REFERENCES flashcards (id) ON DELETE CASCADE,
+        tagId INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (cardId, tagId)
+      )
+    `);
+
+    await run(db, 'CREATE INDEX idx_card_tags_tagId ON card_tags (tagId)');
+
+    const rows = await all(db, 'SELECT id, tags FROM flashcards WHERE tags IS NOT NULL AND tags != \'\'');
+
+    for (const row of rows) {
+      let tags;
+      try {
+        tags = JSON.parse(row.tags);
+      } catch (error) {
+        console.warn(`Dropping unreadable tags of flashcard ${row.id}:`, row.tags);
+        continue;
+      }
+
+      const names = Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()) : [];
+      const uniqueNames = [...new Set(names.filter(Boolean))];
+
+      for (const [position, name] of uniqueNames.entries()) {
+        await run(db, 'INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+        await run(db, 'INSERT INTO card_tags (cardId, tagId, position) SELECT ?, id, ? FROM tags WHERE name = ?',
+          [row.id, position, name]);
+      }
+    }
+
+    await run(db, 'ALTER TABLE flashcards DROP COLUMN tags');
+  }
+};
\ No newline at end of file
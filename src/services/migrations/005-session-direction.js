@@ -0,0 +1,15 @@
+const { addColumnIfMissing } = require('./helpers');
+
+/**
+ * Practice direction of sessions and of each of their cards (RFC-00023)
+ * Existing sessions were all practiced from source to target language.
+ */
+module.exports = {
+  version: 5,
+  description: 'Add practice direction to sessions',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'sessions', 'direction', 'TEXT NOT NULL DEFAULT \'forward\'');
+    await addColumnIfMissing(db, 'sessions', 'cardDirections', 'TEXT NOT NULL DEFAULT \'[]\'');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+const { addColumnIfMissing } = require('./helpers');
+
+/**
+ * Practice mode of sessions and the answer choices of multiple-choice cards (RFC-00024)
+ * Existing sessions were all typed translations.
+ */
+module.exports = {
+  version: 6,
+  description: 'Add practice mode and answer choices to sessions',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'sessions', 'mode', 'TEXT NOT NULL DEFAULT \'translate\'');
+    await addColumnIfMissing(db, 'sessions', 'cardChoices', 'TEXT NOT NULL DEFAULT \'[]\'');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+const { run } = require('./helpers');
+
+/**
+ * Translation memory: results of AI translation and evaluation calls (RFC-00025)
+ * One row per request; the key columns are normalized by TranslationCache.
+ */
+module.exports = {
+  version: 7,
+  description: 'Create translation_cache table',
+
+  async up(db) {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS translation_cache (
+        kind TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        sourceLanguage TEXT NOT NULL,
+        targetLanguage TEXT NOT NULL,
+        sourceText TEXT NOT NULL,
+        answer TEXT NOT NULL DEFAULT '',
+        reference TEXT NOT NULL DEFAULT '',
+        result TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        lastUsedAt TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (kind, provider, sourceLanguage, targetLanguage, sourceText, answer, reference)
+      )
+    `);
+  }
+};
\ No newline at end of file
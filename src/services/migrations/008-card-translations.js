@@ -0,0 +1,22 @@
+const { run } = require('./helpers');
+
+/**
+ * Other accepted translations of a flashcard besides userTranslation (RFC-00029)
+ * card_translations.position keeps the order in which they were added.
+ */
+module.exports = {
+  version: 8,
+  description: 'Create card_translations table',
+
+  async up(db) {
+    await run(db, `
+      CREATE TABLE card_translations (
+        cardId TEXT NOT NULL REFERENCES flashcards (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        note TEXT NOT NULL DEFAULT '',
+        PRIMARY KEY (cardId, position)
+      )
+    `);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,16 @@
+const { addColumnIfMissing } = require('./helpers');
+
+/**
+ * Retry rounds for the cards answered incorrectly in a session (RFC-00031)
+ * Existing sessions had no retries, so their first round is every card.
+ */
+module.exports = {
+  version: 9,
+  description: 'Add retry rounds to sessions',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'sessions', 'retryMistakes', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing(db, 'sessions', 'firstRoundSize', 'INTEGER');
+    await addColumnIfMissing(db, 'sessions', 'retryRounds', 'INTEGER NOT NULL DEFAULT 0');
+  }
+};
\ No newline at end of file
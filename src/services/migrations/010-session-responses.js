@@ -0,0 +1,80 @@
+const { run, all } = require('./helpers');
+
+/**
+ * Move session responses from the JSON column sessions.responses into their own table (RFC-00034)
+ * session_responses.position is the response's place in the session, which is also
+ * the position of the card it answers.
+ */
+module.exports = {
+  version: 10,
+  description: 'Move session responses into a session_responses table',
+
+  async up(db) {
+    await run(db, `
+      CREATE TABLE session_responses (
+        sessionId TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        cardId TEXT NOT NULL,
+        answer TEXT NOT NULL DEFAULT '',
+        correct INTEGER NOT NULL,
+        direction TEXT NOT NULL DEFAULT 'forward',
+        score REAL,
+        feedback TEXT,
+        provider TEXT,
+        latencyMs INTEGER,
+        overridden INTEGER NOT NULL DEFAULT 0,
+        evaluatedCorrect INTEGER,
+        previousReview TEXT,
+        timestamp TEXT NOT NULL,
+        PRIMARY KEY (sessionId, position)
+      )
+    `);
+
+    await run(db, 'CREATE INDEX idx_session_responses_cardId ON session_responses (cardId)');
+    await run(db, 'CREATE INDEX idx_session_responses_timestamp ON session_responses (timestamp)');
+
+    const rows = await all(db, 'SELECT id, responses, createdAt FROM sessions WHERE responses IS NOT NULL AND responses != \'\'');
+
+    for (const row of rows) {
+      let responses;
+      try {
+        responses = JSON.parse(row.responses);
+      } catch (error) {
+        console.warn(`Dropping unreadable responses of session ${row.id}:`, row.responses);
+        continue;
+      }
+
+      if (!Array.isArray(responses)) {
+        continue;
+      }
+
+      for (const [position, response] of responses.entries()) {
+        if (!response || !response.cardId) {
+          continue;
+        }
+
+        // The first release called the answer userTranslation and kept no timestamp
+        await run(db, `
+          INSERT INTO session_responses (
+            sessionId, position, cardId, answer, correct, direction, score,
+            overridden, evaluatedCorrect, previousReview, timestamp
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          row.id,
+          position,
+          response.cardId,
+          response.userResponse ?? response.userTranslation ?? '',
+          response.correct ? 1 : 0,
+          response.direction || 'forward',
+          typeof response.score === 'number' ? response.score : null,
+          response.overridden ? 1 : 0,
+          typeof response.evaluatedCorrect === 'boolean' ? Number(response.evaluatedCorrect) : null,
+          response.previousReview !== undefined ? JSON.stringify(response.previousReview) : null,
+          response.timestamp || row.createdAt
+        ]);
+      }
+    }
+
+    await run(db, 'ALTER TABLE sessions DROP COLUMN responses');
+  }
+};
\ No newline at end of file
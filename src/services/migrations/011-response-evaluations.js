@@ -0,0 +1,17 @@
+const { addColumnIfMissing } = require('./helpers');
+
+/**
+ * Keep the full evaluation of each session response (RFC-00035)
+ * details holds the grammar, vocabulary and accuracy notes as JSON. fallback marks
+ * answers accepted without a real evaluation, because every provider failed.
+ */
+module.exports = {
+  version: 11,
+  description: 'Add evaluation details to session responses',
+
+  async up(db) {
+    await addColumnIfMissing(db, 'session_responses', 'suggestedTranslation', 'TEXT');
+    await addColumnIfMissing(db, 'session_responses', 'details', 'TEXT');
+    await addColumnIfMissing(db, 'session_responses', 'fallback', 'INTEGER NOT NULL DEFAULT 0');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const defaultMigrations = require('./index');
+const { run, get } = require('./helpers');
+
+/**
+ * Brings a database schema up to date
+ * The schema version is stored in SQLite's `PRAGMA user_version`. Each pending
+ * migration runs in its own transaction together with the version bump, so an
+ * interrupted upgrade resumes at the first migration that did not complete.
+ */
+class MigrationRunner {
+  /**
+   * Create a new MigrationRunner
+   * @param {sqlite3.Database} db - Open database connection
+   * @param {Object} [options] - Runner options
+   * @param {string} [options.dbPath] - Path of the database file, backed up before migrating (omit for in-memory databases)
+   * @param {Function} [options.backup] - Makes the backup instead of copying the file; called with the current
+   * schema version, returns a promise of the backup's path
+   * @param {Object[]} [options.migrations] - Migrations with version, description and up(db) (default: all app migrations)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.dbPath = options.dbPath || null;
+    this.backup = options.backup || null;
+    this.migrations = [...(options.migrations || defaultMigrations)].sort((a, b) => a.version - b.version);
+
+    this.migrations.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(`Schema migrations must be numbered 1 to ${this.migrations.length} without gaps`);
+      }
+    });
+  }
+
+  /**
+   * The schema version this app creates
+   * @returns {number} - Version of the newest migration
+   */
+  get latestVersion() {
+    return this.migrations.length;
+  }
+
+  /**
+   * Read the schema version of the database
+   * @returns {Promise<number>} - The version, 0 for new databases and databases created before versioning
+   */
+  async getVersion() {
+    const row = await get(this.db, 'PRAGMA user_version');
+    return row ? row.user_version : 0;
+  }
+
+  /**
+   * Apply all pending migrations
+   * @returns {Promise<{from: number, to: number, applied: number[], backupPath: string|null}>} - What was done
+   * @throws {Error} - If the database was created by a newer version of the app or a migration fails
+   */
+  async migrate() {
+    const from = await this.getVersion();
+
+    if (from > this.latestVersion) {
+      throw new Error(`The database was created by a newer version of FlashCards (schema version ${from}, ` +
+        `this version supports up to ${this.latestVersion}). Please update the app.`);
+    }
+
+    const pending = this.migrations.filter(migration => migration.version > from);
+    if (pending.length === 0) {
+      return { from, to: from, applied: [], backupPath: null };
+    }
+
+    const backupPath = await this._backup(from);
+
+    for (const migration of pending) {
+      await this._apply(migration);
+    }
+
+    return { from, to: this.latestVersion, applied: pending.map(migration => migration.version), backupPath };
+  }
+
+  /**
+   * Copy the database file before it is changed
+   * New databases have nothing worth keeping and are not copied. A `backup` option
+   * replaces the plain file copy.
+   * @private
+   * @param {number} version - Current schema version, used in the file name
+   * @returns {Promise<string|null>} - Path of the copy, or null if none was made
+   */
+  async _backup(version) {
+    if (!this.dbPath && !this.backup) {
+      return null;
+    }
+
+    const { count } = await get(this.db, 'SELECT COUNT(*) AS count FROM sqlite_master WHERE type = \'table\'');
+    if (count === 0) {
+      return null;
+    }
+
+    if (this.backup) {
+      return this.backup(version);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const backupPath = `${this.dbPath}.v${version}-${timestamp}.bak`;
+
+    console.log(`Backing up database to ${backupPath} before migrating`);
+    await fs.promises.copyFile(this.dbPath, backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Run one migration and record its version
+   * @private
+   * @param {Object} migration - The migration
+   * @returns {Promise} - Resolves when the migration is committed
+   */
+  async _apply(migration) {
+    console.log(`Applying schema migration ${migration.version}: ${migration.description}`);
+    await run(this.db, 'BEGIN TRANSACTION');
+
+    try {
+      await migration.up(this.db);
+      // PRAGMA does not accept bound parameters; the version is a number from our own list
+      await run(this.db, `PRAGMA user_version = ${Number(migration.version)}`);
+      await run(this.db, 'COMMIT');
+    } catch (error) {
+      await run(this.db, 'ROLLBACK').catch(() => {});
+      throw new Error(`Schema migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MigrationRunner;
\ No newline at end of file
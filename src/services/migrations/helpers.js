@@ -0,0 +1,68 @@
+/**
+ * Promise wrappers around the sqlite3 callback API for use in schema migrations
+ */
+
+/**
+ * Run a statement
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement
+ * @param {Array} [params] - Statement parameters
+ * @returns {Promise} - Resolves when the statement has run
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Read a single row
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} [params] - Query parameters
+ * @returns {Promise<Object|undefined>} - The first row, if any
+ */
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+/**
+ * Read all rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} [params] - Query parameters
+ * @returns {Promise<Object[]>} - The rows
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+/**
+ * Add a column to a table unless it already exists
+ * Databases created before schema versioning may already have the column.
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<boolean>} - True if the column was added
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  if (columns.some(info => info.name === column)) {
+    return false;
+  }
+
+  await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+module.exports = {
+  run,
+  get,
+  all,
+  addColumnIfMissing
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * All schema migrations, oldest first
+ * Append new migrations with the next version number; never change or remove
+ * a migration that has been released, because databases record which versions
+ * they have already applied.
+ */
+module.exports = [
+  require('./001-initial-schema'),
+  require('./002-card-reviews'),
+  require('./003-session-abandoned-at'),
+  require('./004-normalized-tags'),
+  require('./005-session-direction'),
+  require('./006-session-mode'),
+  require('./007-translation-cache'),
+  require('./008-card-translations'),
+  require('./009-session-retry-rounds'),
+  require('./010-session-responses'),
+  require('./011-response-evaluations')
+];
\ No newline at end of file
@@ -1,4 +1,18 @@
 const FlashCard = require('../../models/FlashCard');
+const SpacedRepetitionScheduler = require('./SpacedRepetitionScheduler');
+
+/**
+ * Check whether a tags option restricts the cards
+ * @param {string[]|Object} tags - Array of tags, or an { anyOf, allOf, noneOf } filter expression
+ * @returns {boolean} - True if any tag is given
+ */
+function hasTagFilter(tags) {
+  if (Array.isArray(tags)) {
+    return tags.length > 0;
+  }
+
+  return !!tags && ['anyOf', 'allOf', 'noneOf'].some(key => Array.isArray(tags[key]) && tags[key].length > 0);
+}
 
 /**
  * SessionCardSelector handles card selection for new sessions
@@ -8,6 +22,7 @@ class SessionCardSelector {
    * Create a new SessionCardSelector
    * @param {Object} options - Configuration options
    * @param {Object} options.db - DatabaseService instance
+   * @param {Object} [options.scheduler] - SpacedRepetitionScheduler instance
    */
   constructor(options = {}) {
     if (!options.db) {
@@ -15,6 +30,7 @@ class SessionCardSelector {
     }
     
     this.db = options.db;
+    this.scheduler = options.scheduler || new SpacedRepetitionScheduler();
     this.sampleCards = this.generateSampleCards();
   }
   
@@ -25,8 +41,10 @@ class SessionCardSelector {
    * @param {string} options.targetLanguage - Target language code
    * @param {number} options.maxCards - Maximum number of cards
    * @param {boolean} options.useSampleCards - Whether to use sample cards
-   * @param {string[]} options.tags - Tags to filter cards by
+   * @param {string[]|Object} options.tags - Tags to filter cards by: any of an array of tags, or an { anyOf, allOf, noneOf } expression
    * @param {boolean} options.includeUntagged - Whether to include untagged cards
+   * @param {'random'|'due'} [options.selectionMode='random'] - Random sample, or due cards first
+   * @param {boolean} [options.requireTranslation=false] - Only select cards that have a user translation
    * @returns {Promise<string[]>} - Array of selected card IDs
    */
   async selectCards(options = {}) {
@@ -35,7 +53,9 @@ class SessionCardSelector {
       maxCards,
       useSampleCards,
       tags,
-      includeUntagged
+      includeUntagged,
+      selectionMode = 'random',
+      requireTranslation = false
     } = options;
     
     let cardIds = [];
@@ -45,12 +65,31 @@ class SessionCardSelector {
       cardIds = await this._selectSampleCards(sourceLanguage, maxCards);
     } else {
       // Use database cards
-      cardIds = await this._selectDatabaseCards(sourceLanguage, maxCards, tags, includeUntagged);
+      cardIds = await this._selectDatabaseCards(sourceLanguage, maxCards, tags, includeUntagged, selectionMode, requireTranslation);
     }
     
     return cardIds;
   }
   
+  /**
+   * Get every card a session with these options could draw from
+   * @param {Object} options - Session options
+   * @param {string} options.sourceLanguage - Source language code
+   * @param {boolean} options.useSampleCards - Whether to use sample cards
+   * @param {string[]|Object} options.tags - Tags to filter cards by: any of an array of tags, or an { anyOf, allOf, noneOf } expression
+   * @param {boolean} options.includeUntagged - Whether to include untagged cards
+   * @returns {Promise<FlashCard[]>} - Matching cards
+   */
+  async getCandidateCards(options = {}) {
+    const { sourceLanguage, useSampleCards, tags, includeUntagged } = options;
+    
+    if (useSampleCards) {
+      return this.sampleCards.filter(card => card.sourceLanguage === sourceLanguage);
+    }
+    
+    return this._getDatabaseCards(sourceLanguage, tags, includeUntagged);
+  }
+  
   /**
    * Select sample cards for a session
    * @param {string} sourceLanguage - Source language code
@@ -82,25 +121,58 @@ class SessionCardSelector {
    * Select cards from the database for a session
    * @param {string} sourceLanguage - Source language code
    * @param {number} maxCards - Maximum number of cards
-   * @param {string[]} tags - Tags to filter cards by
+   * @param {string[]|Object} tags - Tags to filter cards by: any of an array of tags, or an { anyOf, allOf, noneOf } expression
    * @param {boolean} includeUntagged - Whether to include untagged cards
+   * @param {'random'|'due'} [selectionMode='random'] - Random sample, or due cards first
+   * @param {boolean} [requireTranslation=false] - Only select cards that have a user translation
    * @returns {Promise<string[]>} - Array of selected card IDs
    * @private
    */
-  async _selectDatabaseCards(sourceLanguage, maxCards, tags, includeUntagged) {
+  async _selectDatabaseCards(sourceLanguage, maxCards, tags, includeUntagged, selectionMode = 'random', requireTranslation = false) {
+    let allMatchingCards = await this._getDatabaseCards(sourceLanguage, tags, includeUntagged);
+    
+    if (requireTranslation) {
+      allMatchingCards = allMatchingCards.filter(card => card.userTranslation);
+      console.log(`${allMatchingCards.length} matching cards have a translation`);
+    }
+    
+    // In due mode, take the cards most in need of review first
+    let selectedCards;
+    if (selectionMode === 'due') {
+      selectedCards = await this._selectDueCards(allMatchingCards, maxCards);
+      console.log(`Selected ${selectedCards.length} cards for session by due date`);
+    } else if (allMatchingCards.length > maxCards) {
+      // If we have more cards than needed, select a random sample
+      selectedCards = this.getRandomSample(allMatchingCards, maxCards);
+      console.log(`Selected ${selectedCards.length} random cards for session`);
+    } else {
+      selectedCards = allMatchingCards;
+    }
+    
+    // Extract card IDs
+    return selectedCards.map(card => card.id);
+  }
+  
+  /**
+   * Get the database cards matching a language and tag selection
+   * @param {string} sourceLanguage - Source language code
+   * @param {string[]|Object} tags - Tags to filter cards by: any of an array of tags, or an { anyOf, allOf, noneOf } expression
+   * @param {boolean} includeUntagged - Whether to include untagged cards
+   * @returns {Promise<FlashCard[]>} - Matching cards
+   * @private
+   */
+  async _getDatabaseCards(sourceLanguage, tags, includeUntagged) {
     // Build query options
     const queryOptions = {
       sourceLanguage
     };
     
     // Add tag filtering if tags are specified
-    if (tags.length > 0 || includeUntagged) {
-      if (tags.length > 0) {
-        queryOptions.tags = tags;
-      }
-      if (includeUntagged) {
-        queryOptions.includeUntagged = true;
-      }
+    if (hasTagFilter(tags)) {
+      queryOptions.tags = tags;
+    }
+    if (includeUntagged) {
+      queryOptions.includeUntagged = true;
     }
     
     // Log query options for debugging
@@ -110,17 +182,19 @@ class SessionCardSelector {
     const allMatchingCards = await this.db.getAllFlashCards(queryOptions);
     console.log(`Found ${allMatchingCards.length} matching cards in database`);
     
-    // If we have more cards than needed, select a random sample
-    let selectedCards;
-    if (allMatchingCards.length > maxCards) {
-      selectedCards = this.getRandomSample(allMatchingCards, maxCards);
-      console.log(`Selected ${selectedCards.length} random cards for session`);
-    } else {
-      selectedCards = allMatchingCards;
-    }
-    
-    // Extract card IDs
-    return selectedCards.map(card => card.id);
+    return allMatchingCards;
+  }
+  
+  /**
+   * Select the cards most in need of review
+   * @param {Array} cards - Candidate cards
+   * @param {number} maxCards - Maximum number of cards
+   * @returns {Promise<Array>} - Selected cards, due cards first
+   * @private
+   */
+  async _selectDueCards(cards, maxCards) {
+    const reviews = await this.db.getCardReviews(cards.map(card => card.id));
+    return this.scheduler.orderByDueDate(cards, reviews).slice(0, maxCards);
   }
   
   /**
@@ -0,0 +1,130 @@
+/**
+ * Normalize an answer for comparing choices
+ * @param {string} text - Answer text
+ * @returns {string} - Trimmed, lower-case text
+ */
+function normalizeAnswer(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+/**
+ * SessionChoiceSelector picks the answer choices of multiple-choice sessions
+ */
+class SessionChoiceSelector {
+  /**
+   * Create a new SessionChoiceSelector
+   * @param {Object} options - Configuration options
+   * @param {Object} options.cardSelector - SessionCardSelector instance, which supplies the candidate cards
+   * @param {number} [options.choiceCount=4] - Number of choices per card, including the right one
+   * @param {Function} [options.random=Math.random] - Random number source
+   */
+  constructor(options = {}) {
+    if (!options.cardSelector) {
+      throw new Error('SessionCardSelector is required');
+    }
+
+    this.cardSelector = options.cardSelector;
+    this.choiceCount = options.choiceCount || 4;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Get the answer a card is practiced towards
+   * @param {Object} card - FlashCard object
+   * @param {'forward'|'reverse'} direction - Direction the card is practiced in
+   * @returns {string} - The user translation for forward cards, the content for reverse cards
+   */
+  static getAnswer(card, direction) {
+    return direction === 'reverse' ? card.content : card.userTranslation;
+  }
+
+  /**
+   * Check whether a choice is the answer of a card
+   * @param {Object} card - FlashCard object
+   * @param {'forward'|'reverse'} direction - Direction the card is practiced in
+   * @param {string} choice - The chosen answer
+   * @returns {boolean} - True if the choice is the card's answer
+   */
+  static isCorrect(card, direction, choice) {
+    return normalizeAnswer(choice) === normalizeAnswer(SessionChoiceSelector.getAnswer(card, direction));
+  }
+
+  /**
+   * Pick the answer choices for each card of a session
+   * Distractors are answers of other cards matching the same options, preferring answers of similar length.
+   * @param {Object} options - Session options
+   * @param {string[]} options.cardIds - Session card IDs
+   * @param {string[]} options.cardDirections - Direction of each card
+   * @param {string} options.sourceLanguage - Source language code
+   * @param {boolean} options.useSampleCards - Whether the session uses sample cards
+   * @param {string[]|Object} options.tags - Tag filter of the session
+   * @param {boolean} options.includeUntagged - Whether untagged cards are included
+   * @returns {Promise<string[][]>} - Shuffled choices of each card, in card order
+   */
+  async selectChoices(options = {}) {
+    const { cardIds, cardDirections } = options;
+    const candidates = await this.cardSelector.getCandidateCards(options);
+    const cardsById = new Map(candidates.map(card => [card.id, card]));
+
+    return cardIds.map((cardId, index) => {
+      const card = cardsById.get(cardId);
+      const direction = cardDirections[index] === 'reverse' ? 'reverse' : 'forward';
+
+      if (!card) {
+        return [];
+      }
+
+      const answer = SessionChoiceSelector.getAnswer(card, direction);
+      const others = candidates
+        .filter(candidate => candidate.id !== cardId)
+        .map(candidate => SessionChoiceSelector.getAnswer(candidate, direction));
+
+      return this._shuffle([answer, ...this.pickDistractors(answer, others)]);
+    });
+  }
+
+  /**
+   * Pick wrong answers for a card
+   * Empty answers and duplicates of the answer or of each other are skipped. Answers closest
+   * in length come first, and answers of equal distance are taken in random order.
+   * @param {string} answer - The right answer
+   * @param {string[]} others - Answers of the other cards
+   * @returns {string[]} - Up to choiceCount - 1 distractors
+   */
+  pickDistractors(answer, others) {
+    const seen = new Set([normalizeAnswer(answer)]);
+    const unique = [];
+
+    this._shuffle(others).forEach(other => {
+      const key = normalizeAnswer(other);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        unique.push(other.trim());
+      }
+    });
+
+    // Array.prototype.sort is stable, so the shuffle decides between equal distances
+    return unique
+      .sort((a, b) => Math.abs(a.length - answer.length) - Math.abs(b.length - answer.length))
+      .slice(0, this.choiceCount - 1);
+  }
+
+  /**
+   * Shuffle a copy of an array
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} - Shuffled copy
+   * @private
+   */
+  _shuffle(items) {
+    const result = [...items];
+
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+  }
+}
+
+module.exports = SessionChoiceSelector;
\ No newline at end of file
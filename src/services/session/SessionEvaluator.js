@@ -1,3 +1,5 @@
+const SessionChoiceSelector = require('./SessionChoiceSelector');
+
 /**
  * SessionEvaluator handles answer evaluation in a session
  */
@@ -13,30 +15,125 @@ class SessionEvaluator {
     }
     
     this.translationService = options.translationService;
+    
+    // Generated prompts by card and language, so a card is evaluated against the prompt it was shown with
+    this.generatedPrompts = new Map();
+  }
+  
+  /**
+   * Get the text a card is practiced from
+   * Forward cards show their content. Reverse cards show the user's translation, or a
+   * generated one; if none can be generated the card is practiced forward instead. The
+   * baseline's stand-in for failed providers does not count, as it often just repeats the content.
+   * @param {Object} data - Prompt data
+   * @param {Object} data.session - Session object
+   * @param {Object} data.card - FlashCard object
+   * @param {'forward'|'reverse'} [data.direction='forward'] - Direction the card is practiced in
+   * @returns {Promise<Object>} - Prompt with text, language, answerLanguage, direction, generated and
+   * generatedBy, the provider that generated the text
+   */
+  async getPrompt(data) {
+    const { session, card, direction = 'forward' } = data;
+    const forward = {
+      text: card.content,
+      language: session.sourceLanguage,
+      answerLanguage: session.targetLanguage,
+      direction: 'forward',
+      generated: false,
+      generatedBy: null
+    };
+    
+    if (direction !== 'reverse') {
+      return forward;
+    }
+    
+    const reverse = {
+      text: card.userTranslation,
+      language: session.targetLanguage,
+      answerLanguage: session.sourceLanguage,
+      direction: 'reverse',
+      generated: false,
+      generatedBy: null
+    };
+    
+    if (reverse.text) {
+      return reverse;
+    }
+    
+    const key = `${card.id}:${session.targetLanguage}`;
+    
+    try {
+      if (!this.generatedPrompts.has(key)) {
+        this.generatedPrompts.set(key, await this.translationService.generateTranslation({
+          content: card.content,
+          sourceLanguage: session.sourceLanguage,
+          targetLanguage: session.targetLanguage
+        }));
+      }
+    } catch (error) {
+      console.error('Error generating reverse prompt:', error);
+      return forward;
+    }
+    
+    const generated = this.generatedPrompts.get(key);
+    if (generated._fallback) {
+      this.generatedPrompts.delete(key);
+      return forward;
+    }
+    
+    return { ...reverse, text: generated.translation, generated: true, generatedBy: generated.provider };
   }
   
   /**
    * Evaluate a user's answer
+   * Multiple-choice answers are scored locally; typed answers are evaluated by the translation service.
+   * Results carry generatedTranslation: the translation generated for a card without a user
+   * translation, or null; and generatedBy: the provider that generated it.
    * @param {Object} data - Evaluation data
    * @param {Object} data.session - Session object
    * @param {Object} data.card - FlashCard object
    * @param {string} data.answer - User's answer
+   * @param {'forward'|'reverse'} [data.direction] - Direction the card is practiced in, defaults to the session's direction for the current card
    * @returns {Promise<Object>} - Evaluation result
    */
   async evaluateAnswer(data) {
     const { session, card, answer } = data;
+    const direction = data.direction || session.getCardDirection();
+    
+    if (session.mode === 'multipleChoice') {
+      return this._evaluateChoice(session, card, answer, direction);
+    }
+    
+    if (direction === 'reverse') {
+      const prompt = await this.getPrompt({ session, card, direction });
+      
+      if (prompt.direction === 'reverse') {
+        return this._evaluateReverse(session, card, answer, prompt);
+      }
+    }
     
-    // Generate a reference translation if needed
-    let referenceTranslation = card.userTranslation;
+    // A card without a main translation is checked against its first accepted one,
+    // and only cards with neither need a generated reference
+    const alternativeTranslations = card.alternativeTranslations || [];
+    let referenceTranslation = card.userTranslation || (alternativeTranslations.length > 0 ? alternativeTranslations[0].text : '');
+    let generatedTranslation = null;
+    let generatedBy = null;
     let translationError = null;
     
     try {
       if (!referenceTranslation) {
-        referenceTranslation = await this.translationService.generateTranslation({
+        const generated = await this.translationService.generateTranslation({
           content: card.content,
           sourceLanguage: session.sourceLanguage,
           targetLanguage: session.targetLanguage
         });
+        referenceTranslation = generated.translation;
+        generatedTranslation = generated.translation;
+        generatedBy = generated.provider;
+        
+        if (generated._fallback) {
+          translationError = new Error('All translation providers failed or are unavailable');
+        }
       }
     } catch (error) {
       console.error('Error generating reference translation:', error);
@@ -53,7 +150,8 @@ class SessionEvaluator {
         sourceLanguage: session.sourceLanguage,
         targetLanguage: session.targetLanguage,
         userTranslation: answer,
-        referenceTranslation
+        referenceTranslation,
+        alternativeTranslations
       });
     } catch (error) {
       console.error('Error evaluating translation:', error);
@@ -79,11 +177,95 @@ class SessionEvaluator {
     return {
       sessionId: session.id,
       cardId: card.id,
+      direction: 'forward',
+      prompt: card.content,
       evaluation,
       referenceTranslation,
+      generatedTranslation,
+      generatedBy,
       _hadTranslationError: Boolean(translationError)
     };
   }
+  
+  /**
+   * Score a multiple-choice answer
+   * @param {Object} session - Session object
+   * @param {Object} card - FlashCard object
+   * @param {string} answer - The chosen answer
+   * @param {'forward'|'reverse'} direction - Direction the card is practiced in
+   * @returns {Object} - Evaluation result
+   * @private
+   */
+  _evaluateChoice(session, card, answer, direction) {
+    const rightAnswer = SessionChoiceSelector.getAnswer(card, direction);
+    const correct = SessionChoiceSelector.isCorrect(card, direction, answer);
+    
+    return {
+      sessionId: session.id,
+      cardId: card.id,
+      direction,
+      prompt: direction === 'reverse' ? card.userTranslation : card.content,
+      evaluation: {
+        correct,
+        score: correct ? 1 : 0,
+        feedback: correct ? 'Correct!' : `Not quite. The right answer is "${rightAnswer}".`,
+        suggestedTranslation: rightAnswer
+      },
+      referenceTranslation: rightAnswer,
+      generatedTranslation: null,
+      generatedBy: null,
+      _hadTranslationError: false
+    };
+  }
+  
+  /**
+   * Evaluate an answer given in the source language against the card's content
+   * @param {Object} session - Session object
+   * @param {Object} card - FlashCard object
+   * @param {string} answer - User's answer
+   * @param {Object} prompt - Reverse prompt the card was shown with
+   * @returns {Promise<Object>} - Evaluation result
+   * @private
+   */
+  async _evaluateReverse(session, card, answer, prompt) {
+    let evaluation;
+    try {
+      evaluation = await this.translationService.evaluateTranslation({
+        sourceContent: prompt.text,
+        sourceLanguage: session.targetLanguage,
+        targetLanguage: session.sourceLanguage,
+        userTranslation: answer,
+        referenceTranslation: card.content
+      });
+    } catch (error) {
+      console.error('Error evaluating translation:', error);
+      
+      evaluation = {
+        correct: true,
+        score: 0.5,
+        feedback: "Your answer was accepted, but we couldn't provide detailed feedback.",
+        suggestedTranslation: card.content,
+        details: {
+          grammar: 'Evaluation unavailable',
+          vocabulary: 'Evaluation unavailable',
+          accuracy: 'Evaluation unavailable'
+        },
+        _fallback: true
+      };
+    }
+    
+    return {
+      sessionId: session.id,
+      cardId: card.id,
+      direction: 'reverse',
+      prompt: prompt.text,
+      evaluation,
+      referenceTranslation: card.content,
+      generatedTranslation: prompt.generated ? prompt.text : null,
+      generatedBy: prompt.generatedBy,
+      _hadTranslationError: false
+    };
+  }
 }
 
 module.exports = SessionEvaluator;
\ No newline at end of file
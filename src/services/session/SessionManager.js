@@ -1,4 +1,5 @@
 const Session = require('../../models/Session');
+const SessionChoiceSelector = require('./SessionChoiceSelector');
 
 /**
  * SessionManager handles creating and managing sessions
@@ -11,6 +12,7 @@ class SessionManager {
    * @param {Object} options.cardSelector - SessionCardSelector instance
    * @param {Object} options.progressTracker - SessionProgressTracker instance
    * @param {Object} options.evaluator - SessionEvaluator instance
+   * @param {Object} [options.choiceSelector] - SessionChoiceSelector instance, for multiple-choice sessions
    */
   constructor(options = {}) {
     if (!options.db) {
@@ -30,6 +32,10 @@ class SessionManager {
     this.cardSelector = options.cardSelector;
     this.progressTracker = options.progressTracker;
     this.evaluator = options.evaluator;
+    this.choiceSelector = options.choiceSelector || new SessionChoiceSelector({ cardSelector: this.cardSelector });
+    
+    // Sessions with an answer being evaluated
+    this.pendingAnswers = new Set();
   }
   
   /**
@@ -39,9 +45,15 @@ class SessionManager {
    * @param {string} [options.targetLanguage='de'] - Target language code
    * @param {number} [options.maxCards=10] - Maximum number of cards
    * @param {boolean} [options.useSampleCards=true] - Whether to use sample cards
-   * @param {string[]} [options.tags=[]] - Tags to filter cards by
+   * @param {string[]|Object} [options.tags=[]] - Tags to filter cards by: any of an array of tags, or an { anyOf, allOf, noneOf } expression
    * @param {boolean} [options.includeUntagged=false] - Whether to include untagged cards
+   * @param {'random'|'due'} [options.selectionMode='random'] - How to pick cards: at random, or due cards first
+   * @param {'forward'|'reverse'|'mixed'} [options.direction='forward'] - Translate from source to target, from target to source, or a random direction per card
+   * @param {'translate'|'multipleChoice'} [options.mode='translate'] - Type the translation, or pick it from choices drawn from the deck
+   * @param {boolean} [options.retryMistakes=false] - Practice the cards answered incorrectly again at the end, until each is right once
+   * @param {string[]} [options.cardIds] - Practice exactly these cards instead of selecting them, e.g. the missed cards of an earlier session
    * @returns {Promise<Object>} - Created session data
+   * @throws {Error} - If the direction or mode is unknown
    */
   async createSession(options = {}) {
     const {
@@ -50,24 +62,58 @@ class SessionManager {
       maxCards = 10,
       useSampleCards = true,
       tags = [],
-      includeUntagged = false
+      includeUntagged = false,
+      selectionMode = 'random',
+      direction = 'forward',
+      mode = 'translate',
+      retryMistakes = false
     } = options;
+
+    if (!Session.DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown practice direction: ${direction}`);
+    }
+    if (!Session.MODES.includes(mode)) {
+      throw new Error(`Unknown practice mode: ${mode}`);
+    }
+    const multipleChoice = mode === 'multipleChoice';
     
-    // Select cards for the session
-    const cardIds = await this.cardSelector.selectCards({
-      sourceLanguage,
-      targetLanguage,
-      maxCards,
-      useSampleCards,
-      tags,
-      includeUntagged
-    });
+    // Select cards for the session, unless the caller picked them
+    const cardIds = Array.isArray(options.cardIds) && options.cardIds.length > 0 ?
+      Array.from(new Set(options.cardIds)) :
+      await this.cardSelector.selectCards({
+        sourceLanguage,
+        targetLanguage,
+        maxCards,
+        useSampleCards,
+        tags,
+        includeUntagged,
+        selectionMode,
+        // Multiple-choice answers come from the cards' translations
+        requireTranslation: multipleChoice
+      });
+    
+    const cardDirections = Session.assignCardDirections(cardIds.length, direction);
+    const cardChoices = multipleChoice ?
+      await this.choiceSelector.selectChoices({
+        cardIds,
+        cardDirections,
+        sourceLanguage,
+        useSampleCards,
+        tags,
+        includeUntagged
+      }) :
+      [];
     
     // Create a new session
     const session = new Session({
       sourceLanguage,
       targetLanguage,
       cardIds,
+      direction,
+      cardDirections,
+      mode,
+      cardChoices,
+      retryMistakes,
       currentCardIndex: 0,
       responses: [],
       completedAt: null
@@ -90,11 +136,19 @@ class SessionManager {
   
   /**
    * Submit an answer for the current card
+   * Each card takes one answer, since responses are kept one per card in order. A second
+   * answer, e.g. from pressing Enter twice, is rejected, also while the first is evaluated.
    * @param {string} sessionId - Session ID
    * @param {string} answer - User's answer
    * @returns {Promise<Object>} - Evaluation result
+   * @throws {Error} - If the current card has already been answered
    */
   async submitAnswer(sessionId, answer) {
+    if (this.pendingAnswers.has(sessionId)) {
+      throw new Error('Card already answered');
+    }
+    this.pendingAnswers.add(sessionId);
+    
     try {
       const session = await this.db.getSession(sessionId);
       
@@ -102,10 +156,18 @@ class SessionManager {
         throw new Error(`Session not found: ${sessionId}`);
       }
       
+      if (session.abandonedAt) {
+        throw new Error('Session has been abandoned');
+      }
+      
       if (session.currentCardIndex >= session.cardIds.length || session.completedAt) {
         throw new Error('Session is already complete');
       }
       
+      if (session.responses.length > session.currentCardIndex) {
+        throw new Error('Card already answered');
+      }
+      
       // Get the current card
       const cardId = session.cardIds[session.currentCardIndex];
       const card = await this.db.getFlashCard(cardId);
@@ -114,22 +176,31 @@ class SessionManager {
         throw new Error(`Card not found: ${cardId}`);
       }
       
-      // Evaluate the answer
+      // Evaluate the answer, timing how long the grader took
+      const startedAt = Date.now();
       const evaluationResult = await this.evaluator.evaluateAnswer({
         session,
         card,
         answer
       });
+      const latencyMs = Date.now() - startedAt;
       
       // Record the response
       await this.progressTracker.recordResponse(
         session, 
         cardId, 
         answer, 
-        evaluationResult.evaluation.correct
+        evaluationResult.evaluation.correct,
+        { ...evaluationResult.evaluation, latencyMs },
+        evaluationResult.direction
       );
       
-      return evaluationResult;
+      if (evaluationResult.generatedTranslation) {
+        await this._saveGeneratedTranslation(card, evaluationResult.generatedTranslation, evaluationResult.generatedBy);
+      }
+      
+      // The position of the response, for overriding its verdict
+      return { ...evaluationResult, responseIndex: session.responses.length - 1 };
     } catch (error) {
       // Throw a more descriptive error for session issues
       if (error.message.includes('Session not found')) {
@@ -140,6 +211,35 @@ class SessionManager {
       
       // Re-throw other errors
       throw error;
+    } finally {
+      this.pendingAnswers.delete(sessionId);
+    }
+  }
+  
+  /**
+   * Write a generated translation back to its card, when the settings ask for it
+   * Only provider translations are kept: the baseline's phrase list is a stand-in that
+   * echoes unknown content. Failures are logged; the answer has been recorded either way.
+   * @param {Object} card - FlashCard object without a user translation
+   * @param {string} translation - Generated translation
+   * @param {string} provider - Name of the provider that generated it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveGeneratedTranslation(card, translation, provider) {
+    if (provider === 'baseline') {
+      return;
+    }
+    
+    try {
+      const settings = await this.db.getSettings();
+      
+      if (settings && settings.saveGeneratedTranslations) {
+        card.userTranslation = translation;
+        await this.db.saveFlashCard(card);
+      }
+    } catch (error) {
+      console.error('Error saving generated translation:', error);
     }
   }
   
@@ -152,6 +252,35 @@ class SessionManager {
     return this.progressTracker.advanceSession(sessionId);
   }
   
+  /**
+   * Resume an interrupted session at the first unanswered card
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Current card data or null if session is complete
+   */
+  async resumeSession(sessionId) {
+    return this.progressTracker.resumeSession(sessionId);
+  }
+  
+  /**
+   * Abandon a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Session statistics at the time of abandoning
+   */
+  async abandonSession(sessionId) {
+    return this.progressTracker.abandonSession(sessionId);
+  }
+  
+  /**
+   * Override the evaluated verdict of a response
+   * @param {string} sessionId - Session ID
+   * @param {number} responseIndex - Position of the response in the session
+   * @param {boolean} correct - Whether the user says the answer was correct
+   * @returns {Promise<Object>} - Updated response and session statistics
+   */
+  async overrideResponse(sessionId, responseIndex, correct) {
+    return this.progressTracker.overrideResponse(sessionId, responseIndex, correct);
+  }
+  
   /**
    * Get session statistics
    * @param {string} sessionId - Session ID
@@ -1,3 +1,6 @@
+const SpacedRepetitionScheduler = require('./SpacedRepetitionScheduler');
+const CardReview = require('../../models/CardReview');
+
 /**
  * SessionProgressTracker handles tracking progress in a session
  */
@@ -6,6 +9,8 @@ class SessionProgressTracker {
    * Create a new SessionProgressTracker
    * @param {Object} options - Configuration options
    * @param {Object} options.db - DatabaseService instance
+   * @param {Object} [options.scheduler] - SpacedRepetitionScheduler instance
+   * @param {Object} [options.evaluator] - SessionEvaluator instance, used for reverse prompts
    */
   constructor(options = {}) {
     if (!options.db) {
@@ -13,10 +18,14 @@ class SessionProgressTracker {
     }
     
     this.db = options.db;
+    this.scheduler = options.scheduler || new SpacedRepetitionScheduler();
+    this.evaluator = options.evaluator || null;
   }
   
   /**
    * Get the current card for a session
+   * A reverse card without a prompt is switched to forward and saved, so the answer is
+   * evaluated in the direction it was asked.
    * @param {string} sessionId - Session ID
    * @returns {Promise<Object|null>} - Current card data or null if session is complete
    */
@@ -27,6 +36,10 @@ class SessionProgressTracker {
       throw new Error(`Session not found: ${sessionId}`);
     }
     
+    if (session.abandonedAt) {
+      throw new Error(`Session has been abandoned: ${sessionId}`);
+    }
+    
     if (session.currentCardIndex >= session.cardIds.length || session.completedAt) {
       return null; // Session is complete
     }
@@ -38,18 +51,31 @@ class SessionProgressTracker {
       throw new Error(`Card not found: ${cardId}`);
     }
     
+    const prompt = await this._getPrompt(session, card);
+    
+    if (prompt.direction !== session.getCardDirection()) {
+      session.cardDirections[session.currentCardIndex] = prompt.direction;
+      await this.db.saveSession(session);
+    }
+    
     return {
       sessionId: session.id,
       sessionProgress: {
         current: session.currentCardIndex + 1,
         total: session.cardIds.length
       },
+      direction: prompt.direction,
+      prompt,
+      mode: session.mode,
+      choices: session.getCardChoices(),
+      retry: session.isRetry(),
       card: card.toJSON()
     };
   }
   
   /**
    * Advance to the next card in the session
+   * When a retry round starts, the result says how many cards it has.
    * @param {string} sessionId - Session ID
    * @returns {Promise<Object>} - Updated session data
    */
@@ -60,6 +86,10 @@ class SessionProgressTracker {
       throw new Error(`Session not found: ${sessionId}`);
     }
     
+    if (session.abandonedAt) {
+      throw new Error(`Session has been abandoned: ${sessionId}`);
+    }
+    
     if (session.completedAt) {
       return {
         sessionId: session.id,
@@ -68,6 +98,7 @@ class SessionProgressTracker {
       };
     }
     
+    const retryRounds = session.retryRounds;
     const hasMoreCards = session.nextCard();
     await this.db.saveSession(session);
     
@@ -85,7 +116,67 @@ class SessionProgressTracker {
     return {
       sessionId: session.id,
       isComplete: false,
-      nextCard: cardData
+      nextCard: cardData,
+      retryRound: session.retryRounds > retryRounds ?
+        { round: session.retryRounds, cards: session.cardIds.length - session.currentCardIndex } :
+        null
+    };
+  }
+  
+  /**
+   * Resume an interrupted session
+   * If the user left after answering the current card but before moving on,
+   * the session is advanced first so the card is not answered twice.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Current card data or null if session is complete
+   */
+  async resumeSession(sessionId) {
+    const session = await this.db.getSession(sessionId);
+    
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    
+    if (session.abandonedAt) {
+      throw new Error(`Session has been abandoned: ${sessionId}`);
+    }
+    
+    if (session.completedAt) {
+      return null;
+    }
+    
+    // Responses are recorded one per card in order
+    if (session.responses.length > session.currentCardIndex) {
+      session.nextCard();
+      await this.db.saveSession(session);
+    }
+    
+    return this.getCurrentCard(sessionId);
+  }
+  
+  /**
+   * Abandon a session so it no longer shows up as active
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Session statistics at the time of abandoning
+   */
+  async abandonSession(sessionId) {
+    const session = await this.db.getSession(sessionId);
+    
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    
+    if (session.completedAt) {
+      throw new Error('Session is already complete');
+    }
+    
+    session.abandon();
+    await this.db.saveSession(session);
+    
+    return {
+      sessionId: session.id,
+      isAbandoned: true,
+      stats: session.getStats()
     };
   }
   
@@ -108,20 +199,163 @@ class SessionProgressTracker {
     };
   }
   
+  /**
+   * Override the evaluated verdict of a response with the user's own
+   * The card is graded again from its review state before the response, so the
+   * correction replaces the evaluated verdict in the schedule instead of adding a review.
+   * If the card has been reviewed since, the correction is added on top instead.
+   * @param {string} sessionId - Session ID
+   * @param {number} responseIndex - Position of the response in the session
+   * @param {boolean} correct - Whether the user says the answer was correct
+   * @returns {Promise<Object>} - Session ID, the updated response and the recomputed statistics
+   */
+  async overrideResponse(sessionId, responseIndex, correct) {
+    if (typeof correct !== 'boolean') {
+      throw new Error('Verdict must be true or false');
+    }
+    
+    const session = await this.db.getSession(sessionId);
+    
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    
+    if (session.overrideResponse(responseIndex, correct)) {
+      await this._regradeResponse(session.responses[responseIndex]);
+      await this.db.saveSession(session, { withResponses: true });
+    }
+    
+    return {
+      sessionId: session.id,
+      response: session.toJSON().responses[responseIndex],
+      stats: session.getStats()
+    };
+  }
+  
   /**
    * Record a response in the session
    * @param {Object} session - Session object
    * @param {string} cardId - Card ID
    * @param {string} userAnswer - User's answer
    * @param {boolean} correct - Whether the answer was correct
+   * @param {Object} [evaluation] - Evaluation result used to update the card's review schedule; its score,
+   * feedback, suggestedTranslation, details, provider and latencyMs are kept with the response, and a
+   * `_fallback` evaluation flags the response as `fallback`
+   * @param {'forward'|'reverse'} [direction] - Direction the card was practiced in, defaults to the current card's
    * @returns {Promise<void>} - Promise resolving once the response is recorded
    */
-  async recordResponse(session, cardId, userAnswer, correct) {
+  async recordResponse(session, cardId, userAnswer, correct, evaluation = null, direction = session.getCardDirection()) {
     // Record the response
-    session.recordResponse(cardId, userAnswer, correct);
+    const response = session.recordResponse(cardId, userAnswer, correct, direction);
     
-    // Save the updated session
-    await this.db.saveSession(session);
+    if (response && evaluation) {
+      if (typeof evaluation.score === 'number') {
+        response.score = evaluation.score;
+      }
+      if (evaluation.feedback) {
+        response.feedback = evaluation.feedback;
+      }
+      if (evaluation.suggestedTranslation) {
+        response.suggestedTranslation = evaluation.suggestedTranslation;
+      }
+      if (evaluation.details) {
+        response.details = { ...evaluation.details };
+      }
+      if (evaluation._fallback) {
+        response.fallback = true;
+      }
+      if (evaluation.provider) {
+        response.provider = evaluation.provider;
+      }
+      if (typeof evaluation.latencyMs === 'number') {
+        response.latencyMs = evaluation.latencyMs;
+      }
+    }
+    
+    // Fallback evaluations are not real verdicts, so they must not move the schedule
+    if (evaluation && !evaluation._fallback) {
+      const previousReview = await this._updateReviewSchedule(cardId, { ...evaluation, correct });
+      
+      // Keep the state before the review, so an override can grade the card again
+      if (response && previousReview !== undefined) {
+        response.previousReview = previousReview;
+      }
+    }
+    
+    // Only the new response is saved; the rest of the session has not changed
+    if (response) {
+      await this.db.saveSessionResponse(session.id, session.responses.length - 1, response);
+    }
+  }
+  
+  /**
+   * Get the prompt for the current card of a session
+   * Without an evaluator every card is shown forward.
+   * @param {Object} session - Session object
+   * @param {Object} card - FlashCard object
+   * @returns {Promise<Object>} - Prompt with text, language, answerLanguage, direction and generated
+   * @private
+   */
+  async _getPrompt(session, card) {
+    if (this.evaluator) {
+      return this.evaluator.getPrompt({ session, card, direction: session.getCardDirection() });
+    }
+    
+    return {
+      text: card.content,
+      language: session.sourceLanguage,
+      answerLanguage: session.targetLanguage,
+      direction: 'forward',
+      generated: false
+    };
+  }
+  
+  /**
+   * Update the spaced-repetition state of a card after a review
+   * Scheduling failures are logged but never fail the answer submission.
+   * @param {string} cardId - Card ID
+   * @param {Object} evaluation - Evaluation result with `correct` and `score`
+   * @returns {Promise<Object|null|undefined>} - Review state before the review, null for a card never
+   * reviewed, or undefined if scheduling failed
+   * @private
+   */
+  async _updateReviewSchedule(cardId, evaluation) {
+    try {
+      const review = await this.db.getCardReview(cardId);
+      const grade = this.scheduler.gradeFromEvaluation(evaluation);
+      await this.db.saveCardReview(this.scheduler.schedule(review, cardId, grade));
+      return review ? review.toJSON() : null;
+    } catch (error) {
+      console.error('Error updating review schedule:', error);
+      return undefined;
+    }
+  }
+  
+  /**
+   * Grade a card again after its response was overridden
+   * Only the card's latest review can be replaced by going back to the state before it.
+   * A response that did not move the schedule, like a fallback evaluation, or one the card
+   * has been reviewed again since, in a retry round or a later session, is graded on top of
+   * the card's current state, so the later reviews are kept.
+   * @param {Object} response - Overridden response
+   * @returns {Promise<void>} - Promise resolving once the review state is saved
+   * @private
+   */
+  async _regradeResponse(response) {
+    try {
+      let previousReview = response.previousReview;
+      if (previousReview === undefined || await this.db.hasLaterReview(response.cardId, response.timestamp)) {
+        const review = await this.db.getCardReview(response.cardId);
+        previousReview = review ? review.toJSON() : null;
+      }
+      
+      const grade = this.scheduler.gradeFromEvaluation({ correct: response.correct, score: response.score });
+      const review = previousReview ? CardReview.fromJSON(previousReview) : null;
+      await this.db.saveCardReview(this.scheduler.schedule(review, response.cardId, grade));
+      response.previousReview = previousReview;
+    } catch (error) {
+      console.error('Error updating review schedule:', error);
+    }
   }
 }
 
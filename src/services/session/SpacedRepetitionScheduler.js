@@ -0,0 +1,124 @@
+const CardReview = require('../../models/CardReview');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SpacedRepetitionScheduler computes review schedules using the SM-2 algorithm
+ *
+ * Grades follow the SM-2 scale (0-5): grades below 3 are failed reviews that
+ * reset the card, grades 3-5 are successful reviews that grow the interval.
+ */
+class SpacedRepetitionScheduler {
+  /**
+   * Create a new SpacedRepetitionScheduler
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.now] - Clock function returning the current Date (for testing)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Map an evaluation result to an SM-2 grade
+   * @param {Object} evaluation - Evaluation result
+   * @param {boolean} evaluation.correct - Whether the answer was accepted
+   * @param {number} [evaluation.score] - Evaluation score from 0.0 to 1.0
+   * @returns {number} - Grade from 0 (blackout) to 5 (perfect recall)
+   */
+  gradeFromEvaluation(evaluation) {
+    const score = typeof evaluation.score === 'number' ?
+      Math.min(Math.max(evaluation.score, 0), 1) :
+      (evaluation.correct ? 1 : 0);
+
+    if (evaluation.correct) {
+      if (score >= 0.95) return 5;
+      if (score >= 0.8) return 4;
+      return 3;
+    }
+
+    if (score >= 0.5) return 2;
+    if (score >= 0.25) return 1;
+    return 0;
+  }
+
+  /**
+   * Apply a review grade to a card's review state
+   * @param {CardReview|null} review - Current review state, or null for a card never reviewed
+   * @param {string} cardId - The flashcard ID
+   * @param {number} grade - SM-2 grade from 0 to 5
+   * @returns {CardReview} - The updated review state
+   */
+  schedule(review, cardId, grade) {
+    const now = this.now();
+    const next = new CardReview(review ? review.toJSON() : { cardId });
+
+    if (grade >= 3) {
+      if (next.repetitions === 0) {
+        next.interval = 1;
+      } else if (next.repetitions === 1) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(next.interval * next.easeFactor);
+      }
+      next.repetitions += 1;
+    } else {
+      next.repetitions = 0;
+      next.interval = 1;
+      next.lapses += 1;
+    }
+
+    const easeDelta = 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02);
+    next.easeFactor = Math.max(CardReview.MIN_EASE_FACTOR, next.easeFactor + easeDelta);
+    next.lastReviewedAt = now;
+    next.dueDate = new Date(now.getTime() + next.interval * DAY_IN_MS);
+
+    return next;
+  }
+
+  /**
+   * Order cards so the ones most in need of review come first
+   *
+   * Overdue cards come first (most overdue first), followed by cards that were
+   * never reviewed (in random order), followed by cards that are not yet due
+   * (soonest first).
+   * @param {Array} cards - Cards to order
+   * @param {Map<string, CardReview>} reviews - Review state by card ID
+   * @returns {Array} - New array with the cards in review priority order
+   */
+  orderByDueDate(cards, reviews) {
+    const now = this.now();
+    const due = [];
+    const fresh = [];
+    const upcoming = [];
+
+    cards.forEach(card => {
+      const review = reviews.get(card.id);
+      if (!review) {
+        fresh.push(card);
+      } else if (review.isDue(now)) {
+        due.push(card);
+      } else {
+        upcoming.push(card);
+      }
+    });
+
+    const byDueDate = (a, b) => {
+      const dueA = reviews.get(a.id).dueDate;
+      const dueB = reviews.get(b.id).dueDate;
+      return (dueA ? dueA.getTime() : 0) - (dueB ? dueB.getTime() : 0);
+    };
+
+    due.sort(byDueDate);
+    upcoming.sort(byDueDate);
+
+    // Shuffle new cards so sessions don't always introduce them in the same order
+    for (let i = fresh.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [fresh[i], fresh[j]] = [fresh[j], fresh[i]];
+    }
+
+    return [...due, ...fresh, ...upcoming];
+  }
+}
+
+module.exports = SpacedRepetitionScheduler;
\ No newline at end of file
@@ -2,61 +2,32 @@
  * Baseline translation implementation for when no API providers are available
  * Provides basic translation capabilities for testing and fallback
  */
+const FuzzyEvaluator = require('./FuzzyEvaluator');
+
 class BaselineTranslator {
+  /**
+   * Create a new BaselineTranslator instance
+   * @param {Object} options - Options for the offline evaluator
+   * @param {boolean} [options.ignoreDiacritics] - Accept answers with missing or wrong accents as exact
+   * @param {boolean} [options.ignoreArticles] - Accept answers that leave out or add an article
+   */
+  constructor(options = {}) {
+    this.fuzzyEvaluator = new FuzzyEvaluator(options);
+  }
+
   /**
    * Baseline implementation for translation evaluation
    * Used when no API providers are available
    * @param {Object} data - Translation data
+   * @param {Array<string>} [data.alternativeTranslations] - Other accepted translations
    * @returns {Object} - Evaluation result
    */
   evaluateTranslation(data) {
     console.log('Using baseline translation evaluation');
     
-    // If reference translation is provided, do a simple comparison
+    // If reference translation is provided, grade the answer word by word
     if (data.referenceTranslation) {
-      const userTranslation = data.userTranslation.toLowerCase().trim();
-      const referenceTranslation = data.referenceTranslation.toLowerCase().trim();
-      
-      const isExactMatch = userTranslation === referenceTranslation;
-      const isCloseMatch = this._isCloseMatch(userTranslation, referenceTranslation);
-      
-      if (isExactMatch) {
-        return {
-          correct: true,
-          score: 1.0,
-          feedback: "Perfect! Your translation matches exactly.",
-          suggestedTranslation: data.referenceTranslation,
-          details: {
-            grammar: "Perfect",
-            vocabulary: "Appropriate",
-            accuracy: "Precise"
-          }
-        };
-      } else if (isCloseMatch) {
-        return {
-          correct: true,
-          score: 0.8,
-          feedback: "Good job! Your translation is very close.",
-          suggestedTranslation: data.referenceTranslation,
-          details: {
-            grammar: "Good",
-            vocabulary: "Appropriate",
-            accuracy: "Close"
-          }
-        };
-      } else {
-        return {
-          correct: false,
-          score: 0.2,
-          feedback: "Try again. Your translation doesn't match the expected answer.",
-          suggestedTranslation: data.referenceTranslation,
-          details: {
-            grammar: "Check your word order",
-            vocabulary: "Review key terms",
-            accuracy: "Needs improvement"
-          }
-        };
-      }
+      return this.fuzzyEvaluator.evaluate(data);
     }
 
     // Without reference, always return "correct" for any translation
@@ -165,32 +136,6 @@ class BaselineTranslator {
     // Return the translation if available, otherwise return the original
     return targetTranslations[normalizedContent] || `[${data.content}]`;
   }
-
-  /**
-   * Check if two strings are close matches
-   * @private
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {boolean} - True if the strings are close matches
-   */
-  _isCloseMatch(str1, str2) {
-    // Very simple implementation: check if either string contains the other
-    // or if they share a significant number of words
-    if (str1.includes(str2) || str2.includes(str1)) {
-      return true;
-    }
-
-    // Check for shared words
-    const words1 = str1.split(/\s+/);
-    const words2 = str2.split(/\s+/);
-    
-    // Count shared words
-    const sharedWords = words1.filter(word => words2.includes(word)).length;
-    
-    // If more than half the words match, consider it close
-    const threshold = Math.min(words1.length, words2.length) * 0.5;
-    return sharedWords >= threshold;
-  }
 }
 
 module.exports = BaselineTranslator;
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * Offline translation evaluator based on word-level edit distance
+ * Grades answers against one or more reference translations without an AI provider.
+ */
+
+// Articles that may be left out without making an answer wrong, by language
+const ARTICLES = {
+  en: ['a', 'an', 'the'],
+  de: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines'],
+  fr: ['le', 'la', 'les', 'l', 'un', 'une', 'des', 'du'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas'],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'l', 'un', 'uno', 'una'],
+  pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas'],
+  nl: ['de', 'het', 'een']
+};
+
+// Spellings that are equally valid, compared in their folded form
+const EQUIVALENT_SPELLINGS = [
+  [/ß/g, 'ss']
+];
+
+// Cost of a word that is correct apart from its accents
+const ACCENT_COST = 0.1;
+
+// Cost of an article that is missing or added
+const ARTICLE_COST = 0.25;
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment) between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of insertions, deletions, substitutions and transpositions
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Remove accents and other combining marks
+ * @param {string} text - Text to strip
+ * @returns {string} - Text without diacritics
+ */
+function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+}
+
+class FuzzyEvaluator {
+  /**
+   * Create a new FuzzyEvaluator instance
+   * @param {Object} options - Configuration options
+   * @param {boolean} [options.ignoreDiacritics=false] - Accept answers with missing or wrong accents as exact
+   * @param {boolean} [options.ignoreArticles=true] - Accept answers that leave out or add an article
+   */
+  constructor(options = {}) {
+    this.ignoreDiacritics = options.ignoreDiacritics ?? false;
+    this.ignoreArticles = options.ignoreArticles ?? true;
+  }
+
+  /**
+   * Evaluate a translation against the reference and its alternatives
+   * @param {Object} data - Translation data
+   * @param {string} data.userTranslation - User's translation to evaluate
+   * @param {string} data.referenceTranslation - Expected translation
+   * @param {Array<string|Object>} [data.alternativeTranslations] - Other accepted translations, as text or { text, note }
+   * @param {string} [data.targetLanguage] - Language of the answer, for its articles
+   * @returns {Object} - Evaluation result in the shape of the AI providers
+   */
+  evaluate(data) {
+    const alternatives = (data.alternativeTranslations || [])
+      .map(alternative => (typeof alternative === 'string' ? alternative : alternative && alternative.text));
+    const references = [data.referenceTranslation, ...alternatives]
+      .filter(reference => typeof reference === 'string' && reference.trim() !== '');
+    if (references.length === 0) {
+      throw new Error('A reference translation is required');
+    }
+    const articles = this._getArticles(data.targetLanguage);
+
+    const comparisons = references.map(reference => ({
+      reference,
+      ...this._compare(data.userTranslation || '', reference, articles)
+    }));
+
+    // Grade against the reference the answer is closest to
+    const best = comparisons.reduce((closest, comparison) => (
+      !closest || comparison.score > closest.score ? comparison : closest
+    ), null);
+
+    return this._buildResult(best);
+  }
+
+  /**
+   * Split text into comparable words
+   * @param {string} text - Text to split
+   * @returns {Array<string>} - Lowercase words without punctuation
+   */
+  tokenize(text) {
+    let normalized = String(text).normalize('NFC').toLowerCase();
+    EQUIVALENT_SPELLINGS.forEach(([pattern, replacement]) => {
+      normalized = normalized.replace(pattern, replacement);
+    });
+
+    return normalized
+      .replace(/[\p{P}\p{S}]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the articles that may be left out in a language
+   * @private
+   * @param {string} [language] - Language code, e.g. 'de' or 'de-AT'
+   * @returns {Set<string>} - Articles, empty when articles are not ignored
+   */
+  _getArticles(language) {
+    if (!this.ignoreArticles || !language) {
+      return new Set();
+    }
+
+    return new Set(ARTICLES[language.toLowerCase().split('-')[0]] || []);
+  }
+
+  /**
+   * Compare two words
+   * @private
+   * @param {string} word - Word of the answer
+   * @param {string} expected - Word of the reference
+   * @param {Set<string>} articles - Articles that may be left out
+   * @returns {Object} - { type: 'match'|'accent'|'typo'|'wrongArticle'|'wrong', cost }
+   */
+  _compareWords(word, expected, articles) {
+    if (word === expected) {
+      return { type: 'match', cost: 0 };
+    }
+
+    // Leaving out an article is fine, but the wrong one is a grammar mistake
+    if (articles.has(word) && articles.has(expected)) {
+      return { type: 'wrongArticle', cost: 2 * ARTICLE_COST };
+    }
+
+    const bareWord = stripDiacritics(word);
+    const bareExpected = stripDiacritics(expected);
+    if (bareWord === bareExpected) {
+      return this.ignoreDiacritics ? { type: 'match', cost: 0 } : { type: 'accent', cost: ACCENT_COST };
+    }
+
+    // Short words have no room for typos; longer ones allow one, or two from eight letters
+    const allowed = expected.length <= 3 ? 0 : expected.length < 8 ? 1 : 2;
+    const distance = editDistance(bareWord, bareExpected);
+    if (distance <= allowed) {
+      return { type: 'typo', cost: distance / expected.length };
+    }
+
+    return { type: 'wrong', cost: 1 };
+  }
+
+  /**
+   * Align the words of an answer with a reference
+   * @private
+   * @param {string} answer - User's translation
+   * @param {string} reference - Reference translation
+   * @param {Set<string>} articles - Articles that may be left out
+   * @returns {Object} - { score, issues } where issues describe every word that differs
+   */
+  _compare(answer, reference, articles) {
+    const words = this.tokenize(answer);
+    const expected = this.tokenize(reference);
+    const gapCost = word => (articles.has(word) ? ARTICLE_COST : 1);
+
+    // cost[i][j]: cheapest alignment of the first i answer words with the first j reference words
+    const cost = Array.from({ length: words.length + 1 }, () => new Array(expected.length + 1).fill(0));
+    for (let i = 1; i <= words.length; i++) {
+      cost[i][0] = cost[i - 1][0] + gapCost(words[i - 1]);
+    }
+    for (let j = 1; j <= expected.length; j++) {
+      cost[0][j] = cost[0][j - 1] + gapCost(expected[j - 1]);
+    }
+    for (let i = 1; i <= words.length; i++) {
+      for (let j = 1; j <= expected.length; j++) {
+        cost[i][j] = Math.min(
+          cost[i - 1][j - 1] + this._compareWords(words[i - 1], expected[j - 1], articles).cost,
+          cost[i - 1][j] + gapCost(words[i - 1]),
+          cost[i][j - 1] + gapCost(expected[j - 1])
+        );
+      }
+    }
+
+    // Walk back through the table to name the differences
+    const issues = [];
+    let i = words.length;
+    let j = expected.length;
+    while (i > 0 || j > 0) {
+      const comparison = i > 0 && j > 0 ? this._compareWords(words[i - 1], expected[j - 1], articles) : null;
+
+      if (comparison && cost[i][j] === cost[i - 1][j - 1] + comparison.cost) {
+        if (comparison.type !== 'match') {
+          issues.unshift({ type: comparison.type, word: words[i - 1], expected: expected[j - 1] });
+        }
+        i--;
+        j--;
+      } else if (i > 0 && cost[i][j] === cost[i - 1][j] + gapCost(words[i - 1])) {
+        issues.unshift({ type: articles.has(words[i - 1]) ? 'extraArticle' : 'extra', word: words[i - 1] });
+        i--;
+      } else {
+        issues.unshift({ type: articles.has(expected[j - 1]) ? 'missingArticle' : 'missing', expected: expected[j - 1] });
+        j--;
+      }
+    }
+
+    const length = Math.max(words.length, expected.length, 1);
+    const wordOrderOnly = words.length > 1 && issues.length > 0 &&
+      [...words].sort().join(' ') === [...expected].sort().join(' ');
+
+    return {
+      score: Math.max(0, 1 - cost[words.length][expected.length] / length),
+      issues,
+      wordOrderOnly
+    };
+  }
+
+  /**
+   * Turn a comparison into an evaluation result
+   * @private
+   * @param {Object} comparison - Result of _compare with its reference
+   * @returns {Object} - Evaluation result
+   */
+  _buildResult(comparison) {
+    const { reference, issues, wordOrderOnly } = comparison;
+    const wrongWords = issues.filter(issue => ['wrong', 'missing', 'extra'].includes(issue.type));
+    const spelling = issues.filter(issue => ['typo', 'accent'].includes(issue.type));
+    const articleIssues = issues.filter(issue => ['wrongArticle', 'missingArticle', 'extraArticle'].includes(issue.type));
+
+    if (issues.length === 0) {
+      return {
+        correct: true,
+        score: 1.0,
+        feedback: 'Perfect! Your translation matches exactly.',
+        suggestedTranslation: reference,
+        details: {
+          grammar: 'Perfect',
+          vocabulary: 'Appropriate',
+          accuracy: 'Precise'
+        }
+      };
+    }
+
+    const score = Math.round(comparison.score * 100) / 100;
+    const notes = issues.map(issue => this._describeIssue(issue));
+
+    if (wordOrderOnly) {
+      return {
+        correct: false,
+        score: Math.min(score, 0.5),
+        feedback: `Almost! All the words are right, but the word order is different: "${reference}".`,
+        suggestedTranslation: reference,
+        details: {
+          grammar: 'Check your word order',
+          vocabulary: 'Appropriate',
+          accuracy: 'Needs improvement'
+        }
+      };
+    }
+
+    const correct = wrongWords.length === 0 && !issues.some(issue => issue.type === 'wrongArticle');
+    return {
+      correct,
+      score,
+      feedback: `${correct ? 'Good job! Your translation is very close.' : 'Try again.'} ${notes.join(' ')}`,
+      suggestedTranslation: reference,
+      details: {
+        grammar: articleIssues.length > 0 ? 'Check your articles' : 'Good',
+        vocabulary: spelling.length > 0 ? 'Check your spelling' : wrongWords.length > 0 ? 'Review key terms' : 'Appropriate',
+        accuracy: correct ? 'Close' : 'Needs improvement'
+      }
+    };
+  }
+
+  /**
+   * Describe a difference between the answer and the reference
+   * @private
+   * @param {Object} issue - Issue from _compare
+   * @returns {string} - Sentence for the feedback
+   */
+  _describeIssue(issue) {
+    switch (issue.type) {
+    case 'accent':
+      return `Check the accents in "${issue.word}": it should be "${issue.expected}".`;
+    case 'typo':
+      return `"${issue.word}" is misspelled: it should be "${issue.expected}".`;
+    case 'wrongArticle':
+      return `Check the article: "${issue.word}" should be "${issue.expected}".`;
+    case 'wrong':
+      return `"${issue.word}" should be "${issue.expected}".`;
+    case 'missing':
+      return `"${issue.expected}" is missing.`;
+    case 'extra':
+      return `"${issue.word}" is not in the expected answer.`;
+    case 'missingArticle':
+      return `The article "${issue.expected}" is missing.`;
+    default:
+      return `The article "${issue.word}" is not needed.`;
+    }
+  }
+}
+
+module.exports = FuzzyEvaluator;
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Circuit breaker that skips translation providers after repeated failures
+ */
+class ProviderCircuitBreaker {
+  /**
+   * Create a new ProviderCircuitBreaker instance
+   * @param {Object} options - Configuration options
+   * @param {number} [options.failureThreshold=3] - Consecutive failures after which a provider is skipped
+   * @param {number} [options.cooldownMs=60000] - How long a failing provider is skipped, in ms
+   * @param {Function} [options.now=Date.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.now = options.now || Date.now;
+
+    // Health by provider name: { failures, openUntil }
+    this.states = new Map();
+  }
+
+  /**
+   * Check whether a provider may be called
+   * Once the cool-down has passed, the provider gets another try; a failure skips it again.
+   * @param {string} name - Provider name
+   * @returns {boolean} - False while the provider is cooling down
+   */
+  isAvailable(name) {
+    const state = this.states.get(name);
+    return !state || state.openUntil === null || this.now() >= state.openUntil;
+  }
+
+  /**
+   * Record a successful call, which makes the provider healthy again
+   * @param {string} name - Provider name
+   */
+  recordSuccess(name) {
+    this.states.delete(name);
+  }
+
+  /**
+   * Record a failed call
+   * @param {string} name - Provider name
+   */
+  recordFailure(name) {
+    const state = this.states.get(name) || { failures: 0, openUntil: null };
+    state.failures += 1;
+
+    if (state.failures >= this.failureThreshold) {
+      state.openUntil = this.now() + this.cooldownMs;
+    }
+
+    this.states.set(name, state);
+  }
+
+  /**
+   * Get the health of every provider that has failed recently
+   * @returns {Object} - Failures and skip deadline (ISO string or null) by provider name
+   */
+  getStatus() {
+    const status = {};
+
+    this.states.forEach((state, name) => {
+      status[name] = {
+        failures: state.failures,
+        openUntil: state.openUntil === null ? null : new Date(state.openUntil).toISOString()
+      };
+    });
+
+    return status;
+  }
+}
+
+module.exports = ProviderCircuitBreaker;
\ No newline at end of file
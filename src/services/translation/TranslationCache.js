@@ -0,0 +1,150 @@
+/**
+ * Persistent cache of provider translations and evaluations
+ */
+
+/**
+ * Normalize text for a cache key
+ * Case is kept, since providers grade capitalization.
+ * @param {string} text - Text to normalize
+ * @returns {string} - Trimmed text with single spaces in NFC form
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+class TranslationCache {
+  /**
+   * Create a new TranslationCache instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.db - DatabaseService instance that stores the entries
+   */
+  constructor(options = {}) {
+    if (!options.db) {
+      throw new Error('DatabaseService is required');
+    }
+
+    this.db = options.db;
+  }
+
+  /**
+   * Get the cache name of a provider, so results of different models are kept apart
+   * @param {string} name - Provider name, e.g. 'openai'
+   * @param {Object} provider - Provider instance
+   * @returns {string} - Provider name and model, e.g. 'openai/gpt-3.5-turbo'
+   */
+  static providerKey(name, provider) {
+    return `${name}/${provider.modelName || 'default'}`;
+  }
+
+  /**
+   * Get a cached reference translation
+   * @param {string} provider - Provider key from providerKey
+   * @param {Object} data - Translation data, as for TranslationGenerator.generateTranslation
+   * @returns {Promise<string|null>} - Cached translation or null on a miss
+   */
+  getTranslation(provider, data) {
+    return this._get(this._translationKey(provider, data));
+  }
+
+  /**
+   * Cache a reference translation
+   * @param {string} provider - Provider key from providerKey
+   * @param {Object} data - Translation data, as for TranslationGenerator.generateTranslation
+   * @param {string} translation - Generated translation
+   * @returns {Promise<void>}
+   */
+  saveTranslation(provider, data, translation) {
+    return this._save(this._translationKey(provider, data), translation);
+  }
+
+  /**
+   * Get a cached evaluation
+   * @param {string} provider - Provider key from providerKey
+   * @param {Object} data - Translation data, as for TranslationEvaluator.evaluateTranslation
+   * @returns {Promise<Object|null>} - Cached evaluation or null on a miss
+   */
+  getEvaluation(provider, data) {
+    return this._get(this._evaluationKey(provider, data));
+  }
+
+  /**
+   * Cache an evaluation
+   * @param {string} provider - Provider key from providerKey
+   * @param {Object} data - Translation data, as for TranslationEvaluator.evaluateTranslation
+   * @param {Object} evaluation - Evaluation result
+   * @returns {Promise<void>}
+   */
+  saveEvaluation(provider, data, evaluation) {
+    return this._save(this._evaluationKey(provider, data), evaluation);
+  }
+
+  /**
+   * Read an entry, treating storage errors as a miss
+   * @private
+   * @param {Object} key - Cache key
+   * @returns {Promise<*|null>} - Cached result or null
+   */
+  async _get(key) {
+    try {
+      return await this.db.getTranslationCacheEntry(key);
+    } catch (error) {
+      console.error('Error reading translation cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry; a failed write only costs a provider call next time
+   * @private
+   * @param {Object} key - Cache key
+   * @param {*} result - Result to cache
+   * @returns {Promise<void>}
+   */
+  async _save(key, result) {
+    try {
+      await this.db.saveTranslationCacheEntry(key, result);
+    } catch (error) {
+      console.error('Error writing translation cache:', error.message);
+    }
+  }
+
+  /**
+   * Build the cache key of a translation request
+   * @private
+   * @param {string} provider - Provider key
+   * @param {Object} data - Translation data
+   * @returns {Object} - Cache key
+   */
+  _translationKey(provider, data) {
+    return {
+      kind: 'translation',
+      provider,
+      sourceLanguage: data.sourceLanguage,
+      targetLanguage: data.targetLanguage,
+      sourceText: normalizeText(data.content)
+    };
+  }
+
+  /**
+   * Build the cache key of an evaluation request
+   * @private
+   * @param {string} provider - Provider key
+   * @param {Object} data - Translation data
+   * @returns {Object} - Cache key
+   */
+  _evaluationKey(provider, data) {
+    return {
+      kind: 'evaluation',
+      provider,
+      sourceLanguage: data.sourceLanguage,
+      targetLanguage: data.targetLanguage,
+      sourceText: normalizeText(data.sourceContent),
+      answer: normalizeText(data.userTranslation),
+      reference: [data.referenceTranslation, ...(data.alternativeTranslations || []).map(alternative => (typeof alternative === 'string' ? alternative : alternative.text))]
+        .map(normalizeText)
+        .join(' | ')
+    };
+  }
+}
+
+module.exports = TranslationCache;
\ No newline at end of file
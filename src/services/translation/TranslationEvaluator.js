@@ -2,7 +2,8 @@
  * Service for evaluating translations
  */
 const BaselineTranslator = require('./BaselineTranslator');
-const TranslationProviderFactory = require('./TranslationProviderFactory');
+const TranslationCache = require('./TranslationCache');
+const ProviderCircuitBreaker = require('./ProviderCircuitBreaker');
 
 class TranslationEvaluator {
   /**
@@ -10,70 +11,106 @@ class TranslationEvaluator {
    * @param {Object} options - Configuration options
    * @param {Object} options.providers - Object containing provider instances
    * @param {string} options.primaryProvider - Name of the primary provider
+   * @param {Array<string>} [options.providerOrder] - Provider names in fallback order (primary first by default)
+   * @param {TranslationCache} [options.cache] - Cache checked before calling a provider
+   * @param {ProviderCircuitBreaker} [options.circuitBreaker] - Skips providers that keep failing
+   * @param {Object} [options.baselineOptions] - Options for the offline evaluator, e.g. { ignoreDiacritics }
    */
   constructor(options = {}) {
     this.providers = options.providers || {};
     this.primaryProvider = options.primaryProvider || '';
-    this.baselineTranslator = new BaselineTranslator();
+    this.providerOrder = (options.providerOrder || [this.primaryProvider, ...Object.keys(this.providers)])
+      .filter((name, index, names) => this.providers[name] && names.indexOf(name) === index);
+    this.cache = options.cache || null;
+    this.circuitBreaker = options.circuitBreaker || new ProviderCircuitBreaker();
+    this.baselineTranslator = new BaselineTranslator(options.baselineOptions);
   }
 
   /**
    * Evaluate a translation
+   * Providers are tried in order; the baseline algorithm answers when none of them can.
    * @param {Object} data - Translation data to evaluate
    * @param {string} data.sourceContent - Original content to translate
    * @param {string} data.sourceLanguage - Source language code
    * @param {string} data.targetLanguage - Target language code
    * @param {string} data.userTranslation - User's translation to evaluate
    * @param {string} [data.referenceTranslation] - Optional reference translation
-   * @returns {Promise<Object>} - Evaluation result
+   * @param {Array<{text: string, note: string}>} [data.alternativeTranslations] - Other accepted translations
+   * @returns {Promise<Object>} - Evaluation result, with the name of the provider that produced it
    */
   async evaluateTranslation(data) {
-    try {
-      // Try to use the primary provider
-      const primaryProvider = this.providers[this.primaryProvider];
-      if (primaryProvider) {
-        return await primaryProvider.evaluateTranslation(data);
-      }
+    const providerErrors = [];
 
-      // If primary provider not available, try fallback provider
-      const fallbackProvider = TranslationProviderFactory.getFallbackProvider(
-        this.providers, 
-        this.primaryProvider
-      );
-      
-      if (fallbackProvider) {
-        return await fallbackProvider.evaluateTranslation(data);
+    for (const name of this.providerOrder) {
+      try {
+        const evaluation = await this._evaluateWith(name, data);
+        if (evaluation) {
+          return { ...evaluation, provider: name };
+        }
+      } catch (error) {
+        console.error(`Translation evaluation with ${name} failed:`, error.message);
+        providerErrors.push({ provider: name, message: error.message });
       }
+    }
 
-      // If no providers are available, use the baseline algorithm
+    const evaluation = { ...this.baselineTranslator.evaluateTranslation(data), provider: 'baseline' };
+
+    if (this.providerOrder.length === 0) {
       console.warn('No translation providers available. Using baseline evaluation.');
-      return this.baselineTranslator.evaluateTranslation(data);
-    } catch (error) {
-      console.error('Translation evaluation error:', error.message);
+      return evaluation;
+    }
 
-      // Enhance the error with translation-specific context
-      const enhancedError = new Error(`Translation evaluation failed: ${error.message}`);
+    // Configured providers failed or are cooling down: the baseline verdict is only a stand-in
+    console.warn('All translation providers failed or are unavailable. Using baseline evaluation.');
+    evaluation._fallback = true;
+    evaluation.providerErrors = providerErrors;
+    return evaluation;
+  }
 
-      // Add metadata to help diagnose the issue
-      enhancedError.originalError = error;
-      enhancedError.translationContext = {
-        provider: this.primaryProvider,
-        hasProviders: Object.keys(this.providers).length > 0,
-        sourceLanguage: data.sourceLanguage,
-        targetLanguage: data.targetLanguage,
-        apiAvailable: Boolean(this.providers[this.primaryProvider])
-      };
+  /**
+   * Replace the options of the offline evaluator
+   * @param {Object} baselineOptions - Options for the offline evaluator, e.g. { ignoreDiacritics }
+   */
+  setBaselineOptions(baselineOptions) {
+    this.baselineTranslator = new BaselineTranslator(baselineOptions);
+  }
 
-      // If this is an API key error, make it more user-friendly
-      if (error.message.includes('API key') || error.message.includes('authentication')) {
-        enhancedError.message = `Translation API key error: The API key for ${this.primaryProvider} ` +
-          `is missing or invalid. Please check your settings.`;
-        enhancedError.apiKeyError = true;
+  /**
+   * Evaluate a translation with a provider, answering from the cache when possible
+   * @private
+   * @param {string} name - Provider name
+   * @param {Object} data - Translation data
+   * @returns {Promise<Object|null>} - Evaluation result, or null if the provider is cooling down
+   */
+  async _evaluateWith(name, data) {
+    const provider = this.providers[name];
+    const providerKey = this.cache ? TranslationCache.providerKey(name, provider) : null;
+
+    if (this.cache) {
+      const cached = await this.cache.getEvaluation(providerKey, data);
+      if (cached) {
+        return cached;
       }
+    }
+
+    if (!this.circuitBreaker.isAvailable(name)) {
+      return null;
+    }
 
-      // Throw the enhanced error for better error handling upstream
-      throw enhancedError;
+    let evaluation;
+    try {
+      evaluation = await provider.evaluateTranslation(data);
+    } catch (error) {
+      this.circuitBreaker.recordFailure(name);
+      throw error;
     }
+    this.circuitBreaker.recordSuccess(name);
+
+    if (this.cache && evaluation) {
+      await this.cache.saveEvaluation(providerKey, data, evaluation);
+    }
+
+    return evaluation;
   }
 }
 
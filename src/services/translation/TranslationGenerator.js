@@ -2,7 +2,8 @@
  * Service for generating translations
  */
 const BaselineTranslator = require('./BaselineTranslator');
-const TranslationProviderFactory = require('./TranslationProviderFactory');
+const TranslationCache = require('./TranslationCache');
+const ProviderCircuitBreaker = require('./ProviderCircuitBreaker');
 
 class TranslationGenerator {
   /**
@@ -10,69 +11,94 @@ class TranslationGenerator {
    * @param {Object} options - Configuration options
    * @param {Object} options.providers - Object containing provider instances
    * @param {string} options.primaryProvider - Name of the primary provider
+   * @param {Array<string>} [options.providerOrder] - Provider names in fallback order (primary first by default)
+   * @param {TranslationCache} [options.cache] - Cache checked before calling a provider
+   * @param {ProviderCircuitBreaker} [options.circuitBreaker] - Skips providers that keep failing
    */
   constructor(options = {}) {
     this.providers = options.providers || {};
     this.primaryProvider = options.primaryProvider || '';
+    this.providerOrder = (options.providerOrder || [this.primaryProvider, ...Object.keys(this.providers)])
+      .filter((name, index, names) => this.providers[name] && names.indexOf(name) === index);
+    this.cache = options.cache || null;
+    this.circuitBreaker = options.circuitBreaker || new ProviderCircuitBreaker();
     this.baselineTranslator = new BaselineTranslator();
   }
 
   /**
    * Generate a reference translation
+   * Providers are tried in order; the baseline algorithm answers when none of them can.
    * @param {Object} data - Translation data
    * @param {string} data.content - Content to translate
    * @param {string} data.sourceLanguage - Source language code
    * @param {string} data.targetLanguage - Target language code
-   * @returns {Promise<string>} - Generated translation
+   * @returns {Promise<Object>} - { translation, provider }, with the name of the provider that produced it
    */
   async generateTranslation(data) {
-    try {
-      // Try to use the primary provider
-      const primaryProvider = this.providers[this.primaryProvider];
-      if (primaryProvider) {
-        return await primaryProvider.generateTranslation(data);
-      }
+    const providerErrors = [];
 
-      // If primary provider not available, try fallback provider
-      const fallbackProvider = TranslationProviderFactory.getFallbackProvider(
-        this.providers, 
-        this.primaryProvider
-      );
-      
-      if (fallbackProvider) {
-        return await fallbackProvider.generateTranslation(data);
+    for (const name of this.providerOrder) {
+      try {
+        const translation = await this._generateWith(name, data);
+        if (translation) {
+          return { translation, provider: name };
+        }
+      } catch (error) {
+        console.error(`Translation generation with ${name} failed:`, error.message);
+        providerErrors.push({ provider: name, message: error.message });
       }
+    }
 
-      // If no providers are available, use the baseline algorithm
+    const result = { translation: this.baselineTranslator.generateTranslation(data), provider: 'baseline' };
+
+    if (this.providerOrder.length === 0) {
       console.warn('No translation providers available. Using baseline translation generation.');
-      return this.baselineTranslator.generateTranslation(data);
-    } catch (error) {
-      console.error('Translation generation error:', error.message);
+      return result;
+    }
 
-      // Enhance the error with translation-specific context
-      const enhancedError = new Error(`Translation generation failed: ${error.message}`);
+    // Configured providers failed or are cooling down: the baseline translation is only a stand-in
+    console.warn('All translation providers failed or are unavailable. Using baseline translation generation.');
+    result._fallback = true;
+    result.providerErrors = providerErrors;
+    return result;
+  }
 
-      // Add metadata to help diagnose the issue
-      enhancedError.originalError = error;
-      enhancedError.translationContext = {
-        provider: this.primaryProvider,
-        hasProviders: Object.keys(this.providers).length > 0,
-        sourceLanguage: data.sourceLanguage,
-        targetLanguage: data.targetLanguage,
-        contentLength: data.content.length,
-        apiAvailable: Boolean(this.providers[this.primaryProvider])
-      };
+  /**
+   * Generate a translation with a provider, answering from the cache when possible
+   * @private
+   * @param {string} name - Provider name
+   * @param {Object} data - Translation data
+   * @returns {Promise<string|null>} - Generated translation, or null if the provider is cooling down
+   */
+  async _generateWith(name, data) {
+    const provider = this.providers[name];
+    const providerKey = this.cache ? TranslationCache.providerKey(name, provider) : null;
 
-      // If this is an API key error, make it more user-friendly
-      if (error.message.includes('API key') || error.message.includes('authentication')) {
-        enhancedError.message = `Translation API key error: The API key for ${this.primaryProvider} ` +
-          `is missing or invalid. Please check your settings.`;
-        enhancedError.apiKeyError = true;
+    if (this.cache) {
+      const cached = await this.cache.getTranslation(providerKey, data);
+      if (cached) {
+        return cached;
       }
+    }
 
-      // Throw the enhanced error for better error handling upstream
-      throw enhancedError;
+    if (!this.circuitBreaker.isAvailable(name)) {
+      return null;
     }
+
+    let translation;
+    try {
+      translation = await provider.generateTranslation(data);
+    } catch (error) {
+      this.circuitBreaker.recordFailure(name);
+      throw error;
+    }
+    this.circuitBreaker.recordSuccess(name);
+
+    if (this.cache && translation) {
+      await this.cache.saveTranslation(providerKey, data, translation);
+    }
+
+    return translation;
   }
 }
 
@@ -3,69 +3,118 @@
  */
 const GeminiProvider = require('./providers/GeminiProvider');
 const OpenAIProvider = require('./providers/OpenAIProvider');
+const LocalLLMProvider = require('./providers/LocalLLMProvider');
 const { getEnvironmentConfig, checkApiKeysAvailability } = require('../../utils/environment');
 
+// Providers in the order they are tried when nothing else is configured
+const PROVIDER_NAMES = ['gemini', 'openai', 'local'];
+
 class TranslationProviderFactory {
   /**
    * Create provider instances based on settings and available APIs
+   * Every configured provider is created; the order of `providerOrder` is the fallback order.
    * @param {Object} settings - Settings object with configuration
    * @returns {Object} - Object containing provider instances and metadata
    */
   static createProviders(settings) {
     const providers = {};
-    let primaryProvider = settings.translationApiProvider;
-    let translationApiKey = settings.translationApiKey;
+    const providerConfigs = TranslationProviderFactory.getProviderConfigs(settings);
     
-    // Check environment variables if no API key is set
-    if (!translationApiKey) {
-      const config = getEnvironmentConfig();
-      const apiAvailability = checkApiKeysAvailability();
-      
-      if (apiAvailability.gemini && primaryProvider === 'gemini') {
-        translationApiKey = config.GEMINI_API_KEY;
-      } else if (apiAvailability.openai && primaryProvider === 'openai') {
-        translationApiKey = config.OPENAI_API_KEY;
-      } else if (apiAvailability.gemini) {
-        primaryProvider = 'gemini';
-        translationApiKey = config.GEMINI_API_KEY;
-      } else if (apiAvailability.openai) {
-        primaryProvider = 'openai';
-        translationApiKey = config.OPENAI_API_KEY;
+    providerConfigs.forEach(providerConfig => {
+      const provider = TranslationProviderFactory._createProvider(providerConfig);
+      if (provider) {
+        providers[providerConfig.name] = provider;
       }
-    }
+    });
     
-    // Initialize Gemini provider if API key is available
-    if (translationApiKey && primaryProvider === 'gemini') {
-      try {
-        providers.gemini = new GeminiProvider(translationApiKey);
-        console.log('Gemini provider initialized');
-      } catch (error) {
-        console.error('Failed to initialize Gemini provider:', error.message);
-      }
-    }
-    
-    // Initialize OpenAI provider if API key is available
-    if (translationApiKey && primaryProvider === 'openai') {
-      try {
-        providers.openai = new OpenAIProvider(translationApiKey);
-        console.log('OpenAI provider initialized');
-      } catch (error) {
-        console.error('Failed to initialize OpenAI provider:', error.message);
-      }
-    }
+    const providerOrder = Object.keys(providers);
+    const primaryProvider = providerOrder[0] || settings.translationApiProvider;
+    const primaryConfig = providerConfigs.find(providerConfig => providerConfig.name === primaryProvider);
     
     // Log initialization status
-    if (Object.keys(providers).length === 0) {
+    if (providerOrder.length === 0) {
       console.warn('No translation providers initialized. Using baseline implementation.');
     }
     
     return {
       providers,
+      providerOrder,
       primaryProvider,
-      translationApiKey
+      translationApiKey: primaryConfig ? primaryConfig.apiKey : settings.translationApiKey
     };
   }
   
+  /**
+   * Get the configuration of every usable provider, in fallback order
+   * An explicit `settings.translationProviders` list wins; otherwise the primary provider
+   * comes first, followed by the others that have credentials in the environment.
+   * `settings.translationApiKey` belongs to the primary provider only, so without a list
+   * the fallbacks are configured through environment variables alone.
+   * @param {Object} settings - Settings object with configuration
+   * @returns {Array<Object>} - Provider configs: { name, apiKey, modelName, baseUrl }
+   */
+  static getProviderConfigs(settings) {
+    const config = getEnvironmentConfig();
+    const apiAvailability = checkApiKeysAvailability();
+    const primaryProvider = settings.translationApiProvider;
+    
+    const environmentKeys = {
+      gemini: apiAvailability.gemini ? config.GEMINI_API_KEY : '',
+      openai: apiAvailability.openai ? config.OPENAI_API_KEY : '',
+      local: config.LOCAL_LLM_API_KEY || ''
+    };
+    
+    let entries;
+    if (Array.isArray(settings.translationProviders) && settings.translationProviders.length > 0) {
+      entries = settings.translationProviders;
+    } else {
+      const names = [primaryProvider, ...PROVIDER_NAMES.filter(name => name !== primaryProvider)];
+      entries = names.filter(name => PROVIDER_NAMES.includes(name)).map(name => ({
+        name,
+        apiKey: name === primaryProvider ? settings.translationApiKey : ''
+      }));
+    }
+    
+    return entries
+      .map(entry => ({
+        name: entry.name,
+        apiKey: entry.apiKey || environmentKeys[entry.name] || '',
+        modelName: entry.modelName || (entry.name === 'local' ? settings.localLlmModel || config.LOCAL_LLM_MODEL : undefined),
+        baseUrl: entry.baseUrl || (entry.name === 'local' ? settings.localLlmBaseUrl || config.LOCAL_LLM_BASE_URL : undefined)
+      }))
+      .filter(entry => (entry.name === 'local' ? Boolean(entry.baseUrl) : Boolean(entry.apiKey)));
+  }
+  
+  /**
+   * Create a single provider instance
+   * @private
+   * @param {Object} providerConfig - Provider config from getProviderConfigs
+   * @returns {Object|null} - Provider instance, or null if it could not be created
+   */
+  static _createProvider(providerConfig) {
+    const { name, apiKey, modelName, baseUrl } = providerConfig;
+    
+    try {
+      let provider = null;
+      if (name === 'gemini') {
+        provider = new GeminiProvider(apiKey, { modelName });
+        console.log('Gemini provider initialized');
+      } else if (name === 'openai') {
+        provider = new OpenAIProvider(apiKey, { modelName });
+        console.log('OpenAI provider initialized');
+      } else if (name === 'local') {
+        provider = new LocalLLMProvider({ baseUrl, modelName, apiKey });
+        console.log('Local LLM provider initialized');
+      } else {
+        console.warn(`Unknown translation provider: ${name}`);
+      }
+      return provider;
+    } catch (error) {
+      console.error(`Failed to initialize ${name} provider:`, error.message);
+      return null;
+    }
+  }
+  
   /**
    * Get fallback provider (a provider that's not the primary one)
    * @param {Object} providers - Object containing provider instances
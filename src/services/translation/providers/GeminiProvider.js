@@ -1,3 +1,5 @@
+const FlashCard = require('../../../models/FlashCard');
+
 /**
  * Gemini API provider for translation services
  */
@@ -30,6 +32,7 @@ class GeminiProvider {
    * @param {string} data.targetLanguage - Target language code
    * @param {string} data.userTranslation - User's translation to evaluate
    * @param {string} [data.referenceTranslation] - Optional reference translation
+   * @param {Array<{text: string, note: string}>} [data.alternativeTranslations] - Other accepted translations
    * @returns {Promise<Object>} - Evaluation result
    */
   async evaluateTranslation(data) {
@@ -83,6 +86,11 @@ User's translation: "${data.userTranslation}"`;
       prompt += `\nReference translation: "${data.referenceTranslation}"`;
     }
 
+    // Other accepted translations, so valid synonyms are not marked wrong
+    if (data.alternativeTranslations && data.alternativeTranslations.length > 0) {
+      prompt += `\nAlso accepted: ${FlashCard.formatAlternativeTranslations(data.alternativeTranslations)}`;
+    }
+
     prompt += `\n
 Evaluate the user's translation with these criteria:
 1. Accuracy - It should convey the same meaning - significant changes in meaning should be considered incorrect
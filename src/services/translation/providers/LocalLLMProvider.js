@@ -0,0 +1,58 @@
+/**
+ * Provider for local LLM servers with an OpenAI-compatible API (Ollama, llama.cpp, LM Studio)
+ */
+const OpenAIProvider = require('./OpenAIProvider');
+
+class LocalLLMProvider extends OpenAIProvider {
+  /**
+   * Create a new LocalLLMProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Server URL, e.g. 'http://localhost:11434/v1'
+   * @param {string} [options.modelName] - Model name to use
+   * @param {string} [options.apiKey] - API key, for servers that require one
+   * @param {number} [options.maxRetries] - Maximum number of retries
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('Local LLM server URL is required');
+    }
+
+    super(options.apiKey, {
+      modelName: options.modelName || 'llama3',
+      apiEndpoint: LocalLLMProvider.getChatCompletionsUrl(options.baseUrl),
+      maxRetries: options.maxRetries,
+      timeout: options.timeout
+    });
+
+    this.providerName = 'Local LLM';
+  }
+
+  /**
+   * Get the chat-completions URL of a server
+   * A bare server address gets the usual /v1 prefix; a URL with a path is used as the API root.
+   * @param {string} baseUrl - Server URL, e.g. 'http://localhost:8080' or 'http://localhost:11434/v1'
+   * @returns {string} - Chat-completions URL
+   */
+  static getChatCompletionsUrl(baseUrl) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch (error) {
+      throw new Error(`Invalid local LLM server URL: ${baseUrl}`);
+    }
+
+    let path = url.pathname.replace(/\/+$/, '');
+    if (!path) {
+      path = '/v1';
+    }
+    if (!path.endsWith('/chat/completions')) {
+      path += '/chat/completions';
+    }
+
+    url.pathname = path;
+    return url.toString();
+  }
+}
+
+module.exports = LocalLLMProvider;
\ No newline at end of file
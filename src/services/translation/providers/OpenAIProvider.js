@@ -1,24 +1,29 @@
+const FlashCard = require('../../../models/FlashCard');
+
 /**
  * OpenAI API provider for translation services
  */
 class OpenAIProvider {
   /**
    * Create a new OpenAIProvider instance
-   * @param {string} apiKey - OpenAI API key
+   * @param {string} apiKey - OpenAI API key; optional when options.apiEndpoint points elsewhere
    * @param {Object} options - Additional options
    * @param {string} [options.modelName] - Model name to use
+   * @param {string} [options.apiEndpoint] - Chat-completions URL of an OpenAI-compatible server
    * @param {number} [options.maxRetries] - Maximum number of retries
    * @param {number} [options.timeout] - Request timeout in ms
    */
   constructor(apiKey, options = {}) {
-    if (!apiKey) {
+    if (!apiKey && !options.apiEndpoint) {
       throw new Error('OpenAI API key is required');
     }
 
-    this.apiKey = apiKey;
+    this.apiKey = apiKey || '';
     this.modelName = options.modelName || 'gpt-3.5-turbo';
-    this.apiEndpoint = 'https://api.openai.com/v1/chat/completions';
-    this.maxRetries = options.maxRetries || 2;
+    this.apiEndpoint = options.apiEndpoint || 'https://api.openai.com/v1/chat/completions';
+    // Name used in log and error messages
+    this.providerName = 'OpenAI';
+    this.maxRetries = options.maxRetries ?? 2;
     this.timeout = options.timeout || 30000;
   }
 
@@ -30,6 +35,7 @@ class OpenAIProvider {
    * @param {string} data.targetLanguage - Target language code
    * @param {string} data.userTranslation - User's translation to evaluate
    * @param {string} [data.referenceTranslation] - Optional reference translation
+   * @param {Array<{text: string, note: string}>} [data.alternativeTranslations] - Other accepted translations
    * @returns {Promise<Object>} - Evaluation result
    */
   async evaluateTranslation(data) {
@@ -38,8 +44,8 @@ class OpenAIProvider {
       const response = await this._callOpenAIAPI(messages);
       return this._parseEvaluationResponse(response, data);
     } catch (error) {
-      console.error('OpenAI translation evaluation error:', error.message);
-      throw new Error(`OpenAI API evaluation failed: ${error.message}`);
+      console.error(`${this.providerName} translation evaluation error:`, error.message);
+      throw new Error(`${this.providerName} API evaluation failed: ${error.message}`);
     }
   }
 
@@ -57,8 +63,8 @@ class OpenAIProvider {
       const response = await this._callOpenAIAPI(messages);
       return this._extractTranslation(response);
     } catch (error) {
-      console.error('OpenAI translation generation error:', error.message);
-      throw new Error(`OpenAI API translation failed: ${error.message}`);
+      console.error(`${this.providerName} translation generation error:`, error.message);
+      throw new Error(`${this.providerName} API translation failed: ${error.message}`);
     }
   }
 
@@ -109,6 +115,11 @@ User's translation: "${data.userTranslation}"`;
       userMessage += `\nReference translation: "${data.referenceTranslation}"`;
     }
 
+    // Other accepted translations, so valid synonyms are not marked wrong
+    if (data.alternativeTranslations && data.alternativeTranslations.length > 0) {
+      userMessage += `\nAlso accepted: ${FlashCard.formatAlternativeTranslations(data.alternativeTranslations)}`;
+    }
+
     return [
       { role: 'system', content: systemMessage },
       { role: 'user', content: userMessage }
@@ -155,13 +166,17 @@ User's translation: "${data.userTranslation}"`;
       presence_penalty: 0
     };
 
+    const headers = { 'Content-Type': 'application/json' };
+
+    // Local servers usually run without a key
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
     try {
       const response = await fetch(this.apiEndpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
+        headers,
         body: JSON.stringify(requestBody),
         timeout: this.timeout
       });
@@ -13,6 +13,11 @@ function getEnvironmentConfig() {
     GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
     OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
     
+    // Local OpenAI-compatible LLM server, e.g. http://localhost:11434/v1 for Ollama
+    LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL || '',
+    LOCAL_LLM_MODEL: process.env.LOCAL_LLM_MODEL || '',
+    LOCAL_LLM_API_KEY: process.env.LOCAL_LLM_API_KEY || '',
+    
     // App settings
     NODE_ENV: process.env.NODE_ENV || 'development',
     
@@ -42,7 +47,8 @@ function checkApiKeysAvailability() {
   return {
     gemini: Boolean(config.GEMINI_API_KEY),
     openai: Boolean(config.OPENAI_API_KEY),
-    hasAnyTranslationApi: Boolean(config.GEMINI_API_KEY || config.OPENAI_API_KEY)
+    local: Boolean(config.LOCAL_LLM_BASE_URL),
+    hasAnyTranslationApi: Boolean(config.GEMINI_API_KEY || config.OPENAI_API_KEY || config.LOCAL_LLM_BASE_URL)
   };
 }
 
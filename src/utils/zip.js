@@ -0,0 +1,103 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Find the end of central directory record of a zip archive
+ * @param {Buffer} buffer - The zip archive
+ * @returns {number} - Offset of the record
+ * @throws {Error} - If the buffer is not a zip archive
+ */
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 65535 bytes
+  const lowest = Math.max(0, buffer.length - 22 - 0xFFFF);
+
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+
+  throw new Error('Not a zip archive');
+}
+
+/**
+ * List the files in a zip archive
+ * Only stored and deflated entries can be extracted; ZIP64 and encrypted
+ * archives are not supported.
+ * @param {Buffer} buffer - The zip archive
+ * @returns {Object[]} - Entries with name, method, compressedSize, size and localHeaderOffset
+ * @throws {Error} - If the buffer is not a zip archive
+ */
+function listZipEntries(buffer) {
+  if (buffer.length < 22) {
+    throw new Error('Not a zip archive');
+  }
+
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip archive');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract a single file from a zip archive
+ * @param {Buffer} buffer - The zip archive
+ * @param {string} name - Path of the file inside the archive
+ * @returns {Buffer|null} - File contents, or null if the archive has no such file
+ * @throws {Error} - If the archive is corrupt or uses an unsupported compression method
+ */
+function readZipEntry(buffer, name) {
+  const entry = listZipEntries(buffer).find(candidate => candidate.name === name);
+  if (!entry) {
+    return null;
+  }
+
+  const offset = entry.localHeaderOffset;
+  if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+    throw new Error('Corrupt zip archive');
+  }
+
+  // Sizes come from the central directory; the local header may leave them empty
+  const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return Buffer.from(data);
+  }
+
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data);
+  }
+
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${name}`);
+}
+
+module.exports = {
+  listZipEntries,
+  readZipEntry
+};
\ No newline at end of file